@@ -0,0 +1,66 @@
+// ============================================
+// ACID-BASE EQUILIBRIUM
+// pH of a Solution from the charge balance of its strong and weak
+// acids and bases. Pure math - no Three.js or DOM dependencies.
+// ============================================
+import { SPECIES } from './solution.js';
+
+const KW = 1e-14;
+
+// Net positive charge (mol/L) of the solution at hydrogen ion concentration h
+function chargeBalance(h, components) {
+    let charge = h - KW / h;
+    charge += components.strongBase - components.strongAcid;
+    for (const { concentration, Ka } of components.weakAcids) {
+        charge -= concentration * Ka / (Ka + h); // conjugate base A-
+    }
+    for (const { concentration, Ka } of components.weakBases) {
+        charge += concentration * h / (Ka + h); // conjugate acid BH+
+    }
+    return charge;
+}
+
+function collectComponents(solution) {
+    const components = { strongAcid: 0, strongBase: 0, weakAcids: [], weakBases: [] };
+
+    for (const species of solution.solutes.keys()) {
+        const acidBase = SPECIES[species] && SPECIES[species].acidBase;
+        if (!acidBase) continue;
+
+        const concentration = solution.getConcentration(species);
+        switch (acidBase.type) {
+            case 'strong-acid':
+                components.strongAcid += concentration;
+                break;
+            case 'strong-base':
+                components.strongBase += concentration;
+                break;
+            case 'weak-acid':
+                components.weakAcids.push({ concentration, Ka: Math.pow(10, -acidBase.pKa) });
+                break;
+            case 'weak-base':
+                components.weakBases.push({ concentration, Ka: Math.pow(10, -acidBase.pKa) });
+                break;
+        }
+    }
+    return components;
+}
+
+// pH where the solution is electrically neutral (bisection - charge falls as pH rises)
+export function computePH(solution) {
+    if (solution.volume <= 0) return 7;
+
+    const components = collectComponents(solution);
+    let low = -1;
+    let high = 15;
+
+    for (let i = 0; i < 60; i++) {
+        const mid = (low + high) / 2;
+        if (chargeBalance(Math.pow(10, -mid), components) > 0) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    return (low + high) / 2;
+}
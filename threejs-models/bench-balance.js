@@ -0,0 +1,159 @@
+// ============================================
+// BENCH BALANCE
+// Top-loading balance that weighs whatever stands on its pan - the
+// empty glass plus the mass of the liquid in it (see Solution) - and
+// reads out the way a real one does:
+//
+// - Settling: after the load changes the reading creeps to the new mass
+//   over the settle time; the stability mark comes on once it is there.
+// - Noise: a stable reading flickers by a count in its last digit.
+// - Tare: zeroes the reading with what is on the pan now.
+// - Capacity: past it the display shows overload instead of a mass.
+//
+//   const balance = new BalanceCore({ position: [0, -1.9, 0], panRadius: 1.6, panHeight: 0.7 });
+//   physics.setPlatforms(balance.getPlatforms());
+//   balance.update(1 / 60, bench.containers);
+//   balance.getDisplayText(); // '261.482'
+//
+// The pan and the housing under it are platforms of bench-physics.js,
+// so what is weighed is what the physics stands on the pan: a glass
+// with the middle of its base over it. Pure math - no Three.js or DOM
+// dependencies.
+// ============================================
+import { standsOver } from './bench-physics.js';
+
+const SETTLE_RATE = 3;     // the reading closes this much faster than the settle time left
+const REFRESH_TIME = 0.2;  // s between display updates
+
+export const BALANCE_DEFAULTS = {
+    capacity: 320,        // g
+    readability: 0.001,   // g, one count of the last digit
+    settleTime: 2         // s from a change of load to a stable reading
+};
+
+export class BalanceCore {
+    // options: id, name, position (middle of the base, on the bench),
+    // panRadius and panHeight (pan top above the base), housing
+    // ({ width, depth, offset, height }: the body under the pan, its
+    // middle `offset` in front of the pan along z), capacity,
+    // readability and settleTime (see BALANCE_DEFAULTS), seed of the
+    // last-digit flicker
+    constructor(options = {}) {
+        this.id = options.id ?? null;
+        this.name = options.name || 'Balance';
+        this.capacity = options.capacity ?? BALANCE_DEFAULTS.capacity;
+        this.readability = options.readability ?? BALANCE_DEFAULTS.readability;
+        this.settleTime = options.settleTime ?? BALANCE_DEFAULTS.settleTime;
+        this.seed = options.seed ?? 1;
+        this.decimals = Math.max(0, Math.round(-Math.log10(this.readability)));
+
+        const [x, y, z] = options.position || [0, 0, 0];
+        this.pan = { x, z, radius: options.panRadius ?? 1, top: y + (options.panHeight ?? 0) };
+        const housing = options.housing;
+        this.housing = housing ? {
+            x,
+            z: z + housing.offset,
+            halfWidth: housing.width / 2,
+            halfDepth: housing.depth / 2,
+            top: y + housing.height
+        } : null;
+
+        this.tareMass = 0;  // g taken off the reading
+        this.load = 0;      // g on the pan at the last update
+        this.shown = 0;     // g the display has crept to
+        this.settling = 0;  // s until the reading is stable
+        this.refresh = 0;   // s until the display next updates
+        this.ticks = 0;     // display updates so far, for the flicker
+        this.reading = 0;   // g shown, net of the tare
+        this.stable = true;
+    }
+
+    // What glassware stands on (see BenchPhysics.setPlatforms)
+    getPlatforms() {
+        return this.housing ? [this.housing, this.pan] : [this.pan];
+    }
+
+    // Containers weighed: standing or lying on the pan, not in a hand
+    getLoad(containers) {
+        return containers.filter(c => !c.isDragging && !c.isFixed && c.bounds && standsOver(c, this.pan));
+    }
+
+    weigh(containers) {
+        return this.getLoad(containers).reduce((total, c) => total + c.getMass(), 0);
+    }
+
+    isOverloaded() {
+        return this.shown > this.capacity + 9 * this.readability;
+    }
+
+    // True when the reading has just come to rest
+    update(deltaTime, containers) {
+        const load = this.weigh(containers);
+        if (Math.abs(load - this.load) > this.readability / 2) this.settling = this.settleTime;
+        this.load = load;
+
+        const rate = this.settling > deltaTime ? Math.min(1, SETTLE_RATE * deltaTime / this.settling) : 1;
+        this.shown += (load - this.shown) * rate;
+        this.settling = Math.max(0, this.settling - deltaTime);
+
+        this.refresh -= deltaTime;
+        if (this.refresh > 0) return false;
+        this.refresh += REFRESH_TIME;
+        if (this.refresh <= 0) this.refresh = REFRESH_TIME; // fell behind a long step
+
+        const wasStable = this.stable;
+        this.stable = this.settling === 0;
+        this.ticks++;
+        this.showReading();
+        return this.stable && !wasStable;
+    }
+
+    showReading() {
+        let counts = Math.round((this.shown - this.tareMass) / this.readability);
+        if (this.stable) counts += flicker(this.seed, this.ticks);
+        this.reading = counts * this.readability;
+    }
+
+    // Zero the reading with the current load; not while overloaded
+    tare() {
+        if (this.isOverloaded()) return false;
+        this.tareMass = this.load;
+        this.showReading();
+        return true;
+    }
+
+    // What the display reads, without the unit
+    getDisplayText() {
+        if (this.isOverloaded()) return 'OL';
+        return (this.reading + 0).toFixed(this.decimals); // + 0: no '-0.000'
+    }
+
+    // The tare is the only setting; the reading comes back with the load
+    getSnapshot() {
+        return { tare: this.tareMass };
+    }
+
+    restoreSnapshot(snapshot, containers) {
+        this.tareMass = snapshot.tare;
+        this.settle(containers);
+    }
+
+    // Reading at rest on the load already on the pan, as if it had stood
+    // there a while
+    settle(containers) {
+        this.load = this.shown = this.weigh(containers);
+        this.settling = 0;
+        this.refresh = REFRESH_TIME;
+        this.stable = true;
+        this.showReading();
+    }
+}
+
+// -1, 0 or +1 counts for display update `tick`: the same on every run
+function flicker(seed, tick) {
+    let t = (seed + Math.imul(tick, 0x6D2B79F5)) >>> 0;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    const r = ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    return r < 0.25 ? -1 : r < 0.75 ? 0 : 1;
+}
@@ -0,0 +1,724 @@
+// ============================================
+// BENCH CORE
+// The simulated state of a pouring bench without any rendering: each
+// container's pose, contents and free surface (ContainerBody), the
+// liquid on its way from one container to another (PourCore), and a
+// headless bench stepping them with the fluid solver (BenchSimulation).
+// liquid-pouring.js draws on top of these classes; under Node they run
+// on their own, as in the tests under test/.
+//
+//   const bench = new BenchSimulation();
+//   const beaker = bench.addContainer(new ContainerBody({
+//       id: 'beaker', profile: [{ x: 0.001, y: 0.1 }, { x: 1, y: 0.1 }, { x: 1, y: 3 }],
+//       spout: [1, 3, 0], position: [-1.5, -1.9, 0], initialVolume: 100, liquid: 'water'
+//   }));
+//   beaker.isDragging = true;
+//   beaker.setPose([-1.5, -1.9, 0], [0, 0, -1.2]);
+//   bench.run(2);
+//
+// Vectors are [x, y, z] arrays and transforms column-major 4x4 arrays
+// (Three.js Matrix4.elements), as in fluid-solver.js; rotations are
+// Euler angles in XYZ order, as on a Three.js object.
+// Pure math - no Three.js or DOM dependencies.
+// ============================================
+import { VolumeProfile } from './volume-profile.js';
+import { Solution } from './solution.js';
+import { computePH } from './acid-base.js';
+import { FluidSimulation } from './fluid-simulation.js';
+import { DEFAULT_ENVIRONMENT } from './fluid-solver.js';
+import { floorAt } from './bench-physics.js';
+import { SESSION_VERSION, SessionReplay, roundInput } from './bench-session.js';
+
+export const POUR_GAP = 0.3;      // s without outflow before a pour counts as finished
+export const TRACE_VOLUME = 1e-6; // mL; less is rounding left over from Solution arithmetic
+export const BENCH_REACH = 8;     // containers stay within this of the bench centre (x and z)
+export const MAX_TILT = Math.PI * 0.55; // ~100 degrees
+
+// ----------------------------------------
+// Transforms
+// ----------------------------------------
+
+// Matrix placing an object at `position`, turned by `rotation` and scaled
+// by `scale`, as Three.js composes an object's matrix
+export function composeMatrix(position, rotation = [0, 0, 0], scale = 1) {
+    const [a, b] = [Math.cos(rotation[0]), Math.sin(rotation[0])];
+    const [c, d] = [Math.cos(rotation[1]), Math.sin(rotation[1])];
+    const [e, f] = [Math.cos(rotation[2]), Math.sin(rotation[2])];
+    const ae = a * e, af = a * f, be = b * e, bf = b * f;
+    return [
+        c * e * scale, (af + be * d) * scale, (bf - ae * d) * scale, 0,
+        -c * f * scale, (ae - bf * d) * scale, (be + af * d) * scale, 0,
+        d * scale, -b * c * scale, a * c * scale, 0,
+        position[0], position[1], position[2], 1
+    ];
+}
+
+// Inverse of a matrix composed as above (no projection row)
+export function invertMatrix(m) {
+    const [a, b, c, , d, e, f, , g, h, i] = m;
+    const A = e * i - f * h, B = f * g - d * i, C = d * h - e * g;
+    const det = a * A + b * B + c * C;
+    if (Math.abs(det) < 1e-12) throw new Error('Transform cannot be inverted');
+    const r = [
+        A / det, (c * h - b * i) / det, (b * f - c * e) / det, 0,
+        B / det, (a * i - c * g) / det, (c * d - a * f) / det, 0,
+        C / det, (b * g - a * h) / det, (a * e - b * d) / det, 0,
+        0, 0, 0, 1
+    ];
+    const [x, y, z] = [m[12], m[13], m[14]];
+    r[12] = -(r[0] * x + r[4] * y + r[8] * z);
+    r[13] = -(r[1] * x + r[5] * y + r[9] * z);
+    r[14] = -(r[2] * x + r[6] * y + r[10] * z);
+    return r;
+}
+
+export function transformPoint(m, [x, y, z]) {
+    return [
+        m[0] * x + m[4] * y + m[8] * z + m[12],
+        m[1] * x + m[5] * y + m[9] * z + m[13],
+        m[2] * x + m[6] * y + m[10] * z + m[14]
+    ];
+}
+
+// Unit length of the matrix column `i` (0: x, 1: y, 2: z axis)
+function axisOf(m, i) {
+    const [x, y, z] = [m[i * 4], m[i * 4 + 1], m[i * 4 + 2]];
+    const length = Math.hypot(x, y, z) || 1;
+    return [x / length, y / length, z / length];
+}
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+// ============================================
+// CONTAINER BODY
+// A container liquid can be poured from and into: its inner volume
+// profile, lip, pose and contents, and where the liquid surface sits.
+// The pose is a world matrix (setPose()); the rendered containers of the
+// pouring bench read theirs from their Three.js group instead.
+// ============================================
+export class ContainerBody {
+    // options: id, name, maxVolume (mL, default the profile's capacity),
+    // solution or liquid + initialVolume, profile (inner wall points
+    // {x: radius, y: height} bottom to top), spout (local [x, y, z] of the
+    // lip), position and rotation; bounds ({ bottomRadius, topRadius,
+    // height } hull, and offset along local z where the hull is not under
+    // the origin) and glassMass (g) for bench-physics.js
+    constructor(options = {}) {
+        this.id = options.id ?? null;
+        this.name = options.name || 'Container';
+        this.volumeProfile = options.profile ? new VolumeProfile(options.profile) : null;
+        this.maxVolume = options.maxVolume || (this.volumeProfile ? this.volumeProfile.capacity : 250); // mL
+        this.solution = options.solution ||
+            Solution.fromLiquid(options.liquid || 'water', options.initialVolume ?? 150);
+        this.spout = options.spout ? options.spout.slice() : [0, 0, 0];
+        this.bounds = options.bounds || null;
+        this.glassMass = options.glassMass || 0;
+        this.rotation = options.rotation ? options.rotation.slice() : [0, 0, 0];
+        this.matrix = composeMatrix(options.position || [0, 0, 0], this.rotation);
+        this.isDragging = false;
+        this.isPouring = false;
+        this.isFixed = false;   // clamped equipment is not dragged or poured into
+        this.isToppled = false; // fallen over: it pours without being held
+
+        // Free surface: world up unless the fluid solver reports the liquid
+        // sloshing. Levels are offsets along it in the local frame (see
+        // VolumeProfile), set by updateLiquid().
+        this.surfaceNormal = [0, 1, 0];
+        this.surfaceLevel = 0;
+        this.rimLevel = 0;
+        this.updateLiquid();
+    }
+
+    get currentVolume() {
+        return this.solution.volume; // mL
+    }
+
+    getPH() {
+        return computePH(this.solution);
+    }
+
+    // g of glass and liquid, as a balance weighs it
+    getMass() {
+        return this.glassMass + this.solution.mass;
+    }
+
+    // World matrix of the container
+    getMatrix() {
+        return this.matrix;
+    }
+
+    // Place the container and re-level its liquid
+    setPose(position, rotation = [0, 0, 0]) {
+        this.rotation = rotation.slice();
+        this.matrix = composeMatrix(position, rotation);
+        this.updateLiquid();
+    }
+
+    getPosition() {
+        const m = this.getMatrix();
+        return [m[12], m[13], m[14]];
+    }
+
+    // Euler angles of the last setPose()
+    getRotation() {
+        return this.rotation.slice();
+    }
+
+    // The container's own up axis in world space
+    getAxis() {
+        return axisOf(this.getMatrix(), 1);
+    }
+
+    // Liquid surface normal expressed in the container's local frame
+    getLocalUp() {
+        const m = this.getMatrix();
+        const n = this.surfaceNormal;
+        return { x: dot(axisOf(m, 0), n), y: dot(axisOf(m, 1), n), z: dot(axisOf(m, 2), n) };
+    }
+
+    getTiltAngle() {
+        return Math.acos(Math.max(-1, Math.min(1, this.getAxis()[1])));
+    }
+
+    // Lowest point of the lip in world space - where liquid leaves when tilted
+    getPourSpout() {
+        const up = this.getLocalUp();
+        const [x, y, z] = this.spout;
+        const lipRadius = Math.hypot(x, z);
+        let downhill = [-up.x, -up.z];
+        if (Math.hypot(...downhill) < 1e-4) downhill = [x, z];
+        const length = Math.hypot(...downhill) || 1;
+        return transformPoint(this.getMatrix(), [downhill[0] / length * lipRadius, y, downhill[1] / length * lipRadius]);
+    }
+
+    // Horizontal direction liquid leaves the lip in
+    getPourDirection() {
+        const axis = transformPoint(this.getMatrix(), [0, this.spout[1], 0]);
+        const lip = this.getPourSpout();
+        const direction = [lip[0] - axis[0], 0, lip[2] - axis[2]];
+        const length = Math.hypot(...direction);
+        return length > 1e-4 ? direction.map(v => v / length) : [1, 0, 0];
+    }
+
+    // How far the level surface stands above the lowest point of the rim
+    getSurfaceHead() {
+        return this.surfaceLevel - this.rimLevel;
+    }
+
+    canPour() {
+        return this.currentVolume > 0 && this.getSurfaceHead() > 0;
+    }
+
+    // Re-level the surface for the current volume and orientation
+    updateLiquid() {
+        if (!this.volumeProfile || this.currentVolume <= 0) return;
+        const up = this.getLocalUp();
+        this.surfaceLevel = this.volumeProfile.levelForVolume(up, this.currentVolume);
+        this.rimLevel = this.volumeProfile.rimLevel(up);
+    }
+
+    // Mouth of the cavity in world space: rim centre, axis and radius
+    getOpening() {
+        const m = this.getMatrix();
+        const profile = this.volumeProfile;
+        const scale = Math.max(Math.hypot(m[0], m[1], m[2]), Math.hypot(m[8], m[9], m[10]));
+        return {
+            center: transformPoint(m, [0, profile.top, 0]),
+            normal: this.getAxis(),
+            radius: profile.radiusAtHeight(profile.top) * scale
+        };
+    }
+
+    // Whether a world-space point lies inside the inner cavity
+    containsPoint(point) {
+        const [x, y, z] = transformPoint(invertMatrix(this.getMatrix()), point);
+        const profile = this.volumeProfile;
+        if (y < profile.bottom || y > profile.top) return false;
+        return Math.hypot(x, z) < profile.radiusAtHeight(y);
+    }
+
+    // World height of the liquid surface above the container origin (the inner base when empty)
+    getSurfaceHeight() {
+        if (this.currentVolume <= 0) {
+            return transformPoint(this.getMatrix(), [0, this.volumeProfile.bottom, 0])[1];
+        }
+        return this.getPosition()[1] + Math.min(this.surfaceLevel, this.rimLevel) / this.surfaceNormal[1];
+    }
+
+    // Height of a graduation line for a volume (mL), measured from the container base
+    getGraduationHeight(volume) {
+        return this.volumeProfile.heightForVolume(volume);
+    }
+
+    // ----------------------------------------
+    // Fluid solver interface (see fluid-solver.js)
+    // ----------------------------------------
+
+    // Inner wall the solver collides particles with and catches them in
+    getFluidDefinition() {
+        return { id: this.id, profile: this.volumeProfile.points.map(({ r, y }) => ({ r, y })) };
+    }
+
+    // Where the container is this step and how its liquid sits
+    getFluidState() {
+        const matrix = this.getMatrix();
+        const level = this.volumeProfile.heightForVolume(this.currentVolume);
+        return {
+            id: this.id,
+            matrix: matrix.slice(),
+            inverse: invertMatrix(matrix),
+            surfaceY: this.getSurfaceHeight(),
+            volume: this.currentVolume,
+            surfaceRadius: this.volumeProfile.radiusAtHeight(level),
+            depth: level - this.volumeProfile.bottom
+        };
+    }
+
+    // What the solver needs to work out the outflow over the lip
+    getPourState() {
+        const up = this.getLocalUp();
+        const capacity = this.volumeProfile.capacity;
+        return {
+            id: this.id,
+            lip: this.getPourSpout(),
+            direction: this.getPourDirection(),
+            axis: this.getAxis(),
+            head: this.getSurfaceHead(),
+            tiltSin: Math.hypot(up.x, up.z),
+            rimRadius: this.getOpening().radius,
+            airVolume: Math.max(0, capacity - this.currentVolume) / this.volumeProfile.mlPerCubicUnit,
+            available: this.currentVolume
+        };
+    }
+
+    // ----------------------------------------
+    // Contents
+    // ----------------------------------------
+
+    // Resize the liquid keeping its composition; returns what does not
+    // fit below the brim as a Solution (empty when it all fits)
+    setVolume(volume) {
+        const excess = this.solution.clone().setVolume(Math.max(0, volume - this.maxVolume));
+        this.solution.setVolume(Math.min(this.maxVolume, volume));
+        this.updateLiquid();
+        return excess;
+    }
+
+    // Replace the contents outright
+    setSolution(solution) {
+        this.solution = solution;
+        this.updateLiquid();
+    }
+
+    // Remove `volume` mL and return it as a Solution
+    removeLiquid(volume) {
+        const portion = this.solution.take(volume);
+        this.updateLiquid();
+        return portion;
+    }
+
+    // Mix in as much of `portion` as fits; returns what is left of it
+    addLiquid(portion) {
+        const room = Math.max(0, this.maxVolume - this.currentVolume);
+        this.solution.add(portion.take(room));
+        this.updateLiquid();
+        return portion;
+    }
+}
+
+// ============================================
+// POUR CORE
+// Liquid between containers: the held (or toppled) container that can
+// pour feeds the fluid solver, and each solver result moves volume out of
+// the source, into the air (inFlight) and on into whatever caught it -
+// what does not fit runs over the brim. Every mL is in a container, in the air or
+// spilled, so the total never changes.
+//
+// Events, through `events.dispatchEvent` (volumes in mL):
+//   pourstart { container }  pourend { container, volume }
+//   transfer  { from, to, volume }  overflow { container, volume }
+//   spill     { volume, position }
+// ============================================
+export class PourCore {
+    constructor(containers, fluid, events) {
+        this.containers = containers;
+        this.fluid = fluid;
+        this.events = events;
+        this.pouringContainer = null;
+        // Pour reported to listeners, { container, volume, idle }: from the
+        // first liquid over the lip until none has left for POUR_GAP
+        this.pour = null;
+        this.inFlight = new Solution();
+        this.inFlightSource = null; // id of the container the liquid in the air came from
+        this.spilled = new Solution();
+        this.overflowSides = new Map(); // id -> local [x, z] liquid ran over the brim this step
+    }
+
+    // Liquid reaching the bench at world `position`
+    addSpill(position, portion) {
+        if (portion.volume <= 0) return;
+        this.spilled.add(portion);
+        this.events.dispatchEvent({ type: 'spill', volume: portion.volume, position });
+    }
+
+    // `portion` did not fit in `target`: it runs over the brim and down the
+    // outside of the wall onto the bench, on the side the stream came from
+    overflow(target, portion) {
+        if (portion.volume <= 0) return;
+        if (portion.volume > TRACE_VOLUME) {
+            this.events.dispatchEvent({ type: 'overflow', container: target.id, volume: portion.volume });
+        }
+        if (target.isFixed) {
+            // Clamped equipment is not in the fluid solver: straight down
+            this.addSpill(target.getOpening().center, portion);
+            return;
+        }
+
+        const foot = target.getPosition();
+        const from = this.pouringContainer ? this.pouringContainer.getPosition() : foot;
+        const toward = [from[0] - foot[0], from[2] - foot[2]];
+        if (Math.hypot(...toward) < 1e-4) toward.splice(0, 2, 0, 1); // toward the viewer
+
+        this.inFlight.add(portion);
+        this.fluid.overflow(target.id, portion.volume, toward);
+    }
+
+    // New bench: nothing in the air or spilled any more
+    reset() {
+        this.spilled = new Solution();
+        this.dropInFlight();
+    }
+
+    // Containers added or removed: liquid in the air is dropped and the
+    // solver catches in the containers now on the bench; what has spilled stays
+    dropInFlight() {
+        this.pouringContainer = null;
+        this.pour = null;
+        this.inFlight = new Solution();
+        this.inFlightSource = null;
+        this.overflowSides.clear();
+        this.fluid.setContainers(this.containers.filter(c => !c.isFixed).map(c => c.getFluidDefinition()));
+    }
+
+    // Container pouring this step, or null
+    setSource(source) {
+        this.pouringContainer = source;
+    }
+
+    applyResult(result) {
+        const byId = (id) => this.containers.find(c => c.id === id);
+
+        const source = result.source !== null ? byId(result.source) : null;
+        if (source && result.emitted > 0) {
+            this.inFlight.add(source.removeLiquid(result.emitted));
+            this.inFlightSource = source.id;
+            this.trackPour(source, result.emitted);
+        }
+
+        // Whatever does not fit runs down the outside onto the bench
+        for (const [id, volume] of Object.entries(result.captured)) {
+            const target = byId(id);
+            const portion = this.inFlight.take(volume);
+            if (!target) {
+                this.addSpill(this.underSourceLip(), portion);
+                continue;
+            }
+            const landed = portion.volume;
+            const rest = target.addLiquid(portion);
+            if (id !== this.inFlightSource && landed - rest.volume > TRACE_VOLUME) {
+                this.events.dispatchEvent({ type: 'transfer', from: this.inFlightSource, to: id, volume: landed - rest.volume });
+            }
+            this.overflow(target, rest);
+        }
+
+        for (const spill of result.spills) {
+            this.addSpill([spill.x, spill.y, spill.z], this.inFlight.take(spill.volume));
+        }
+
+        for (const [id, normal] of Object.entries(result.slosh)) {
+            const c = byId(id);
+            if (c) c.surfaceNormal = normal.slice();
+        }
+        for (const [id, side] of Object.entries(result.overflow)) {
+            this.overflowSides.set(id, side);
+        }
+    }
+
+    // Where liquid caught by a container no longer on the bench lands: on
+    // what is under the lip it left, or the middle of the bench
+    underSourceLip() {
+        const source = this.containers.find(c => c.id === this.inFlightSource);
+        const [x, , z] = source ? source.getPourSpout() : [0, 0, 0];
+        const { platforms, tableTop } = { ...DEFAULT_ENVIRONMENT, ...this.fluid.environment };
+        return [x, floorAt(platforms, tableTop, x, z), z];
+    }
+
+    // pourstart / pourend for listeners: `volume` mL just left `source`
+    trackPour(source, volume) {
+        if (this.pour && this.pour.container !== source) this.endPour();
+        if (!this.pour) {
+            this.pour = { container: source, volume: 0, idle: 0 };
+            this.events.dispatchEvent({ type: 'pourstart', container: source.id });
+        }
+        this.pour.volume += volume;
+        this.pour.idle = 0;
+    }
+
+    endPour() {
+        this.events.dispatchEvent({ type: 'pourend', container: this.pour.container.id, volume: this.pour.volume });
+        this.pour = null;
+    }
+
+    update(deltaTime) {
+        this.setSource(this.containers.find(c => !c.isFixed && (c.isDragging || c.isToppled) && c.canPour()) || null);
+        if (this.pour) {
+            this.pour.idle += deltaTime;
+        }
+
+        this.fluid.step(deltaTime, {
+            containers: this.containers.filter(c => !c.isFixed).map(c => c.getFluidState()),
+            source: this.pouringContainer ? this.pouringContainer.getPourState() : null
+        });
+        const results = this.fluid.takeResults();
+        if (results.length > 0) this.overflowSides.clear();
+        for (const result of results) {
+            this.applyResult(result);
+        }
+        if (this.pour && this.pour.idle >= POUR_GAP) this.endPour();
+    }
+}
+
+// ----------------------------------------
+// Container inputs
+// ----------------------------------------
+
+// Apply a container input of a session (pick, drop, hold, move, tilt or
+// volume, see bench-session.js) to `bench`, a BenchSimulation or the
+// pouring bench, whose liquid goes through `pourCore`. False for any
+// other input, which is left to the bench.
+export function applyContainerInput(bench, pourCore, [type, ...args]) {
+    const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+    switch (type) {
+        // Taken in hand and put down: a container pours while held and
+        // stands, rocks back upright or falls over once let go
+        case 'pick': {
+            const [id] = args;
+            bench.getContainer(id).isDragging = true;
+            bench.dispatchEvent({ type: 'containerpicked', container: id });
+            return true;
+        }
+        case 'drop': {
+            const [id] = args;
+            const c = bench.getContainer(id);
+            c.isDragging = false;
+            bench.dispatchEvent({ type: 'containerdropped', container: id, position: c.getPosition() });
+            return true;
+        }
+        case 'hold': {
+            // Negative Z lowers the +X side, where the spout sits
+            const [id, x, z, rotationY, tilt] = args;
+            const c = bench.getContainer(id);
+            c.setPose([x, c.getPosition()[1], z], [0, rotationY, -tilt]);
+            return true;
+        }
+        case 'move': {
+            const [id, x, z] = args;
+            const c = bench.getContainer(id);
+            if (c.isFixed) throw new Error(`Container "${id}" is clamped in place`);
+            c.setPose([clamp(x, -BENCH_REACH, BENCH_REACH), c.getPosition()[1], clamp(z, -BENCH_REACH, BENCH_REACH)], c.getRotation());
+            return true;
+        }
+        case 'tilt': {
+            const [id, angle] = args;
+            const c = bench.getContainer(id);
+            if (c.isFixed) throw new Error(`Container "${id}" is clamped in place`);
+            const tilt = clamp(angle, 0, MAX_TILT);
+            c.setPose(c.getPosition(), [0, c.getRotation()[1], -tilt]);
+            c.isDragging = tilt > 0;
+            return true;
+        }
+        case 'volume': {
+            const [id, volume] = args;
+            const c = bench.getContainer(id);
+            if (!Number.isFinite(volume) || volume < 0) {
+                throw new Error(`Volume must be a number of mL, got ${volume}`);
+            }
+            pourCore.overflow(c, c.setVolume(volume));
+            return true;
+        }
+        default:
+            return false;
+    }
+}
+
+// ============================================
+// BENCH SIMULATION
+// Containers on a bench with no canvas: the fluid is solved inline with
+// a fixed seed, so a run always comes out the same. Listeners are added
+// as on a Three.js EventDispatcher and get the PourCore events, and
+// containerpicked and containerdropped from the inputs.
+//
+// The container inputs of a session log (pick, drop, hold, move, tilt
+// and volume, see bench-session.js) go through applyContainerInput(), as
+// on the pouring bench, so a session recorded headless replays step for
+// step:
+//
+//   bench.startRecording();
+//   bench.input(['pick', 'beaker']);
+//   bench.input(['tilt', 'beaker', 1.2]);
+//   bench.run(2);
+//   const log = bench.stopRecording();
+//   createBench().replay(log); // the same getState()
+// ============================================
+export class BenchSimulation {
+    // options: quality (fluid quality name), seed, environment (bench top
+    // and edges, see fluid-solver.js)
+    constructor(options = {}) {
+        this.containers = [];
+        this.listeners = new Map(); // type -> [listener]
+        this.time = 0;
+        this.steps = 0;
+        this.recording = null; // session log being recorded (see bench-session.js)
+        this.fluid = new FluidSimulation({
+            quality: options.quality || 'medium',
+            environment: options.environment,
+            seed: options.seed ?? 1,
+            useWorker: false
+        });
+        this.pourCore = new PourCore(this.containers, this.fluid, this);
+    }
+
+    addEventListener(type, listener) {
+        if (!this.listeners.has(type)) this.listeners.set(type, []);
+        this.listeners.get(type).push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        const listeners = this.listeners.get(type) || [];
+        const index = listeners.indexOf(listener);
+        if (index !== -1) listeners.splice(index, 1);
+    }
+
+    dispatchEvent(event) {
+        for (const listener of (this.listeners.get(event.type) || []).slice()) {
+            listener.call(this, { ...event, target: this });
+        }
+    }
+
+    // Put `body` on the bench; liquid in the air is dropped, spills are kept
+    addContainer(body) {
+        if (body.id === null) body.id = `container-${this.containers.length + 1}`;
+        if (this.containers.some(c => c.id === body.id)) {
+            throw new Error(`Duplicate container id "${body.id}"`);
+        }
+        this.containers.push(body);
+        this.pourCore.dropInFlight();
+        return body;
+    }
+
+    getContainer(id) {
+        const c = this.containers.find(c => c.id === id);
+        if (!c) throw new Error(`No container "${id}" on the bench`);
+        return c;
+    }
+
+    // Every mL on the bench: in containers, in the air and spilled
+    getTotalVolume() {
+        return this.containers.reduce((total, c) => total + c.currentVolume, 0) +
+            this.pourCore.inFlight.volume + this.pourCore.spilled.volume;
+    }
+
+    // Snapshot of the bench, as LabBench.getState() gives for its containers
+    getState() {
+        return {
+            containers: this.containers.map(c => ({
+                id: c.id,
+                name: c.name,
+                volume: c.currentVolume,
+                maxVolume: c.maxVolume,
+                pH: c.getPH(),
+                position: c.getPosition(),
+                tilt: c.getTiltAngle()
+            })),
+            inFlight: this.pourCore.inFlight.volume,
+            spilled: this.pourCore.spilled.volume
+        };
+    }
+
+    step(deltaTime) {
+        if (this.recording && deltaTime !== this.recording.step) {
+            throw new Error(`A session is being recorded in steps of ${this.recording.step} s`);
+        }
+        this.containers.forEach(c => c.updateLiquid());
+        this.pourCore.update(deltaTime);
+        this.time += deltaTime;
+        this.steps++;
+    }
+
+    // Advance `seconds` in steps of `step` s
+    run(seconds, step = 1 / 60) {
+        for (let i = Math.round(seconds / step); i > 0; i--) this.step(step);
+    }
+
+    // ----------------------------------------
+    // Inputs (see bench-session.js)
+    // ----------------------------------------
+
+    // Apply `input`, recorded if a session is
+    input(input) {
+        if (this.recording) input = roundInput(input);
+        this.applyInput(input);
+        if (this.recording) this.recording.inputs.push([this.steps, ...input]);
+    }
+
+    applyInput(input) {
+        if (!applyContainerInput(this, this.pourCore, input)) {
+            throw new Error(`Input "${input[0]}" needs the pouring bench`);
+        }
+    }
+
+    // ----------------------------------------
+    // Recording and replay
+    // ----------------------------------------
+
+    // Record every input from a new bench on, in fixed steps of `step` s.
+    // `scene` is kept in the log as what the bench was built from.
+    startRecording({ scene = {}, step = 1 / 60 } = {}) {
+        if (this.steps > 0) throw new Error('Record a session from a new bench');
+        this.recording = { scene, step, inputs: [] };
+    }
+
+    // The session log (JSON-serializable); recording stops
+    stopRecording() {
+        if (!this.recording) throw new Error('No session is being recorded');
+        const { scene, step, inputs } = this.recording;
+        this.recording = null;
+        return {
+            version: SESSION_VERSION,
+            scene,
+            seed: this.fluid.seed,
+            step,
+            quality: this.fluid.quality,
+            steps: this.steps,
+            inputs
+        };
+    }
+
+    // Replay a session log (object or JSON text) on this bench, new and
+    // built as the recorded one was; returns getState() at the end
+    replay(source) {
+        const replay = new SessionReplay(source);
+        const { log } = replay;
+        if (this.steps > 0) throw new Error('Replay a session on a new bench');
+        this.fluid.setQuality(log.quality);
+        this.fluid.setSeed(log.seed);
+
+        const apply = input => this.applyInput(input);
+        while (!replay.isFinished(this.steps)) {
+            replay.applyInputs(this.steps, apply);
+            this.step(log.step);
+        }
+        replay.applyInputs(this.steps, apply); // given after the last step
+        return this.getState();
+    }
+}
@@ -0,0 +1,90 @@
+// ============================================
+// BENCH HISTORY
+// Undo/redo timeline of a pouring bench. Each entry is the state the
+// bench settled in after an action (a move, a pour, a reset), with a
+// label and the bench time it was reached; undo, redo and scrubbing move
+// between entries. States are opaque here - the bench captures them and
+// puts them back.
+// Pure data handling - no Three.js or DOM dependencies.
+// ============================================
+
+const MAX_ENTRIES = 200; // the oldest entries are dropped past this
+
+// Deep comparison of two captured states: numbers within `tolerance`,
+// arrays, Maps and objects member by member, anything else by identity
+export function sameState(a, b, tolerance = 1e-9) {
+    if (typeof a === 'number' && typeof b === 'number') {
+        return Math.abs(a - b) <= tolerance;
+    }
+    if (a === b) return true;
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+
+    if (a instanceof Map || b instanceof Map) {
+        if (!(a instanceof Map && b instanceof Map) || a.size !== b.size) return false;
+        for (const [key, value] of a) {
+            if (!b.has(key) || !sameState(value, b.get(key), tolerance)) return false;
+        }
+        return true;
+    }
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) return false;
+    return keys.every(key => key in b && sameState(a[key], b[key], tolerance));
+}
+
+export class BenchHistory {
+    constructor(limit = MAX_ENTRIES) {
+        this.limit = limit;
+        this.entries = []; // { label, time, state }, oldest first
+        this.index = -1;   // entry the bench is at
+    }
+
+    get current() {
+        return this.entries[this.index] || null;
+    }
+
+    get canUndo() {
+        return this.index > 0;
+    }
+
+    get canRedo() {
+        return this.index < this.entries.length - 1;
+    }
+
+    // Start over with `state` as the only entry
+    clear(label, time, state) {
+        this.entries = [];
+        this.index = -1;
+        return this.record(label, time, state);
+    }
+
+    // Add an entry after the current one; whatever had been undone is dropped
+    record(label, time, state) {
+        this.entries.splice(this.index + 1);
+        this.entries.push({ label, time, state });
+        if (this.entries.length > this.limit) {
+            this.entries.splice(0, this.entries.length - this.limit);
+        }
+        this.index = this.entries.length - 1;
+        return this.current;
+    }
+
+    // Entry to restore, or null when there is nothing to step back to
+    undo() {
+        return this.canUndo ? this.goTo(this.index - 1) : null;
+    }
+
+    // Entry to restore, or null when nothing has been undone
+    redo() {
+        return this.canRedo ? this.goTo(this.index + 1) : null;
+    }
+
+    goTo(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.entries.length) {
+            throw new Error(`History entry must be 0 to ${this.entries.length - 1}, got ${index}`);
+        }
+        this.index = index;
+        return this.current;
+    }
+}
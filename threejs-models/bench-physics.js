@@ -0,0 +1,372 @@
+// ============================================
+// BENCH PHYSICS
+// Glassware as rigid bodies standing on the bench top. Each container is
+// a hull - the cylinder of its bounds - with its mass split between the
+// glass and the liquid in it:
+//
+// - Table: a hull never sinks into the bench. A held container tilted
+//   over rides up on the lowest point of its rim. Platforms - raised
+//   discs or boxes such as a balance pan and housing - are solid: a
+//   container stands on one when the middle of its base is over it, and
+//   is pushed clear of the edge when only part of its base is. A held
+//   container is carried over any platform its base reaches over.
+// - Tipping: let go of tilted, a container rocks on the edge of its base
+//   under gravity. If its centre of mass is still inside the base it
+//   rocks back upright; past the edge it falls over, comes to rest on
+//   its side and counts as toppled (its liquid runs out, see PourCore).
+// - Hulls: containers do not pass through one another, so one cannot be
+//   dragged through, into or onto another. A held container pushes the
+//   ones standing in its way across the bench; clamped equipment stops
+//   it. Every hull stays on the bench top.
+//
+//   const physics = new BenchPhysics(bench.containers, { tableTop: -1.9, minX: -10, maxX: 10, minZ: -6, maxZ: 6 });
+//   physics.step(1 / 60);
+//
+// Containers are posed by rotation [0, heading, -tilt], tilt towards the
+// spout as the pouring bench holds them, with the container origin at
+// the middle of its base. Lengths are scene units; pure math - no
+// Three.js or DOM dependencies.
+// ============================================
+import { GRAVITY } from './volume-profile.js';
+
+const GLASS_CENTRE = 0.4;     // centre of mass of the empty glass, fraction of its height
+const RESTITUTION = 0.3;      // angular speed kept when the glass lands
+const SETTLE_SPEED = 0.4;     // rad/s; slower than this on landing, it stays put
+const ANGULAR_DAMPING = 0.5;  // 1/s
+const SUBSTEPS = 4;
+const HULL_PASSES = 4;        // overlap resolution passes per step
+
+export class BenchPhysics {
+    // bench: { tableTop, minX, maxX, minZ, maxZ } of the bench top
+    constructor(containers, bench) {
+        this.containers = containers;
+        this.bench = bench;
+        this.platforms = []; // see setPlatforms()
+        // Container -> { angle, velocity, settled }: rocking or fallen
+        // containers; settled once at rest on their side
+        this.motion = new Map();
+    }
+
+    // Containers that take part: free-standing ones with a hull
+    getBodies() {
+        return this.containers.filter(c => !c.isFixed && c.bounds);
+    }
+
+    // Nothing rocking or falling
+    isSettled() {
+        for (const state of this.motion.values()) {
+            if (!state.settled) return false;
+        }
+        return true;
+    }
+
+    // Raised surfaces on the bench, replacing any before: discs
+    // { x, z, radius, top } and boxes { x, z, halfWidth, halfDepth, top }
+    setPlatforms(platforms) {
+        this.platforms = platforms.slice();
+    }
+
+    // Height `c` stands at: the top of the highest platform under the
+    // middle of its base (any its base reaches over, when held), else the
+    // bench top
+    groundUnder(c) {
+        const isUnder = c.isDragging ? reachesOver : standsOver;
+        let ground = this.bench.tableTop;
+        for (const platform of this.platforms) {
+            if (platform.top > ground && isUnder(c, platform)) ground = platform.top;
+        }
+        return ground;
+    }
+
+    // New bench or restored state: work out again what is standing
+    reset() {
+        this.motion.clear();
+        this.containers.forEach(c => { c.isToppled = false; });
+    }
+
+    step(deltaTime) {
+        for (const c of this.getBodies()) {
+            if (c.isDragging) {
+                this.motion.delete(c);
+                c.isToppled = false;
+                this.liftHeld(c);
+            } else {
+                this.updateStanding(c, deltaTime);
+            }
+        }
+        this.separateHulls();
+    }
+
+    // ----------------------------------------
+    // Tipping
+    // ----------------------------------------
+
+    // A held container rides on the lowest point of its hull
+    liftHeld(c) {
+        const [x, , z] = c.getPosition();
+        const [, heading, roll] = c.getRotation();
+        const tilt = -roll;
+        const { bottomRadius, topRadius, height } = c.bounds;
+        const lowest = Math.min(
+            -bottomRadius * Math.abs(Math.sin(tilt)),
+            -topRadius * Math.abs(Math.sin(tilt)) + height * Math.cos(tilt)
+        );
+        c.setPose([x, this.groundUnder(c) - lowest, z], [0, heading, roll]);
+    }
+
+    updateStanding(c, deltaTime) {
+        const tilt = -c.getRotation()[2];
+        const ground = this.groundUnder(c);
+        let state = this.motion.get(c);
+
+        // Upright: standing on its base (unless it is mid-bounce)
+        if (tilt === 0 && (!state || state.angle !== 0 || state.settled)) {
+            this.motion.delete(c);
+            const [x, y, z] = c.getPosition();
+            if (y !== ground) c.setPose([x, ground, z], c.getRotation());
+            return;
+        }
+        // Just let go, or put somewhere by an input since the last step
+        if (!state || state.angle !== tilt) {
+            state = { angle: tilt, velocity: 0, settled: false };
+            this.motion.set(c, state);
+        }
+        if (state.settled) {
+            // Still lying where it fell, unless what it lay on went
+            const [x, y, z] = c.getPosition();
+            const lying = ground + Math.abs(c.bounds.bottomRadius * Math.sin(state.angle));
+            if (y !== lying) c.setPose([x, lying, z], c.getRotation());
+            return;
+        }
+
+        for (let i = 0; i < SUBSTEPS; i++) {
+            this.rock(c, state, ground, deltaTime / SUBSTEPS);
+            if (state.settled) break;
+        }
+    }
+
+    // One step of rotation about the edge of the base the container leans
+    // on, which stays where it is on the `ground` height
+    rock(c, state, ground, dt) {
+        const { bottomRadius, topRadius, height } = c.bounds;
+        const centre = centreOfMassHeight(c);
+        const side = state.angle > 0 || (state.angle === 0 && state.velocity > 0) ? 1 : -1;
+        const edge = side * bottomRadius;
+
+        // Torque of gravity about the edge, positive towards falling further
+        const arm = -edge * Math.cos(state.angle) + centre * Math.sin(state.angle);
+        const inertia = bottomRadius ** 2 + centre ** 2 + (3 * bottomRadius ** 2 + height ** 2) / 12;
+        state.velocity += (GRAVITY * arm / inertia - ANGULAR_DAMPING * state.velocity) * dt;
+
+        const previous = state.angle;
+        let angle = previous + state.velocity * dt;
+
+        // Lands on its base, or on its side
+        const lying = side * (Math.PI / 2 + Math.atan2(bottomRadius - topRadius, height));
+        if (Math.sign(angle) !== Math.sign(previous) && previous !== 0) {
+            angle = 0;
+            this.land(state);
+        } else if (Math.abs(angle) >= Math.abs(lying)) {
+            angle = lying;
+            this.land(state);
+        }
+
+        // Base centre from the edge it turned about
+        const [x, , z] = c.getPosition();
+        const [, heading] = c.getRotation();
+        const along = edge * (Math.cos(previous) - Math.cos(angle));
+        c.setPose([
+            x + along * Math.cos(heading),
+            ground + Math.abs(bottomRadius * Math.sin(angle)),
+            z - along * Math.sin(heading)
+        ], [0, heading, -angle]);
+
+        state.angle = angle;
+        c.isToppled = Math.abs(angle) > Math.atan2(bottomRadius, centre);
+    }
+
+    land(state) {
+        state.velocity *= -RESTITUTION;
+        if (Math.abs(state.velocity) < SETTLE_SPEED) {
+            state.velocity = 0;
+            state.settled = true;
+        }
+    }
+
+    // ----------------------------------------
+    // Hulls
+    // ----------------------------------------
+
+    // Push overlapping hulls apart and back onto the bench top. Held
+    // containers give way only to clamped equipment and each other.
+    separateHulls() {
+        const bodies = this.getBodies();
+        const fixed = this.containers.filter(c => c.isFixed && c.bounds);
+        for (let pass = 0; pass < HULL_PASSES; pass++) {
+            let moved = false;
+            for (let i = 0; i < bodies.length; i++) {
+                for (let j = i + 1; j < bodies.length; j++) {
+                    moved = this.separate(bodies[i], bodies[j]) || moved;
+                }
+                for (const other of fixed) {
+                    moved = this.separate(bodies[i], other) || moved;
+                }
+            }
+            for (const c of bodies) {
+                if (!c.isDragging) moved = this.keepOffPlatforms(c) || moved;
+                this.keepOnBench(c);
+            }
+            if (!moved) break;
+        }
+    }
+
+    // True when `a` and `b` overlapped and were pushed apart
+    separate(a, b) {
+        const [ax, az] = footprintCentre(a);
+        const [bx, bz] = footprintCentre(b);
+        let dx = bx - ax;
+        let dz = bz - az;
+        const distance = Math.hypot(dx, dz);
+        const overlap = footprintRadius(a) + footprintRadius(b) - distance;
+        if (overlap <= 1e-9) return false;
+        if (distance < 1e-9) {
+            dx = 1;
+            dz = 0;
+        } else {
+            dx /= distance;
+            dz /= distance;
+        }
+
+        const wa = pushShare(a, b);
+        const wb = pushShare(b, a);
+        const total = wa + wb;
+        if (total <= 0) return false;
+
+        translate(a, -dx * overlap * wa / total, -dz * overlap * wa / total);
+        translate(b, dx * overlap * wb / total, dz * overlap * wb / total);
+        return true;
+    }
+
+    // A standing container whose base is partly over a platform higher
+    // than what it stands on slides clear of the edge. True when moved.
+    keepOffPlatforms(c) {
+        const ground = this.groundUnder(c);
+        let moved = false;
+        for (const platform of this.platforms) {
+            if (platform.top <= ground || !reachesOver(c, platform)) continue;
+            // Straight out from the nearest point of the edge; the middle
+            // of the base is off the platform, or it would stand on it
+            const [x, z] = footprintCentre(c);
+            const [px, pz] = nearestPoint(platform, x, z);
+            const gap = Math.hypot(x - px, z - pz);
+            if (gap < 1e-9) continue;
+            const push = c.bounds.bottomRadius - gap;
+            translate(c, (x - px) / gap * push, (z - pz) / gap * push);
+            moved = true;
+        }
+        return moved;
+    }
+
+    keepOnBench(c) {
+        const { minX, maxX, minZ, maxZ } = this.bench;
+        const [x, z] = footprintCentre(c);
+        const r = footprintRadius(c);
+        const clamp = (v, min, max) => Math.min(Math.max(v, min + r), max - r);
+        translate(c, clamp(x, minX, maxX) - x, clamp(z, minZ, maxZ) - z);
+    }
+}
+
+// Grams of glass and liquid
+function mass(c) {
+    return Math.max(1, c.getMass());
+}
+
+// How much of the push apart from `other` moves `c`: held containers push
+// standing ones aside, clamped ones move for nothing, and between two
+// standing the lighter gives way more
+function pushShare(c, other) {
+    if (c.isFixed) return 0;
+    if (other.isFixed || other.isDragging) return 1;
+    return c.isDragging ? 0 : 1 / mass(c);
+}
+
+// Height of the centre of mass above the base, upright
+export function centreOfMassHeight(c) {
+    const glass = c.glassMass || 0;
+    const glassCentre = c.bounds.height * GLASS_CENTRE;
+    const liquid = c.solution.mass;
+    if (liquid <= 0 || !c.volumeProfile) return glassCentre;
+
+    const profile = c.volumeProfile;
+    const liquidCentre = (profile.bottom + profile.heightForVolume(c.currentVolume)) / 2;
+    return (glass * glassCentre + liquid * liquidCentre) / (glass + liquid);
+}
+
+// ----------------------------------------
+// Platforms
+// ----------------------------------------
+
+// Point of `platform` nearest to (x, z): the point itself when over it
+function nearestPoint(platform, x, z) {
+    if (platform.radius !== undefined) {
+        const dx = x - platform.x;
+        const dz = z - platform.z;
+        const distance = Math.hypot(dx, dz);
+        if (distance <= platform.radius) return [x, z];
+        return [platform.x + dx / distance * platform.radius, platform.z + dz / distance * platform.radius];
+    }
+    const clamp = (v, middle, half) => Math.min(Math.max(v, middle - half), middle + half);
+    return [clamp(x, platform.x, platform.halfWidth), clamp(z, platform.z, platform.halfDepth)];
+}
+
+// Whether (x, z) is over `platform`
+export function covers(platform, x, z) {
+    const [px, pz] = nearestPoint(platform, x, z);
+    return px === x && pz === z;
+}
+
+// Height of what is under (x, z): the top of the highest platform over
+// it, else the bench top
+export function floorAt(platforms, tableTop, x, z) {
+    let floor = tableTop;
+    for (const platform of platforms) {
+        if (platform.top > floor && covers(platform, x, z)) floor = platform.top;
+    }
+    return floor;
+}
+
+// Whether the middle of the base of `c` is over `platform`
+export function standsOver(c, platform) {
+    const [x, z] = footprintCentre(c);
+    return covers(platform, x, z);
+}
+
+// Whether any of the base of `c` reaches over `platform`
+export function reachesOver(c, platform) {
+    const [x, z] = footprintCentre(c);
+    const [px, pz] = nearestPoint(platform, x, z);
+    return Math.hypot(x - px, z - pz) < c.bounds.bottomRadius;
+}
+
+// Where the middle of the hull stands over the bench, [x, z]; a hull
+// with an offset sits that far along the container's local z
+function footprintCentre(c) {
+    const [x, , z] = c.getPosition();
+    const [, heading, roll] = c.getRotation();
+    const reach = c.bounds.height / 2 * Math.sin(-roll);
+    const offset = c.bounds.offset || 0;
+    return [
+        x + reach * Math.cos(heading) + offset * Math.sin(heading),
+        z - reach * Math.sin(heading) + offset * Math.cos(heading)
+    ];
+}
+
+function footprintRadius(c) {
+    return Math.max(c.bounds.bottomRadius, c.bounds.topRadius);
+}
+
+function translate(c, dx, dz) {
+    if (dx === 0 && dz === 0) return;
+    const [x, y, z] = c.getPosition();
+    c.setPose([x + dx, y, z + dz], c.getRotation());
+}
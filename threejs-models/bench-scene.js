@@ -0,0 +1,328 @@
+// ============================================
+// BENCH SCENE FORMAT
+// JSON description of a pouring bench exercise:
+//
+// {
+//   "name": "Weak acid titration",
+//   "camera": { "position": [0, 5, 12], "target": [0, 0, 0] },
+//   "containers": [
+//     {
+//       "id": "flask",                 // optional, unique
+//       "type": "erlenmeyer",          // see the container types of the page
+//       "label": "Analyte",            // optional display name
+//       "position": [2.5, -1.9, 0],    // x, y, z on the bench
+//       "rotationY": 0,                // optional, radians
+//       "volume": 25,                  // mL up to the type's capacity (burettes always fill to 0.00);
+//                                      // default the type's defaultVolume
+//       "liquid": "acetic-acid",       // stock id, or { "solutes": { "HCl": 0.1 } } in mol/L
+//                                      // with an optional "density" (g/mL, default water's);
+//                                      // default the type's defaultLiquid
+//       "indicator": "phenolphthalein" // optional
+//     }
+//   ],
+//   "pipettes": [                      // optional
+//     {
+//       "id": "p200",                  // optional, unique
+//       "type": "micropipette-p200",   // see the pipette types of the page
+//       "position": [0, 1, 0],         // nozzle end, held above the bench
+//       "volume": 100,                 // optional dial setting, µL (default: top of the range)
+//       "tip": false,                  // optional, start with a tip fitted
+//       "tipBox": [-3, -1.9, 0]        // optional, box of tips on the bench
+//     }
+//   ],
+//   "balances": [                      // optional
+//     {
+//       "id": "balance",               // optional, unique
+//       "type": "analytical-balance",  // see the balance types of the page
+//       "label": "Balance",            // optional display name
+//       "position": [4, -1.9, 0]       // x, y, z on the bench; the pan is centred on it
+//     }
+//   ]
+// }
+//
+// Pure data handling - no Three.js or DOM dependencies.
+// ============================================
+import { LIQUIDS, SPECIES, INDICATOR_DOSE, WATER_DENSITY, Solution } from './solution.js';
+
+export const DEFAULT_BENCH_SCENE = {
+    name: 'Pouring bench',
+    camera: { position: [0, 5, 12], target: [0, 0, 0] },
+    containers: [
+        { id: 'beaker', type: 'beaker', position: [-2.5, -1.9, 0], volume: 150, liquid: 'copper-sulfate' },
+        { id: 'erlenmeyer', type: 'erlenmeyer', position: [2.5, -1.9, 0], volume: 100, liquid: 'potassium-dichromate' },
+        { id: 'burette', type: 'burette', position: [6, -1.9, 0], liquid: 'sodium-hydroxide' }
+    ]
+};
+
+export class BenchSceneError extends Error {
+    constructor(errors) {
+        super(`Invalid bench scene:\n- ${errors.join('\n- ')}`);
+        this.name = 'BenchSceneError';
+        this.errors = errors;
+    }
+}
+
+const isVector3 = (value) => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function validateLiquid(liquid, where, errors) {
+    if (liquid === undefined) return;
+
+    if (typeof liquid === 'string') {
+        if (!Object.hasOwn(LIQUIDS, liquid)) {
+            errors.push(`${where}.liquid: unknown liquid "${liquid}" (known: ${Object.keys(LIQUIDS).join(', ')})`);
+        }
+        return;
+    }
+
+    if (!isPlainObject(liquid) || !isPlainObject(liquid.solutes)) {
+        errors.push(`${where}.liquid: expected a liquid id or { "solutes": { ... } }`);
+        return;
+    }
+    for (const [species, molarity] of Object.entries(liquid.solutes)) {
+        if (!Object.hasOwn(SPECIES, species)) {
+            errors.push(`${where}.liquid.solutes: unknown species "${species}"`);
+        } else if (!Number.isFinite(molarity) || molarity < 0) {
+            errors.push(`${where}.liquid.solutes.${species}: expected a concentration >= 0`);
+        }
+    }
+    if (liquid.density !== undefined && !(Number.isFinite(liquid.density) && liquid.density > 0)) {
+        errors.push(`${where}.liquid.density: expected a density > 0 (g/mL)`);
+    }
+}
+
+// pipetteRanges: { type: [min, max] µL } for every pipette type of the page
+function validatePipettes(pipettes, pipetteRanges, ids, errors) {
+    if (pipettes === undefined) return;
+    if (!Array.isArray(pipettes)) {
+        errors.push('pipettes: expected an array');
+        return;
+    }
+
+    const pipetteTypes = Object.keys(pipetteRanges);
+    pipettes.forEach((entry, index) => {
+        const where = `pipettes[${index}]`;
+        if (!isPlainObject(entry)) {
+            errors.push(`${where}: expected an object`);
+            return;
+        }
+        const range = Object.hasOwn(pipetteRanges, entry.type) ? pipetteRanges[entry.type] : null;
+        if (!range) {
+            errors.push(`${where}.type: expected one of ${pipetteTypes.join(', ')}`);
+        }
+        if (entry.id !== undefined) {
+            if (typeof entry.id !== 'string' || entry.id === '') {
+                errors.push(`${where}.id: expected a non-empty string`);
+            } else if (ids.has(entry.id)) {
+                errors.push(`${where}.id: duplicate id "${entry.id}"`);
+            }
+            ids.add(entry.id);
+        }
+        if (!isVector3(entry.position)) {
+            errors.push(`${where}.position: expected [x, y, z]`);
+        }
+        if (entry.volume !== undefined && range &&
+            !(Number.isFinite(entry.volume) && entry.volume >= range[0] && entry.volume <= range[1])) {
+            errors.push(`${where}.volume: expected ${range[0]} to ${range[1]} (µL)`);
+        }
+        if (entry.tip !== undefined && typeof entry.tip !== 'boolean') {
+            errors.push(`${where}.tip: expected true or false`);
+        }
+        if (entry.tipBox !== undefined && !isVector3(entry.tipBox)) {
+            errors.push(`${where}.tipBox: expected [x, y, z]`);
+        }
+    });
+}
+
+function validateBalances(balances, balanceTypes, ids, errors) {
+    if (balances === undefined) return;
+    if (!Array.isArray(balances)) {
+        errors.push('balances: expected an array');
+        return;
+    }
+
+    balances.forEach((entry, index) => {
+        const where = `balances[${index}]`;
+        if (!isPlainObject(entry)) {
+            errors.push(`${where}: expected an object`);
+            return;
+        }
+        if (!balanceTypes.includes(entry.type)) {
+            errors.push(`${where}.type: expected one of ${balanceTypes.join(', ')}`);
+        }
+        if (entry.id !== undefined) {
+            if (typeof entry.id !== 'string' || entry.id === '') {
+                errors.push(`${where}.id: expected a non-empty string`);
+            } else if (ids.has(entry.id)) {
+                errors.push(`${where}.id: duplicate id "${entry.id}"`);
+            }
+            ids.add(entry.id);
+        }
+        if (entry.label !== undefined && typeof entry.label !== 'string') {
+            errors.push(`${where}.label: expected a string`);
+        }
+        if (!isVector3(entry.position)) {
+            errors.push(`${where}.position: expected [x, y, z]`);
+        }
+    });
+}
+
+// All problems found in `config`; an empty list means it can be loaded.
+// containerTypes: { type: { capacity, defaultVolume, defaultLiquid } } for
+// every container type of the page; capacity in mL, the defaults fill an
+// entry that leaves out volume or liquid (0 mL of water without them)
+export function validateBenchScene(config, containerTypes, pipetteRanges = {}, balanceTypes = []) {
+    const errors = [];
+
+    if (!isPlainObject(config)) {
+        return ['scene: expected a JSON object'];
+    }
+    if (config.name !== undefined && typeof config.name !== 'string') {
+        errors.push('name: expected a string');
+    }
+
+    if (config.camera !== undefined) {
+        if (!isPlainObject(config.camera)) {
+            errors.push('camera: expected an object');
+        } else {
+            for (const key of ['position', 'target']) {
+                if (config.camera[key] !== undefined && !isVector3(config.camera[key])) {
+                    errors.push(`camera.${key}: expected [x, y, z]`);
+                }
+            }
+        }
+    }
+
+    if (!Array.isArray(config.containers) || config.containers.length === 0) {
+        errors.push('containers: expected a non-empty array');
+        return errors;
+    }
+
+    const ids = new Set();
+    config.containers.forEach((entry, index) => {
+        const where = `containers[${index}]`;
+        if (!isPlainObject(entry)) {
+            errors.push(`${where}: expected an object`);
+            return;
+        }
+        const capacity = Object.hasOwn(containerTypes, entry.type) ? containerTypes[entry.type].capacity : null;
+        if (capacity === null) {
+            errors.push(`${where}.type: expected one of ${Object.keys(containerTypes).join(', ')}`);
+        }
+        if (entry.id !== undefined) {
+            if (typeof entry.id !== 'string' || entry.id === '') {
+                errors.push(`${where}.id: expected a non-empty string`);
+            } else if (ids.has(entry.id)) {
+                errors.push(`${where}.id: duplicate id "${entry.id}"`);
+            }
+            ids.add(entry.id);
+        }
+        if (entry.label !== undefined && typeof entry.label !== 'string') {
+            errors.push(`${where}.label: expected a string`);
+        }
+        if (!isVector3(entry.position)) {
+            errors.push(`${where}.position: expected [x, y, z]`);
+        }
+        if (entry.rotationY !== undefined && !Number.isFinite(entry.rotationY)) {
+            errors.push(`${where}.rotationY: expected a number`);
+        }
+        if (entry.volume !== undefined && (!Number.isFinite(entry.volume) || entry.volume < 0)) {
+            errors.push(`${where}.volume: expected a volume >= 0 (mL)`);
+        } else if (capacity !== null && entry.volume > capacity) {
+            errors.push(`${where}.volume: expected at most the ${capacity} mL ${entry.type} holds`);
+        }
+        validateLiquid(entry.liquid, where, errors);
+        if (entry.indicator !== undefined && !(Object.hasOwn(SPECIES, entry.indicator) && SPECIES[entry.indicator].indicator)) {
+            errors.push(`${where}.indicator: unknown indicator "${entry.indicator}"`);
+        }
+    });
+
+    validatePipettes(config.pipettes, pipetteRanges, ids, errors);
+    validateBalances(config.balances, balanceTypes, ids, errors);
+    return errors;
+}
+
+// Id for an entry that has none: `type-n` from its place in the list on,
+// past any id already taken
+function generateId(type, index, used) {
+    let n = index + 1;
+    while (used.has(`${type}-${n}`)) n++;
+    const id = `${type}-${n}`;
+    used.add(id);
+    return id;
+}
+
+// Validate and fill in defaults; throws BenchSceneError listing every problem
+export function normalizeBenchScene(config, containerTypes, pipetteRanges = {}, balanceTypes = []) {
+    const errors = validateBenchScene(config, containerTypes, pipetteRanges, balanceTypes);
+    if (errors.length > 0) {
+        throw new BenchSceneError(errors);
+    }
+
+    const pipettes = config.pipettes || [];
+    const balances = config.balances || [];
+    const used = new Set([...config.containers, ...pipettes, ...balances].map(entry => entry.id).filter(Boolean));
+    const idOf = (entry, index) => entry.id || generateId(entry.type, index, used);
+
+    return {
+        name: config.name || 'Untitled bench',
+        camera: {
+            position: (config.camera && config.camera.position) || DEFAULT_BENCH_SCENE.camera.position,
+            target: (config.camera && config.camera.target) || DEFAULT_BENCH_SCENE.camera.target
+        },
+        containers: config.containers.map((entry, index) => ({
+            id: idOf(entry, index),
+            type: entry.type,
+            label: entry.label,
+            position: entry.position.slice(),
+            rotationY: entry.rotationY || 0,
+            volume: entry.volume ?? containerTypes[entry.type].defaultVolume ?? 0,
+            liquid: entry.liquid ?? containerTypes[entry.type].defaultLiquid ?? 'water',
+            indicator: entry.indicator
+        })),
+        pipettes: pipettes.map((entry, index) => ({
+            id: idOf(entry, index),
+            type: entry.type,
+            position: entry.position.slice(),
+            volume: entry.volume ?? pipetteRanges[entry.type][1],
+            tip: entry.tip || false,
+            tipBox: entry.tipBox ? entry.tipBox.slice() : null
+        })),
+        balances: balances.map((entry, index) => ({
+            id: idOf(entry, index),
+            type: entry.type,
+            label: entry.label,
+            position: entry.position.slice()
+        }))
+    };
+}
+
+// Parse JSON text into a normalized scene
+export function parseBenchScene(text, containerTypes, pipetteRanges = {}, balanceTypes = []) {
+    let config;
+    try {
+        config = JSON.parse(text);
+    } catch (e) {
+        throw new BenchSceneError([`JSON: ${e.message}`]);
+    }
+    return normalizeBenchScene(config, containerTypes, pipetteRanges, balanceTypes);
+}
+
+// Contents of a normalized container entry as a Solution of `volume` mL
+export function createEntrySolution(entry, volume = entry.volume) {
+    let solution;
+    if (typeof entry.liquid === 'string') {
+        solution = Solution.fromLiquid(entry.liquid, volume);
+    } else {
+        const solutes = {};
+        for (const [species, molarity] of Object.entries(entry.liquid.solutes)) {
+            solutes[species] = molarity * volume / 1000;
+        }
+        solution = new Solution(volume, solutes, volume * (entry.liquid.density ?? WATER_DENSITY));
+    }
+
+    if (entry.indicator) {
+        solution.add(new Solution(0, { [entry.indicator]: INDICATOR_DOSE }));
+    }
+    return solution;
+}
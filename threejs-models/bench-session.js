@@ -0,0 +1,152 @@
+// ============================================
+// BENCH SESSION LOG
+// Inputs of a recorded pouring bench session, compact enough to store
+// with a submission and replayed step for step to the same volumes:
+//
+// {
+//   "version": 1,
+//   "scene": { ... },           // normalized bench scene it started from
+//   "seed": 1,                  // fluid solver random seed
+//   "step": 0.016666666666666666, // s per fixed simulation step
+//   "quality": "medium",        // fluid quality
+//   "steps": 1800,              // simulation steps recorded
+//   "inputs": [                 // [step, type, ...arguments], in order;
+//     [12, "pick", "beaker"],   // applied once `step` steps have run
+//     [13, "hold", "beaker", -1.2, 0, 0, 0.35]
+//   ]
+// }
+//
+// Input types and their arguments (see LabBench.applyInput); pick and
+// drop take a container or pipette id:
+//   pick id                    drop id
+//   hold id x z rotationY tilt move id x z
+//   tilt id angle              volume id mL
+//   click id targetIndex       pipette id x y z
+//   plunger id position        release id
+//   eject id                   dial id µL
+//   titration flaskId analyte indicator
+//   burettedrop                quality name
+//   tare id                    reset
+//   undo                       redo
+//   history index              scene scene
+//
+// A headless BenchSimulation (bench-core.js) records and replays the
+// container inputs - pick, drop, hold, move, tilt and volume - through
+// the same applyContainerInput() and SessionReplay as the pouring bench,
+// so logs can be checked in Node, as in test/session.test.js.
+//
+// Pure data handling - no Three.js or DOM dependencies.
+// ============================================
+
+export const SESSION_VERSION = 1;
+
+// Arguments each input type takes
+export const INPUT_ARGUMENTS = {
+    pick: 1,
+    drop: 1,
+    hold: 5,
+    move: 3,
+    tilt: 2,
+    volume: 2,
+    click: 2,
+    pipette: 4,
+    plunger: 2,
+    release: 1,
+    eject: 1,
+    dial: 2,
+    titration: 3,
+    burettedrop: 0,
+    quality: 1,
+    tare: 1,
+    reset: 0,
+    undo: 0,
+    redo: 0,
+    history: 1,
+    scene: 1
+};
+
+// Numbers in recorded inputs keep this many decimals; the bench applies
+// the rounded value, so what is replayed is what happened
+const INPUT_DECIMALS = 4;
+
+export function roundInput(input) {
+    const scale = 10 ** INPUT_DECIMALS;
+    return input.map(value => typeof value === 'number' ? Math.round(value * scale) / scale : value);
+}
+
+// Parse (from JSON text) and check a session log; throws listing every problem
+export function parseSessionLog(source) {
+    let log = source;
+    if (typeof source === 'string') {
+        try {
+            log = JSON.parse(source);
+        } catch (e) {
+            throw new Error(`Session log is not valid JSON: ${e.message}`);
+        }
+    }
+
+    const errors = [];
+    if (log === null || typeof log !== 'object' || Array.isArray(log)) {
+        throw new Error('Session log must be a JSON object');
+    }
+    if (log.version !== SESSION_VERSION) {
+        errors.push(`version must be ${SESSION_VERSION}, got ${JSON.stringify(log.version)}`);
+    }
+    if (log.scene === null || typeof log.scene !== 'object') errors.push('scene must be a bench scene object');
+    if (!Number.isFinite(log.seed)) errors.push('seed must be a number');
+    if (!(log.step > 0)) errors.push('step must be a positive number of seconds');
+    if (typeof log.quality !== 'string') errors.push('quality must be a fluid quality name');
+    if (!Number.isInteger(log.steps) || log.steps < 0) errors.push('steps must be a whole number');
+
+    if (!Array.isArray(log.inputs)) {
+        errors.push('inputs must be an array');
+    } else {
+        let previous = 0;
+        log.inputs.forEach((input, i) => {
+            const where = `inputs[${i}]`;
+            if (!Array.isArray(input) || !Number.isInteger(input[0])) {
+                errors.push(`${where} must be [step, type, ...arguments]`);
+                return;
+            }
+            const [step, type, ...args] = input;
+            if (step < previous || step > log.steps) {
+                errors.push(`${where}: step ${step} is out of order or past the end`);
+            }
+            previous = step;
+            if (!Object.hasOwn(INPUT_ARGUMENTS, type)) {
+                errors.push(`${where}: unknown input type "${type}"`);
+            } else if (args.length !== INPUT_ARGUMENTS[type]) {
+                errors.push(`${where}: "${type}" takes ${INPUT_ARGUMENTS[type]} arguments, got ${args.length}`);
+            }
+        });
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid session log:\n- ${errors.join('\n- ')}`);
+    }
+    return log;
+}
+
+// A session log being replayed: which of its inputs are due as the bench
+// steps. BenchSimulation and LabBench both replay through one.
+export class SessionReplay {
+    constructor(source) {
+        this.log = parseSessionLog(source);
+        this.next = 0; // index of the next input to apply
+    }
+
+    // Pass `apply` each input given once `steps` steps had run and not yet
+    // applied, in recorded order
+    applyInputs(steps, apply) {
+        const { inputs } = this.log;
+        while (this.next < inputs.length && inputs[this.next][0] <= steps) {
+            const [, ...input] = inputs[this.next++];
+            apply(input);
+        }
+    }
+
+    // Whether `steps` steps reach the end of the recording
+    isFinished(steps) {
+        return steps >= this.log.steps;
+    }
+}
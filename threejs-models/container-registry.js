@@ -0,0 +1,334 @@
+// ============================================
+// CONTAINER REGISTRY
+// One definition per piece of equipment, read by both the equipment
+// viewer and the pouring bench.
+//
+//   name, label     long name (viewer) and short bench label
+//   description     one-line description for the viewer
+//   createModel     (options) => THREE.Group, base resting on y = 0
+//
+// Containers that can hold liquid on the bench add:
+//
+//   capacity        mL it holds to the brim, from its inner profile (see
+//                   brimCapacity); the nominal size is in its name and graduations
+//   defaultVolume   mL, and defaultLiquid (stock id) when a scene omits them
+//   innerProfile    () => inner wall lathe points (Vector2, bottom to top)
+//   spout           [x, y, z] local point of the lip liquid leaves from
+//   graduations     mL values marked on the glass
+//   bounds          { bottomRadius, topRadius, height } of the pick cylinder,
+//                   also its hull on the bench (see bench-physics.js)
+//   glassMass       g of the empty container, with any rack or ring it sits in
+//
+// The opening liquid is caught by is the top of the inner profile.
+//
+// Micropipettes are not containers; they add:
+//
+//   size            200 | 1000, passed to the tip and tip box factories
+//   volumeRange     [min, max] µL the volume dial sets
+//
+// Balances are not containers either; they add:
+//
+//   pan             { radius, height } of the pan top that what is weighed
+//                   stands on (see bench-balance.js)
+//   housing         { width, depth, offset, height } of the body under the
+//                   pan, its middle `offset` in front of the pan
+// ============================================
+import { VolumeProfile } from './volume-profile.js';
+import {
+    createStirBar,
+    createBeaker,
+    createTestTube,
+    createErlenmeyerFlask,
+    createRoundBottomFlask,
+    createCentrifugeTube,
+    createGraduatedCylinder,
+    createMicrocentrifugeTube,
+    createMicropipette,
+    createAnalyticalBalance,
+    createBeakerProfiles,
+    createErlenmeyerProfiles,
+    createRoundBottomProfiles,
+    createCentrifugeTubeProfiles,
+    createGraduatedCylinderProfiles,
+    createMicrocentrifugeTubeProfiles,
+    roundBottomSeatHeight,
+    microtubeSeatHeight,
+    BEAKER_DEFAULTS,
+    ERLENMEYER_DEFAULTS,
+    ROUND_BOTTOM_DEFAULTS,
+    CENTRIFUGE_TUBE_SIZES,
+    GRADUATED_CYLINDER_DEFAULTS,
+    MICROCENTRIFUGE_TUBE_DEFAULTS,
+    MICROTUBE_RACK_DEFAULTS,
+    MICROPIPETTE_SIZES,
+    ANALYTICAL_BALANCE_DEFAULTS
+} from './lab-equipment.js';
+
+const definitions = new Map();
+
+export function registerContainer(type, definition) {
+    if (definitions.has(type)) {
+        throw new Error(`Container type "${type}" is already registered`);
+    }
+    if (typeof definition.createModel !== 'function') {
+        throw new Error(`Container type "${type}" needs a createModel function`);
+    }
+    definitions.set(type, { type, label: definition.name, ...definition });
+}
+
+export function getContainerDefinition(type) {
+    const definition = definitions.get(type);
+    if (!definition) {
+        throw new Error(`Unknown container type "${type}"`);
+    }
+    return definition;
+}
+
+export function getContainerTypes() {
+    return [...definitions.keys()];
+}
+
+export function isPourable(type) {
+    const definition = definitions.get(type);
+    return Boolean(definition && definition.innerProfile);
+}
+
+export function isPipette(type) {
+    const definition = definitions.get(type);
+    return Boolean(definition && definition.volumeRange);
+}
+
+export function isBalance(type) {
+    const definition = definitions.get(type);
+    return Boolean(definition && definition.pan);
+}
+
+// Height of each graduation, where that volume actually fills to
+function graduationHeights(innerProfile, volumes) {
+    const profile = new VolumeProfile(innerProfile());
+    return volumes.map(volume => profile.heightForVolume(volume));
+}
+
+// Graduation marks with every `majorEvery` mL drawn long
+function graduationMarks(innerProfile, volumes, majorEvery) {
+    const heights = graduationHeights(innerProfile, volumes);
+    return volumes.map((volume, i) => ({ y: heights[i], major: volume % majorEvery === 0 }));
+}
+
+// mL held to the brim, to 0.1 mL below it, so liquid overflows at the rim
+function brimCapacity(innerProfile) {
+    return Math.floor(new VolumeProfile(innerProfile()).capacity * 10) / 10;
+}
+
+// 1, 2, ... up to `max` in steps of `step`
+const volumeSteps = (step, max) => Array.from({ length: Math.round(max / step) }, (_, i) => (i + 1) * step);
+
+// ============================================
+// BUILT-IN EQUIPMENT
+// ============================================
+registerContainer('stir-bar', {
+    name: 'Magnetic Stir Bar',
+    description: 'PTFE-coated magnetic stir bar for mixing solutions',
+    createModel: createStirBar
+});
+
+const beakerProfile = () => createBeakerProfiles(BEAKER_DEFAULTS).inner;
+const beakerGraduations = [50, 100, 150, 200, 250];
+
+registerContainer('beaker', {
+    name: 'Laboratory Beaker',
+    label: 'Beaker',
+    description: 'Borosilicate glass beaker with pour spout and graduated markings',
+    createModel: (options = {}) => createBeaker({
+        graduations: graduationHeights(beakerProfile, beakerGraduations),
+        ...options
+    }),
+    capacity: brimCapacity(beakerProfile),
+    defaultVolume: 150,
+    defaultLiquid: 'copper-sulfate',
+    innerProfile: beakerProfile,
+    spout: [BEAKER_DEFAULTS.topRadius + 0.1, BEAKER_DEFAULTS.height + 0.1, 0],
+    graduations: beakerGraduations,
+    glassMass: 100,
+    bounds: {
+        bottomRadius: BEAKER_DEFAULTS.bottomRadius,
+        topRadius: BEAKER_DEFAULTS.topRadius,
+        height: BEAKER_DEFAULTS.height
+    }
+});
+
+registerContainer('test-tube', {
+    name: 'Microcentrifuge Tube',
+    description: '1.5mL microcentrifuge tube with snap cap',
+    createModel: createTestTube
+});
+
+const erlenmeyerProfile = () => createErlenmeyerProfiles(ERLENMEYER_DEFAULTS).inner;
+const erlenmeyerGraduations = [25, 50, 75, 100];
+const erlenmeyerHeight = ERLENMEYER_DEFAULTS.bodyHeight + ERLENMEYER_DEFAULTS.neckHeight;
+
+registerContainer('erlenmeyer', {
+    name: 'Erlenmeyer Flask',
+    label: 'Erlenmeyer',
+    description: 'Conical flask with straight sloping sides and cylindrical neck',
+    createModel: (options = {}) => createErlenmeyerFlask({
+        graduations: graduationHeights(erlenmeyerProfile, erlenmeyerGraduations),
+        ...options
+    }),
+    capacity: brimCapacity(erlenmeyerProfile),
+    defaultVolume: 100,
+    defaultLiquid: 'potassium-dichromate',
+    innerProfile: erlenmeyerProfile,
+    spout: [ERLENMEYER_DEFAULTS.neckRadius, erlenmeyerHeight + 0.15, 0],
+    graduations: erlenmeyerGraduations,
+    glassMass: 80,
+    bounds: {
+        bottomRadius: ERLENMEYER_DEFAULTS.bottomRadius,
+        topRadius: ERLENMEYER_DEFAULTS.neckRadius,
+        height: erlenmeyerHeight
+    }
+});
+
+// Sits in a cork ring so it stays upright; no graduations on the bulb
+const roundBottomLift = roundBottomSeatHeight();
+const roundBottomProfiles = () => createRoundBottomProfiles({ baseY: roundBottomLift });
+const roundBottomProfile = () => roundBottomProfiles().inner;
+const roundBottomRim = roundBottomProfiles().outer.at(-2).y;
+
+registerContainer('round-bottom', {
+    name: 'Round Bottom Flask',
+    label: 'Round bottom',
+    description: 'Spherical borosilicate glass flask for reactions and distillation, resting in a cork ring',
+    createModel: (options = {}) => createRoundBottomFlask({ corkRing: true, ...options }),
+    capacity: brimCapacity(roundBottomProfile),
+    defaultVolume: 100,
+    defaultLiquid: 'water',
+    innerProfile: roundBottomProfile,
+    spout: [ROUND_BOTTOM_DEFAULTS.neckRadius, roundBottomRim, 0],
+    graduations: [],
+    glassMass: 145, // with its cork ring
+    bounds: {
+        bottomRadius: ROUND_BOTTOM_DEFAULTS.sphereRadius,
+        topRadius: ROUND_BOTTOM_DEFAULTS.neckRadius,
+        height: roundBottomRim
+    }
+});
+
+// Conical centrifuge tubes, graduated every 1 mL (15 mL) or 5 mL (50 mL)
+[
+    { size: 15, step: 1, majorEvery: 5, defaultVolume: 10, glassMass: 7 },
+    { size: 50, step: 5, majorEvery: 10, defaultVolume: 35, glassMass: 13 }
+].forEach(({ size, step, majorEvery, defaultVolume, glassMass }) => {
+    const dimensions = CENTRIFUGE_TUBE_SIZES[size];
+    const profile = () => createCentrifugeTubeProfiles(dimensions).inner;
+    const graduations = volumeSteps(step, size);
+
+    registerContainer(`centrifuge-tube-${size}`, {
+        name: `Centrifuge Tube (${size} mL)`,
+        label: `${size} mL tube`,
+        description: `${size}mL conical polypropylene centrifuge tube with a self-standing skirt`,
+        createModel: (options = {}) => createCentrifugeTube({
+            size,
+            graduations: graduationMarks(profile, graduations, majorEvery),
+            ...options
+        }),
+        capacity: brimCapacity(profile),
+        defaultVolume,
+        defaultLiquid: 'water',
+        innerProfile: profile,
+        spout: [dimensions.radius + 0.04, dimensions.length, 0],
+        graduations,
+        glassMass,
+        bounds: { bottomRadius: dimensions.radius, topRadius: dimensions.radius, height: dimensions.length }
+    });
+});
+
+// Graduated every 1 mL, long marks every 5 mL
+const cylinderProfile = () => createGraduatedCylinderProfiles(GRADUATED_CYLINDER_DEFAULTS).inner;
+const cylinderGraduations = volumeSteps(1, 50);
+
+registerContainer('graduated-cylinder', {
+    name: 'Graduated Cylinder',
+    label: 'Cylinder',
+    description: '50mL borosilicate graduated cylinder with hexagonal foot and pour lip',
+    createModel: (options = {}) => createGraduatedCylinder({
+        graduations: graduationMarks(cylinderProfile, cylinderGraduations, 5),
+        ...options
+    }),
+    capacity: brimCapacity(cylinderProfile),
+    defaultVolume: 40,
+    defaultLiquid: 'water',
+    innerProfile: cylinderProfile,
+    spout: [GRADUATED_CYLINDER_DEFAULTS.radius + 0.12, GRADUATED_CYLINDER_DEFAULTS.height + 0.05, 0],
+    graduations: cylinderGraduations,
+    glassMass: 90,
+    bounds: {
+        bottomRadius: GRADUATED_CYLINDER_DEFAULTS.baseRadius,
+        topRadius: GRADUATED_CYLINDER_DEFAULTS.radius,
+        height: GRADUATED_CYLINDER_DEFAULTS.height
+    }
+});
+
+// True-scale 1.5 mL tube hanging open in a rack; graduated at 0.5, 1.0 and 1.5 mL
+const microtubeLift = microtubeSeatHeight();
+const microtubeProfile = () => createMicrocentrifugeTubeProfiles({ baseY: microtubeLift }).inner;
+const microtubeGraduations = [0.5, 1, 1.5];
+const microtubeRim = microtubeLift + MICROCENTRIFUGE_TUBE_DEFAULTS.length;
+
+registerContainer('microcentrifuge-tube', {
+    name: 'Microcentrifuge Tube (1.5 mL)',
+    label: '1.5 mL tube',
+    description: '1.5mL polypropylene snap-cap tube, open in a single-place rack',
+    createModel: (options = {}) => createMicrocentrifugeTube({
+        rack: true,
+        graduations: graduationHeights(microtubeProfile, microtubeGraduations).map(y => y - microtubeLift),
+        ...options
+    }),
+    capacity: brimCapacity(microtubeProfile),
+    defaultVolume: 0,
+    defaultLiquid: 'water',
+    innerProfile: microtubeProfile,
+    spout: [MICROCENTRIFUGE_TUBE_DEFAULTS.radius + 0.04, microtubeRim, 0],
+    graduations: microtubeGraduations,
+    glassMass: 22, // with its rack
+    bounds: {
+        bottomRadius: MICROTUBE_RACK_DEFAULTS.width / 2,
+        topRadius: MICROCENTRIFUGE_TUBE_DEFAULTS.radius + 0.04,
+        height: microtubeRim
+    }
+});
+
+// ============================================
+// MICROPIPETTES
+// ============================================
+for (const size of [200, 1000]) {
+    registerContainer(`micropipette-p${size}`, {
+        name: `Micropipette (P${size})`,
+        label: `P${size}`,
+        description: `${MICROPIPETTE_SIZES[size].range.join('-')}µL air-displacement micropipette with a fitted tip`,
+        createModel: (options = {}) => createMicropipette({ size, ...options }),
+        size,
+        volumeRange: MICROPIPETTE_SIZES[size].range
+    });
+}
+
+// ============================================
+// BALANCES
+// ============================================
+registerContainer('analytical-balance', {
+    name: 'Analytical Balance',
+    label: 'Balance',
+    description: 'Top-loading balance reading to 1 mg, with LCD display and tare key',
+    createModel: (options = {}) => createAnalyticalBalance(options),
+    pan: {
+        radius: ANALYTICAL_BALANCE_DEFAULTS.panRadius,
+        height: ANALYTICAL_BALANCE_DEFAULTS.panHeight
+    },
+    // Front panel included, as high as the top behind it
+    housing: {
+        width: ANALYTICAL_BALANCE_DEFAULTS.width,
+        depth: ANALYTICAL_BALANCE_DEFAULTS.depth + ANALYTICAL_BALANCE_DEFAULTS.panelDepth,
+        offset: ANALYTICAL_BALANCE_DEFAULTS.panelDepth / 2,
+        height: ANALYTICAL_BALANCE_DEFAULTS.height
+    }
+});
@@ -1,39 +1,11 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
-
-// Scene setup
-const container = document.getElementById('canvas-container');
-const scene = new THREE.Scene();
-scene.background = new THREE.Color(0x1a1a2e);
-
-const camera = new THREE.PerspectiveCamera(
-    45,
-    container.clientWidth / container.clientHeight,
-    0.1,
-    1000
-);
-camera.position.set(5, 4, 8);
-
-const renderer = new THREE.WebGLRenderer({ antialias: true });
-renderer.setSize(container.clientWidth, container.clientHeight);
-renderer.setPixelRatio(window.devicePixelRatio);
-renderer.shadowMap.enabled = true;
-renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-renderer.toneMapping = THREE.ACESFilmicToneMapping;
-renderer.toneMappingExposure = 1.0;
-renderer.outputColorSpace = THREE.SRGBColorSpace;
-container.appendChild(renderer.domElement);
-
-// Controls
-const controls = new OrbitControls(camera, renderer.domElement);
-controls.enableDamping = true;
-controls.dampingFactor = 0.05;
-controls.minDistance = 2;
-controls.maxDistance = 20;
+import { createLabMaterials } from './lab-equipment.js';
+import { getContainerDefinition, getContainerTypes } from './container-registry.js';
 
 // Create procedural environment map for realistic reflections
-function createEnvironmentMap() {
+function createEnvironmentMap(renderer) {
     const cubeRenderTarget = new THREE.WebGLCubeRenderTarget(256);
     cubeRenderTarget.texture.type = THREE.HalfFloatType;
 
@@ -92,866 +64,235 @@ function createEnvironmentMap() {
     return cubeRenderTarget.texture;
 }
 
-// Lighting - enhanced for glass rendering
-const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
-scene.add(ambientLight);
-
-const mainLight = new THREE.DirectionalLight(0xffffff, 1.5);
-mainLight.position.set(5, 10, 7);
-mainLight.castShadow = true;
-mainLight.shadow.mapSize.width = 2048;
-mainLight.shadow.mapSize.height = 2048;
-mainLight.shadow.camera.near = 0.5;
-mainLight.shadow.camera.far = 50;
-scene.add(mainLight);
-
-const fillLight = new THREE.DirectionalLight(0x8899bb, 0.4);
-fillLight.position.set(-5, 5, -5);
-scene.add(fillLight);
-
-const rimLight = new THREE.PointLight(0x00d4ff, 0.6, 20);
-rimLight.position.set(-3, 3, -3);
-scene.add(rimLight);
-
-// Backlight for glass rim visibility
-const backLight = new THREE.SpotLight(0xffffff, 0.8);
-backLight.position.set(0, 5, -8);
-backLight.angle = Math.PI / 4;
-scene.add(backLight);
-
-// Floor/table surface - lab bench style
-const tableGeometry = new THREE.CylinderGeometry(8, 8, 0.3, 64);
-const tableMaterial = new THREE.MeshStandardMaterial({
-    color: 0x1a1a2e,
-    metalness: 0.1,
-    roughness: 0.4
-});
-const table = new THREE.Mesh(tableGeometry, tableMaterial);
-table.position.y = -2.05;
-table.receiveShadow = true;
-scene.add(table);
-
-// Create environment map
-let envMap = null;
-try {
-    envMap = createEnvironmentMap();
-    scene.environment = envMap;
-} catch (e) {
-    console.log('Environment map creation skipped');
-}
-
-// Materials
-const glassMaterial = new THREE.MeshPhysicalMaterial({
-    color: 0xeef8fc,
-    metalness: 0.0,
-    roughness: 0.05,
-    transmission: 0.95,
-    thickness: 0.5,
-    ior: 1.52,
-    clearcoat: 1.0,
-    clearcoatRoughness: 0.1,
-    envMapIntensity: 1.0,
-    transparent: true,
-    opacity: 0.3,
-    side: THREE.DoubleSide
-});
-
-// Borosilicate glass - slight greenish-blue tint characteristic of lab glass
-const borosilicateGlass = new THREE.MeshPhysicalMaterial({
-    color: 0xe8f5f0,  // Slight green-blue tint
-    metalness: 0.0,
-    roughness: 0.02,
-    transmission: 0.98,
-    thickness: 1.2,
-    ior: 1.474,  // Borosilicate glass IOR
-    clearcoat: 1.0,
-    clearcoatRoughness: 0.05,
-    envMapIntensity: 1.5,
-    transparent: true,
-    opacity: 0.15,
-    side: THREE.DoubleSide,
-    attenuationColor: new THREE.Color(0xddf5ee),
-    attenuationDistance: 2.0,
-    specularIntensity: 1.0,
-    specularColor: new THREE.Color(0xffffff),
-    sheen: 0.1,
-    sheenColor: new THREE.Color(0xaaddcc)
-});
-
-// Ground glass joint material - frosted appearance
-const groundGlassMaterial = new THREE.MeshPhysicalMaterial({
-    color: 0xf0f5f3,
-    metalness: 0.0,
-    roughness: 0.6,  // Frosted surface
-    transmission: 0.4,
-    thickness: 0.8,
-    ior: 1.474,
-    clearcoat: 0.3,
-    clearcoatRoughness: 0.8,
-    transparent: true,
-    opacity: 0.85,
-    side: THREE.DoubleSide
-});
-
-const ptfeMaterial = new THREE.MeshStandardMaterial({
-    color: 0x404040,
-    metalness: 0.1,
-    roughness: 0.4
-});
-
-const liquidMaterial = new THREE.MeshPhysicalMaterial({
-    color: 0x4fc3f7,
-    metalness: 0.0,
-    roughness: 0.1,
-    transmission: 0.6,
-    thickness: 1.0,
-    ior: 1.33,
-    transparent: true,
-    opacity: 0.7
-});
-
-// Enhanced liquid for round bottom flask - aqueous solution
-const aqueousSolutionMaterial = new THREE.MeshPhysicalMaterial({
-    color: 0x5ecfff,
-    metalness: 0.0,
-    roughness: 0.0,
-    transmission: 0.85,
-    thickness: 2.0,
-    ior: 1.333,  // Water
-    transparent: true,
-    opacity: 0.6,
-    attenuationColor: new THREE.Color(0x3399cc),
-    attenuationDistance: 1.5,
-    side: THREE.DoubleSide
-});
-
-const plasticCapMaterial = new THREE.MeshStandardMaterial({
-    color: 0xeeeeee,
-    metalness: 0.0,
-    roughness: 0.3
-});
-
-// Cork stopper material
-const corkMaterial = new THREE.MeshStandardMaterial({
-    color: 0xc4a574,
-    metalness: 0.0,
-    roughness: 0.9,
-    bumpScale: 0.02
-});
-
-// Model groups
-let currentModels = [];
+// Registry models are built with their base at y = 0; set them on the table
+const TABLE_TOP_Y = -1.9;
 
 // Model info data
 const modelInfo = {
-    'stir-bar': { name: 'Magnetic Stir Bar', description: 'PTFE-coated magnetic stir bar for mixing solutions' },
-    'beaker': { name: 'Laboratory Beaker', description: 'Borosilicate glass beaker with pour spout and graduated markings' },
-    'test-tube': { name: 'Microcentrifuge Tube', description: '1.5mL microcentrifuge tube with snap cap' },
-    'erlenmeyer': { name: 'Erlenmeyer Flask', description: 'Conical flask with straight sloping sides and cylindrical neck' },
-    'round-bottom': { name: 'Round Bottom Flask', description: 'Spherical borosilicate glass flask for reactions and distillation' },
+    ...Object.fromEntries(getContainerTypes().map(type => {
+        const { name, description } = getContainerDefinition(type);
+        return [type, { name, description }];
+    })),
     'all': { name: 'All Equipment', description: 'Complete laboratory equipment collection' }
 };
 
 // ============================================
-// MODEL CREATION FUNCTIONS
+// EQUIPMENT VIEWER
+// One mounted viewer: renderer, camera and controls in `containerElement`.
+// Options:
+//   model  type shown first (a registry type or 'all'); default 'stir-bar'
+//   ui     element holding #model-name and #model-description;
+//          default `containerElement`, null for none
 // ============================================
-
-function createStirBar() {
-    const group = new THREE.Group();
-
-    // ============================================
-    // MAGNETIC STIR BAR - Capsule/pill shape
-    // PTFE-coated with embedded magnet
-    // ============================================
-    const length = 1.8;      // Total length
-    const radius = 0.22;     // Radius of the bar
-    const segments = 24;
-
-    // Create capsule profile for lathe geometry
-    // Profile goes: top center -> top hemisphere -> cylinder side -> bottom hemisphere -> bottom center
-    const capsulePoints = [];
-
-    // Start at top center
-    capsulePoints.push(new THREE.Vector2(0.001, length / 2));
-
-    // Top hemisphere (quarter circle from top to side)
-    for (let i = 1; i <= segments; i++) {
-        const t = i / segments;
-        const angle = (Math.PI / 2) * t;  // 0 to 90 degrees
-        const r = Math.sin(angle) * radius;
-        const y = (length / 2 - radius) + Math.cos(angle) * radius;
-        capsulePoints.push(new THREE.Vector2(r, y));
+class EquipmentViewer {
+    constructor(containerElement, options = {}) {
+        this.element = containerElement;
+        this.ui = options.ui === undefined ? containerElement : options.ui;
+        this.listeners = new AbortController();
+        this.currentModels = [];
+        this.modelType = null;
+
+        this.createScene();
+        window.addEventListener('resize', () => this.resize(), { signal: this.listeners.signal });
+
+        this.showModel(options.model || 'stir-bar');
+        this.animate = this.animate.bind(this);
+        this.frameRequest = requestAnimationFrame(this.animate);
     }
 
-    // Cylinder side (straight section) - just need the bottom point since top is from hemisphere
-    capsulePoints.push(new THREE.Vector2(radius, -(length / 2 - radius)));
-
-    // Bottom hemisphere (quarter circle from side to bottom)
-    for (let i = 1; i <= segments; i++) {
-        const t = i / segments;
-        const angle = (Math.PI / 2) * t;  // 0 to 90 degrees
-        const r = Math.cos(angle) * radius;
-        const y = -(length / 2 - radius) - Math.sin(angle) * radius;
-        capsulePoints.push(new THREE.Vector2(r, y));
-    }
-
-    // End at bottom center
-    capsulePoints.push(new THREE.Vector2(0.001, -length / 2));
-
-    const capsuleGeometry = new THREE.LatheGeometry(capsulePoints, 32);
-    const stirBar = new THREE.Mesh(capsuleGeometry, ptfeMaterial.clone());
-    stirBar.castShadow = true;
-    stirBar.receiveShadow = true;
-
-    // Position on table (lying flat - rotate to horizontal)
-    stirBar.rotation.x = Math.PI / 2;
-    stirBar.position.y = -1.88 + radius;
-
-    // Add subtle center ridge (characteristic of many stir bars)
-    const ridgeGeometry = new THREE.TorusGeometry(radius + 0.01, 0.015, 8, 32);
-    const ridgeMaterial = new THREE.MeshStandardMaterial({
-        color: 0x505050,
-        metalness: 0.2,
-        roughness: 0.3
-    });
-    const ridge = new THREE.Mesh(ridgeGeometry, ridgeMaterial);
-    ridge.rotation.x = Math.PI / 2;
-    ridge.position.y = -1.88 + radius;
-
-    group.add(stirBar);
-    group.add(ridge);
-
-    return group;
-}
-
-function createBeaker() {
-    const group = new THREE.Group();
-
-    // ============================================
-    // BEAKER DIMENSIONS - Classic lab beaker shape
-    // Slight outward taper, flat bottom, pour spout
-    // ============================================
-    const height = 3.2;
-    const bottomRadius = 1.15;
-    const topRadius = 1.35;  // Slight taper outward
-    const wallThickness = 0.06;
-    const bottomThickness = 0.08;
-
-    // Create beaker profile (outer wall)
-    const outerPoints = [];
-
-    // Flat bottom with small corner radius
-    outerPoints.push(new THREE.Vector2(0.001, 0));  // Center bottom
-    outerPoints.push(new THREE.Vector2(bottomRadius - 0.15, 0));
-    outerPoints.push(new THREE.Vector2(bottomRadius - 0.05, 0.02));
-    outerPoints.push(new THREE.Vector2(bottomRadius, 0.08));  // Corner
-
-    // Straight tapered wall
-    outerPoints.push(new THREE.Vector2(topRadius, height));
-
-    // Rolled rim (beaded edge)
-    outerPoints.push(new THREE.Vector2(topRadius + 0.06, height + 0.02));
-    outerPoints.push(new THREE.Vector2(topRadius + 0.08, height + 0.06));
-    outerPoints.push(new THREE.Vector2(topRadius + 0.05, height + 0.10));
-    outerPoints.push(new THREE.Vector2(topRadius - wallThickness, height + 0.08));
-
-    const outerGeometry = new THREE.LatheGeometry(outerPoints, 64);
-    const beakerOuter = new THREE.Mesh(outerGeometry, borosilicateGlass.clone());
-    beakerOuter.castShadow = true;
-
-    // Inner wall
-    const innerPoints = [];
-    innerPoints.push(new THREE.Vector2(0.001, bottomThickness));
-    innerPoints.push(new THREE.Vector2(bottomRadius - wallThickness - 0.1, bottomThickness));
-    innerPoints.push(new THREE.Vector2(bottomRadius - wallThickness, bottomThickness + 0.05));
-    innerPoints.push(new THREE.Vector2(topRadius - wallThickness, height));
-    innerPoints.push(new THREE.Vector2(topRadius - wallThickness, height + 0.06));
-
-    const innerGeometry = new THREE.LatheGeometry(innerPoints, 64);
-    const innerMat = borosilicateGlass.clone();
-    innerMat.side = THREE.BackSide;
-    const beakerInner = new THREE.Mesh(innerGeometry, innerMat);
-
-    // Pour spout - V-shaped notch at rim
-    const spoutGroup = new THREE.Group();
-    const spoutCurve = new THREE.Shape();
-    spoutCurve.moveTo(-0.25, 0);
-    spoutCurve.lineTo(0, 0.35);
-    spoutCurve.lineTo(0.25, 0);
-    spoutCurve.lineTo(0.20, -0.08);
-    spoutCurve.lineTo(0, 0.25);
-    spoutCurve.lineTo(-0.20, -0.08);
-    spoutCurve.closePath();
-
-    const spoutExtrudeSettings = { depth: 0.12, bevelEnabled: false };
-    const spoutGeometry = new THREE.ExtrudeGeometry(spoutCurve, spoutExtrudeSettings);
-    const spout = new THREE.Mesh(spoutGeometry, borosilicateGlass.clone());
-    spout.rotation.x = Math.PI / 2;
-    spout.rotation.z = Math.PI;
-    spout.position.set(topRadius + 0.02, height + 0.06, 0.06);
-    spoutGroup.add(spout);
-
-    // Graduation marks
-    const markMaterial = new THREE.MeshBasicMaterial({
-        color: 0xffffff,
-        transparent: true,
-        opacity: 0.6
-    });
+    createScene() {
+        const { element } = this;
+        const scene = new THREE.Scene();
+        scene.background = new THREE.Color(0x1a1a2e);
+
+        const camera = new THREE.PerspectiveCamera(45, element.clientWidth / element.clientHeight, 0.1, 1000);
+        camera.position.set(5, 4, 8);
+
+        const renderer = new THREE.WebGLRenderer({ antialias: true });
+        renderer.setSize(element.clientWidth, element.clientHeight);
+        renderer.setPixelRatio(window.devicePixelRatio);
+        renderer.shadowMap.enabled = true;
+        renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        renderer.toneMapping = THREE.ACESFilmicToneMapping;
+        renderer.toneMappingExposure = 1.0;
+        renderer.outputColorSpace = THREE.SRGBColorSpace;
+        element.appendChild(renderer.domElement);
+
+        // Controls
+        const controls = new OrbitControls(camera, renderer.domElement);
+        controls.enableDamping = true;
+        controls.dampingFactor = 0.05;
+        controls.minDistance = 2;
+        controls.maxDistance = 20;
+
+        // Lighting - enhanced for glass rendering
+        scene.add(new THREE.AmbientLight(0xffffff, 0.5));
+
+        const mainLight = new THREE.DirectionalLight(0xffffff, 1.5);
+        mainLight.position.set(5, 10, 7);
+        mainLight.castShadow = true;
+        mainLight.shadow.mapSize.width = 2048;
+        mainLight.shadow.mapSize.height = 2048;
+        mainLight.shadow.camera.near = 0.5;
+        mainLight.shadow.camera.far = 50;
+        scene.add(mainLight);
+
+        const fillLight = new THREE.DirectionalLight(0x8899bb, 0.4);
+        fillLight.position.set(-5, 5, -5);
+        scene.add(fillLight);
+
+        const rimLight = new THREE.PointLight(0x00d4ff, 0.6, 20);
+        rimLight.position.set(-3, 3, -3);
+        scene.add(rimLight);
+
+        // Backlight for glass rim visibility
+        const backLight = new THREE.SpotLight(0xffffff, 0.8);
+        backLight.position.set(0, 5, -8);
+        backLight.angle = Math.PI / 4;
+        scene.add(backLight);
+
+        // Floor/table surface - lab bench style
+        const table = new THREE.Mesh(
+            new THREE.CylinderGeometry(8, 8, 0.3, 64),
+            new THREE.MeshStandardMaterial({ color: 0x1a1a2e, metalness: 0.1, roughness: 0.4 })
+        );
+        table.position.y = -2.05;
+        table.receiveShadow = true;
+        scene.add(table);
+
+        // Create environment map
+        this.envMap = null;
+        try {
+            this.envMap = createEnvironmentMap(renderer);
+            scene.environment = this.envMap;
+        } catch (e) {
+            console.log('Environment map creation skipped');
+        }
 
-    const graduations = [
-        { y: 0.6, major: true, label: '50' },
-        { y: 1.2, major: true, label: '100' },
-        { y: 1.8, major: true, label: '150' },
-        { y: 2.4, major: true, label: '200' },
-        { y: 3.0, major: true, label: '250' }
-    ];
-
-    graduations.forEach(grad => {
-        const radiusAtHeight = bottomRadius + (topRadius - bottomRadius) * (grad.y / height);
-        const markLength = grad.major ? 0.25 : 0.15;
-
-        // Curved mark following the beaker surface
-        const markGeometry = new THREE.TorusGeometry(radiusAtHeight + 0.01, 0.008, 4, 16, 0.2);
-        const mark = new THREE.Mesh(markGeometry, markMaterial);
-        mark.rotation.x = Math.PI / 2;
-        mark.rotation.z = -0.3;
-        mark.position.y = grad.y + 0.1;
-        group.add(mark);
-    });
+        // Materials shared by every model
+        this.materials = createLabMaterials();
 
-    // Liquid with meniscus
-    const liquidHeight = 1.6;
-    const liquidPoints = [];
-    const liquidBottomR = bottomRadius - wallThickness - 0.02;
-    const liquidTopR = liquidBottomR + (topRadius - bottomRadius) * (liquidHeight / height);
-
-    liquidPoints.push(new THREE.Vector2(0.001, bottomThickness + 0.01));
-    liquidPoints.push(new THREE.Vector2(liquidBottomR, bottomThickness + 0.02));
-    liquidPoints.push(new THREE.Vector2(liquidTopR - 0.02, liquidHeight));
-
-    // Meniscus curve
-    for (let i = 0; i <= 10; i++) {
-        const t = i / 10;
-        const r = (liquidTopR - 0.02) * (1 - t);
-        const meniscusHeight = 0.05 * Math.pow(t, 2);
-        liquidPoints.push(new THREE.Vector2(r, liquidHeight + meniscusHeight));
+        this.scene = scene;
+        this.camera = camera;
+        this.renderer = renderer;
+        this.controls = controls;
     }
 
-    const liquidGeometry = new THREE.LatheGeometry(liquidPoints, 48);
-    const liquid = new THREE.Mesh(liquidGeometry, aqueousSolutionMaterial.clone());
-    liquid.position.y = 0.01;
-
-    // Assemble
-    group.add(beakerOuter);
-    group.add(beakerInner);
-    group.add(spoutGroup);
-    group.add(liquid);
-    group.position.y = -1.9;
-
-    return group;
-}
-
-function createTestTube() {
-    const group = new THREE.Group();
-
-    // Tube body with rounded bottom
-    const tubePoints = [];
-    const height = 2.5;
-    const radius = 0.4;
-    const wallThickness = 0.05;
-
-    // Create tube with hemispherical bottom
-    const bottomSegments = 16;
-    for (let i = 0; i <= bottomSegments; i++) {
-        const angle = -Math.PI/2 + (Math.PI/2) * (i / bottomSegments);
-        tubePoints.push(new THREE.Vector2(
-            Math.cos(angle) * radius,
-            Math.sin(angle) * radius
-        ));
+    createModel(modelType) {
+        const model = getContainerDefinition(modelType).createModel({ materials: this.materials });
+        model.position.y = TABLE_TOP_Y;
+        return model;
     }
-    tubePoints.push(new THREE.Vector2(radius, height));
-    tubePoints.push(new THREE.Vector2(radius + 0.05, height + 0.1)); // Rim
-
-    const tubeGeometry = new THREE.LatheGeometry(tubePoints, 32);
-    const tube = new THREE.Mesh(tubeGeometry, glassMaterial.clone());
-    tube.position.y = -1.5;
-    tube.castShadow = true;
-
-    // Cap
-    const capGroup = new THREE.Group();
-
-    // Cap body
-    const capPoints = [];
-    capPoints.push(new THREE.Vector2(0, 0));
-    capPoints.push(new THREE.Vector2(radius + 0.08, 0));
-    capPoints.push(new THREE.Vector2(radius + 0.08, 0.3));
-    capPoints.push(new THREE.Vector2(radius + 0.15, 0.35));
-    capPoints.push(new THREE.Vector2(radius + 0.15, 0.6));
-    capPoints.push(new THREE.Vector2(0.15, 0.7));
-    capPoints.push(new THREE.Vector2(0, 0.7));
-
-    const capGeometry = new THREE.LatheGeometry(capPoints, 32);
-    const cap = new THREE.Mesh(capGeometry, plasticCapMaterial);
-    cap.position.y = height - 1.4;
-    capGroup.add(cap);
-
-    // Hinge
-    const hingeGeometry = new THREE.BoxGeometry(0.15, 0.3, 0.1);
-    const hinge = new THREE.Mesh(hingeGeometry, plasticCapMaterial);
-    hinge.position.set(radius + 0.2, height - 1.2, 0);
-    capGroup.add(hinge);
-
-    // Liquid inside
-    const liquidPoints2 = [];
-    for (let i = 0; i <= bottomSegments; i++) {
-        const angle = -Math.PI/2 + (Math.PI/2) * (i / bottomSegments);
-        liquidPoints2.push(new THREE.Vector2(
-            Math.cos(angle) * (radius - wallThickness),
-            Math.sin(angle) * (radius - wallThickness)
-        ));
-    }
-    liquidPoints2.push(new THREE.Vector2(radius - wallThickness, height * 0.6));
-    liquidPoints2.push(new THREE.Vector2(0, height * 0.6));
-
-    const liquidGeometry2 = new THREE.LatheGeometry(liquidPoints2, 32);
-    const tubeliquid = new THREE.Mesh(liquidGeometry2, liquidMaterial.clone());
-    tubeliquid.position.y = -1.5;
-
-    group.add(tube, capGroup, tubeliquid);
-    return group;
-}
-
-function createErlenmeyerFlask() {
-    const group = new THREE.Group();
 
     // ============================================
-    // ERLENMEYER FLASK - Classic conical shape
-    // Wide flat bottom, straight sloping sides, cylindrical neck
+    // SCENE MANAGEMENT
     // ============================================
-    const bodyHeight = 2.8;        // Height of conical section
-    const neckHeight = 1.0;        // Cylindrical neck
-    const bottomRadius = 1.6;      // Wide base
-    const neckRadius = 0.32;       // Narrow neck
-    const wallThickness = 0.05;
-    const bottomThickness = 0.07;
-
-    // Outer profile - using a single continuous curve
-    const outerPoints = [];
-
-    // Flat bottom
-    outerPoints.push(new THREE.Vector2(0.001, 0));
-    outerPoints.push(new THREE.Vector2(bottomRadius - 0.2, 0));
-    outerPoints.push(new THREE.Vector2(bottomRadius - 0.08, 0.02));
-    outerPoints.push(new THREE.Vector2(bottomRadius, 0.08));
-    outerPoints.push(new THREE.Vector2(bottomRadius, 0.12));
-
-    // Single continuous curve from bottom to neck using power function
-    // This creates the classic Erlenmeyer profile - steep at bottom, curving to vertical at neck
-    const curveSteps = 40;
-    const curveStartY = 0.12;
-    const curveEndY = bodyHeight;
-    const curveHeight = curveEndY - curveStartY;
-
-    for (let i = 1; i <= curveSteps; i++) {
-        const t = i / curveSteps;
-        const y = curveStartY + curveHeight * t;
-
-        // Use power curve: starts following cone slope, curves smoothly to vertical
-        // r = neckRadius + (bottomRadius - neckRadius) * (1 - t)^power
-        // Higher power = more cone-like at bottom, sharper curve near top
-        const power = 1.8;
-        const r = neckRadius + (bottomRadius - neckRadius) * Math.pow(1 - t, power);
-
-        outerPoints.push(new THREE.Vector2(r, y));
-    }
-
-    // Cylindrical neck
-    outerPoints.push(new THREE.Vector2(neckRadius, bodyHeight));
-    outerPoints.push(new THREE.Vector2(neckRadius, bodyHeight + neckHeight));
-
-    // Rolled rim
-    outerPoints.push(new THREE.Vector2(neckRadius + 0.05, bodyHeight + neckHeight + 0.02));
-    outerPoints.push(new THREE.Vector2(neckRadius + 0.06, bodyHeight + neckHeight + 0.06));
-    outerPoints.push(new THREE.Vector2(neckRadius + 0.03, bodyHeight + neckHeight + 0.09));
-    outerPoints.push(new THREE.Vector2(neckRadius - wallThickness, bodyHeight + neckHeight + 0.07));
-
-    const outerGeometry = new THREE.LatheGeometry(outerPoints, 64);
-    const flaskOuter = new THREE.Mesh(outerGeometry, borosilicateGlass.clone());
-    flaskOuter.castShadow = true;
-
-    // Inner profile - follows the same curve logic
-    const innerPoints = [];
-    const innerBottomR = bottomRadius - wallThickness;
-    const innerNeckR = neckRadius - wallThickness;
-
-    innerPoints.push(new THREE.Vector2(0.001, bottomThickness));
-    innerPoints.push(new THREE.Vector2(innerBottomR - 0.15, bottomThickness));
-    innerPoints.push(new THREE.Vector2(innerBottomR, bottomThickness + 0.05));
-
-    // Inner curve
-    const innerCurveStartY = bottomThickness + 0.05;
-    const innerCurveHeight = bodyHeight - innerCurveStartY;
-
-    for (let i = 1; i <= curveSteps; i++) {
-        const t = i / curveSteps;
-        const y = innerCurveStartY + innerCurveHeight * t;
-        const power = 1.8;
-        const r = innerNeckR + (innerBottomR - innerNeckR) * Math.pow(1 - t, power);
-        innerPoints.push(new THREE.Vector2(r, y));
-    }
-
-    innerPoints.push(new THREE.Vector2(innerNeckR, bodyHeight + neckHeight));
-
-    const innerGeometry = new THREE.LatheGeometry(innerPoints, 64);
-    const innerMat = borosilicateGlass.clone();
-    innerMat.side = THREE.BackSide;
-    const flaskInner = new THREE.Mesh(innerGeometry, innerMat);
-
-    // Liquid - follows the power curve profile
-    const liquidHeight = 1.4;
-    const liquidPoints = [];
-    const liquidBottomR = innerBottomR - 0.02;
-    const liquidNeckR = innerNeckR - 0.02;
-    const power = 1.8;  // Same as flask profile
-
-    liquidPoints.push(new THREE.Vector2(0.001, bottomThickness + 0.01));
-    liquidPoints.push(new THREE.Vector2(liquidBottomR, bottomThickness + 0.02));
-
-    // Follow the power curve for liquid sides
-    const liquidStartY = bottomThickness + 0.02;
-    const liquidEndY = liquidHeight + bottomThickness;
-
-    for (let i = 1; i <= 15; i++) {
-        const t = i / 15;
-        const y = liquidStartY + (liquidEndY - liquidStartY) * t;
-        // Calculate t relative to full flask height for the power curve
-        const flaskT = (y - curveStartY) / curveHeight;
-        const r = liquidNeckR + (liquidBottomR - liquidNeckR) * Math.pow(1 - Math.min(flaskT, 1), power);
-        liquidPoints.push(new THREE.Vector2(r, y));
-    }
-
-    // Get the radius at liquid surface
-    const liquidSurfaceT = (liquidEndY - curveStartY) / curveHeight;
-    const liquidTopR = liquidNeckR + (liquidBottomR - liquidNeckR) * Math.pow(1 - Math.min(liquidSurfaceT, 1), power);
 
-    // Meniscus
-    for (let i = 0; i <= 10; i++) {
-        const t = i / 10;
-        const r = liquidTopR * (1 - t);
-        const meniscus = 0.04 * Math.pow(t, 2.5);
-        liquidPoints.push(new THREE.Vector2(r, liquidEndY + meniscus));
+    // Remove the shown models and free what was made for them; the shared
+    // materials stay for the next model (see dispose())
+    clearModels() {
+        const shared = new Set(Object.values(this.materials));
+        this.currentModels.forEach(model => {
+            this.scene.remove(model);
+            model.traverse((child) => {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) {
+                    [child.material].flat().forEach(m => {
+                        if (!shared.has(m)) m.dispose();
+                    });
+                }
+            });
+        });
+        this.currentModels = [];
     }
 
-    const liquidGeometry = new THREE.LatheGeometry(liquidPoints, 48);
-    const liquid = new THREE.Mesh(liquidGeometry, aqueousSolutionMaterial.clone());
-
-    // Volume graduations on the side - using power curve
-    const markMaterial = new THREE.MeshBasicMaterial({
-        color: 0xffffff,
-        transparent: true,
-        opacity: 0.5
-    });
-
-    [0.8, 1.4, 2.0, 2.5].forEach(y => {
-        const markT = (y - curveStartY) / curveHeight;
-        const radiusAtY = neckRadius + (bottomRadius - neckRadius) * Math.pow(1 - Math.min(markT, 1), power);
-        if (radiusAtY > neckRadius + 0.1) {
-            const markGeometry = new THREE.TorusGeometry(radiusAtY + 0.01, 0.006, 4, 16, 0.15);
-            const mark = new THREE.Mesh(markGeometry, markMaterial);
-            mark.rotation.x = Math.PI / 2;
-            mark.rotation.z = -0.4;
-            mark.position.y = y + 0.1;
-            group.add(mark);
+    // A registry type, or 'all' for every model in a row
+    showModel(modelType) {
+        const info = modelInfo[modelType];
+        if (!info) throw new Error(`Unknown model "${modelType}"`);
+
+        this.clearModels();
+        this.modelType = modelType;
+
+        // Update info panel
+        const nameEl = this.ui && this.ui.querySelector('#model-name');
+        const descriptionEl = this.ui && this.ui.querySelector('#model-description');
+        if (nameEl) nameEl.textContent = info.name;
+        if (descriptionEl) descriptionEl.textContent = info.description;
+
+        let targetY = 0;
+        if (modelType === 'all') {
+            // Show every registered model in a row
+            const types = getContainerTypes();
+            const models = types.map((type, i) => ({ type, x: (i - (types.length - 1) / 2) * 2.2 }));
+
+            models.forEach(({ type, x }) => {
+                const model = this.createModel(type);
+                model.position.x = x;
+                model.scale.setScalar(0.7);
+                this.scene.add(model);
+                this.currentModels.push(model);
+            });
+
+            this.camera.position.set(0, 5, 15);
+        } else {
+            const model = this.createModel(modelType);
+            this.scene.add(model);
+            this.currentModels.push(model);
+
+            // Raise the view for models taller than the frame (pipettes)
+            const height = new THREE.Box3().setFromObject(model).getSize(new THREE.Vector3()).y;
+            targetY = Math.max(0, TABLE_TOP_Y + height / 2);
+            this.camera.position.set(5, 4 + targetY, 8);
         }
-    });
-
-    // Assemble
-    group.add(flaskOuter);
-    group.add(flaskInner);
-    group.add(liquid);
-    group.position.y = -1.9;
-
-    return group;
-}
-
-function createRoundBottomFlask() {
-    const group = new THREE.Group();
-
-    // ============================================
-    // ROUND BOTTOM FLASK - True spherical bulb
-    // The defining feature is the SPHERICAL body
-    // ============================================
-    const sphereRadius = 1.5;          // Main spherical bulb
-    const neckRadius = 0.28;           // Narrow neck
-    const neckHeight = 0.9;            // Short neck
-    const wallThickness = 0.05;
 
-    // ============================================
-    // OUTER PROFILE - Nearly complete sphere + neck
-    // Key: Sphere goes from -90° (bottom) to about +60° (where neck starts)
-    // That's 150° of arc = 5/6 of a hemisphere = nearly complete sphere
-    // ============================================
-    const outerPoints = [];
-    const sphereSegments = 60;
-
-    // The angle where neck meets sphere (about 60 degrees from horizontal)
-    const neckAngle = Math.PI * 0.38;  // ~68 degrees - sphere curves inward here
-    const neckJoinRadius = Math.cos(neckAngle) * sphereRadius;
-    const neckJoinY = Math.sin(neckAngle) * sphereRadius + sphereRadius;
-
-    // Draw sphere from bottom (-90°) up to neck join point
-    // This creates a nearly-complete sphere shape
-    const startAngle = -Math.PI / 2;  // -90° (bottom of sphere)
-    const endAngle = neckAngle;        // Where neck begins
-    const totalAngle = endAngle - startAngle;
-
-    for (let i = 0; i <= sphereSegments; i++) {
-        const t = i / sphereSegments;
-        const angle = startAngle + totalAngle * t;
-        const r = Math.cos(angle) * sphereRadius;
-        const y = Math.sin(angle) * sphereRadius + sphereRadius;
-        outerPoints.push(new THREE.Vector2(r, y));
+        this.controls.target.set(0, targetY, 0);
+        this.controls.update();
     }
 
-    // Smooth transition from sphere to cylindrical neck
-    // Short curve that brings the sphere smoothly into the neck
-    const transitionSteps = 10;
-    for (let i = 1; i <= transitionSteps; i++) {
-        const t = i / transitionSteps;
-        const smoothT = t * t * (3 - 2 * t);  // Smoothstep
-        const r = neckJoinRadius - (neckJoinRadius - neckRadius) * smoothT;
-        const y = neckJoinY + 0.2 * t;
-        outerPoints.push(new THREE.Vector2(r, y));
+    // Follow the size of the container element
+    resize() {
+        const { clientWidth, clientHeight } = this.element;
+        this.camera.aspect = clientWidth / clientHeight;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(clientWidth, clientHeight);
     }
 
-    // Cylindrical neck
-    const neckStartY = neckJoinY + 0.2;
-    outerPoints.push(new THREE.Vector2(neckRadius, neckStartY));
-    outerPoints.push(new THREE.Vector2(neckRadius, neckStartY + neckHeight));
-
-    // Simple rolled rim
-    outerPoints.push(new THREE.Vector2(neckRadius + 0.04, neckStartY + neckHeight + 0.02));
-    outerPoints.push(new THREE.Vector2(neckRadius + 0.05, neckStartY + neckHeight + 0.05));
-    outerPoints.push(new THREE.Vector2(neckRadius + 0.02, neckStartY + neckHeight + 0.07));
-    outerPoints.push(new THREE.Vector2(neckRadius - wallThickness, neckStartY + neckHeight + 0.05));
-
-    const outerGeometry = new THREE.LatheGeometry(outerPoints, 64);
-    const flaskOuter = new THREE.Mesh(outerGeometry, borosilicateGlass.clone());
-    flaskOuter.castShadow = true;
-
     // ============================================
-    // INNER PROFILE
+    // ANIMATION LOOP
     // ============================================
-    const innerPoints = [];
-    const innerSphereRadius = sphereRadius - wallThickness;
-
-    // Inner sphere
-    for (let i = 0; i <= sphereSegments; i++) {
-        const t = i / sphereSegments;
-        const angle = startAngle + totalAngle * t;
-        const r = Math.cos(angle) * innerSphereRadius;
-        const y = Math.sin(angle) * innerSphereRadius + sphereRadius;
-        innerPoints.push(new THREE.Vector2(r, y));
-    }
 
-    // Inner neck transition
-    const innerNeckJoinR = Math.cos(neckAngle) * innerSphereRadius;
-    for (let i = 1; i <= transitionSteps; i++) {
-        const t = i / transitionSteps;
-        const smoothT = t * t * (3 - 2 * t);
-        const r = innerNeckJoinR - (innerNeckJoinR - (neckRadius - wallThickness)) * smoothT;
-        const y = neckJoinY + 0.2 * t;
-        innerPoints.push(new THREE.Vector2(r, y));
-    }
-
-    // Inner neck
-    innerPoints.push(new THREE.Vector2(neckRadius - wallThickness, neckStartY));
-    innerPoints.push(new THREE.Vector2(neckRadius - wallThickness, neckStartY + neckHeight + 0.03));
-
-    const innerGeometry = new THREE.LatheGeometry(innerPoints, 64);
-    const innerMat = borosilicateGlass.clone();
-    innerMat.side = THREE.BackSide;
-    const flaskInner = new THREE.Mesh(innerGeometry, innerMat);
-
-    // ============================================
-    // LIQUID - Follows spherical contour
-    // ============================================
-    const liquidLevel = 0.45;  // 45% full
-    const liquidPoints = [];
-
-    // Liquid height in the sphere
-    const liquidAngle = Math.asin(liquidLevel - 0.5) + Math.PI / 6;
-    const liquidMaxAngle = Math.min(liquidAngle, neckAngle * 0.6);
-
-    for (let i = 0; i <= 40; i++) {
-        const t = i / 40;
-        const angle = startAngle + (liquidMaxAngle - startAngle) * t;
-        const r = Math.cos(angle) * (innerSphereRadius - 0.02);
-        const y = Math.sin(angle) * (innerSphereRadius - 0.02) + sphereRadius;
-        liquidPoints.push(new THREE.Vector2(r, y));
-    }
+    animate() {
+        this.frameRequest = requestAnimationFrame(this.animate);
 
-    // Flat top with slight meniscus
-    const liquidTopY = liquidPoints[liquidPoints.length - 1].y;
-    const liquidTopR = liquidPoints[liquidPoints.length - 1].x;
+        // Subtle rotation for stir bar when it's the active model
+        if (this.modelType === 'stir-bar' && this.currentModels.length > 0) {
+            this.currentModels[0].rotation.y += 0.02;
+        }
 
-    for (let i = 0; i <= 10; i++) {
-        const t = i / 10;
-        const r = liquidTopR * (1 - t);
-        const meniscus = 0.03 * Math.pow(t, 2);
-        liquidPoints.push(new THREE.Vector2(r, liquidTopY + meniscus));
+        this.controls.update();
+        this.renderer.render(this.scene, this.camera);
     }
 
-    const liquidGeometry = new THREE.LatheGeometry(liquidPoints, 48);
-    const liquid = new THREE.Mesh(liquidGeometry, aqueousSolutionMaterial.clone());
-
-    // ============================================
-    // SIMPLE HIGHLIGHT (glass reflection)
-    // ============================================
-    const highlightCurve = new THREE.CatmullRomCurve3([
-        new THREE.Vector3(-1.1, 0.4, 0.6),
-        new THREE.Vector3(-1.3, 1.2, 0.5),
-        new THREE.Vector3(-1.2, 2.0, 0.4),
-        new THREE.Vector3(-0.6, 2.8, 0.2)
-    ]);
-    const highlightGeometry = new THREE.TubeGeometry(highlightCurve, 16, 0.02, 6, false);
-    const highlightMaterial = new THREE.MeshBasicMaterial({
-        color: 0xffffff,
-        transparent: true,
-        opacity: 0.3
-    });
-    const highlight = new THREE.Mesh(highlightGeometry, highlightMaterial);
-
-    // Assemble
-    group.add(flaskOuter);
-    group.add(flaskInner);
-    group.add(liquid);
-    group.add(highlight);
-
-    // Position so bottom of sphere sits on table
-    group.position.y = -1.9;
-
-    return group;
-}
-
-// ============================================
-// SCENE MANAGEMENT
-// ============================================
-
-function clearModels() {
-    currentModels.forEach(model => {
-        scene.remove(model);
-        model.traverse((child) => {
+    // Stop the loop, remove listeners and free the WebGL context
+    dispose() {
+        cancelAnimationFrame(this.frameRequest);
+        this.listeners.abort();
+        this.clearModels();
+        this.controls.dispose();
+        this.scene.traverse((child) => {
             if (child.geometry) child.geometry.dispose();
-            if (child.material) {
-                if (Array.isArray(child.material)) {
-                    child.material.forEach(m => m.dispose());
-                } else {
-                    child.material.dispose();
-                }
-            }
-        });
-    });
-    currentModels = [];
-}
-
-function showModel(modelType) {
-    clearModels();
-
-    // Update info panel
-    const info = modelInfo[modelType];
-    document.getElementById('model-name').textContent = info.name;
-    document.getElementById('model-description').textContent = info.description;
-
-    if (modelType === 'all') {
-        // Show all models in a row
-        const models = [
-            { create: createStirBar, x: -5 },
-            { create: createBeaker, x: -2.5 },
-            { create: createTestTube, x: 0 },
-            { create: createErlenmeyerFlask, x: 2.5 },
-            { create: createRoundBottomFlask, x: 5 }
-        ];
-
-        models.forEach(({ create, x }) => {
-            const model = create();
-            model.position.x = x;
-            model.scale.setScalar(0.7);
-            scene.add(model);
-            currentModels.push(model);
+            if (child.material) child.material.dispose();
         });
+        Object.values(this.materials).forEach(material => material.dispose());
+        if (this.envMap) this.envMap.dispose();
 
-        camera.position.set(0, 5, 15);
-    } else {
-        let model;
-        switch (modelType) {
-            case 'stir-bar':
-                model = createStirBar();
-                break;
-            case 'beaker':
-                model = createBeaker();
-                break;
-            case 'test-tube':
-                model = createTestTube();
-                break;
-            case 'erlenmeyer':
-                model = createErlenmeyerFlask();
-                break;
-            case 'round-bottom':
-                model = createRoundBottomFlask();
-                break;
-        }
-
-        if (model) {
-            scene.add(model);
-            currentModels.push(model);
-            camera.position.set(5, 4, 8);
-        }
+        this.renderer.dispose();
+        this.renderer.forceContextLoss();
+        this.renderer.domElement.remove();
     }
-
-    controls.target.set(0, 0, 0);
-    controls.update();
 }
 
-// ============================================
-// EVENT HANDLERS
-// ============================================
-
-// Button click handlers
-document.querySelectorAll('.controls button').forEach(button => {
-    button.addEventListener('click', () => {
-        document.querySelectorAll('.controls button').forEach(b => b.classList.remove('active'));
-        button.classList.add('active');
-        showModel(button.dataset.model);
-    });
-});
-
-// Window resize
-window.addEventListener('resize', () => {
-    camera.aspect = container.clientWidth / container.clientHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(container.clientWidth, container.clientHeight);
-});
-
-// ============================================
-// ANIMATION LOOP
-// ============================================
-
-function animate() {
-    requestAnimationFrame(animate);
-
-    // Subtle rotation for stir bar when it's the active model
-    const activeButton = document.querySelector('.controls button.active');
-    if (activeButton && activeButton.dataset.model === 'stir-bar' && currentModels.length > 0) {
-        currentModels[0].rotation.y += 0.02;
-    }
-
-    controls.update();
-    renderer.render(scene, camera);
+export function createEquipmentViewer(containerElement, options = {}) {
+    return new EquipmentViewer(containerElement, options);
 }
-
-// Initialize with stir bar
-showModel('stir-bar');
-animate();
-
-console.log('3D Laboratory Equipment Viewer initialized');
@@ -0,0 +1,165 @@
+// ============================================
+// FLUID SIMULATION
+// Main-thread handle on the fluid solver. Steps run in fluid-worker.js
+// where module workers are available and inline otherwise; results are
+// collected with takeResults(), at most a frame after the step was sent.
+// No Three.js or DOM dependencies.
+// ============================================
+import { FluidSolver, FLUID_QUALITY } from './fluid-solver.js';
+
+const MAX_STEP = 0.1; // s - longer gaps (a busy worker, a hidden tab) are not caught up
+
+export class FluidSimulation {
+    constructor(options = {}) {
+        this.quality = options.quality || 'medium';
+        this.environment = options.environment;
+        this.seed = options.seed ?? 1;
+        this.containers = [];
+        this.results = [];
+        this.overflows = []; // sent with the next step
+        this.generation = 0; // bumped by reset(); older results are discarded
+        this.busy = false;   // a step is out in the worker
+        this.skipped = 0;    // time not yet sent because the worker was busy
+        this.lastStats = { count: 0, stepMs: 0 };
+
+        this.worker = null;
+        this.solver = null;
+        const useWorker = options.useWorker ?? typeof Worker !== 'undefined';
+        if (useWorker) {
+            try {
+                this.worker = new Worker(new URL('./fluid-worker.js', import.meta.url), { type: 'module' });
+                this.worker.onmessage = (e) => this.onResult(e.data);
+                this.worker.onerror = (e) => {
+                    console.warn('Fluid worker failed, solving on the main thread:', e.message);
+                    this.runInline();
+                };
+            } catch (e) {
+                this.worker = null;
+            }
+        }
+        if (this.worker) {
+            this.worker.postMessage({ type: 'configure', quality: this.quality, environment: this.environment, seed: this.seed });
+        } else {
+            this.runInline();
+        }
+    }
+
+    get isInline() {
+        return this.solver !== null;
+    }
+
+    runInline() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.busy = false;
+        this.solver = new FluidSolver({ quality: this.quality, environment: this.environment, seed: this.seed });
+        this.solver.setContainers(this.containers);
+    }
+
+    // 'low' | 'medium' | 'high'; applied once liquid in the air has landed
+    setQuality(quality) {
+        if (!FLUID_QUALITY[quality]) {
+            throw new Error(`Unknown fluid quality "${quality}"`);
+        }
+        this.quality = quality;
+        if (this.worker) {
+            this.worker.postMessage({ type: 'configure', quality });
+        } else {
+            this.solver.setQuality(quality);
+        }
+    }
+
+    // Restart the solver's random sequence (particle jitter) from `seed`
+    setSeed(seed) {
+        this.seed = seed;
+        if (this.worker) {
+            this.worker.postMessage({ type: 'configure', seed });
+        } else {
+            this.solver.setSeed(seed);
+        }
+    }
+
+    // Bench top, edges and platforms on it (see DEFAULT_ENVIRONMENT in
+    // fluid-solver.js)
+    setEnvironment(environment) {
+        this.environment = environment;
+        if (this.worker) {
+            this.worker.postMessage({ type: 'configure', environment });
+        } else {
+            this.solver.setEnvironment(environment);
+        }
+    }
+
+    // definitions: [{ id, profile }] for every container liquid can land in
+    setContainers(definitions) {
+        this.containers = definitions;
+        this.results = [];
+        this.overflows = [];
+        this.generation++;
+        if (this.worker) {
+            this.worker.postMessage({ type: 'containers', containers: definitions });
+        } else {
+            this.solver.setContainers(definitions);
+        }
+    }
+
+    // `volume` mL did not fit in container `id`; the solver runs it over the
+    // brim on the side facing `toward` (world [x, z]) and down onto the bench
+    overflow(id, volume, toward) {
+        this.overflows.push({ id, volume, toward });
+    }
+
+    // Throw away everything in flight
+    reset() {
+        this.results = [];
+        this.overflows = [];
+        this.generation++;
+        if (this.worker) {
+            this.worker.postMessage({ type: 'reset' });
+        } else {
+            this.solver.reset();
+        }
+    }
+
+    step(dt, state) {
+        if (this.busy) {
+            this.skipped += dt;
+            return;
+        }
+        const overflows = this.overflows;
+        this.overflows = [];
+        if (!this.worker) {
+            this.onResult({ ...this.solver.step(Math.min(dt, MAX_STEP), { ...state, overflows }), generation: this.generation });
+            return;
+        }
+        this.busy = true;
+        this.worker.postMessage({
+            type: 'step',
+            dt: Math.min(dt + this.skipped, MAX_STEP),
+            state: { ...state, overflows },
+            generation: this.generation
+        });
+        this.skipped = 0;
+    }
+
+    onResult(result) {
+        this.busy = false;
+        if (result.generation !== this.generation) return;
+        this.lastStats = { count: result.count, stepMs: result.stepMs, quality: result.quality };
+        this.results.push(result);
+    }
+
+    // Results that arrived since the last call, oldest first
+    takeResults() {
+        const results = this.results;
+        this.results = [];
+        return results;
+    }
+
+    dispose() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.solver = null;
+        this.results = [];
+    }
+}
@@ -0,0 +1,970 @@
+// ============================================
+// FLUID SOLVER
+// Weakly compressible SPH for liquid in the air between containers, the
+// outflow that feeds it, and a first-mode slosh model for the liquid
+// left in each glass. Runs inside fluid-worker.js, or inline where
+// workers are unavailable.
+//
+// Pure math - no Three.js or DOM dependencies. Lengths are scene units
+// (one unit ~ 2.7 cm), times seconds, volumes mL unless noted.
+// ============================================
+import { ML_PER_CUBIC_UNIT, UNITS_PER_METRE, GRAVITY } from './volume-profile.js';
+import { covers, floorAt } from './bench-physics.js';
+
+const ATMOSPHERE_HEAD = 10.3 * UNITS_PER_METRE; // water column air pressure holds up
+
+// Outflow
+const DISCHARGE_COEFFICIENT = 0.62;
+const GLUG_RADIUS = 0.4;      // narrower flooded openings pass liquid and air in turns
+const BUBBLE_HEAD = 0.05;     // drive left when air breaks into a flooded neck
+const EMIT_JITTER = 0.1;      // of the particle spacing, so the emitter lattice does not show
+const OVERFLOW_LAG = 0.1;     // s; overflow leaves at the rate it arrives, smoothed over this
+const OVERFLOW_RATE = 20;     // mL/s, the least it trickles at
+const OVERFLOW_SPEED = 10;    // units/s down the wall; faster flows thicken the sheet instead,
+const OVERFLOW_LAYERS = 3;    // up to this many particles thick,
+const OVERFLOW_MAX_SPEED = 20; // then speed up to this; more waits its turn
+const OVERFLOW_ARC = 0.6;     // radians of rim the overflow sheet runs over
+const LEVEL_TILT = 0.02;      // sine of a surface tilt too small to pick a downhill side
+
+// Particles
+const SOUND_SPEED = 25;       // numerical, kept low so steps stay a few ms long
+const VISCOSITY = 0.4;
+const MAX_SPEED = 60;
+const RESTITUTION = 0.3;
+const WALL_THICKNESS = 0.06;
+const TABLE_FRICTION = 6;     // 1/s
+const SETTLE_SPEED = 1.5;     // slower than this on the bench counts as a puddle...
+const SETTLE_TIME = 0.4;      // ...once it has stayed that slow this long
+const MAX_LIFE = 8;
+const FALL_LIMIT = 8;         // below the bench top: fell off the edge
+const SPILL_CELL = 0.3;
+const MAX_IMPACTS = 96;       // per step, for splash effects
+
+// Sloshing
+const SLOSH_DAMPING = 0.08;
+const SLOSH_SUBSTEP = 1 / 240;
+const ACCEL_SMOOTHING = 0.3;
+const IMPACT_COUPLING = 0.5;
+
+const PROFILE_SAMPLES = 64;
+
+export const FLUID_QUALITY = {
+    low: { label: 'Low', particleVolume: 0.3, maxParticles: 500, maxSubsteps: 3 },
+    medium: { label: 'Medium', particleVolume: 0.1, maxParticles: 1500, maxSubsteps: 5 },
+    high: { label: 'High', particleVolume: 0.04, maxParticles: 3500, maxSubsteps: 8 }
+};
+
+// Most points getSpine() returns
+export const SPINE_POINTS = 32;
+
+// Bench top and edges; platforms are solid discs and boxes standing on
+// it, as in BenchPhysics.setPlatforms (bench-physics.js)
+export const DEFAULT_ENVIRONMENT = { tableTop: -1.9, minX: -10, maxX: 10, minZ: -6, maxZ: 6, platforms: [] };
+
+// Small seedable generator (mulberry32) so runs with the same input match
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = Math.imul(a ^ (a >>> 15), a | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Column-major 4x4 (Three.js Matrix4.elements) applied to a point
+function transformPoint(e, x, y, z, out) {
+    out[0] = e[0] * x + e[4] * y + e[8] * z + e[12];
+    out[1] = e[1] * x + e[5] * y + e[9] * z + e[13];
+    out[2] = e[2] * x + e[6] * y + e[10] * z + e[14];
+    return out;
+}
+
+function transformDirection(e, x, y, z, out) {
+    out[0] = e[0] * x + e[4] * y + e[8] * z;
+    out[1] = e[1] * x + e[5] * y + e[9] * z;
+    out[2] = e[2] * x + e[6] * y + e[10] * z;
+    const length = Math.hypot(out[0], out[1], out[2]) || 1;
+    out[0] /= length;
+    out[1] /= length;
+    out[2] /= length;
+    return out;
+}
+
+// Inner radius against height, resampled evenly from a lathe profile
+// ({r, y} bottom to top) so lookups during collisions are O(1)
+function sampleProfile(points) {
+    const bottom = points[0].y;
+    const top = points[points.length - 1].y;
+    const radii = new Float64Array(PROFILE_SAMPLES + 1);
+    let segment = 1;
+
+    for (let i = 0; i <= PROFILE_SAMPLES; i++) {
+        const y = bottom + (top - bottom) * i / PROFILE_SAMPLES;
+        while (segment < points.length - 1 && (points[segment].y < y || points[segment].y <= points[segment - 1].y)) {
+            segment++;
+        }
+        const a = points[segment - 1];
+        const b = points[segment];
+        const span = b.y - a.y;
+        radii[i] = span > 0 ? a.r + (b.r - a.r) * Math.max(0, Math.min(1, (y - a.y) / span)) : b.r;
+    }
+    return { bottom, top, radii, maxRadius: Math.max(...points.map(p => p.r)) };
+}
+
+function radiusAt(body, y) {
+    const t = (y - body.bottom) / (body.top - body.bottom) * PROFILE_SAMPLES;
+    const i = Math.max(0, Math.min(PROFILE_SAMPLES - 1, Math.floor(t)));
+    const f = Math.max(0, Math.min(1, t - i));
+    return body.radii[i] + (body.radii[i + 1] - body.radii[i]) * f;
+}
+
+export class FluidSolver {
+    constructor(options = {}) {
+        this.environment = { ...DEFAULT_ENVIRONMENT, ...options.environment };
+        this.random = createRandom(options.seed ?? 1);
+        this.bodies = new Map();
+        this.quality = null;
+        this.pendingQuality = null;
+        this.setQuality(options.quality || 'medium');
+        this.reset();
+    }
+
+    // Takes effect once no particles are in flight, so their volume is never lost
+    setQuality(name) {
+        if (!FLUID_QUALITY[name]) {
+            throw new Error(`Unknown fluid quality "${name}"`);
+        }
+        if (this.count > 0) {
+            this.pendingQuality = name;
+            return;
+        }
+        this.pendingQuality = null;
+        this.quality = name;
+
+        const settings = FLUID_QUALITY[name];
+        const volume = settings.particleVolume / ML_PER_CUBIC_UNIT;
+        this.particleVolume = settings.particleVolume;
+        this.maxSubsteps = settings.maxSubsteps;
+        this.mass = volume; // rest density 1
+        this.radius = Math.cbrt(3 * volume / (4 * Math.PI));
+        this.h = 2 * Math.cbrt(volume);
+        this.poly6 = 315 / (64 * Math.PI * Math.pow(this.h, 9));
+        this.spiky = 45 / (Math.PI * Math.pow(this.h, 6));
+
+        const n = settings.maxParticles;
+        this.capacity = n;
+        this.count = 0;
+        this.px = new Float64Array(n);
+        this.py = new Float64Array(n);
+        this.pz = new Float64Array(n);
+        this.ox = new Float64Array(n);
+        this.oy = new Float64Array(n);
+        this.oz = new Float64Array(n);
+        this.vx = new Float64Array(n);
+        this.vy = new Float64Array(n);
+        this.vz = new Float64Array(n);
+        this.ax = new Float64Array(n);
+        this.ay = new Float64Array(n);
+        this.az = new Float64Array(n);
+        this.density = new Float64Array(n);
+        this.pressure = new Float64Array(n);
+        this.born = new Float64Array(n);
+        this.settled = new Float64Array(n);
+        this.core = new Uint8Array(n);
+        this.struck = new Uint8Array(n);
+
+        let tableSize = 1;
+        while (tableSize < n * 2) tableSize *= 2;
+        this.cellMask = tableSize - 1;
+        this.cellStart = new Int32Array(tableSize + 1);
+        this.cellOf = new Int32Array(n);
+        this.sorted = new Int32Array(n);
+        this.visited = new Int32Array(27);
+    }
+
+    setEnvironment(environment) {
+        this.environment = { ...DEFAULT_ENVIRONMENT, ...environment };
+    }
+
+    // Restart the random sequence, so a run from here repeats exactly
+    setSeed(seed) {
+        this.random = createRandom(seed);
+    }
+
+    // definitions: [{ id, profile: [{r, y}] }] - inner wall of each container, local frame
+    setContainers(definitions) {
+        this.bodies.clear();
+        for (const { id, profile } of definitions) {
+            this.bodies.set(id, {
+                id,
+                ...sampleProfile(profile),
+                matrix: new Float64Array(16),
+                inverse: new Float64Array(16),
+                scale: 1,
+                active: false,
+                tracked: false,
+                surfaceY: 0,
+                volume: 0,
+                surfaceRadius: 0,
+                depth: 0,
+                position: [0, 0, 0],
+                velocity: [0, 0, 0],
+                acceleration: [0, 0, 0],
+                normal: [0, 1, 0],
+                normalRate: [0, 0, 0]
+            });
+        }
+        this.reset();
+    }
+
+    // Drop every particle and forget container motion
+    reset() {
+        this.count = 0;
+        this.time = 0;
+        this.emitDebt = 0;
+        this.vacuum = 0;
+        this.bubbleTimer = 0;
+        this.sourceId = null;
+        this.emitIndex = 0;
+        this.overflows = new Map(); // id -> { volume, due, idle, toward } waiting to run over the brim
+        for (const body of this.bodies.values()) {
+            body.tracked = false;
+            body.normal = [0, 1, 0];
+            body.normalRate = [0, 0, 0];
+        }
+        if (this.pendingQuality) this.setQuality(this.pendingQuality);
+    }
+
+    // Advance by dt seconds.
+    // state.containers: [{ id, matrix, inverse, surfaceY, volume, surfaceRadius, depth }]
+    // state.source: what is pouring (see emit), or null
+    // state.overflows: [{ id, volume, toward }] liquid that did not fit (see queueOverflow)
+    step(dt, state) {
+        const started = typeof performance !== 'undefined' ? performance.now() : Date.now();
+        const result = {
+            source: state.source ? state.source.id : null,
+            emitted: 0,
+            flow: 0,
+            captured: {},
+            spills: new Map(),
+            slosh: {},
+            overflow: {},
+            impacts: []
+        };
+
+        this.updateBodies(dt, state.containers || [], result);
+        for (const overflow of state.overflows || []) this.queueOverflow(overflow);
+
+        const maxStep = 0.4 * this.h / SOUND_SPEED;
+        const substeps = Math.max(1, Math.min(this.maxSubsteps, Math.ceil(dt / maxStep)));
+        const h = Math.min(dt / substeps, maxStep);
+
+        for (let s = 0; s < substeps; s++) {
+            this.time += h;
+            this.emit(h, state.source, result);
+            this.release(h, result);
+            if (this.count === 0) continue;
+            this.buildGrid();
+            this.computeDensity();
+            this.computeForces();
+            this.integrate(h);
+            this.collide(h, result);
+        }
+
+        if (this.count === 0 && this.pendingQuality) this.setQuality(this.pendingQuality);
+
+        const finished = typeof performance !== 'undefined' ? performance.now() : Date.now();
+        return {
+            ...result,
+            spills: [...result.spills.values()].map(s => ({
+                x: s.x / s.volume, y: s.y / s.volume, z: s.z / s.volume, volume: s.volume
+            })),
+            count: this.count,
+            quality: this.quality,
+            particleRadius: this.radius,
+            positions: this.getPositions(),
+            fades: this.getFades(),
+            impacts: new Float32Array(result.impacts),
+            spine: this.getSpine(),
+            streamRadius: this.getStreamRadius(result.flow),
+            stepMs: finished - started
+        };
+    }
+
+    // ----------------------------------------
+    // Containers: motion, sloshing
+    // ----------------------------------------
+    updateBodies(dt, states, result) {
+        for (const body of this.bodies.values()) body.active = false;
+
+        for (const state of states) {
+            const body = this.bodies.get(state.id);
+            if (!body) continue;
+
+            body.active = true;
+            body.matrix.set(state.matrix);
+            body.inverse.set(state.inverse);
+            body.scale = Math.hypot(state.matrix[0], state.matrix[1], state.matrix[2]);
+            body.surfaceY = state.surfaceY;
+            body.volume = state.volume;
+            body.surfaceRadius = state.surfaceRadius;
+            body.depth = state.depth;
+
+            // Velocity and (smoothed) acceleration from successive positions
+            const position = [state.matrix[12], state.matrix[13], state.matrix[14]];
+            for (let k = 0; k < 3; k++) {
+                if (body.tracked && dt > 0) {
+                    const velocity = (position[k] - body.position[k]) / dt;
+                    const acceleration = (velocity - body.velocity[k]) / dt;
+                    body.acceleration[k] += (acceleration - body.acceleration[k]) * ACCEL_SMOOTHING;
+                    body.velocity[k] = velocity;
+                } else {
+                    body.velocity[k] = 0;
+                    body.acceleration[k] = 0;
+                }
+                body.position[k] = position[k];
+            }
+            body.tracked = true;
+
+            const accel = Math.hypot(...body.acceleration);
+            if (accel > 2 * GRAVITY) {
+                body.acceleration = body.acceleration.map(a => a * 2 * GRAVITY / accel);
+            }
+
+            this.updateSlosh(body, dt);
+            result.slosh[body.id] = body.normal.slice();
+        }
+    }
+
+    // The surface normal is a damped pendulum chasing apparent gravity; its
+    // frequency is the lowest sloshing mode of a cylinder of the same width
+    updateSlosh(body, dt) {
+        const [ax, ay, az] = body.acceleration;
+        const target = [ax, GRAVITY + ay, az];
+        const length = Math.hypot(...target);
+        for (let k = 0; k < 3; k++) target[k] /= length;
+
+        if (body.volume <= 0 || body.depth <= 0) {
+            body.normal = target;
+            body.normalRate = [0, 0, 0];
+            return;
+        }
+
+        const k = 1.841 / Math.max(0.05, body.surfaceRadius);
+        const omega = Math.sqrt(GRAVITY * k * Math.tanh(k * body.depth));
+        const n = body.normal;
+        const w = body.normalRate;
+
+        let remaining = dt;
+        while (remaining > 1e-9) {
+            const h = Math.min(SLOSH_SUBSTEP, remaining);
+            remaining -= h;
+            for (let i = 0; i < 3; i++) {
+                w[i] += (omega * omega * (target[i] - n[i]) - 2 * SLOSH_DAMPING * omega * w[i]) * h;
+                n[i] += w[i] * h;
+            }
+            const norm = Math.hypot(n[0], n[1], n[2]);
+            for (let i = 0; i < 3; i++) n[i] /= norm;
+            // Keep the rate tangent to the unit sphere
+            const along = w[0] * n[0] + w[1] * n[1] + w[2] * n[2];
+            for (let i = 0; i < 3; i++) w[i] -= along * n[i];
+        }
+    }
+
+    // ----------------------------------------
+    // Outflow
+    // source: { id, lip: [x,y,z], direction: [x,0,z] (horizontal, away from the
+    //   axis), axis: container up [x,y,z], head (surface above
+    //   the lowest lip point), tiltSin (sine of the surface-to-mouth angle),
+    //   rimRadius, airVolume (cubic units above the liquid), available (mL) }
+    // ----------------------------------------
+    emit(h, source, result) {
+        if (!source || source.head <= 0 || source.available <= 0) {
+            this.sourceId = null;
+            this.vacuum = 0;
+            this.emitDebt = 0;
+            return;
+        }
+        if (source.id !== this.sourceId) {
+            this.sourceId = source.id;
+            this.vacuum = 0;
+            this.bubbleTimer = 0;
+            this.emitDebt = 0;
+        }
+
+        const R = source.rimRadius;
+        const head = source.head;
+        // How far into the mouth the surface reaches, measured across it
+        const wetted = head / Math.max(source.tiltSin, 1e-3);
+
+        let flow;      // cubic units per second
+        let speed;
+        let crest;     // width of the sheet leaving the lip
+        let thickness; // and its depth over the lip
+        let direction = source.direction;
+        let sealed = false; // only air bubbling in can replace what flows out
+
+        if (wetted < 2 * R) {
+            // Part of the lip is under the surface: a sharp-crested weir
+            crest = 2 * Math.sqrt(wetted * (2 * R - wetted));
+            thickness = (2 / 3) * head;
+            flow = DISCHARGE_COEFFICIENT * (2 / 3) * Math.sqrt(2 * GRAVITY) * crest * Math.pow(head, 1.5);
+            speed = DISCHARGE_COEFFICIENT * Math.sqrt(2 * GRAVITY * head);
+            this.vacuum = 0;
+        } else if (R >= GLUG_RADIUS) {
+            // Mouth under water but wide enough for air to come in over the outflow
+            crest = 2 * R;
+            thickness = R;
+            speed = DISCHARGE_COEFFICIENT * Math.sqrt(2 * GRAVITY * head);
+            flow = 0.5 * Math.PI * R * R * speed;
+            direction = source.axis;
+            this.vacuum = 0;
+        } else {
+            // Flooded narrow neck: liquid out leaves a partial vacuum above the
+            // liquid until it pulls a bubble of air in - the flow glugs
+            crest = 2 * R;
+            thickness = 2 * R;
+            sealed = true;
+            const suction = ATMOSPHERE_HEAD * this.vacuum / Math.max(source.airVolume, 1e-3);
+            const drive = head - suction;
+            this.bubbleTimer -= h;
+            if (drive < BUBBLE_HEAD && this.bubbleTimer <= 0) {
+                const bubble = 4 / 3 * Math.PI * Math.pow(0.8 * R, 3);
+                this.vacuum = Math.max(0, this.vacuum - bubble);
+                this.bubbleTimer = Math.sqrt(2 * R / GRAVITY) * 2;
+            }
+            speed = DISCHARGE_COEFFICIENT * Math.sqrt(2 * GRAVITY * Math.max(0, drive));
+            flow = Math.PI * R * R * speed;
+            direction = source.axis;
+        }
+
+        result.flow = Math.max(result.flow, flow * ML_PER_CUBIC_UNIT);
+        this.emitDebt += flow * ML_PER_CUBIC_UNIT * h;
+
+        // `side` runs across the lip, `rise` through the depth of the sheet
+        const sideX = -source.direction[2];
+        const sideZ = source.direction[0];
+        const rise = [-sideZ * direction[1], sideZ * direction[0] - sideX * direction[2], sideX * direction[1]];
+        const riseLength = Math.hypot(...rise) || 1;
+        const [lx, ly, lz] = source.lip;
+        // Particles leave from a lattice of cells across the sheet, one cell
+        // after another, so they start at rest spacing - randomly placed ones
+        // land on top of each other and blow apart. The middle cell is the core.
+        const spacing = this.h / 2;
+        const columns = Math.max(1, Math.round(crest / spacing));
+        const rows = Math.max(1, Math.round(thickness / spacing));
+        const cells = columns * rows;
+        const coreCell = Math.floor(rows / 2) * columns + Math.floor(columns / 2);
+        const rate = flow * ML_PER_CUBIC_UNIT; // mL/s
+        const body = this.bodies.get(source.id);
+        const [cvx, cvy, cvz] = body ? body.velocity : [0, 0, 0];
+
+        while (this.emitDebt >= this.particleVolume) {
+            if (this.count >= this.capacity || result.emitted + this.particleVolume > source.available + 1e-9) {
+                this.emitDebt = 0;
+                break;
+            }
+            this.emitDebt -= this.particleVolume;
+            result.emitted += this.particleVolume;
+            if (sealed) {
+                this.vacuum += this.particleVolume / ML_PER_CUBIC_UNIT;
+            }
+
+            const i = this.count++;
+            const cell = this.emitIndex++ % cells;
+            const isCore = cell === coreCell;
+            const across = ((cell % columns) - (columns - 1) / 2 + (this.random() - 0.5) * EMIT_JITTER) * spacing;
+            const up = (Math.floor(cell / columns) + 0.5 + (this.random() - 0.5) * EMIT_JITTER) * spacing / riseLength;
+            // How long ago within this substep the particle was due out
+            const age = rate > 0 ? Math.min(h, this.emitDebt / rate) : 0;
+            const along = speed * age;
+
+            this.px[i] = lx + sideX * across + rise[0] * up + direction[0] * (this.radius + along);
+            this.py[i] = ly + rise[1] * up + direction[1] * (this.radius + along);
+            this.pz[i] = lz + sideZ * across + rise[2] * up + direction[2] * (this.radius + along);
+            this.ox[i] = this.px[i];
+            this.oy[i] = this.py[i];
+            this.oz[i] = this.pz[i];
+            this.vx[i] = direction[0] * speed + cvx;
+            this.vy[i] = direction[1] * speed + cvy;
+            this.vz[i] = direction[2] * speed + cvz;
+            this.born[i] = this.time - age;
+            this.settled[i] = 0;
+            this.core[i] = isCore ? 1 : 0;
+            this.struck[i] = 0;
+        }
+    }
+
+    // ----------------------------------------
+    // Overflow
+    // ----------------------------------------
+
+    // `volume` mL did not fit in container `id`. It runs over the lowest
+    // point of the brim or, with the surface level, the side facing
+    // `toward` (world [x, z], e.g. where the stream came from).
+    queueOverflow({ id, volume, toward }) {
+        const overflow = this.overflows.get(id) || { volume: 0, due: 0, idle: 0, toward };
+        overflow.volume += volume;
+        overflow.idle = 0;
+        overflow.toward = toward;
+        this.overflows.set(id, overflow);
+    }
+
+    // Release queued overflow as a sheet of particles just outside the rim,
+    // moving down the outer wall. They start at rest spacing, as in emit().
+    release(h, result) {
+        const side = [0, 0, 0];
+        const rim = [0, 0, 0];
+        const outward = [0, 0, 0];
+        const foot = [0, 0, 0];
+
+        for (const [id, overflow] of this.overflows) {
+            const body = this.bodies.get(id);
+            if (!body || !body.tracked) {
+                // Nowhere to run down: it lands where the container stood
+                const [x, , z] = body ? body.position : [0, 0, 0];
+                const { platforms, tableTop } = this.environment;
+                this.addSpill(result, x, floorAt(platforms, tableTop, x, z), z, overflow.volume);
+                this.overflows.delete(id);
+                continue;
+            }
+
+            // Downhill across the mouth, in the container's frame
+            transformDirection(body.inverse, body.normal[0], body.normal[1], body.normal[2], side);
+            let dx = -side[0];
+            let dz = -side[2];
+            if (Math.hypot(dx, dz) < LEVEL_TILT * Math.hypot(...side)) {
+                transformDirection(body.inverse, overflow.toward[0], 0, overflow.toward[1], side);
+                [dx, , dz] = side;
+            }
+            const length = Math.hypot(dx, dz);
+            if (length > 1e-9) {
+                dx /= length;
+                dz /= length;
+            } else {
+                dx = 1;
+                dz = 0;
+            }
+            result.overflow[id] = [dx, dz];
+
+            const pr = this.radius / body.scale;
+            const rimOuter = radiusAt(body, body.top) + WALL_THICKNESS + pr * 1.1;
+            transformPoint(body.matrix, dx * rimOuter, body.top, dz * rimOuter, rim);
+            transformDirection(body.matrix, dx, 0, dz, outward);
+            const outwardLength = Math.hypot(...outward) || 1;
+            for (let k = 0; k < 3; k++) outward[k] /= outwardLength;
+            const tangentX = -outward[2];
+            const tangentZ = outward[0];
+
+            // A lattice across the arc and out from the wall; each row leaves
+            // one spacing behind the last
+            const spacing = this.h / 2;
+            const columns = Math.max(1, Math.round(OVERFLOW_ARC * rimOuter * body.scale / spacing));
+            const cellRate = OVERFLOW_MAX_SPEED / spacing * columns * OVERFLOW_LAYERS; // particles/s
+            const rate = Math.min(Math.max(OVERFLOW_RATE, overflow.volume / OVERFLOW_LAG), cellRate * this.particleVolume); // mL/s
+            const perSecond = rate / this.particleVolume;
+            const layers = Math.min(OVERFLOW_LAYERS, Math.ceil(perSecond * spacing / (columns * OVERFLOW_SPEED)));
+            const speed = perSecond * spacing / (columns * layers);
+            const [cvx, cvy, cvz] = body.velocity;
+
+            overflow.due = Math.min(overflow.volume, overflow.due + rate * h);
+            while (overflow.due >= this.particleVolume && this.count < this.capacity) {
+                overflow.due -= this.particleVolume;
+                overflow.volume -= this.particleVolume;
+
+                const i = this.count++;
+                const cell = this.emitIndex++ % (columns * layers);
+                const across = ((cell % columns) - (columns - 1) / 2 + (this.random() - 0.5) * EMIT_JITTER) * spacing;
+                const out = Math.floor(cell / columns) * spacing;
+                const age = Math.min(h, overflow.due / rate);
+                const down = speed * age;
+
+                this.px[i] = rim[0] + tangentX * across + outward[0] * out;
+                this.py[i] = rim[1] + outward[1] * out - down;
+                this.pz[i] = rim[2] + tangentZ * across + outward[2] * out;
+                this.ox[i] = this.px[i];
+                this.oy[i] = this.py[i];
+                this.oz[i] = this.pz[i];
+                this.vx[i] = cvx;
+                this.vy[i] = cvy - speed;
+                this.vz[i] = cvz;
+                this.born[i] = this.time - age;
+                this.settled[i] = 0;
+                this.core[i] = 0;
+                this.struck[i] = 0;
+            }
+
+            // Less than a particle left and no more coming: it trickles
+            // straight down to the foot
+            overflow.idle += h;
+            if (overflow.volume < this.particleVolume && overflow.idle >= OVERFLOW_LAG) {
+                const footRadius = body.maxRadius + WALL_THICKNESS + pr;
+                transformPoint(body.matrix, dx * footRadius, body.bottom, dz * footRadius, foot);
+                if (overflow.volume > 0) {
+                    const { platforms, tableTop } = this.environment;
+                    this.addSpill(result, foot[0], floorAt(platforms, tableTop, foot[0], foot[2]), foot[2], overflow.volume);
+                }
+                this.overflows.delete(id);
+            }
+        }
+    }
+
+    // ----------------------------------------
+    // SPH
+    // ----------------------------------------
+    hashCell(ix, iy, iz) {
+        return (Math.imul(ix, 73856093) ^ Math.imul(iy, 19349663) ^ Math.imul(iz, 83492791)) & this.cellMask;
+    }
+
+    // Counting sort of particles into hashed cells of size h
+    buildGrid() {
+        const { cellStart, cellOf, sorted, h } = this;
+        cellStart.fill(0);
+        for (let i = 0; i < this.count; i++) {
+            const cell = this.hashCell(Math.floor(this.px[i] / h), Math.floor(this.py[i] / h), Math.floor(this.pz[i] / h));
+            cellOf[i] = cell;
+            cellStart[cell + 1]++;
+        }
+        for (let c = 0; c < this.cellMask + 1; c++) cellStart[c + 1] += cellStart[c];
+        const fill = cellStart.slice(0, this.cellMask + 1);
+        for (let i = 0; i < this.count; i++) sorted[fill[cellOf[i]]++] = i;
+    }
+
+    // Distinct hashed cells around particle i, written to this.visited
+    neighbourCells(i) {
+        const { h, visited } = this;
+        const cx = Math.floor(this.px[i] / h);
+        const cy = Math.floor(this.py[i] / h);
+        const cz = Math.floor(this.pz[i] / h);
+        let n = 0;
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dz = -1; dz <= 1; dz++) {
+                    const cell = this.hashCell(cx + dx, cy + dy, cz + dz);
+                    let seen = false;
+                    for (let k = 0; k < n; k++) {
+                        if (visited[k] === cell) { seen = true; break; }
+                    }
+                    if (!seen) visited[n++] = cell;
+                }
+            }
+        }
+        return n;
+    }
+
+    computeDensity() {
+        const { h, cellStart, sorted, visited, px, py, pz } = this;
+        const h2 = h * h;
+        const stiffness = SOUND_SPEED * SOUND_SPEED;
+
+        for (let i = 0; i < this.count; i++) {
+            let density = 0;
+            const cells = this.neighbourCells(i);
+            for (let c = 0; c < cells; c++) {
+                for (let k = cellStart[visited[c]]; k < cellStart[visited[c] + 1]; k++) {
+                    const j = sorted[k];
+                    const dx = px[i] - px[j];
+                    const dy = py[i] - py[j];
+                    const dz = pz[i] - pz[j];
+                    const r2 = dx * dx + dy * dy + dz * dz;
+                    if (r2 < h2) {
+                        const q = h2 - r2;
+                        density += q * q * q;
+                    }
+                }
+            }
+            this.density[i] = density * this.mass * this.poly6;
+            // Free surface: no tension, so pressure never pulls
+            this.pressure[i] = Math.max(0, stiffness * (this.density[i] - 1));
+        }
+    }
+
+    computeForces() {
+        const { h, cellStart, sorted, visited, px, py, pz, vx, vy, vz, density, pressure, mass, spiky } = this;
+        const h2 = h * h;
+
+        for (let i = 0; i < this.count; i++) {
+            let ax = 0;
+            let ay = 0;
+            let az = 0;
+            const pi = pressure[i] / (density[i] * density[i]);
+            const cells = this.neighbourCells(i);
+
+            for (let c = 0; c < cells; c++) {
+                for (let k = cellStart[visited[c]]; k < cellStart[visited[c] + 1]; k++) {
+                    const j = sorted[k];
+                    if (j === i) continue;
+                    const dx = px[i] - px[j];
+                    const dy = py[i] - py[j];
+                    const dz = pz[i] - pz[j];
+                    const r2 = dx * dx + dy * dy + dz * dz;
+                    if (r2 >= h2 || r2 < 1e-12) continue;
+
+                    const r = Math.sqrt(r2);
+                    const q = h - r;
+                    // Pressure pushes apart along the spiky kernel gradient
+                    const push = mass * (pi + pressure[j] / (density[j] * density[j])) * spiky * q * q / r;
+                    // Viscosity evens out neighbouring velocities
+                    const drag = VISCOSITY * mass / density[j] * spiky * q;
+                    ax += push * dx + drag * (vx[j] - vx[i]);
+                    ay += push * dy + drag * (vy[j] - vy[i]);
+                    az += push * dz + drag * (vz[j] - vz[i]);
+                }
+            }
+            this.ax[i] = ax;
+            this.ay[i] = ay - GRAVITY;
+            this.az[i] = az;
+        }
+    }
+
+    integrate(h) {
+        for (let i = 0; i < this.count; i++) {
+            this.ox[i] = this.px[i];
+            this.oy[i] = this.py[i];
+            this.oz[i] = this.pz[i];
+
+            this.vx[i] += this.ax[i] * h;
+            this.vy[i] += this.ay[i] * h;
+            this.vz[i] += this.az[i] * h;
+            const speed = Math.hypot(this.vx[i], this.vy[i], this.vz[i]);
+            if (speed > MAX_SPEED) {
+                const scale = MAX_SPEED / speed;
+                this.vx[i] *= scale;
+                this.vy[i] *= scale;
+                this.vz[i] *= scale;
+            }
+
+            this.px[i] += this.vx[i] * h;
+            this.py[i] += this.vy[i] * h;
+            this.pz[i] += this.vz[i] * h;
+        }
+    }
+
+    // ----------------------------------------
+    // Collisions, capture and spills
+    // ----------------------------------------
+    collide(h, result) {
+        const local = [0, 0, 0];
+        const previous = [0, 0, 0];
+        const world = [0, 0, 0];
+        const normal = [0, 0, 0];
+        const { tableTop, minX, maxX, minZ, maxZ, platforms } = this.environment;
+
+        for (let i = this.count - 1; i >= 0; i--) {
+            let removed = false;
+
+            for (const body of this.bodies.values()) {
+                if (!body.active || body.id === this.sourceId) continue;
+                const outcome = this.collideBody(i, body, result, local, previous, world, normal);
+                if (outcome === 'captured') {
+                    result.captured[body.id] = (result.captured[body.id] || 0) + this.particleVolume;
+                    this.recordImpact(result, i);
+                    this.kickSurface(body, i);
+                    this.removeParticle(i);
+                    removed = true;
+                    break;
+                }
+            }
+            if (removed) continue;
+
+            // The sides of platforms, then the bench top or the platform under it
+            this.collidePlatforms(i, platforms);
+            const floor = floorAt(platforms, tableTop, this.px[i], this.pz[i]);
+            const onBench = this.px[i] >= minX && this.px[i] <= maxX && this.pz[i] >= minZ && this.pz[i] <= maxZ;
+            if (onBench && this.py[i] < floor + this.radius && this.oy[i] >= floor - this.radius) {
+                this.py[i] = floor + this.radius;
+                if (this.vy[i] < 0) this.vy[i] = -this.vy[i] * RESTITUTION;
+                const friction = Math.exp(-TABLE_FRICTION * h);
+                this.vx[i] *= friction;
+                this.vz[i] *= friction;
+                if (!this.struck[i]) this.recordImpact(result, i);
+                this.struck[i] = 1;
+
+                if (Math.hypot(this.vx[i], this.vy[i], this.vz[i]) < SETTLE_SPEED) {
+                    this.settled[i] += h;
+                } else {
+                    this.settled[i] = 0;
+                }
+            }
+
+            if (this.settled[i] >= SETTLE_TIME || this.py[i] < tableTop - FALL_LIMIT ||
+                this.time - this.born[i] > MAX_LIFE) {
+                this.addSpill(result, this.px[i], Math.max(floor, this.py[i]), this.pz[i]);
+                this.removeParticle(i);
+            }
+        }
+    }
+
+    // Particle i running into the side of a platform below its top goes
+    // back out the way it came
+    collidePlatforms(i, platforms) {
+        for (const platform of platforms) {
+            if (this.py[i] >= platform.top - this.radius || !covers(platform, this.px[i], this.pz[i]) ||
+                covers(platform, this.ox[i], this.oz[i])) continue;
+            this.px[i] = this.ox[i];
+            this.pz[i] = this.oz[i];
+            this.vx[i] *= -RESTITUTION;
+            this.vz[i] *= -RESTITUTION;
+        }
+    }
+
+    // Wall, rim and cavity of one container against particle i.
+    // Returns 'captured' when the particle has joined the liquid inside.
+    collideBody(i, body, result, local, previous, world, normal) {
+        const pr = this.radius / body.scale;
+        transformPoint(body.inverse, this.px[i], this.py[i], this.pz[i], local);
+        transformPoint(body.inverse, this.ox[i], this.oy[i], this.oz[i], previous);
+
+        const [x, y, z] = local;
+        const r = Math.hypot(x, z);
+        const reach = body.maxRadius + WALL_THICKNESS + pr;
+        if (r > reach && Math.hypot(previous[0], previous[2]) > reach) return null;
+        if (y > body.top + pr && previous[1] > body.top + pr) return null;
+        if (y < body.bottom - pr && previous[1] < body.bottom - pr) return null;
+
+        const rimInner = radiusAt(body, body.top);
+
+        // Falling onto the glass lip: back on top of it, free to run off either side
+        if (previous[1] >= body.top && y < body.top + pr && r > rimInner - pr && r < rimInner + WALL_THICKNESS + pr) {
+            transformPoint(body.matrix, x, body.top + pr, z, world);
+            this.px[i] = world[0];
+            this.py[i] = world[1];
+            this.pz[i] = world[2];
+            transformDirection(body.matrix, 0, 1, 0, normal);
+            this.reflect(i, normal, body);
+            if (!this.struck[i]) this.recordImpact(result, i);
+            this.struck[i] = 1;
+            return null;
+        }
+        if (y > body.top || y < body.bottom) return null;
+
+        const inner = radiusAt(body, y);
+        const middle = inner + WALL_THICKNESS / 2;
+        const previousR = Math.hypot(previous[0], previous[2]);
+        const wasInside = previousR < radiusAt(body, Math.max(body.bottom, Math.min(body.top, previous[1]))) + WALL_THICKNESS / 2;
+
+        // Inside the cavity: caught once it reaches the liquid (or the base)
+        if (wasInside && r < inner && (this.py[i] <= body.surfaceY + this.radius || y <= body.bottom + pr)) {
+            return 'captured';
+        }
+
+        // Through or into the wall: put it back on the side it came from
+        const inWall = Math.abs(r - middle) < WALL_THICKNESS / 2 + pr;
+        if (!inWall && wasInside === (r < middle)) return null;
+
+        const radial = r > 1e-9 ? [x / r, z / r] : [1, 0];
+        const target = wasInside ? inner - pr : inner + WALL_THICKNESS + pr;
+        transformPoint(body.matrix, radial[0] * target, y, radial[1] * target, world);
+        this.px[i] = world[0];
+        this.py[i] = world[1];
+        this.pz[i] = world[2];
+
+        const sign = wasInside ? -1 : 1; // normal pointing back toward where it came from
+        transformDirection(body.matrix, radial[0] * sign, 0, radial[1] * sign, normal);
+        this.reflect(i, normal, body);
+        if (!this.struck[i]) this.recordImpact(result, i);
+        this.struck[i] = 1;
+        return null;
+    }
+
+    // Reflect the velocity relative to the (moving) container
+    reflect(i, normal, body) {
+        const [bx, by, bz] = body.velocity;
+        const rx = this.vx[i] - bx;
+        const ry = this.vy[i] - by;
+        const rz = this.vz[i] - bz;
+        const into = rx * normal[0] + ry * normal[1] + rz * normal[2];
+        if (into >= 0) return;
+        const k = (1 + RESTITUTION) * into;
+        this.vx[i] -= k * normal[0];
+        this.vy[i] -= k * normal[1];
+        this.vz[i] -= k * normal[2];
+    }
+
+    // A caught particle's sideways momentum rocks the surface it lands in
+    kickSurface(body, i) {
+        const liquid = body.volume / ML_PER_CUBIC_UNIT;
+        if (liquid <= 0) return;
+        const share = this.mass / (liquid + this.mass) * IMPACT_COUPLING / Math.max(0.05, body.surfaceRadius);
+        body.normalRate[0] += (this.vx[i] - body.velocity[0]) * share;
+        body.normalRate[2] += (this.vz[i] - body.velocity[2]) * share;
+    }
+
+    // Where a particle first hit something, for splash effects
+    recordImpact(result, i) {
+        if (result.impacts.length < MAX_IMPACTS * 3) {
+            result.impacts.push(this.px[i], this.py[i], this.pz[i]);
+        }
+    }
+
+    addSpill(result, x, y, z, v = this.particleVolume) {
+        const key = `${Math.round(x / SPILL_CELL)},${Math.round(z / SPILL_CELL)}`;
+        const spill = result.spills.get(key) || { x: 0, y: 0, z: 0, volume: 0 };
+        spill.x += x * v;
+        spill.y += y * v;
+        spill.z += z * v;
+        spill.volume += v;
+        result.spills.set(key, spill);
+    }
+
+    removeParticle(i) {
+        const last = --this.count;
+        if (i === last) return;
+        for (const array of [this.px, this.py, this.pz, this.ox, this.oy, this.oz, this.vx, this.vy, this.vz,
+            this.born, this.settled, this.core, this.struck]) {
+            array[i] = array[last];
+        }
+    }
+
+    // ----------------------------------------
+    // Output
+    // ----------------------------------------
+    getPositions() {
+        const positions = new Float32Array(this.count * 3);
+        for (let i = 0; i < this.count; i++) {
+            positions[i * 3] = this.px[i];
+            positions[i * 3 + 1] = this.py[i];
+            positions[i * 3 + 2] = this.pz[i];
+        }
+        return positions;
+    }
+
+    // 0 in the air, rising to 1 as a particle settles into a puddle
+    getFades() {
+        const fades = new Float32Array(this.count);
+        for (let i = 0; i < this.count; i++) {
+            fades[i] = Math.min(1, this.settled[i] / SETTLE_TIME);
+        }
+        return fades;
+    }
+
+    // Centre line of the unbroken stream, newest (at the lip) first: the
+    // on-axis particles that have not hit anything yet, cut at the first gap
+    getSpine() {
+        const core = [];
+        for (let i = 0; i < this.count; i++) {
+            if (this.core[i] && !this.struck[i]) core.push(i);
+        }
+        core.sort((a, b) => this.born[b] - this.born[a]);
+
+        const gap = 4 * this.h;
+        const points = [];
+        for (const i of core) {
+            if (points.length > 0) {
+                const [x, y, z] = points[points.length - 1];
+                if (Math.hypot(this.px[i] - x, this.py[i] - y, this.pz[i] - z) > gap) break;
+            }
+            points.push([this.px[i], this.py[i], this.pz[i]]);
+            if (points.length === SPINE_POINTS) break;
+        }
+        return new Float32Array(points.flat());
+    }
+
+    // Radius of a round jet carrying `flow` mL/s at the speed of the stream
+    getStreamRadius(flow) {
+        if (flow <= 0) return 0;
+        const speed = Math.max(1, Math.sqrt(2 * GRAVITY * 0.5));
+        return Math.max(this.radius * 0.5, Math.min(0.12, Math.sqrt(flow / ML_PER_CUBIC_UNIT / (Math.PI * speed))));
+    }
+}
@@ -0,0 +1,37 @@
+// ============================================
+// FLUID WORKER
+// Runs the fluid solver off the main thread. Messages in:
+//
+//   { type: 'configure', quality, environment, seed }
+//   { type: 'containers', containers }      see FluidSolver.setContainers
+//   { type: 'reset' }
+//   { type: 'step', dt, state, generation } see FluidSolver.step
+//
+// Every step is answered with its result, tagged with the generation it
+// was sent in; particle buffers are transferred, not copied.
+// ============================================
+import { FluidSolver } from './fluid-solver.js';
+
+const solver = new FluidSolver();
+
+self.onmessage = ({ data }) => {
+    switch (data.type) {
+        case 'configure':
+            if (data.environment) solver.setEnvironment(data.environment);
+            if (data.quality) solver.setQuality(data.quality);
+            if (data.seed !== undefined) solver.setSeed(data.seed);
+            break;
+        case 'containers':
+            solver.setContainers(data.containers);
+            break;
+        case 'reset':
+            solver.reset();
+            break;
+        case 'step': {
+            const result = solver.step(data.dt, data.state);
+            result.generation = data.generation;
+            self.postMessage(result, [result.positions.buffer, result.fades.buffer, result.impacts.buffer, result.spine.buffer]);
+            break;
+        }
+    }
+};
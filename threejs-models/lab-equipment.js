@@ -0,0 +1,1481 @@
+// ============================================
+// LAB EQUIPMENT LIBRARY
+// Side-effect-free factories for the laboratory glassware models.
+// Every factory builds its model with the base resting on y = 0 and
+// returns a THREE.Group; callers place it in their own scene.
+//
+//   import { createLabMaterials, createBeaker } from './lab-equipment.js';
+//   const materials = createLabMaterials();
+//   const beaker = createBeaker({ materials, liquidHeight: 2.0, liquidColor: 0xff9800 });
+//
+// Pass the same `materials` to every factory to share them between models.
+// ============================================
+import * as THREE from 'three';
+
+// ============================================
+// MATERIALS
+// ============================================
+export function createLabMaterials() {
+    const glass = new THREE.MeshPhysicalMaterial({
+        color: 0xeef8fc,
+        metalness: 0.0,
+        roughness: 0.05,
+        transmission: 0.95,
+        thickness: 0.5,
+        ior: 1.52,
+        clearcoat: 1.0,
+        clearcoatRoughness: 0.1,
+        envMapIntensity: 1.0,
+        transparent: true,
+        opacity: 0.3,
+        side: THREE.DoubleSide
+    });
+
+    // Borosilicate glass - slight greenish-blue tint characteristic of lab glass
+    const borosilicateGlass = new THREE.MeshPhysicalMaterial({
+        color: 0xe8f5f0,  // Slight green-blue tint
+        metalness: 0.0,
+        roughness: 0.02,
+        transmission: 0.98,
+        thickness: 1.2,
+        ior: 1.474,  // Borosilicate glass IOR
+        clearcoat: 1.0,
+        clearcoatRoughness: 0.05,
+        envMapIntensity: 1.5,
+        transparent: true,
+        opacity: 0.15,
+        side: THREE.DoubleSide,
+        attenuationColor: new THREE.Color(0xddf5ee),
+        attenuationDistance: 2.0,
+        specularIntensity: 1.0,
+        specularColor: new THREE.Color(0xffffff),
+        sheen: 0.1,
+        sheenColor: new THREE.Color(0xaaddcc)
+    });
+
+    // Ground glass joint material - frosted appearance
+    const groundGlass = new THREE.MeshPhysicalMaterial({
+        color: 0xf0f5f3,
+        metalness: 0.0,
+        roughness: 0.6,  // Frosted surface
+        transmission: 0.4,
+        thickness: 0.8,
+        ior: 1.474,
+        clearcoat: 0.3,
+        clearcoatRoughness: 0.8,
+        transparent: true,
+        opacity: 0.85,
+        side: THREE.DoubleSide
+    });
+
+    const ptfe = new THREE.MeshStandardMaterial({
+        color: 0x404040,
+        metalness: 0.1,
+        roughness: 0.4
+    });
+
+    const liquid = new THREE.MeshPhysicalMaterial({
+        color: 0x4fc3f7,
+        metalness: 0.0,
+        roughness: 0.1,
+        transmission: 0.6,
+        thickness: 1.0,
+        ior: 1.33,
+        transparent: true,
+        opacity: 0.7
+    });
+
+    // Enhanced liquid for flasks - aqueous solution
+    const aqueousSolution = new THREE.MeshPhysicalMaterial({
+        color: 0x5ecfff,
+        metalness: 0.0,
+        roughness: 0.0,
+        transmission: 0.85,
+        thickness: 2.0,
+        ior: 1.333,  // Water
+        transparent: true,
+        opacity: 0.6,
+        attenuationColor: new THREE.Color(0x3399cc),
+        attenuationDistance: 1.5,
+        side: THREE.DoubleSide
+    });
+
+    const plasticCap = new THREE.MeshStandardMaterial({
+        color: 0xeeeeee,
+        metalness: 0.0,
+        roughness: 0.3
+    });
+
+    // Cork stopper material
+    const cork = new THREE.MeshStandardMaterial({
+        color: 0xc4a574,
+        metalness: 0.0,
+        roughness: 0.9,
+        bumpScale: 0.02
+    });
+
+    // Polypropylene - translucent, slightly milky plastic of centrifuge tubes
+    const polypropylene = new THREE.MeshPhysicalMaterial({
+        color: 0xf4f6f6,
+        metalness: 0.0,
+        roughness: 0.35,
+        transmission: 0.6,
+        thickness: 0.3,
+        ior: 1.49,
+        transparent: true,
+        opacity: 0.35,
+        side: THREE.DoubleSide
+    });
+
+    // Moulded body of hand-held instruments (micropipettes)
+    const instrumentBody = new THREE.MeshStandardMaterial({
+        color: 0xe9e9e4,
+        metalness: 0.0,
+        roughness: 0.45
+    });
+
+    // Printed graduations on plastic ware
+    const printedMark = new THREE.MeshBasicMaterial({
+        color: 0x263238,
+        transparent: true,
+        opacity: 0.75
+    });
+
+    return {
+        glass, borosilicateGlass, groundGlass, ptfe, liquid, aqueousSolution,
+        plasticCap, cork, polypropylene, instrumentBody, printedMark
+    };
+}
+
+// Liquid material for a model: a tinted clone of `base` when a colour is given
+function liquidMaterialFor(base, color) {
+    const material = base.clone();
+    if (color !== undefined) {
+        material.color.set(color);
+        if (material.attenuationColor) {
+            material.attenuationColor.set(color).multiplyScalar(0.7);
+        }
+    }
+    return material;
+}
+
+// Liquid body filling an inner profile up to `height`, pulled in from the wall by `inset`
+function liquidProfileBelow(inner, height, inset = 0.02) {
+    const points = [];
+    for (let i = 0; i < inner.length; i++) {
+        const p = inner[i];
+        if (p.y >= height) {
+            const prev = inner[i - 1];
+            const t = prev && p.y > prev.y ? (height - prev.y) / (p.y - prev.y) : 1;
+            const r = prev ? prev.x + (p.x - prev.x) * t : p.x;
+            points.push(new THREE.Vector2(Math.max(0.001, r - inset), height));
+            break;
+        }
+        points.push(new THREE.Vector2(Math.max(0.001, p.x - inset), p.y + (i === 0 ? 0.01 : 0)));
+    }
+    points.push(new THREE.Vector2(0.001, height));
+    return points;
+}
+
+// Short arcs on the front of a straight-walled vessel.
+// marks: heights, or { y, major } with major marks drawn longer.
+function createGraduationMarks(marks, radius, material) {
+    const group = new THREE.Group();
+    const minor = new THREE.TorusGeometry(radius + 0.01, 0.006, 4, 8, 0.12);
+    const major = new THREE.TorusGeometry(radius + 0.01, 0.008, 4, 12, 0.3);
+
+    marks.forEach(mark => {
+        const { y, major: isMajor } = typeof mark === 'number' ? { y: mark, major: true } : mark;
+        const geometry = isMajor ? major : minor;
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.rotation.x = Math.PI / 2;
+        mesh.rotation.z = Math.PI / 2 - geometry.parameters.arc / 2;  // Centred facing +Z
+        mesh.position.y = y;
+        group.add(mesh);
+    });
+    return group;
+}
+
+// ============================================
+// PROFILES
+// Lathe profiles of the glass walls, shared by the factories and by
+// anything that needs the real inner shape (e.g. volume calculations).
+// ============================================
+export const BEAKER_DEFAULTS = {
+    height: 3.2,
+    bottomRadius: 1.15,
+    topRadius: 1.35,  // Slight taper outward
+    wallThickness: 0.06,
+    bottomThickness: 0.08
+};
+
+export function createBeakerProfiles(options = {}) {
+    const { height, bottomRadius, topRadius, wallThickness, bottomThickness } = { ...BEAKER_DEFAULTS, ...options };
+
+    const outer = [];
+    // Flat bottom with small corner radius
+    outer.push(new THREE.Vector2(0.001, 0));  // Center bottom
+    outer.push(new THREE.Vector2(bottomRadius - 0.15, 0));
+    outer.push(new THREE.Vector2(bottomRadius - 0.05, 0.02));
+    outer.push(new THREE.Vector2(bottomRadius, 0.08));  // Corner
+    // Straight tapered wall
+    outer.push(new THREE.Vector2(topRadius, height));
+    // Rolled rim (beaded edge)
+    outer.push(new THREE.Vector2(topRadius + 0.06, height + 0.02));
+    outer.push(new THREE.Vector2(topRadius + 0.08, height + 0.06));
+    outer.push(new THREE.Vector2(topRadius + 0.05, height + 0.10));
+    outer.push(new THREE.Vector2(topRadius - wallThickness, height + 0.08));
+
+    const inner = [];
+    inner.push(new THREE.Vector2(0.001, bottomThickness));
+    inner.push(new THREE.Vector2(bottomRadius - wallThickness - 0.1, bottomThickness));
+    inner.push(new THREE.Vector2(bottomRadius - wallThickness, bottomThickness + 0.05));
+    inner.push(new THREE.Vector2(topRadius - wallThickness, height));
+    inner.push(new THREE.Vector2(topRadius - wallThickness, height + 0.06));
+
+    return { outer, inner };
+}
+
+export const ERLENMEYER_DEFAULTS = {
+    bodyHeight: 2.8,        // Height of conical section
+    neckHeight: 1.0,        // Cylindrical neck
+    bottomRadius: 1.6,      // Wide base
+    neckRadius: 0.32,       // Narrow neck
+    wallThickness: 0.05,
+    bottomThickness: 0.07,
+    power: 1.8,             // Higher power = more cone-like at bottom, sharper curve near top
+    curveSteps: 40
+};
+
+export function createErlenmeyerProfiles(options = {}) {
+    const {
+        bodyHeight, neckHeight, bottomRadius, neckRadius,
+        wallThickness, bottomThickness, power, curveSteps
+    } = { ...ERLENMEYER_DEFAULTS, ...options };
+
+    const outer = [];
+    // Flat bottom
+    outer.push(new THREE.Vector2(0.001, 0));
+    outer.push(new THREE.Vector2(bottomRadius - 0.2, 0));
+    outer.push(new THREE.Vector2(bottomRadius - 0.08, 0.02));
+    outer.push(new THREE.Vector2(bottomRadius, 0.08));
+    outer.push(new THREE.Vector2(bottomRadius, 0.12));
+
+    // Single continuous curve from bottom to neck using power function
+    // r = neckRadius + (bottomRadius - neckRadius) * (1 - t)^power
+    const curveStartY = 0.12;
+    const curveHeight = bodyHeight - curveStartY;
+    for (let i = 1; i <= curveSteps; i++) {
+        const t = i / curveSteps;
+        const y = curveStartY + curveHeight * t;
+        const r = neckRadius + (bottomRadius - neckRadius) * Math.pow(1 - t, power);
+        outer.push(new THREE.Vector2(r, y));
+    }
+
+    // Cylindrical neck
+    outer.push(new THREE.Vector2(neckRadius, bodyHeight));
+    outer.push(new THREE.Vector2(neckRadius, bodyHeight + neckHeight));
+
+    // Rolled rim
+    outer.push(new THREE.Vector2(neckRadius + 0.05, bodyHeight + neckHeight + 0.02));
+    outer.push(new THREE.Vector2(neckRadius + 0.06, bodyHeight + neckHeight + 0.06));
+    outer.push(new THREE.Vector2(neckRadius + 0.03, bodyHeight + neckHeight + 0.09));
+    outer.push(new THREE.Vector2(neckRadius - wallThickness, bodyHeight + neckHeight + 0.07));
+
+    // Inner profile - follows the same curve logic
+    const inner = [];
+    const innerBottomR = bottomRadius - wallThickness;
+    const innerNeckR = neckRadius - wallThickness;
+
+    inner.push(new THREE.Vector2(0.001, bottomThickness));
+    inner.push(new THREE.Vector2(innerBottomR - 0.15, bottomThickness));
+    inner.push(new THREE.Vector2(innerBottomR, bottomThickness + 0.05));
+
+    const innerCurveStartY = bottomThickness + 0.05;
+    const innerCurveHeight = bodyHeight - innerCurveStartY;
+    for (let i = 1; i <= curveSteps; i++) {
+        const t = i / curveSteps;
+        const y = innerCurveStartY + innerCurveHeight * t;
+        const r = innerNeckR + (innerBottomR - innerNeckR) * Math.pow(1 - t, power);
+        inner.push(new THREE.Vector2(r, y));
+    }
+    inner.push(new THREE.Vector2(innerNeckR, bodyHeight + neckHeight));
+
+    return { outer, inner };
+}
+
+// ============================================
+// MODEL FACTORIES
+// Common options: materials (from createLabMaterials), radialSegments,
+// liquidHeight, liquidColor and showLiquid (false for empty glassware).
+// ============================================
+
+export function createStirBar(options = {}) {
+    const {
+        materials = createLabMaterials(),
+        length = 1.8,      // Total length
+        radius = 0.22,     // Radius of the bar
+        segments = 24,
+        radialSegments = 32
+    } = options;
+    const group = new THREE.Group();
+
+    // Capsule profile: top center -> top hemisphere -> cylinder side -> bottom hemisphere -> bottom center
+    const capsulePoints = [];
+    capsulePoints.push(new THREE.Vector2(0.001, length / 2));
+
+    // Top hemisphere (quarter circle from top to side)
+    for (let i = 1; i <= segments; i++) {
+        const angle = (Math.PI / 2) * (i / segments);
+        const r = Math.sin(angle) * radius;
+        const y = (length / 2 - radius) + Math.cos(angle) * radius;
+        capsulePoints.push(new THREE.Vector2(r, y));
+    }
+
+    // Cylinder side - just need the bottom point since top is from hemisphere
+    capsulePoints.push(new THREE.Vector2(radius, -(length / 2 - radius)));
+
+    // Bottom hemisphere (quarter circle from side to bottom)
+    for (let i = 1; i <= segments; i++) {
+        const angle = (Math.PI / 2) * (i / segments);
+        const r = Math.cos(angle) * radius;
+        const y = -(length / 2 - radius) - Math.sin(angle) * radius;
+        capsulePoints.push(new THREE.Vector2(r, y));
+    }
+    capsulePoints.push(new THREE.Vector2(0.001, -length / 2));
+
+    const capsuleGeometry = new THREE.LatheGeometry(capsulePoints, radialSegments);
+    const stirBar = new THREE.Mesh(capsuleGeometry, materials.ptfe.clone());
+    stirBar.castShadow = true;
+    stirBar.receiveShadow = true;
+
+    // Lying flat on its side
+    stirBar.rotation.x = Math.PI / 2;
+    stirBar.position.y = radius;
+
+    // Subtle center ridge (characteristic of many stir bars)
+    const ridgeGeometry = new THREE.TorusGeometry(radius + 0.01, 0.015, 8, radialSegments);
+    const ridgeMaterial = new THREE.MeshStandardMaterial({
+        color: 0x505050,
+        metalness: 0.2,
+        roughness: 0.3
+    });
+    const ridge = new THREE.Mesh(ridgeGeometry, ridgeMaterial);
+    ridge.rotation.x = Math.PI / 2;
+    ridge.position.y = radius;
+
+    group.add(stirBar);
+    group.add(ridge);
+
+    return group;
+}
+
+// Beaker options: BEAKER_DEFAULTS dimensions, graduations (heights of the marks)
+export function createBeaker(options = {}) {
+    const {
+        materials = createLabMaterials(),
+        showLiquid = true,
+        radialSegments = 64,
+        liquidHeight = 1.6,
+        liquidColor,
+        graduations = [0.7, 1.3, 1.9, 2.5, 3.1]
+    } = options;
+    const { height, bottomRadius, topRadius, wallThickness, bottomThickness } = { ...BEAKER_DEFAULTS, ...options };
+    const group = new THREE.Group();
+    const profiles = createBeakerProfiles(options);
+
+    const outerGeometry = new THREE.LatheGeometry(profiles.outer, radialSegments);
+    const beakerOuter = new THREE.Mesh(outerGeometry, materials.borosilicateGlass.clone());
+    beakerOuter.castShadow = true;
+
+    const innerGeometry = new THREE.LatheGeometry(profiles.inner, radialSegments);
+    const innerMat = materials.borosilicateGlass.clone();
+    innerMat.side = THREE.BackSide;
+    const beakerInner = new THREE.Mesh(innerGeometry, innerMat);
+
+    // Pour spout - V-shaped notch at rim
+    const spoutGroup = new THREE.Group();
+    const spoutCurve = new THREE.Shape();
+    spoutCurve.moveTo(-0.25, 0);
+    spoutCurve.lineTo(0, 0.35);
+    spoutCurve.lineTo(0.25, 0);
+    spoutCurve.lineTo(0.20, -0.08);
+    spoutCurve.lineTo(0, 0.25);
+    spoutCurve.lineTo(-0.20, -0.08);
+    spoutCurve.closePath();
+
+    const spoutGeometry = new THREE.ExtrudeGeometry(spoutCurve, { depth: 0.12, bevelEnabled: false });
+    const spout = new THREE.Mesh(spoutGeometry, materials.borosilicateGlass.clone());
+    spout.rotation.x = Math.PI / 2;
+    spout.rotation.z = Math.PI;
+    spout.position.set(topRadius + 0.02, height + 0.06, 0.06);
+    spoutGroup.add(spout);
+
+    // Graduation marks - curved, following the beaker surface
+    const markMaterial = new THREE.MeshBasicMaterial({
+        color: 0xffffff,
+        transparent: true,
+        opacity: 0.6
+    });
+
+    graduations.forEach(y => {
+        const radiusAtHeight = bottomRadius + (topRadius - bottomRadius) * (y / height);
+        const markGeometry = new THREE.TorusGeometry(radiusAtHeight + 0.01, 0.008, 4, 16, 0.2);
+        const mark = new THREE.Mesh(markGeometry, markMaterial);
+        mark.rotation.x = Math.PI / 2;
+        mark.rotation.z = -0.3;
+        mark.position.y = y;
+        group.add(mark);
+    });
+
+    group.add(beakerOuter);
+    group.add(beakerInner);
+    group.add(spoutGroup);
+
+    // Liquid with meniscus
+    if (showLiquid && liquidHeight > 0) {
+        const liquidPoints = [];
+        const liquidBottomR = bottomRadius - wallThickness - 0.02;
+        const liquidTopR = liquidBottomR + (topRadius - bottomRadius) * (liquidHeight / height);
+
+        liquidPoints.push(new THREE.Vector2(0.001, bottomThickness + 0.01));
+        liquidPoints.push(new THREE.Vector2(liquidBottomR, bottomThickness + 0.02));
+        liquidPoints.push(new THREE.Vector2(liquidTopR - 0.02, liquidHeight));
+
+        for (let i = 0; i <= 10; i++) {
+            const t = i / 10;
+            const r = (liquidTopR - 0.02) * (1 - t);
+            const meniscusHeight = 0.05 * Math.pow(t, 2);
+            liquidPoints.push(new THREE.Vector2(r, liquidHeight + meniscusHeight));
+        }
+
+        const liquidGeometry = new THREE.LatheGeometry(liquidPoints, Math.max(8, radialSegments * 0.75));
+        const liquid = new THREE.Mesh(liquidGeometry, liquidMaterialFor(materials.aqueousSolution, liquidColor));
+        liquid.position.y = 0.01;
+        group.add(liquid);
+    }
+
+    return group;
+}
+
+// Microcentrifuge tube with snap cap
+export function createTestTube(options = {}) {
+    const {
+        materials = createLabMaterials(),
+        showLiquid = true,
+        height = 2.5,
+        radius = 0.4,
+        wallThickness = 0.05,
+        radialSegments = 32,
+        bottomSegments = 16,
+        liquidHeight = 1.5,
+        liquidColor
+    } = options;
+    const group = new THREE.Group();
+
+    // Tube body with hemispherical bottom
+    const tubePoints = [];
+    for (let i = 0; i <= bottomSegments; i++) {
+        const angle = -Math.PI / 2 + (Math.PI / 2) * (i / bottomSegments);
+        tubePoints.push(new THREE.Vector2(
+            Math.cos(angle) * radius,
+            Math.sin(angle) * radius
+        ));
+    }
+    tubePoints.push(new THREE.Vector2(radius, height));
+    tubePoints.push(new THREE.Vector2(radius + 0.05, height + 0.1)); // Rim
+
+    const tubeGeometry = new THREE.LatheGeometry(tubePoints, radialSegments);
+    const tube = new THREE.Mesh(tubeGeometry, materials.glass.clone());
+    tube.position.y = radius;
+    tube.castShadow = true;
+
+    // Cap
+    const capGroup = new THREE.Group();
+    const capPoints = [];
+    capPoints.push(new THREE.Vector2(0, 0));
+    capPoints.push(new THREE.Vector2(radius + 0.08, 0));
+    capPoints.push(new THREE.Vector2(radius + 0.08, 0.3));
+    capPoints.push(new THREE.Vector2(radius + 0.15, 0.35));
+    capPoints.push(new THREE.Vector2(radius + 0.15, 0.6));
+    capPoints.push(new THREE.Vector2(0.15, 0.7));
+    capPoints.push(new THREE.Vector2(0, 0.7));
+
+    const capGeometry = new THREE.LatheGeometry(capPoints, radialSegments);
+    const cap = new THREE.Mesh(capGeometry, materials.plasticCap);
+    cap.position.y = radius + height + 0.1;
+    capGroup.add(cap);
+
+    // Hinge
+    const hingeGeometry = new THREE.BoxGeometry(0.15, 0.3, 0.1);
+    const hinge = new THREE.Mesh(hingeGeometry, materials.plasticCap);
+    hinge.position.set(radius + 0.2, radius + height + 0.3, 0);
+    capGroup.add(hinge);
+
+    group.add(tube, capGroup);
+
+    // Liquid inside
+    if (showLiquid && liquidHeight > 0) {
+        const liquidPoints = [];
+        for (let i = 0; i <= bottomSegments; i++) {
+            const angle = -Math.PI / 2 + (Math.PI / 2) * (i / bottomSegments);
+            liquidPoints.push(new THREE.Vector2(
+                Math.cos(angle) * (radius - wallThickness),
+                Math.sin(angle) * (radius - wallThickness)
+            ));
+        }
+        liquidPoints.push(new THREE.Vector2(radius - wallThickness, liquidHeight));
+        liquidPoints.push(new THREE.Vector2(0, liquidHeight));
+
+        const liquidGeometry = new THREE.LatheGeometry(liquidPoints, radialSegments);
+        const tubeLiquid = new THREE.Mesh(liquidGeometry, liquidMaterialFor(materials.liquid, liquidColor));
+        tubeLiquid.position.y = radius;
+        group.add(tubeLiquid);
+    }
+
+    return group;
+}
+
+// Erlenmeyer options: ERLENMEYER_DEFAULTS dimensions, graduations (heights of the marks)
+export function createErlenmeyerFlask(options = {}) {
+    const {
+        materials = createLabMaterials(),
+        showLiquid = true,
+        radialSegments = 64,
+        liquidHeight = 1.4,
+        liquidColor,
+        graduations = [0.9, 1.5, 2.1, 2.6]
+    } = options;
+    const {
+        bodyHeight, bottomRadius, neckRadius, wallThickness, bottomThickness, power
+    } = { ...ERLENMEYER_DEFAULTS, ...options };
+    const group = new THREE.Group();
+    const profiles = createErlenmeyerProfiles(options);
+    const curveStartY = 0.12;
+    const curveHeight = bodyHeight - curveStartY;
+
+    const outerGeometry = new THREE.LatheGeometry(profiles.outer, radialSegments);
+    const flaskOuter = new THREE.Mesh(outerGeometry, materials.borosilicateGlass.clone());
+    flaskOuter.castShadow = true;
+
+    const innerGeometry = new THREE.LatheGeometry(profiles.inner, radialSegments);
+    const innerMat = materials.borosilicateGlass.clone();
+    innerMat.side = THREE.BackSide;
+    const flaskInner = new THREE.Mesh(innerGeometry, innerMat);
+
+    // Volume graduations on the side - using power curve
+    const markMaterial = new THREE.MeshBasicMaterial({
+        color: 0xffffff,
+        transparent: true,
+        opacity: 0.5
+    });
+
+    graduations.forEach(y => {
+        const markT = (y - curveStartY) / curveHeight;
+        const radiusAtY = neckRadius + (bottomRadius - neckRadius) * Math.pow(1 - Math.min(Math.max(markT, 0), 1), power);
+        if (radiusAtY > neckRadius + 0.1) {
+            const markGeometry = new THREE.TorusGeometry(radiusAtY + 0.01, 0.006, 4, 16, 0.15);
+            const mark = new THREE.Mesh(markGeometry, markMaterial);
+            mark.rotation.x = Math.PI / 2;
+            mark.rotation.z = -0.4;
+            mark.position.y = y;
+            group.add(mark);
+        }
+    });
+
+    group.add(flaskOuter);
+    group.add(flaskInner);
+
+    // Liquid - follows the power curve profile
+    if (showLiquid && liquidHeight > 0) {
+        const liquidPoints = [];
+        const liquidBottomR = bottomRadius - wallThickness - 0.02;
+        const liquidNeckR = neckRadius - wallThickness - 0.02;
+
+        liquidPoints.push(new THREE.Vector2(0.001, bottomThickness + 0.01));
+        liquidPoints.push(new THREE.Vector2(liquidBottomR, bottomThickness + 0.02));
+
+        const liquidStartY = bottomThickness + 0.02;
+        const liquidEndY = liquidHeight + bottomThickness;
+
+        for (let i = 1; i <= 15; i++) {
+            const t = i / 15;
+            const y = liquidStartY + (liquidEndY - liquidStartY) * t;
+            // t relative to full flask height for the power curve
+            const flaskT = (y - curveStartY) / curveHeight;
+            const r = liquidNeckR + (liquidBottomR - liquidNeckR) * Math.pow(1 - Math.min(flaskT, 1), power);
+            liquidPoints.push(new THREE.Vector2(r, y));
+        }
+
+        // Radius at liquid surface
+        const liquidSurfaceT = (liquidEndY - curveStartY) / curveHeight;
+        const liquidTopR = liquidNeckR + (liquidBottomR - liquidNeckR) * Math.pow(1 - Math.min(liquidSurfaceT, 1), power);
+
+        // Meniscus
+        for (let i = 0; i <= 10; i++) {
+            const t = i / 10;
+            const r = liquidTopR * (1 - t);
+            const meniscus = 0.04 * Math.pow(t, 2.5);
+            liquidPoints.push(new THREE.Vector2(r, liquidEndY + meniscus));
+        }
+
+        const liquidGeometry = new THREE.LatheGeometry(liquidPoints, Math.max(8, radialSegments * 0.75));
+        const liquid = new THREE.Mesh(liquidGeometry, liquidMaterialFor(materials.aqueousSolution, liquidColor));
+        group.add(liquid);
+    }
+
+    return group;
+}
+
+export const ROUND_BOTTOM_DEFAULTS = {
+    sphereRadius: 1.5,          // Main spherical bulb
+    neckRadius: 0.28,           // Narrow neck
+    neckHeight: 0.9,            // Short neck
+    wallThickness: 0.05,
+    sphereSegments: 60
+};
+
+// Sphere goes from -90° (bottom) to about +68° (where the neck starts)
+const ROUND_BOTTOM_NECK_ANGLE = Math.PI * 0.38;
+
+export const CORK_RING_DEFAULTS = {
+    ringRadius: 0.75,    // Centre line of the ring
+    tubeRadius: 0.18
+};
+
+// Height of the bottom of a round bottom flask resting in a cork ring
+export function roundBottomSeatHeight(options = {}) {
+    const { sphereRadius } = { ...ROUND_BOTTOM_DEFAULTS, ...options };
+    const { ringRadius, tubeRadius } = { ...CORK_RING_DEFAULTS, ...options };
+    // The bulb touches the ring where centre-to-centre distance is sphereRadius + tubeRadius
+    const centreY = tubeRadius + Math.sqrt((sphereRadius + tubeRadius) ** 2 - ringRadius ** 2);
+    return centreY - sphereRadius;
+}
+
+// baseY lifts the whole profile (e.g. by roundBottomSeatHeight when on a ring)
+export function createRoundBottomProfiles(options = {}) {
+    const {
+        sphereRadius, neckRadius, neckHeight, wallThickness, sphereSegments
+    } = { ...ROUND_BOTTOM_DEFAULTS, ...options };
+    const baseY = options.baseY || 0;
+
+    // ============================================
+    // OUTER PROFILE - Nearly complete sphere + neck
+    // ============================================
+    const outer = [];
+    const neckAngle = ROUND_BOTTOM_NECK_ANGLE;
+    const neckJoinRadius = Math.cos(neckAngle) * sphereRadius;
+    const neckJoinY = Math.sin(neckAngle) * sphereRadius + sphereRadius;
+
+    const startAngle = -Math.PI / 2;  // -90° (bottom of sphere)
+    const totalAngle = neckAngle - startAngle;
+
+    for (let i = 0; i <= sphereSegments; i++) {
+        const angle = startAngle + totalAngle * (i / sphereSegments);
+        const r = Math.cos(angle) * sphereRadius;
+        const y = Math.sin(angle) * sphereRadius + sphereRadius;
+        outer.push(new THREE.Vector2(r, y));
+    }
+
+    // Smooth transition from sphere to cylindrical neck
+    const transitionSteps = 10;
+    for (let i = 1; i <= transitionSteps; i++) {
+        const t = i / transitionSteps;
+        const smoothT = t * t * (3 - 2 * t);  // Smoothstep
+        const r = neckJoinRadius - (neckJoinRadius - neckRadius) * smoothT;
+        const y = neckJoinY + 0.2 * t;
+        outer.push(new THREE.Vector2(r, y));
+    }
+
+    // Cylindrical neck
+    const neckStartY = neckJoinY + 0.2;
+    outer.push(new THREE.Vector2(neckRadius, neckStartY));
+    outer.push(new THREE.Vector2(neckRadius, neckStartY + neckHeight));
+
+    // Simple rolled rim
+    outer.push(new THREE.Vector2(neckRadius + 0.04, neckStartY + neckHeight + 0.02));
+    outer.push(new THREE.Vector2(neckRadius + 0.05, neckStartY + neckHeight + 0.05));
+    outer.push(new THREE.Vector2(neckRadius + 0.02, neckStartY + neckHeight + 0.07));
+    outer.push(new THREE.Vector2(neckRadius - wallThickness, neckStartY + neckHeight + 0.05));
+
+    // ============================================
+    // INNER PROFILE
+    // ============================================
+    const inner = [];
+    const innerSphereRadius = sphereRadius - wallThickness;
+
+    for (let i = 0; i <= sphereSegments; i++) {
+        const angle = startAngle + totalAngle * (i / sphereSegments);
+        const r = Math.cos(angle) * innerSphereRadius;
+        const y = Math.sin(angle) * innerSphereRadius + sphereRadius;
+        inner.push(new THREE.Vector2(r, y));
+    }
+
+    const innerNeckJoinR = Math.cos(neckAngle) * innerSphereRadius;
+    for (let i = 1; i <= transitionSteps; i++) {
+        const t = i / transitionSteps;
+        const smoothT = t * t * (3 - 2 * t);
+        const r = innerNeckJoinR - (innerNeckJoinR - (neckRadius - wallThickness)) * smoothT;
+        const y = neckJoinY + 0.2 * t;
+        inner.push(new THREE.Vector2(r, y));
+    }
+
+    inner.push(new THREE.Vector2(neckRadius - wallThickness, neckStartY));
+    inner.push(new THREE.Vector2(neckRadius - wallThickness, neckStartY + neckHeight + 0.03));
+
+    for (const point of [...outer, ...inner]) point.y += baseY;
+    return { outer, inner };
+}
+
+// Cork ring that keeps a round bottom flask upright
+export function createCorkRing(options = {}) {
+    const {
+        materials = createLabMaterials(),
+        radialSegments = 48
+    } = options;
+    const { ringRadius, tubeRadius } = { ...CORK_RING_DEFAULTS, ...options };
+
+    const ringGeometry = new THREE.TorusGeometry(ringRadius, tubeRadius, 16, radialSegments);
+    const ring = new THREE.Mesh(ringGeometry, materials.cork.clone());
+    ring.rotation.x = Math.PI / 2;
+    ring.position.y = tubeRadius;
+    ring.castShadow = true;
+    ring.receiveShadow = true;
+
+    const group = new THREE.Group();
+    group.add(ring);
+    return group;
+}
+
+// Round bottom flask: a true spherical bulb with a short neck.
+// With corkRing the bulb sits in a ring and the model base is the ring's.
+export function createRoundBottomFlask(options = {}) {
+    const {
+        materials = createLabMaterials(),
+        showLiquid = true,
+        radialSegments = 64,
+        liquidLevel = 0.45,          // Fraction full (0 for empty)
+        liquidColor,
+        highlight = true,
+        corkRing = false
+    } = options;
+    const { sphereRadius, wallThickness } = { ...ROUND_BOTTOM_DEFAULTS, ...options };
+    const group = new THREE.Group();
+    const flask = new THREE.Group();
+
+    if (corkRing) {
+        group.add(createCorkRing(options));
+        flask.position.y = roundBottomSeatHeight(options);
+    }
+
+    const profiles = createRoundBottomProfiles({ ...options, baseY: 0 });
+
+    const outerGeometry = new THREE.LatheGeometry(profiles.outer, radialSegments);
+    const flaskOuter = new THREE.Mesh(outerGeometry, materials.borosilicateGlass.clone());
+    flaskOuter.castShadow = true;
+
+    const innerGeometry = new THREE.LatheGeometry(profiles.inner, radialSegments);
+    const innerMat = materials.borosilicateGlass.clone();
+    innerMat.side = THREE.BackSide;
+    const flaskInner = new THREE.Mesh(innerGeometry, innerMat);
+
+    flask.add(flaskOuter);
+    flask.add(flaskInner);
+    group.add(flask);
+
+    // ============================================
+    // LIQUID - Follows spherical contour
+    // ============================================
+    const startAngle = -Math.PI / 2;
+    const innerSphereRadius = sphereRadius - wallThickness;
+    if (showLiquid && liquidLevel > 0) {
+        const liquidPoints = [];
+        const liquidAngle = Math.asin(liquidLevel - 0.5) + Math.PI / 6;
+        const liquidMaxAngle = Math.min(liquidAngle, ROUND_BOTTOM_NECK_ANGLE * 0.6);
+
+        for (let i = 0; i <= 40; i++) {
+            const angle = startAngle + (liquidMaxAngle - startAngle) * (i / 40);
+            const r = Math.cos(angle) * (innerSphereRadius - 0.02);
+            const y = Math.sin(angle) * (innerSphereRadius - 0.02) + sphereRadius;
+            liquidPoints.push(new THREE.Vector2(r, y));
+        }
+
+        // Flat top with slight meniscus
+        const liquidTopY = liquidPoints[liquidPoints.length - 1].y;
+        const liquidTopR = liquidPoints[liquidPoints.length - 1].x;
+
+        for (let i = 0; i <= 10; i++) {
+            const t = i / 10;
+            const r = liquidTopR * (1 - t);
+            const meniscus = 0.03 * Math.pow(t, 2);
+            liquidPoints.push(new THREE.Vector2(r, liquidTopY + meniscus));
+        }
+
+        const liquidGeometry = new THREE.LatheGeometry(liquidPoints, Math.max(8, radialSegments * 0.75));
+        const liquid = new THREE.Mesh(liquidGeometry, liquidMaterialFor(materials.aqueousSolution, liquidColor));
+        flask.add(liquid);
+    }
+
+    // Simple highlight (glass reflection)
+    if (highlight) {
+        const highlightCurve = new THREE.CatmullRomCurve3([
+            new THREE.Vector3(-1.1, 0.4, 0.6),
+            new THREE.Vector3(-1.3, 1.2, 0.5),
+            new THREE.Vector3(-1.2, 2.0, 0.4),
+            new THREE.Vector3(-0.6, 2.8, 0.2)
+        ].map(p => p.multiplyScalar(sphereRadius / 1.5)));
+        const highlightGeometry = new THREE.TubeGeometry(highlightCurve, 16, 0.02, 6, false);
+        const highlightMaterial = new THREE.MeshBasicMaterial({
+            color: 0xffffff,
+            transparent: true,
+            opacity: 0.3
+        });
+        flask.add(new THREE.Mesh(highlightGeometry, highlightMaterial));
+    }
+
+    return group;
+}
+
+// ============================================
+// CENTRIFUGE TUBES
+// Conical polypropylene tubes with a self-standing skirt
+// ============================================
+export const CENTRIFUGE_TUBE_SIZES = {
+    15: { radius: 0.32, length: 4.4, coneHeight: 0.95, wallThickness: 0.03 },
+    50: { radius: 0.55, length: 4.3, coneHeight: 0.85, wallThickness: 0.04 }
+};
+
+const CENTRIFUGE_TIP_Y = 0.12;  // Cone tip clears the bench inside the skirt
+
+export function createCentrifugeTubeProfiles(options = {}) {
+    const { radius, length, coneHeight, wallThickness } = { ...CENTRIFUGE_TUBE_SIZES[15], ...options };
+
+    const outer = [];
+    outer.push(new THREE.Vector2(0.001, CENTRIFUGE_TIP_Y));
+    outer.push(new THREE.Vector2(0.06, CENTRIFUGE_TIP_Y + 0.01));
+    outer.push(new THREE.Vector2(radius, coneHeight));
+    outer.push(new THREE.Vector2(radius, length - 0.5));
+    // Screw thread band below the lip
+    outer.push(new THREE.Vector2(radius + 0.04, length - 0.48));
+    outer.push(new THREE.Vector2(radius + 0.04, length));
+    outer.push(new THREE.Vector2(radius - wallThickness, length));
+
+    const inner = [];
+    inner.push(new THREE.Vector2(0.001, CENTRIFUGE_TIP_Y + wallThickness));
+    inner.push(new THREE.Vector2(0.04, CENTRIFUGE_TIP_Y + wallThickness + 0.01));
+    inner.push(new THREE.Vector2(radius - wallThickness, coneHeight + wallThickness));
+    inner.push(new THREE.Vector2(radius - wallThickness, length));
+
+    return { outer, inner };
+}
+
+// Centrifuge tube options: size (15 or 50 mL) or explicit dimensions, graduations
+export function createCentrifugeTube(options = {}) {
+    const {
+        materials = createLabMaterials(),
+        showLiquid = true,
+        size = 15,
+        radialSegments = 32,
+        liquidHeight = 2.5,
+        liquidColor,
+        graduations = []
+    } = options;
+    const dimensions = { ...CENTRIFUGE_TUBE_SIZES[size], ...options };
+    const { radius, coneHeight } = dimensions;
+    const group = new THREE.Group();
+    const profiles = createCentrifugeTubeProfiles(dimensions);
+
+    const tube = new THREE.Mesh(
+        new THREE.LatheGeometry(profiles.outer, radialSegments),
+        materials.polypropylene.clone()
+    );
+    tube.castShadow = true;
+
+    const innerMat = materials.polypropylene.clone();
+    innerMat.side = THREE.BackSide;
+    const tubeInner = new THREE.Mesh(new THREE.LatheGeometry(profiles.inner, radialSegments), innerMat);
+
+    // Skirt moulded around the cone so the tube stands on the bench
+    const skirtRadius = radius * 0.8;
+    const skirtHeight = coneHeight * 0.6;
+    const skirt = new THREE.Mesh(
+        new THREE.CylinderGeometry(skirtRadius, skirtRadius, skirtHeight, radialSegments, 1, true),
+        materials.polypropylene.clone()
+    );
+    skirt.position.y = skirtHeight / 2;
+
+    group.add(tube, tubeInner, skirt);
+    group.add(createGraduationMarks(graduations, radius, materials.printedMark));
+
+    if (showLiquid && liquidHeight > 0) {
+        const liquidGeometry = new THREE.LatheGeometry(liquidProfileBelow(profiles.inner, liquidHeight), radialSegments);
+        group.add(new THREE.Mesh(liquidGeometry, liquidMaterialFor(materials.liquid, liquidColor)));
+    }
+
+    return group;
+}
+
+// ============================================
+// GRADUATED CYLINDER
+// Tall narrow glass cylinder on a hexagonal foot, with a small lip
+// ============================================
+export const GRADUATED_CYLINDER_DEFAULTS = {
+    radius: 0.5,
+    height: 4.6,            // Top of the rim
+    wallThickness: 0.04,
+    bottomThickness: 0.06,
+    baseRadius: 0.95,       // Hexagonal foot
+    baseHeight: 0.15
+};
+
+export function createGraduatedCylinderProfiles(options = {}) {
+    const {
+        radius, height, wallThickness, bottomThickness, baseHeight
+    } = { ...GRADUATED_CYLINDER_DEFAULTS, ...options };
+
+    const outer = [];
+    outer.push(new THREE.Vector2(0.001, baseHeight));
+    outer.push(new THREE.Vector2(radius, baseHeight));
+    outer.push(new THREE.Vector2(radius, height));
+    // Rolled rim
+    outer.push(new THREE.Vector2(radius + 0.04, height + 0.02));
+    outer.push(new THREE.Vector2(radius + 0.03, height + 0.06));
+    outer.push(new THREE.Vector2(radius - wallThickness, height + 0.05));
+
+    const inner = [];
+    inner.push(new THREE.Vector2(0.001, baseHeight + bottomThickness));
+    inner.push(new THREE.Vector2(radius - wallThickness, baseHeight + bottomThickness));
+    inner.push(new THREE.Vector2(radius - wallThickness, height + 0.03));
+
+    return { outer, inner };
+}
+
+export function createGraduatedCylinder(options = {}) {
+    const {
+        materials = createLabMaterials(),
+        showLiquid = true,
+        radialSegments = 48,
+        liquidHeight = 2.8,
+        liquidColor,
+        graduations = []
+    } = options;
+    const { radius, height, baseRadius, baseHeight } = { ...GRADUATED_CYLINDER_DEFAULTS, ...options };
+    const group = new THREE.Group();
+    const profiles = createGraduatedCylinderProfiles(options);
+
+    const outer = new THREE.Mesh(
+        new THREE.LatheGeometry(profiles.outer, radialSegments),
+        materials.borosilicateGlass.clone()
+    );
+    outer.castShadow = true;
+
+    const innerMat = materials.borosilicateGlass.clone();
+    innerMat.side = THREE.BackSide;
+    const inner = new THREE.Mesh(new THREE.LatheGeometry(profiles.inner, radialSegments), innerMat);
+
+    const foot = new THREE.Mesh(
+        new THREE.CylinderGeometry(baseRadius, baseRadius, baseHeight, 6),
+        materials.borosilicateGlass.clone()
+    );
+    foot.position.y = baseHeight / 2;
+    foot.castShadow = true;
+
+    // Pour lip - a small pinched spout in the rim on +X
+    const lipShape = new THREE.Shape();
+    lipShape.moveTo(-0.12, 0);
+    lipShape.lineTo(0, 0.14);
+    lipShape.lineTo(0.12, 0);
+    lipShape.lineTo(0.09, -0.04);
+    lipShape.lineTo(0, 0.09);
+    lipShape.lineTo(-0.09, -0.04);
+    lipShape.closePath();
+    const lip = new THREE.Mesh(
+        new THREE.ExtrudeGeometry(lipShape, { depth: 0.06, bevelEnabled: false }),
+        materials.borosilicateGlass.clone()
+    );
+    lip.rotation.x = Math.PI / 2;
+    lip.rotation.z = Math.PI;
+    lip.position.set(radius + 0.01, height + 0.04, 0.03);
+
+    group.add(outer, inner, foot, lip);
+    group.add(createGraduationMarks(graduations, radius, new THREE.MeshBasicMaterial({
+        color: 0xffffff,
+        transparent: true,
+        opacity: 0.6
+    })));
+
+    if (showLiquid && liquidHeight > 0) {
+        const liquidGeometry = new THREE.LatheGeometry(liquidProfileBelow(profiles.inner, liquidHeight), radialSegments);
+        group.add(new THREE.Mesh(liquidGeometry, liquidMaterialFor(materials.aqueousSolution, liquidColor)));
+    }
+
+    return group;
+}
+
+// ============================================
+// MICROCENTRIFUGE TUBE
+// True-scale 1.5 mL snap-cap tube standing open in a one-place rack
+// ============================================
+export const MICROCENTRIFUGE_TUBE_DEFAULTS = {
+    radius: 0.2,
+    length: 1.45,           // Cone tip to rim
+    coneHeight: 0.62,
+    wallThickness: 0.025
+};
+
+export const MICROTUBE_RACK_DEFAULTS = {
+    tipHeight: 0.12,        // Cone tip above the bench when hanging in the rack
+    width: 0.66,
+    depth: 0.5,
+    plateThickness: 0.06
+};
+
+// Lip that hangs the tube from the rack plate
+const MICROTUBE_LIP = 0.06;
+
+// Height of the cone tip of a tube hanging in its rack
+export function microtubeSeatHeight(options = {}) {
+    return { ...MICROTUBE_RACK_DEFAULTS, ...options }.tipHeight;
+}
+
+// baseY lifts the whole profile (e.g. by microtubeSeatHeight when in a rack)
+export function createMicrocentrifugeTubeProfiles(options = {}) {
+    const { radius, length, coneHeight, wallThickness } = { ...MICROCENTRIFUGE_TUBE_DEFAULTS, ...options };
+    const baseY = options.baseY || 0;
+
+    const outer = [];
+    outer.push(new THREE.Vector2(0.001, 0));
+    outer.push(new THREE.Vector2(0.05, 0.02));
+    outer.push(new THREE.Vector2(radius, coneHeight));
+    outer.push(new THREE.Vector2(radius, length - MICROTUBE_LIP));
+    outer.push(new THREE.Vector2(radius + 0.04, length - MICROTUBE_LIP + 0.01));
+    outer.push(new THREE.Vector2(radius + 0.04, length));
+    outer.push(new THREE.Vector2(radius - wallThickness, length));
+
+    const inner = [];
+    inner.push(new THREE.Vector2(0.001, wallThickness + 0.01));
+    inner.push(new THREE.Vector2(0.03, wallThickness + 0.02));
+    inner.push(new THREE.Vector2(radius - wallThickness, coneHeight + wallThickness / 2));
+    inner.push(new THREE.Vector2(radius - wallThickness, length));
+
+    for (const point of [...outer, ...inner]) point.y += baseY;
+    return { outer, inner };
+}
+
+// Plate the tube hangs from by its lip, on two end walls
+export function createMicrotubeRack(options = {}) {
+    const { materials = createLabMaterials() } = options;
+    const { length } = { ...MICROCENTRIFUGE_TUBE_DEFAULTS, ...options };
+    const { tipHeight, width, depth, plateThickness } = { ...MICROTUBE_RACK_DEFAULTS, ...options };
+    const plateTop = tipHeight + length - MICROTUBE_LIP;
+    const group = new THREE.Group();
+    const material = materials.plasticCap.clone();
+    material.color.set(0x4db6ac);
+
+    // Top plate with the hole drawn as a ring around the tube
+    const plateShape = new THREE.Shape();
+    plateShape.moveTo(-width / 2, -depth / 2);
+    plateShape.lineTo(width / 2, -depth / 2);
+    plateShape.lineTo(width / 2, depth / 2);
+    plateShape.lineTo(-width / 2, depth / 2);
+    plateShape.closePath();
+    const hole = new THREE.Path();
+    hole.absarc(0, 0, MICROCENTRIFUGE_TUBE_DEFAULTS.radius + 0.01, 0, Math.PI * 2, true);
+    plateShape.holes.push(hole);
+    const plate = new THREE.Mesh(
+        new THREE.ExtrudeGeometry(plateShape, { depth: plateThickness, bevelEnabled: false }),
+        material
+    );
+    plate.rotation.x = Math.PI / 2;
+    plate.position.y = plateTop;
+    plate.castShadow = true;
+    group.add(plate);
+
+    for (const side of [-1, 1]) {
+        const wall = new THREE.Mesh(new THREE.BoxGeometry(plateThickness, plateTop, depth), material);
+        wall.position.set(side * (width - plateThickness) / 2, plateTop / 2, 0);
+        wall.castShadow = true;
+        wall.receiveShadow = true;
+        group.add(wall);
+    }
+    return group;
+}
+
+// Microcentrifuge tube options: dimensions, graduations, rack (hang it in a
+// rack so it stands; the model base is then the rack's), capOpen
+export function createMicrocentrifugeTube(options = {}) {
+    const {
+        materials = createLabMaterials(),
+        showLiquid = true,
+        radialSegments = 32,
+        liquidHeight = 0.9,
+        liquidColor,
+        graduations = [],
+        rack = false,
+        capOpen = true
+    } = options;
+    const { radius, length } = { ...MICROCENTRIFUGE_TUBE_DEFAULTS, ...options };
+    const group = new THREE.Group();
+    const tube = new THREE.Group();
+
+    if (rack) {
+        group.add(createMicrotubeRack(options));
+        tube.position.y = microtubeSeatHeight(options);
+    }
+
+    const profiles = createMicrocentrifugeTubeProfiles({ ...options, baseY: 0 });
+    const outer = new THREE.Mesh(
+        new THREE.LatheGeometry(profiles.outer, radialSegments),
+        materials.polypropylene.clone()
+    );
+    outer.castShadow = true;
+
+    const innerMat = materials.polypropylene.clone();
+    innerMat.side = THREE.BackSide;
+    const inner = new THREE.Mesh(new THREE.LatheGeometry(profiles.inner, radialSegments), innerMat);
+    tube.add(outer, inner);
+
+    // Snap cap on a strap hinged at the back of the lip; it closes by
+    // turning half a turn about the hinge
+    const capRadius = radius + 0.04;
+    const hinge = new THREE.Group();
+    hinge.position.set(0, length, -capRadius);
+    const cap = new THREE.Mesh(
+        new THREE.CylinderGeometry(capRadius, capRadius, 0.08, radialSegments),
+        materials.polypropylene.clone()
+    );
+    cap.position.set(0, -0.04, -capRadius);
+    const plug = new THREE.Mesh(
+        new THREE.CylinderGeometry(radius - 0.03, radius - 0.03, 0.1, radialSegments),
+        materials.polypropylene.clone()
+    );
+    plug.position.set(0, 0.05, -capRadius);
+    const strap = new THREE.Mesh(new THREE.BoxGeometry(0.1, 0.02, 0.06), materials.polypropylene.clone());
+    strap.position.z = 0.01;
+    hinge.add(cap, plug, strap);
+    hinge.rotation.x = capOpen ? Math.PI * 0.4 : Math.PI;
+    tube.add(hinge);
+
+    tube.add(createGraduationMarks(graduations, radius, materials.printedMark));
+
+    if (showLiquid && liquidHeight > 0) {
+        const liquidGeometry = new THREE.LatheGeometry(liquidProfileBelow(profiles.inner, liquidHeight, 0.005), radialSegments);
+        tube.add(new THREE.Mesh(liquidGeometry, liquidMaterialFor(materials.liquid, liquidColor)));
+    }
+
+    group.add(tube);
+    return group;
+}
+
+// ============================================
+// MICROPIPETTES
+// Air-displacement pipettes (P200, P1000), their disposable tips and
+// tip boxes. A pipette without a tip has its nozzle end on y = 0.
+// ============================================
+export const MICROPIPETTE_SIZES = {
+    200: {
+        range: [20, 200],       // µL
+        buttonColor: 0xf5c518,
+        nozzleRadius: 0.08,     // At the end, widening to nozzleTopRadius
+        nozzleTopRadius: 0.13,
+        nozzleLength: 1.0,
+        tip: { length: 1.9, radius: 0.1, endRadius: 0.015, color: 0xfff1a8 }
+    },
+    1000: {
+        range: [100, 1000],
+        buttonColor: 0x2f80ed,
+        nozzleRadius: 0.145,
+        nozzleTopRadius: 0.195,
+        nozzleLength: 1.1,
+        tip: { length: 2.9, radius: 0.165, endRadius: 0.03, color: 0xc4defc }
+    }
+};
+
+export const PIPETTE_TIP_SEAT = 0.35;  // How far the nozzle pushes into a tip
+
+// Plunger travel down to the first stop (measured stroke) and the second (blow-out)
+export const PIPETTE_PLUNGER_TRAVEL = { firstStop: 0.22, secondStop: 0.32 };
+
+const PIPETTE_TIP_COLLAR = 0.22;
+const PIPETTE_TIP_WALL = 0.012;
+
+// Tip profiles with the open end on y = 0; the inner one is the bore
+export function createPipetteTipProfiles(options = {}) {
+    const { length, radius, endRadius } = MICROPIPETTE_SIZES[options.size || 200].tip;
+
+    const outer = [];
+    outer.push(new THREE.Vector2(endRadius, 0));
+    outer.push(new THREE.Vector2(endRadius + PIPETTE_TIP_WALL, 0));
+    outer.push(new THREE.Vector2(radius + PIPETTE_TIP_WALL, length - PIPETTE_TIP_COLLAR));
+    outer.push(new THREE.Vector2(radius + 0.03, length - PIPETTE_TIP_COLLAR + 0.02));
+    outer.push(new THREE.Vector2(radius + 0.03, length));
+    outer.push(new THREE.Vector2(radius, length));
+
+    const inner = [];
+    inner.push(new THREE.Vector2(endRadius, 0));
+    inner.push(new THREE.Vector2(radius, length));
+
+    return { outer, inner };
+}
+
+// Pipette tip options: size (200 or 1000)
+export function createPipetteTip(options = {}) {
+    const {
+        materials = createLabMaterials(),
+        size = 200,
+        radialSegments = 24
+    } = options;
+    const group = new THREE.Group();
+    const profiles = createPipetteTipProfiles({ size });
+
+    const material = materials.polypropylene.clone();
+    material.color.set(MICROPIPETTE_SIZES[size].tip.color);
+    const outer = new THREE.Mesh(new THREE.LatheGeometry(profiles.outer, radialSegments), material);
+    outer.castShadow = true;
+
+    const innerMat = material.clone();
+    innerMat.side = THREE.BackSide;
+    const inner = new THREE.Mesh(new THREE.LatheGeometry(profiles.inner, radialSegments), innerMat);
+
+    group.add(outer, inner);
+    return group;
+}
+
+// Micropipette options: size (200 or 1000), tip (fit a tip; the model base
+// is then the tip's end). Named parts: 'plunger' and 'ejector' move along
+// y, 'display' is the volume counter window facing +Z.
+export function createMicropipette(options = {}) {
+    const {
+        materials = createLabMaterials(),
+        size = 200,
+        tip = true,
+        radialSegments = 32
+    } = options;
+    const { buttonColor, nozzleRadius, nozzleTopRadius, nozzleLength } = MICROPIPETTE_SIZES[size];
+    const N = nozzleLength;
+    const group = new THREE.Group();
+    const pipette = new THREE.Group();
+
+    if (tip) {
+        const fitted = createPipetteTip({ materials, size, radialSegments });
+        fitted.name = 'tip';
+        group.add(fitted);
+        pipette.position.y = MICROPIPETTE_SIZES[size].tip.length - PIPETTE_TIP_SEAT;
+    }
+
+    // Nozzle, lower barrel and grip in one lathe, from the nozzle end up
+    const bodyPoints = [
+        new THREE.Vector2(nozzleRadius - 0.03, 0),
+        new THREE.Vector2(nozzleRadius, 0),
+        new THREE.Vector2(nozzleTopRadius, N),
+        new THREE.Vector2(nozzleTopRadius, N + 0.5),
+        new THREE.Vector2(0.17, N + 0.55),
+        new THREE.Vector2(0.24, N + 2.3),
+        new THREE.Vector2(0.3, N + 2.5),
+        new THREE.Vector2(0.31, N + 3.6),
+        new THREE.Vector2(0.29, N + 4.7),
+        new THREE.Vector2(0.22, N + 4.8),
+        new THREE.Vector2(0.001, N + 4.85)
+    ];
+    const body = new THREE.Mesh(new THREE.LatheGeometry(bodyPoints, radialSegments), materials.instrumentBody);
+    body.castShadow = true;
+
+    // Finger hook on the left of the grip
+    const hook = new THREE.Mesh(new THREE.BoxGeometry(0.42, 0.12, 0.18), materials.instrumentBody);
+    hook.position.set(-0.42, N + 4.45, 0);
+    hook.rotation.z = 0.15;
+
+    // Counter window
+    const frame = new THREE.Mesh(new THREE.BoxGeometry(0.42, 0.2, 0.04), materials.ptfe);
+    frame.position.set(0, N + 3.9, 0.3);
+    const display = new THREE.Mesh(new THREE.PlaneGeometry(0.36, 0.14), new THREE.MeshBasicMaterial({ color: 0xf1f3e6 }));
+    display.name = 'display';
+    display.position.set(0, N + 3.9, 0.322);
+
+    // Plunger rod and button, in the size's colour
+    const plunger = new THREE.Group();
+    plunger.name = 'plunger';
+    plunger.position.y = N + 4.85;
+    const rod = new THREE.Mesh(new THREE.CylinderGeometry(0.06, 0.06, 0.6, 12), materials.instrumentBody);
+    rod.position.y = 0.3;
+    const buttonMaterial = new THREE.MeshStandardMaterial({ color: buttonColor, roughness: 0.4 });
+    const button = new THREE.Mesh(new THREE.CylinderGeometry(0.2, 0.19, 0.16, radialSegments), buttonMaterial);
+    button.position.y = 0.68;
+    button.castShadow = true;
+    plunger.add(rod, button);
+
+    // Tip ejector: button beside the plunger, sleeve over the upper nozzle
+    const ejector = new THREE.Group();
+    ejector.name = 'ejector';
+    const ejectorMaterial = materials.ptfe;
+    const ejectorButton = new THREE.Mesh(new THREE.CylinderGeometry(0.09, 0.09, 0.25, 16), ejectorMaterial);
+    ejectorButton.position.set(0.27, N + 4.95, -0.08);
+    const stalk = new THREE.Mesh(new THREE.BoxGeometry(0.08, 0.3, 0.08), ejectorMaterial);
+    stalk.position.set(0.27, N + 4.7, -0.08);
+    const sleeveLength = N + 0.5 - PIPETTE_TIP_SEAT - 0.1;
+    const sleeve = new THREE.Mesh(
+        new THREE.CylinderGeometry(nozzleTopRadius + 0.03, nozzleTopRadius + 0.03, sleeveLength, radialSegments),
+        ejectorMaterial
+    );
+    sleeve.position.y = N + 0.5 - sleeveLength / 2;
+    ejector.add(ejectorButton, stalk, sleeve);
+
+    pipette.add(body, hook, frame, display, plunger, ejector);
+    group.add(pipette);
+    return group;
+}
+
+// Tip box options: size (200 or 1000), rows, columns. Its tips are the
+// children of the part named 'tips', each with its open end at its origin.
+export function createTipBox(options = {}) {
+    const {
+        materials = createLabMaterials(),
+        size = 200,
+        rows = 4,
+        columns = 6
+    } = options;
+    const { length, radius, color } = MICROPIPETTE_SIZES[size].tip;
+    const pitch = 2 * (radius + 0.03) + 0.08;
+    const width = columns * pitch + 0.12;
+    const depth = rows * pitch + 0.12;
+    const plateTop = length - PIPETTE_TIP_COLLAR + 0.06; // Tips hang by their collars
+    const group = new THREE.Group();
+
+    const boxMaterial = materials.polypropylene.clone();
+    boxMaterial.color.set(color);
+    boxMaterial.opacity = 0.5;
+    const box = new THREE.Mesh(new THREE.BoxGeometry(width, plateTop, depth), boxMaterial);
+    box.position.y = plateTop / 2;
+    box.castShadow = true;
+    box.receiveShadow = true;
+
+    // Lid hinged open at the back
+    const lid = new THREE.Mesh(new THREE.BoxGeometry(width, 0.5, 0.04), boxMaterial);
+    lid.position.set(0, plateTop + 0.25, -depth / 2 - 0.02);
+
+    const tips = new THREE.Group();
+    tips.name = 'tips';
+    const tip = createPipetteTip({ materials, size, radialSegments: 16 });
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const slot = tip.clone();
+            slot.position.set(
+                (column - (columns - 1) / 2) * pitch,
+                plateTop + PIPETTE_TIP_COLLAR - length,
+                (row - (rows - 1) / 2) * pitch
+            );
+            tips.add(slot);
+        }
+    }
+
+    group.add(box, lid, tips);
+    return group;
+}
+
+// ============================================
+// ANALYTICAL BALANCE
+// Top-loading balance as in the SVG library: a round stainless pan on
+// a low housing, the LCD and ON/TARE keys on a sloping panel at the
+// front (+Z). The pan is centred on the origin.
+// ============================================
+export const ANALYTICAL_BALANCE_DEFAULTS = {
+    width: 3.4,        // housing, along x
+    depth: 3.4,        // housing behind the front panel, along z
+    height: 0.55,      // housing top
+    panelDepth: 0.8,   // sloping front panel
+    panelHeight: 0.25, // front edge of the panel
+    panRadius: 1.5,
+    panHeight: 0.7     // pan top
+};
+
+const BALANCE_FOOT = 0.06;
+
+// Analytical balance options: ANALYTICAL_BALANCE_DEFAULTS dimensions.
+// Named parts: 'display' is the LCD window, 'tare' and 'power' the keys;
+// all three sit on the front panel, facing up and out along it.
+export function createAnalyticalBalance(options = {}) {
+    const {
+        materials = createLabMaterials(),
+        width = ANALYTICAL_BALANCE_DEFAULTS.width,
+        depth = ANALYTICAL_BALANCE_DEFAULTS.depth,
+        height = ANALYTICAL_BALANCE_DEFAULTS.height,
+        panelDepth = ANALYTICAL_BALANCE_DEFAULTS.panelDepth,
+        panelHeight = ANALYTICAL_BALANCE_DEFAULTS.panelHeight,
+        panRadius = ANALYTICAL_BALANCE_DEFAULTS.panRadius,
+        panHeight = ANALYTICAL_BALANCE_DEFAULTS.panHeight,
+        radialSegments = 48
+    } = options;
+    const group = new THREE.Group();
+
+    // Housing and the sloping panel in one side profile, extruded across
+    const side = new THREE.Shape();
+    side.moveTo(-depth / 2, BALANCE_FOOT);
+    side.lineTo(depth / 2 + panelDepth, BALANCE_FOOT);
+    side.lineTo(depth / 2 + panelDepth, panelHeight);
+    side.lineTo(depth / 2, height);
+    side.lineTo(-depth / 2, height);
+    side.closePath();
+    const housingGeometry = new THREE.ExtrudeGeometry(side, {
+        depth: width,
+        bevelEnabled: true,
+        bevelThickness: 0.04,
+        bevelSize: 0.04,
+        bevelSegments: 2
+    });
+    housingGeometry.translate(0, 0, -width / 2);
+    housingGeometry.rotateY(-Math.PI / 2);
+    const housing = new THREE.Mesh(housingGeometry, materials.instrumentBody);
+    housing.castShadow = true;
+    housing.receiveShadow = true;
+
+    // Levelling feet
+    const footGeometry = new THREE.CylinderGeometry(0.12, 0.14, BALANCE_FOOT, 16);
+    const feet = [[-1, -1], [1, -1], [-1, 1], [1, 1]].map(([sx, sz]) => {
+        const foot = new THREE.Mesh(footGeometry, materials.ptfe);
+        foot.position.set(sx * (width / 2 - 0.3), BALANCE_FOOT / 2, sz * (depth / 2 - 0.3) + (sz > 0 ? panelDepth : 0));
+        return foot;
+    });
+
+    // Pan on its stem
+    const steel = new THREE.MeshStandardMaterial({ color: 0xe4e6e8, metalness: 0.85, roughness: 0.25 });
+    const stem = new THREE.Mesh(new THREE.CylinderGeometry(0.25, 0.3, panHeight - height, 24), materials.ptfe);
+    stem.position.y = (panHeight + height) / 2;
+    const panPoints = [
+        new THREE.Vector2(0.001, panHeight - 0.07),
+        new THREE.Vector2(panRadius - 0.05, panHeight - 0.07),
+        new THREE.Vector2(panRadius, panHeight - 0.04),
+        new THREE.Vector2(panRadius, panHeight),
+        new THREE.Vector2(0.001, panHeight)
+    ];
+    const pan = new THREE.Mesh(new THREE.LatheGeometry(panPoints, radialSegments), steel);
+    pan.castShadow = true;
+    pan.receiveShadow = true;
+
+    // Front panel: LCD on the right, keys on the left, laid in its slope
+    const panel = new THREE.Group();
+    const slope = Math.atan2(height - panelHeight, panelDepth);
+    const bevel = 0.045; // just out of the bevelled surface
+    panel.position.set(
+        0,
+        (height + panelHeight) / 2 + bevel * Math.cos(slope),
+        depth / 2 + panelDepth / 2 + bevel * Math.sin(slope)
+    );
+    panel.rotation.x = -Math.PI / 2 + slope;
+    const frame = new THREE.Mesh(new THREE.PlaneGeometry(1.6, 0.56), new THREE.MeshStandardMaterial({ color: 0xc8c8c8, roughness: 0.5 }));
+    frame.position.set(0.6, 0, 0.002);
+    const display = new THREE.Mesh(new THREE.PlaneGeometry(1.44, 0.44), new THREE.MeshBasicMaterial({ color: 0x1a2a1a }));
+    display.name = 'display';
+    display.position.set(0.6, 0, 0.004);
+
+    const keyGeometry = new THREE.BoxGeometry(0.42, 0.28, 0.06);
+    const power = new THREE.Mesh(keyGeometry, materials.ptfe);
+    power.name = 'power';
+    power.position.set(-1.15, 0, 0.03);
+    const tare = new THREE.Mesh(keyGeometry, materials.ptfe);
+    tare.name = 'tare';
+    tare.position.set(-0.55, 0, 0.03);
+    panel.add(frame, display, power, tare);
+
+    group.add(housing, ...feet, stem, pan, panel);
+    return group;
+}
@@ -1,47 +1,34 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-
-// ============================================
-// SCENE SETUP
-// ============================================
-const container = document.getElementById('canvas-container');
-const scene = new THREE.Scene();
-scene.background = new THREE.Color(0x1a1a2e);
-
-const camera = new THREE.PerspectiveCamera(
-    45,
-    container.clientWidth / container.clientHeight,
-    0.1,
-    1000
-);
-camera.position.set(0, 5, 12);
-
-const renderer = new THREE.WebGLRenderer({ antialias: true });
-renderer.setSize(container.clientWidth, container.clientHeight);
-renderer.setPixelRatio(window.devicePixelRatio);
-renderer.shadowMap.enabled = true;
-renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-renderer.toneMapping = THREE.ACESFilmicToneMapping;
-renderer.toneMappingExposure = 1.0;
-renderer.outputColorSpace = THREE.SRGBColorSpace;
-container.appendChild(renderer.domElement);
-
-// Controls - orbit only with right mouse button
-const controls = new OrbitControls(camera, renderer.domElement);
-controls.enableDamping = true;
-controls.dampingFactor = 0.05;
-controls.minDistance = 5;
-controls.maxDistance = 25;
-controls.mouseButtons = {
-    LEFT: null, // Disable left click for orbit (we use it for dragging)
-    MIDDLE: THREE.MOUSE.DOLLY,
-    RIGHT: THREE.MOUSE.ROTATE
-};
+import { XRControllerModelFactory } from 'three/addons/webxr/XRControllerModelFactory.js';
+import { XRHandModelFactory } from 'three/addons/webxr/XRHandModelFactory.js';
+import { VolumeProfile, ML_PER_CUBIC_UNIT, UNITS_PER_METRE, GRAVITY } from './volume-profile.js';
+import {
+    createLabMaterials,
+    createPipetteTip,
+    createPipetteTipProfiles,
+    createTipBox,
+    MICROPIPETTE_SIZES,
+    PIPETTE_TIP_SEAT,
+    PIPETTE_PLUNGER_TRAVEL
+} from './lab-equipment.js';
+import { getContainerDefinition, getContainerTypes, isPourable, isPipette, isBalance } from './container-registry.js';
+import { Solution, INDICATOR_DOSE } from './solution.js';
+import { computePH } from './acid-base.js';
+import { DEFAULT_BENCH_SCENE, normalizeBenchScene, parseBenchScene, createEntrySolution } from './bench-scene.js';
+import { FluidSimulation } from './fluid-simulation.js';
+import { FLUID_QUALITY, SPINE_POINTS } from './fluid-solver.js';
+import { BenchHistory, sameState } from './bench-history.js';
+import { SESSION_VERSION, SessionReplay, roundInput } from './bench-session.js';
+import { ContainerBody, PourCore, TRACE_VOLUME, BENCH_REACH, MAX_TILT, applyContainerInput } from './bench-core.js';
+import { BenchPhysics, floorAt } from './bench-physics.js';
+import { BalanceCore } from './bench-balance.js';
 
 // ============================================
 // ENVIRONMENT MAP
 // ============================================
-function createEnvironmentMap() {
+// Reflections for the glass, rendered once with `renderer`
+function createEnvironmentMap(renderer) {
     const cubeRenderTarget = new THREE.WebGLCubeRenderTarget(256);
     cubeRenderTarget.texture.type = THREE.HalfFloatType;
 
@@ -95,77 +82,9 @@ function createEnvironmentMap() {
     return cubeRenderTarget.texture;
 }
 
-// ============================================
-// LIGHTING
-// ============================================
-const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
-scene.add(ambientLight);
-
-const mainLight = new THREE.DirectionalLight(0xffffff, 1.5);
-mainLight.position.set(5, 10, 7);
-mainLight.castShadow = true;
-mainLight.shadow.mapSize.width = 2048;
-mainLight.shadow.mapSize.height = 2048;
-scene.add(mainLight);
-
-const fillLight = new THREE.DirectionalLight(0x8899bb, 0.4);
-fillLight.position.set(-5, 5, -5);
-scene.add(fillLight);
-
-const rimLight = new THREE.PointLight(0x00d4ff, 0.6, 20);
-rimLight.position.set(-3, 3, -3);
-scene.add(rimLight);
-
-const backLight = new THREE.SpotLight(0xffffff, 0.8);
-backLight.position.set(0, 5, -8);
-backLight.angle = Math.PI / 4;
-scene.add(backLight);
-
-// ============================================
-// FLOOR
-// ============================================
-const tableGeometry = new THREE.BoxGeometry(20, 0.3, 12);
-const tableMaterial = new THREE.MeshStandardMaterial({
-    color: 0x2a2a3e,
-    metalness: 0.1,
-    roughness: 0.4
-});
-const table = new THREE.Mesh(tableGeometry, tableMaterial);
-table.position.y = -2.05;
-table.receiveShadow = true;
-scene.add(table);
-
-// Environment map
-let envMap = null;
-try {
-    envMap = createEnvironmentMap();
-    scene.environment = envMap;
-} catch (e) {
-    console.log('Environment map creation skipped');
-}
-
 // ============================================
 // MATERIALS
 // ============================================
-const borosilicateGlass = new THREE.MeshPhysicalMaterial({
-    color: 0xe8f5f0,
-    metalness: 0.0,
-    roughness: 0.02,
-    transmission: 0.98,
-    thickness: 1.2,
-    ior: 1.474,
-    clearcoat: 1.0,
-    clearcoatRoughness: 0.05,
-    envMapIntensity: 1.5,
-    transparent: true,
-    opacity: 0.15,
-    side: THREE.DoubleSide,
-    attenuationColor: new THREE.Color(0xddf5ee),
-    attenuationDistance: 2.0,
-    specularIntensity: 1.0,
-    specularColor: new THREE.Color(0xffffff)
-});
-
 const createLiquidMaterial = (color) => new THREE.MeshPhysicalMaterial({
     color: color,
     metalness: 0.0,
@@ -182,711 +101,1502 @@ const createLiquidMaterial = (color) => new THREE.MeshPhysicalMaterial({
 
 // ============================================
 // CONTAINER CLASS - Base class for containers
+// Meshes, colours and the clipped liquid body on top of a ContainerBody
+// (bench-core.js), which holds the contents and the volume math.
 // ============================================
-class LiquidContainer {
+const FILM_OFFSET = 0.08;  // overflow film, just outside the glass
+const FILM_ARC = 0.8;      // radians of wall it covers
+const FILM_PATH_CM = 0.1;  // a thin film is pale
+const FILM_OPACITY = 0.5;
+const FILM_WETTING = 0.15; // s to wet the wall
+const FILM_DRAIN = 1.2;    // s to run dry once the overflow stops
+const SURFACE_SEGMENTS = 48;  // meridians the surface cap is cut along
+const SURFACE_DEPTH = 0.002;  // cap just under the clipping plane, so it is drawn
+
+class LiquidContainer extends ContainerBody {
     constructor(options = {}) {
+        super(options);
         this.group = new THREE.Group();
-        this.maxVolume = options.maxVolume || 250; // mL
-        this.currentVolume = options.initialVolume || 150; // mL
-        this.liquidColor = options.liquidColor || 0x4fc3f7;
         this.liquid = null;
-        this.liquidMaterial = createLiquidMaterial(this.liquidColor);
-        this.pourSpoutOffset = new THREE.Vector3(0, 0, 0);
-        this.name = options.name || 'Container';
-        this.isDragging = false;
-        this.isPouring = false;
+        this.liquidMaterial = createLiquidMaterial(0xffffff);
+        this.updateLiquidColor();
+
+        // Meshes that respond to a click (stopcocks, buttons)
+        this.clickTargets = [];
+
+        // The volume profile and the liquid body inset from it are built
+        // from the inner wall in createGeometry()
+        this.liquidInset = 0.02;
+
+        // Plane clipping the liquid body at the free surface
+        this.surfacePlane = new THREE.Plane(new THREE.Vector3(0, -1, 0), 0);
+        this.liquidMaterial.clippingPlanes = [this.surfacePlane];
 
         // Interaction box for raycasting
         this.interactionMesh = null;
     }
 
-    getPourSpoutWorldPosition() {
-        const worldPos = new THREE.Vector3();
-        this.group.localToWorld(worldPos.copy(this.pourSpoutOffset));
-        return worldPos;
+    // Placed by its group: the world matrix, brought up to date
+    getMatrix() {
+        this.group.updateWorldMatrix(true, false);
+        return this.group.matrixWorld.elements;
     }
 
-    getTiltAngle() {
-        const up = new THREE.Vector3(0, 1, 0);
-        const containerUp = new THREE.Vector3(0, 1, 0);
-        containerUp.applyQuaternion(this.group.quaternion);
-        return Math.acos(Math.max(-1, Math.min(1, up.dot(containerUp))));
+    setPose(position, rotation = [0, 0, 0]) {
+        this.group.position.fromArray(position);
+        this.group.rotation.set(rotation[0], rotation[1], rotation[2]);
+        this.updateLiquid();
     }
 
-    canPour() {
-        return this.getTiltAngle() > Math.PI / 6 && this.currentVolume > 0; // > 30 degrees
+    getRotation() {
+        const { x, y, z } = this.group.rotation;
+        return [x, y, z];
     }
 
-    getPourRate() {
-        const tilt = this.getTiltAngle();
-        if (tilt < Math.PI / 6) return 0;
-        // Pour rate increases with tilt angle
-        const normalizedTilt = (tilt - Math.PI / 6) / (Math.PI / 2);
-        return Math.min(normalizedTilt * 80, 60); // mL per second, max 60
+    // Colour of the mixture seen through `pathLength` cm of liquid
+    getLiquidColor(pathLength) {
+        const [r, g, b] = this.solution.getColor(pathLength, this.getPH());
+        return new THREE.Color().setRGB(r, g, b, THREE.SRGBColorSpace);
     }
 
-    updateLiquid() {
-        // Override in subclass
+    updateLiquidColor() {
+        const color = this.getLiquidColor();
+        this.liquidMaterial.color.copy(color);
+        this.liquidMaterial.attenuationColor.copy(color).multiplyScalar(0.7);
     }
 
-    setVolume(volume) {
-        this.currentVolume = Math.max(0, Math.min(this.maxVolume, volume));
+    // Liquid body fills the whole cavity; the surface plane clips it to the
+    // fill level and a cap covers the cut
+    createLiquidBody() {
+        const liquidPoints = this.volumeProfile.points.map(point =>
+            new THREE.Vector2(Math.max(0.001, point.r - this.liquidInset), point.y + 0.01)
+        );
+        this.liquidWall = liquidPoints.slice(); // bottom to top, for the cap
+        liquidPoints.push(new THREE.Vector2(0.001, this.volumeProfile.top));
+
+        const liquidGeometry = new THREE.LatheGeometry(liquidPoints, 48);
+        this.liquid = new THREE.Mesh(liquidGeometry, this.liquidMaterial);
+        this.group.add(this.liquid);
+
+        // Triangle fan, one triangle per meridian, refilled by updateSurfaceCap()
+        const capGeometry = new THREE.BufferGeometry();
+        const vertexCount = SURFACE_SEGMENTS * 3;
+        capGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3));
+        capGeometry.setAttribute('normal', new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3));
+        this.surfaceCap = new THREE.Mesh(capGeometry, this.liquidMaterial);
+        this.surfaceCap.frustumCulled = false; // bounds change with the surface
+        this.group.add(this.surfaceCap);
         this.updateLiquid();
     }
 
-    addVolume(amount) {
-        this.setVolume(this.currentVolume + amount);
+    // Cut of the free surface through the cavity: on each meridian of the
+    // liquid wall, the highest point under the surface, fanned around
+    // their middle
+    updateSurfaceCap() {
+        const up = this.getLocalUp();
+        const level = Math.min(this.surfaceLevel, this.rimLevel) - SURFACE_DEPTH;
+        const wall = this.liquidWall;
+        const edge = [];
+        for (let i = 0; i < SURFACE_SEGMENTS; i++) {
+            const angle = (i / SURFACE_SEGMENTS) * Math.PI * 2;
+            const cos = Math.cos(angle), sin = Math.sin(angle);
+            const height = (p) => (up.x * cos + up.z * sin) * p.x + up.y * p.y - level;
+
+            // Walk down from the rim; a meridian all above the surface is dry
+            let above = wall[wall.length - 1];
+            let point = height(above) <= 0 ? above : null;
+            for (let j = wall.length - 2; j >= 0 && !point; j--) {
+                const below = wall[j];
+                if (height(below) > 0) {
+                    above = below;
+                    continue;
+                }
+                const t = height(above) / (height(above) - height(below));
+                point = new THREE.Vector2().lerpVectors(above, below, t);
+            }
+            if (point) edge.push(new THREE.Vector3(point.x * cos, point.y, point.x * sin));
+        }
+
+        const geometry = this.surfaceCap.geometry;
+        this.surfaceCap.visible = edge.length >= 3;
+        if (!this.surfaceCap.visible) return;
+
+        const middle = edge.reduce((sum, p) => sum.add(p), new THREE.Vector3()).divideScalar(edge.length);
+        const position = geometry.attributes.position;
+        const normal = geometry.attributes.normal;
+        edge.forEach((p, i) => {
+            const next = edge[(i + 1) % edge.length];
+            position.setXYZ(i * 3, middle.x, middle.y, middle.z);
+            position.setXYZ(i * 3 + 1, next.x, next.y, next.z);
+            position.setXYZ(i * 3 + 2, p.x, p.y, p.z);
+            for (let k = 0; k < 3; k++) normal.setXYZ(i * 3 + k, up.x, up.y, up.z);
+        });
+        position.needsUpdate = true;
+        normal.needsUpdate = true;
+        geometry.setDrawRange(0, edge.length * 3);
+    }
+
+    // Sheet of liquid down the outside of the wall while the container
+    // overflows. Built facing local +z and turned to where the liquid runs.
+    createOverflowFilm() {
+        const points = this.volumeProfile.points
+            .filter(point => point.r > 0.05)
+            .map(point => new THREE.Vector2(point.r + FILM_OFFSET, point.y))
+            .reverse();
+        points.push(new THREE.Vector2(points[points.length - 1].x, 0)); // down to the outer base
+
+        const material = createLiquidMaterial(0xffffff);
+        material.transmission = 0.5;
+        material.thickness = 0.05;
+        material.opacity = 0;
+        material.depthWrite = false;
+        this.overflowFilm = new THREE.Mesh(new THREE.LatheGeometry(points, 8, -FILM_ARC / 2, FILM_ARC), material);
+        this.overflowFilm.visible = false;
+        this.filmWetness = 0; // 1 while liquid is running over, draining to 0
+        this.group.add(this.overflowFilm);
+    }
+
+    // side: local [x, z] the liquid runs over this frame, or null
+    updateOverflowFilm(deltaTime, side) {
+        if (!this.overflowFilm) return;
+        if (side) {
+            this.filmWetness = Math.min(1, this.filmWetness + deltaTime / FILM_WETTING);
+            this.overflowFilm.rotation.y = Math.atan2(side[0], side[1]);
+            this.overflowFilm.material.color.copy(this.getLiquidColor(FILM_PATH_CM));
+        } else {
+            this.filmWetness = Math.max(0, this.filmWetness - deltaTime / FILM_DRAIN);
+        }
+        this.overflowFilm.material.opacity = FILM_OPACITY * this.filmWetness;
+        this.overflowFilm.visible = this.filmWetness > 0;
+    }
+
+    // Re-level the surface, then clip the liquid body to it
+    updateLiquid() {
+        super.updateLiquid();
+        if (!this.liquid) return;
+
+        this.liquid.visible = this.surfaceCap.visible = this.currentVolume > 0;
+        if (!this.liquid.visible) return;
+
+        // Local offsets along `up` are offsets along the world normal from the container origin
+        const normal = new THREE.Vector3().fromArray(this.surfaceNormal);
+        const origin = this.group.getWorldPosition(new THREE.Vector3());
+        this.surfacePlane.normal.copy(normal).negate();
+        this.surfacePlane.constant = normal.dot(origin) + Math.min(this.surfaceLevel, this.rimLevel);
+        this.updateSurfaceCap();
+    }
+
+    setSolution(solution) {
+        super.setSolution(solution);
+        this.updateLiquidColor();
+    }
+
+    addLiquid(portion) {
+        super.addLiquid(portion);
+        this.updateLiquidColor();
+        return portion;
+    }
+
+    // ----------------------------------------
+    // History (see bench-history.js)
+    // ----------------------------------------
+
+    // Transform and contents, exactly
+    getSnapshot() {
+        return {
+            position: this.group.position.toArray(),
+            rotation: this.group.rotation.toArray(),
+            solution: this.solution.clone()
+        };
+    }
+
+    // Put back as captured, settled: put down, level and dry outside
+    restoreSnapshot(snapshot) {
+        this.group.position.fromArray(snapshot.position);
+        this.group.rotation.fromArray(snapshot.rotation);
+        this.group.updateMatrixWorld();
+        this.isDragging = false;
+        this.surfaceNormal = [0, 1, 0];
+        this.updateOverflowFilm(FILM_DRAIN, null);
+        this.setSolution(snapshot.solution.clone());
     }
 }
 
 // ============================================
-// BEAKER CLASS
+// GLASS CONTAINER CLASS
+// Any pourable container from the registry: glass, volume profile,
+// spout and pick bounds all come from its definition.
 // ============================================
-class Beaker extends LiquidContainer {
-    constructor(options = {}) {
+class GlassContainer extends LiquidContainer {
+    constructor(definition, options = {}) {
         super({
-            maxVolume: 250,
-            initialVolume: options.initialVolume || 150,
-            liquidColor: options.liquidColor || 0x4fc3f7,
-            name: 'Beaker'
+            maxVolume: definition.capacity,
+            initialVolume: options.initialVolume ?? definition.defaultVolume,
+            liquid: options.liquid || definition.defaultLiquid,
+            solution: options.solution,
+            name: definition.label,
+            spout: definition.spout,
+            bounds: definition.bounds,
+            glassMass: definition.glassMass
         });
 
-        this.height = 3.2;
-        this.bottomRadius = 1.15;
-        this.topRadius = 1.35;
-        this.wallThickness = 0.06;
-        this.bottomThickness = 0.08;
+        this.definition = definition;
+        this.type = definition.type;
+        this.materials = options.materials || createLabMaterials();
 
         this.createGeometry();
-        this.pourSpoutOffset.set(this.topRadius + 0.1, this.height + 0.1, 0);
     }
 
     createGeometry() {
-        // Outer wall
-        const outerPoints = [];
-        outerPoints.push(new THREE.Vector2(0.001, 0));
-        outerPoints.push(new THREE.Vector2(this.bottomRadius - 0.15, 0));
-        outerPoints.push(new THREE.Vector2(this.bottomRadius - 0.05, 0.02));
-        outerPoints.push(new THREE.Vector2(this.bottomRadius, 0.08));
-        outerPoints.push(new THREE.Vector2(this.topRadius, this.height));
-        outerPoints.push(new THREE.Vector2(this.topRadius + 0.06, this.height + 0.02));
-        outerPoints.push(new THREE.Vector2(this.topRadius + 0.08, this.height + 0.06));
-        outerPoints.push(new THREE.Vector2(this.topRadius + 0.05, this.height + 0.10));
-        outerPoints.push(new THREE.Vector2(this.topRadius - this.wallThickness, this.height + 0.08));
-
-        const outerGeometry = new THREE.LatheGeometry(outerPoints, 64);
-        const beakerOuter = new THREE.Mesh(outerGeometry, borosilicateGlass.clone());
-        beakerOuter.castShadow = true;
-
-        // Inner wall
-        const innerPoints = [];
-        innerPoints.push(new THREE.Vector2(0.001, this.bottomThickness));
-        innerPoints.push(new THREE.Vector2(this.bottomRadius - this.wallThickness - 0.1, this.bottomThickness));
-        innerPoints.push(new THREE.Vector2(this.bottomRadius - this.wallThickness, this.bottomThickness + 0.05));
-        innerPoints.push(new THREE.Vector2(this.topRadius - this.wallThickness, this.height));
-        innerPoints.push(new THREE.Vector2(this.topRadius - this.wallThickness, this.height + 0.06));
-
-        const innerGeometry = new THREE.LatheGeometry(innerPoints, 64);
-        const innerMat = borosilicateGlass.clone();
-        innerMat.side = THREE.BackSide;
-        const beakerInner = new THREE.Mesh(innerGeometry, innerMat);
-
-        // Pour spout
-        const spoutCurve = new THREE.Shape();
-        spoutCurve.moveTo(-0.25, 0);
-        spoutCurve.lineTo(0, 0.35);
-        spoutCurve.lineTo(0.25, 0);
-        spoutCurve.lineTo(0.20, -0.08);
-        spoutCurve.lineTo(0, 0.25);
-        spoutCurve.lineTo(-0.20, -0.08);
-        spoutCurve.closePath();
-
-        const spoutGeometry = new THREE.ExtrudeGeometry(spoutCurve, { depth: 0.12, bevelEnabled: false });
-        const spout = new THREE.Mesh(spoutGeometry, borosilicateGlass.clone());
-        spout.rotation.x = Math.PI / 2;
-        spout.rotation.z = Math.PI;
-        spout.position.set(this.topRadius + 0.02, this.height + 0.06, 0.06);
-
-        // Graduation marks
-        const markMaterial = new THREE.MeshBasicMaterial({
-            color: 0xffffff,
-            transparent: true,
-            opacity: 0.6
-        });
-
-        const graduations = [
-            { y: 0.6, label: '50' },
-            { y: 1.2, label: '100' },
-            { y: 1.8, label: '150' },
-            { y: 2.4, label: '200' },
-            { y: 3.0, label: '250' }
-        ];
+        this.volumeProfile = new VolumeProfile(this.definition.innerProfile());
 
-        graduations.forEach(grad => {
-            const radiusAtHeight = this.bottomRadius + (this.topRadius - this.bottomRadius) * (grad.y / this.height);
-            const markGeometry = new THREE.TorusGeometry(radiusAtHeight + 0.01, 0.008, 4, 16, 0.2);
-            const mark = new THREE.Mesh(markGeometry, markMaterial);
-            mark.rotation.x = Math.PI / 2;
-            mark.rotation.z = -0.3;
-            mark.position.y = grad.y + 0.1;
-            this.group.add(mark);
-        });
+        const model = this.definition.createModel({ materials: this.materials, showLiquid: false });
 
         // Interaction mesh (invisible, for raycasting)
+        const { bottomRadius, topRadius, height } = this.bounds;
         const interactionGeometry = new THREE.CylinderGeometry(
-            this.topRadius + 0.1,
-            this.bottomRadius + 0.1,
-            this.height + 0.2,
+            topRadius + 0.1,
+            bottomRadius + 0.1,
+            height + 0.2,
             16
         );
         this.interactionMesh = new THREE.Mesh(
             interactionGeometry,
             new THREE.MeshBasicMaterial({ visible: false })
         );
-        this.interactionMesh.position.y = this.height / 2;
+        this.interactionMesh.position.y = height / 2;
         this.interactionMesh.userData.container = this;
 
-        this.group.add(beakerOuter);
-        this.group.add(beakerInner);
-        this.group.add(spout);
+        this.group.add(model);
         this.group.add(this.interactionMesh);
 
-        this.updateLiquid();
-    }
-
-    updateLiquid() {
-        // Remove old liquid
-        if (this.liquid) {
-            this.group.remove(this.liquid);
-            this.liquid.geometry.dispose();
-        }
-
-        if (this.currentVolume <= 0) return;
-
-        // Calculate liquid height based on volume (simplified cylinder approximation)
-        const volumeRatio = this.currentVolume / this.maxVolume;
-        const liquidHeight = volumeRatio * (this.height - this.bottomThickness - 0.1) + this.bottomThickness;
-
-        const liquidPoints = [];
-        const liquidBottomR = this.bottomRadius - this.wallThickness - 0.02;
-        const liquidTopR = liquidBottomR + (this.topRadius - this.bottomRadius) * ((liquidHeight - this.bottomThickness) / this.height);
-
-        liquidPoints.push(new THREE.Vector2(0.001, this.bottomThickness + 0.01));
-        liquidPoints.push(new THREE.Vector2(liquidBottomR, this.bottomThickness + 0.02));
-        liquidPoints.push(new THREE.Vector2(liquidTopR - 0.02, liquidHeight));
-
-        // Meniscus curve
-        for (let i = 0; i <= 10; i++) {
-            const t = i / 10;
-            const r = (liquidTopR - 0.02) * (1 - t);
-            const meniscusHeight = 0.05 * Math.pow(t, 2);
-            liquidPoints.push(new THREE.Vector2(r, liquidHeight + meniscusHeight));
-        }
-
-        const liquidGeometry = new THREE.LatheGeometry(liquidPoints, 48);
-        this.liquid = new THREE.Mesh(liquidGeometry, this.liquidMaterial);
-        this.liquid.position.y = 0.01;
-        this.group.add(this.liquid);
+        this.createLiquidBody();
+        this.createOverflowFilm();
     }
 }
 
 // ============================================
-// ERLENMEYER FLASK CLASS
+// BURETTE CLASS
+// 50 mL burette on a stand, drawn at reduced scale so it fits above a
+// flask. A stopcock releases titrant dropwise into whatever is below.
 // ============================================
-class ErlenmeyerFlask extends LiquidContainer {
+const DROP_VOLUME = 0.05;     // mL
+const BURETTE_CAPACITY = 55; // mL, filled above the 0.00 mark
+
+class Burette extends LiquidContainer {
     constructor(options = {}) {
         super({
-            maxVolume: 250,
-            initialVolume: options.initialVolume || 100,
-            liquidColor: options.liquidColor || 0xff9800,
-            name: 'Erlenmeyer'
+            maxVolume: BURETTE_CAPACITY,
+            initialVolume: 0,
+            name: 'Burette'
         });
-
-        this.bodyHeight = 2.8;
-        this.neckHeight = 1.0;
-        this.bottomRadius = 1.6;
-        this.neckRadius = 0.32;
-        this.wallThickness = 0.05;
-        this.bottomThickness = 0.07;
-        this.power = 1.8;
+        this.isFixed = true;
+        this.materials = options.materials || createLabMaterials();
+        this.benchTop = options.benchTop ?? -1.9; // where drops that miss land
+
+        this.tipY = 4.1;
+        this.stopcockY = 4.45;
+        this.fiftyMarkY = 4.8;
+        this.zeroMarkY = 7.4;
+        this.tubeTop = 7.7;
+        this.tubeRadius = 0.18;
+        this.wallThickness = 0.04;
+
+        // Stopcock: 0 closed, then drops per second for each open position
+        this.stopcockSettings = [0, 2, 10];
+        this.stopcockIndex = 0;
+        this.dropTimer = 0;
+        this.drops = [];
+        this.dropGeometry = new THREE.SphereGeometry(0.04, 8, 8);
+        this.dropMaterial = createLiquidMaterial(0xffffff);
+        this.onDropDelivered = null;
+        this.onOverflow = null;    // (container, portion) for drops that do not fit
+        this.onDropSpilled = null; // (worldPosition, portion) for drops that miss every container
 
         this.createGeometry();
-        this.pourSpoutOffset.set(0, this.bodyHeight + this.neckHeight + 0.15, this.neckRadius);
+        this.spout = [this.tubeRadius, this.tubeTop + 0.05, 0];
+        this.fill(options.solution || Solution.fromLiquid(options.liquid || 'sodium-hydroxide', 1));
     }
 
     createGeometry() {
-        // Outer profile
-        const outerPoints = [];
-        outerPoints.push(new THREE.Vector2(0.001, 0));
-        outerPoints.push(new THREE.Vector2(this.bottomRadius - 0.2, 0));
-        outerPoints.push(new THREE.Vector2(this.bottomRadius - 0.08, 0.02));
-        outerPoints.push(new THREE.Vector2(this.bottomRadius, 0.08));
-        outerPoints.push(new THREE.Vector2(this.bottomRadius, 0.12));
-
-        const curveSteps = 40;
-        const curveStartY = 0.12;
-        const curveEndY = this.bodyHeight;
-        const curveHeight = curveEndY - curveStartY;
-
-        for (let i = 1; i <= curveSteps; i++) {
-            const t = i / curveSteps;
-            const y = curveStartY + curveHeight * t;
-            const r = this.neckRadius + (this.bottomRadius - this.neckRadius) * Math.pow(1 - t, this.power);
-            outerPoints.push(new THREE.Vector2(r, y));
-        }
-
-        outerPoints.push(new THREE.Vector2(this.neckRadius, this.bodyHeight));
-        outerPoints.push(new THREE.Vector2(this.neckRadius, this.bodyHeight + this.neckHeight));
-        outerPoints.push(new THREE.Vector2(this.neckRadius + 0.05, this.bodyHeight + this.neckHeight + 0.02));
-        outerPoints.push(new THREE.Vector2(this.neckRadius + 0.06, this.bodyHeight + this.neckHeight + 0.06));
-        outerPoints.push(new THREE.Vector2(this.neckRadius + 0.03, this.bodyHeight + this.neckHeight + 0.09));
-        outerPoints.push(new THREE.Vector2(this.neckRadius - this.wallThickness, this.bodyHeight + this.neckHeight + 0.07));
-
-        const outerGeometry = new THREE.LatheGeometry(outerPoints, 64);
-        const flaskOuter = new THREE.Mesh(outerGeometry, borosilicateGlass.clone());
-        flaskOuter.castShadow = true;
-
-        // Inner profile
-        const innerPoints = [];
-        const innerBottomR = this.bottomRadius - this.wallThickness;
-        const innerNeckR = this.neckRadius - this.wallThickness;
-
-        innerPoints.push(new THREE.Vector2(0.001, this.bottomThickness));
-        innerPoints.push(new THREE.Vector2(innerBottomR - 0.15, this.bottomThickness));
-        innerPoints.push(new THREE.Vector2(innerBottomR, this.bottomThickness + 0.05));
-
-        const innerCurveStartY = this.bottomThickness + 0.05;
-        const innerCurveHeight = this.bodyHeight - innerCurveStartY;
-
-        for (let i = 1; i <= curveSteps; i++) {
-            const t = i / curveSteps;
-            const y = innerCurveStartY + innerCurveHeight * t;
-            const r = innerNeckR + (innerBottomR - innerNeckR) * Math.pow(1 - t, this.power);
-            innerPoints.push(new THREE.Vector2(r, y));
-        }
-
-        innerPoints.push(new THREE.Vector2(innerNeckR, this.bodyHeight + this.neckHeight));
-
-        const innerGeometry = new THREE.LatheGeometry(innerPoints, 64);
-        const innerMat = borosilicateGlass.clone();
-        innerMat.side = THREE.BackSide;
-        const flaskInner = new THREE.Mesh(innerGeometry, innerMat);
-
-        // Volume graduations
-        const markMaterial = new THREE.MeshBasicMaterial({
-            color: 0xffffff,
-            transparent: true,
-            opacity: 0.5
-        });
+        const innerR = this.tubeRadius - this.wallThickness;
+
+        // Glass tube tapering into the delivery tip below the stopcock
+        const outerPoints = [
+            new THREE.Vector2(0.001, this.tipY),
+            new THREE.Vector2(0.035, this.tipY),
+            new THREE.Vector2(0.045, this.stopcockY + 0.05),
+            new THREE.Vector2(0.09, this.stopcockY + 0.12),
+            new THREE.Vector2(this.tubeRadius, this.stopcockY + 0.3),
+            new THREE.Vector2(this.tubeRadius, this.tubeTop),
+            new THREE.Vector2(this.tubeRadius + 0.03, this.tubeTop + 0.03),
+            new THREE.Vector2(innerR, this.tubeTop + 0.05)
+        ];
+        const tube = new THREE.Mesh(new THREE.LatheGeometry(outerPoints, 32), this.materials.borosilicateGlass.clone());
+        tube.castShadow = true;
 
-        [0.8, 1.4, 2.0, 2.5].forEach(y => {
-            const markT = (y - curveStartY) / curveHeight;
-            const radiusAtY = this.neckRadius + (this.bottomRadius - this.neckRadius) * Math.pow(1 - Math.min(markT, 1), this.power);
-            if (radiusAtY > this.neckRadius + 0.1) {
-                const markGeometry = new THREE.TorusGeometry(radiusAtY + 0.01, 0.006, 4, 16, 0.15);
-                const mark = new THREE.Mesh(markGeometry, markMaterial);
-                mark.rotation.x = Math.PI / 2;
-                mark.rotation.z = -0.4;
-                mark.position.y = y + 0.1;
-                this.group.add(mark);
-            }
-        });
+        const innerPoints = [
+            new THREE.Vector2(0.001, this.stopcockY + 0.15),
+            new THREE.Vector2(innerR, this.stopcockY + 0.3),
+            new THREE.Vector2(innerR, this.tubeTop)
+        ];
 
-        // Interaction mesh (invisible, for raycasting)
-        const interactionGeometry = new THREE.CylinderGeometry(
-            this.neckRadius + 0.1,
-            this.bottomRadius + 0.1,
-            this.bodyHeight + this.neckHeight + 0.2,
-            16
-        );
-        this.interactionMesh = new THREE.Mesh(
-            interactionGeometry,
-            new THREE.MeshBasicMaterial({ visible: false })
-        );
-        this.interactionMesh.position.y = (this.bodyHeight + this.neckHeight) / 2;
-        this.interactionMesh.userData.container = this;
+        // Scaled so the span between the 50 and 0 marks holds exactly 50 mL
+        const markSpan = Math.PI * innerR * innerR * (this.zeroMarkY - this.fiftyMarkY);
+        this.volumeProfile = new VolumeProfile(innerPoints, 50 / markSpan);
 
-        this.group.add(flaskOuter);
-        this.group.add(flaskInner);
-        this.group.add(this.interactionMesh);
+        // Graduations every 1 mL, longer every 5 mL (reading increases downward)
+        const markMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.6 });
+        for (let reading = 0; reading <= 50; reading++) {
+            const major = reading % 5 === 0;
+            const y = this.getGraduationHeight(this.getZeroMarkVolume() - reading);
+            const markGeometry = new THREE.TorusGeometry(this.tubeRadius + 0.005, 0.004, 4, 8, major ? 0.9 : 0.45);
+            const mark = new THREE.Mesh(markGeometry, markMaterial);
+            mark.rotation.x = Math.PI / 2;
+            mark.rotation.z = Math.PI / 2 - (major ? 0.45 : 0.225);
+            mark.position.y = y;
+            this.group.add(mark);
+        }
 
-        this.updateLiquid();
+        // Stopcock barrel and PTFE key
+        const ptfe = new THREE.MeshStandardMaterial({ color: 0xf5f5f5, roughness: 0.5 });
+        const barrel = new THREE.Mesh(new THREE.CylinderGeometry(0.07, 0.07, 0.32, 16), this.materials.borosilicateGlass.clone());
+        barrel.rotation.x = Math.PI / 2;
+        barrel.position.y = this.stopcockY;
+
+        this.stopcockKey = new THREE.Group();
+        const key = new THREE.Mesh(new THREE.BoxGeometry(0.5, 0.08, 0.06), ptfe);
+        const keyHub = new THREE.Mesh(new THREE.CylinderGeometry(0.06, 0.06, 0.12, 16), ptfe);
+        keyHub.rotation.x = Math.PI / 2;
+        this.stopcockKey.add(key, keyHub);
+        this.stopcockKey.position.set(0, this.stopcockY, 0.2);
+        key.userData.onClick = () => this.cycleStopcock();
+        keyHub.userData.onClick = () => this.cycleStopcock();
+        this.clickTargets.push(key, keyHub);
+
+        // Stand: base plate, rod and clamp
+        const standMaterial = new THREE.MeshStandardMaterial({ color: 0x555566, metalness: 0.7, roughness: 0.35 });
+        const base = new THREE.Mesh(new THREE.BoxGeometry(1.4, 0.1, 1.0), standMaterial);
+        base.position.set(0, 0.05, -2.2);
+        base.receiveShadow = true;
+        const rod = new THREE.Mesh(new THREE.CylinderGeometry(0.05, 0.05, 8.2, 12), standMaterial);
+        rod.position.set(0, 4.1, -2.1);
+        rod.castShadow = true;
+        const arm = new THREE.Mesh(new THREE.BoxGeometry(0.08, 0.08, 2.1), standMaterial);
+        arm.position.set(0, 6.6, -1.05);
+        const clamp = new THREE.Mesh(new THREE.TorusGeometry(this.tubeRadius + 0.04, 0.03, 8, 24), standMaterial);
+        clamp.rotation.x = Math.PI / 2;
+        clamp.position.y = 6.6;
+
+        // Hull for bench-physics.js: the rod and the plate around it stop
+        // glassware, leaving room in front for a flask under the tip
+        const standRadius = 0.5;
+        this.bounds = { bottomRadius: standRadius, topRadius: standRadius, height: 8.2, offset: base.position.z };
+
+        this.group.add(tube, barrel, this.stopcockKey, base, rod, arm, clamp);
+        this.createLiquidBody();
+        this.updateStopcockKey();
     }
 
-    updateLiquid() {
-        // Remove old liquid
-        if (this.liquid) {
-            this.group.remove(this.liquid);
-            this.liquid.geometry.dispose();
-        }
+    // Volume held when filled to the 0.00 mL mark
+    getZeroMarkVolume() {
+        return this.volumeProfile.volumeAtHeight(this.zeroMarkY);
+    }
+
+    // Burette reading: volume delivered since filling to the 0.00 mark
+    getReading() {
+        return Math.max(0, this.getZeroMarkVolume() - this.currentVolume);
+    }
+
+    // Refill to the zero mark with `solution`'s composition
+    fill(solution) {
+        this.setSolution(solution.clone().setVolume(this.getZeroMarkVolume()));
+        this.dropMaterial.color.copy(this.getLiquidColor(STREAM_PATH_CM));
+        this.drops.forEach(drop => this.group.remove(drop.mesh));
+        this.drops = [];
+    }
 
-        if (this.currentVolume <= 0) return;
+    cycleStopcock() {
+        this.stopcockIndex = (this.stopcockIndex + 1) % this.stopcockSettings.length;
+        this.dropTimer = 0;
+        this.updateStopcockKey();
+    }
 
-        const volumeRatio = this.currentVolume / this.maxVolume;
-        // Erlenmeyer has non-linear volume due to conical shape
-        // Approximate: liquid height grows slower at bottom due to wider base
-        const liquidHeight = Math.pow(volumeRatio, 0.6) * (this.bodyHeight - this.bottomThickness) + this.bottomThickness;
+    // Key across the bore is closed; turning it toward the bore opens it
+    updateStopcockKey() {
+        const opening = this.stopcockIndex / (this.stopcockSettings.length - 1);
+        this.stopcockKey.rotation.z = opening * Math.PI / 2;
+    }
 
-        const liquidPoints = [];
-        const innerBottomR = this.bottomRadius - this.wallThickness - 0.02;
-        const innerNeckR = this.neckRadius - this.wallThickness - 0.02;
-        const curveStartY = 0.12;
-        const curveHeight = this.bodyHeight - curveStartY;
+    getStopcockState() {
+        return ['closed', 'dropwise', 'open'][this.stopcockIndex];
+    }
 
-        liquidPoints.push(new THREE.Vector2(0.001, this.bottomThickness + 0.01));
-        liquidPoints.push(new THREE.Vector2(innerBottomR, this.bottomThickness + 0.02));
+    getSnapshot() {
+        return { ...super.getSnapshot(), stopcock: this.stopcockIndex };
+    }
 
-        // Follow the power curve for liquid sides
-        const liquidStartY = this.bottomThickness + 0.02;
-        const liquidEndY = liquidHeight + this.bottomThickness;
+    // Drops on their way down are not part of a snapshot
+    restoreSnapshot(snapshot) {
+        super.restoreSnapshot(snapshot);
+        this.stopcockIndex = snapshot.stopcock;
+        this.dropTimer = 0;
+        this.updateStopcockKey();
+        this.drops.forEach(drop => this.group.remove(drop.mesh));
+        this.drops = [];
+        this.dropMaterial.color.copy(this.getLiquidColor(STREAM_PATH_CM));
+    }
 
-        for (let i = 1; i <= 15; i++) {
-            const t = i / 15;
-            const y = liquidStartY + (liquidEndY - liquidStartY) * t;
-            const flaskT = (y - curveStartY) / curveHeight;
-            const r = innerNeckR + (innerBottomR - innerNeckR) * Math.pow(1 - Math.min(flaskT, 1), this.power);
-            liquidPoints.push(new THREE.Vector2(r, y));
-        }
+    // Release a single drop regardless of the stopcock setting
+    releaseDrop() {
+        if (this.currentVolume < DROP_VOLUME) return;
 
-        // Get the radius at liquid surface
-        const liquidSurfaceT = (liquidEndY - curveStartY) / curveHeight;
-        const liquidTopR = innerNeckR + (innerBottomR - innerNeckR) * Math.pow(1 - Math.min(liquidSurfaceT, 1), this.power);
+        const mesh = new THREE.Mesh(this.dropGeometry, this.dropMaterial);
+        mesh.position.set(0, this.tipY, 0);
+        this.group.add(mesh);
+        this.drops.push({ mesh, velocity: 0, portion: this.removeLiquid(DROP_VOLUME) });
+    }
 
-        // Meniscus
-        for (let i = 0; i <= 10; i++) {
-            const t = i / 10;
-            const r = liquidTopR * (1 - t);
-            const meniscus = 0.04 * Math.pow(t, 2.5);
-            liquidPoints.push(new THREE.Vector2(r, liquidEndY + meniscus));
+    // Container whose opening lies under the tip
+    findReceiver(containers) {
+        const tip = this.group.localToWorld(new THREE.Vector3(0, this.tipY, 0));
+        for (const container of containers) {
+            if (container === this || container.isFixed) continue;
+            const { center: [x, y, z], radius } = container.getOpening();
+            if (Math.hypot(tip.x - x, tip.z - z) < radius && tip.y > y) {
+                return container;
+            }
         }
+        return null;
+    }
 
-        const liquidGeometry = new THREE.LatheGeometry(liquidPoints, 48);
-        this.liquid = new THREE.Mesh(liquidGeometry, this.liquidMaterial);
-        this.group.add(this.liquid);
+    update(deltaTime, containers) {
+        const rate = this.stopcockSettings[this.stopcockIndex];
+        if (rate > 0) {
+            this.dropTimer += deltaTime * rate;
+            while (this.dropTimer >= 1) {
+                this.dropTimer -= 1;
+                this.releaseDrop();
+            }
+        }
+
+        const receiver = this.findReceiver(containers);
+        const floorY = this.group.worldToLocal(new THREE.Vector3(0, receiver ?
+            receiver.getSurfaceHeight() : this.benchTop, 0)).y;
+
+        for (let i = this.drops.length - 1; i >= 0; i--) {
+            const drop = this.drops[i];
+            drop.velocity += GRAVITY * deltaTime;
+            drop.mesh.position.y -= drop.velocity * deltaTime;
+
+            if (drop.mesh.position.y <= floorY) {
+                const spilled = receiver ? receiver.addLiquid(drop.portion) : drop.portion;
+                if (receiver && this.onDropDelivered) this.onDropDelivered(receiver);
+                if (spilled.volume > 0 && receiver && this.onOverflow) {
+                    this.onOverflow(receiver, spilled);
+                } else if (spilled.volume > 0 && !receiver && this.onDropSpilled) {
+                    this.onDropSpilled(drop.mesh.getWorldPosition(new THREE.Vector3()), spilled);
+                }
+                this.group.remove(drop.mesh);
+                this.drops.splice(i, 1);
+            }
+        }
     }
 }
 
 // ============================================
-// LIQUID STREAM (Combined Tube + Particles)
+// MICROPIPETTE
+// Air-displacement pipette held above the bench, nozzle end at the group
+// origin. The plunger moves a fixed stroke of air: down to the first stop
+// the set volume, on to the second stop BLOWOUT_STROKE more. Rising with
+// the tip under a surface it draws liquid, with the tip in air it draws
+// air, so a tip that is not submerged - or not deep enough to stay
+// submerged - takes up short. Pressing expels the column from the tip end
+// up, leaving a film on the tip wall that only the blow-out clears.
 // ============================================
-class LiquidStream {
-    constructor() {
-        this.particles = [];
-        this.maxParticles = 150;
-        this.particleGeometry = new THREE.SphereGeometry(0.035, 6, 6);
-        this.particleMaterial = new THREE.MeshPhysicalMaterial({
-            color: 0x4fc3f7,
-            metalness: 0.0,
-            roughness: 0.0,
-            transmission: 0.8,
-            ior: 1.333,
-            transparent: true,
-            opacity: 0.75
-        });
-        this.group = new THREE.Group();
-        this.isActive = false;
-        this.sourceContainer = null;
-        this.targetContainer = null;
+const BLOWOUT_STROKE = 0.2;     // second-stop stroke, as a fraction of the setting
+const TIP_FILM = 0.015;         // fraction of liquid dispensed to the first stop left in the tip
+const FIRST_STOP_DETENT = 0.3;  // thumb travel (in stops) to push through the first stop
+const PLUNGER_RETURN = 1.5;     // stops per second the plunger rises once let go
+const TIP_CLEARANCE = 0.03;     // tip end radius kept off glass walls
+const TIP_PATH_CM = 0.3;        // seen through a narrow tip, liquid is pale
+const EJECT_TIME = 0.25;        // s the ejector takes down and back
+const UL_PER_ML = 1000;
+
+// Plunger position (0 rest, 1 first stop, 2 second stop) for how far the
+// thumb has pressed, in stops: the first stop holds the plunger until the
+// thumb pushes through the detent
+function plungerForThumb(thumb) {
+    if (thumb <= 1) return Math.max(0, thumb);
+    return THREE.MathUtils.clamp(thumb - FIRST_STOP_DETENT, 1, 2);
+}
 
-        // Continuous stream tube
-        this.streamTube = null;
-        this.streamMaterial = new THREE.MeshPhysicalMaterial({
-            color: 0x4fc3f7,
-            metalness: 0.0,
-            roughness: 0.0,
-            transmission: 0.85,
-            ior: 1.333,
-            transparent: true,
-            opacity: 0.6,
-            side: THREE.DoubleSide
-        });
+function thumbForPlunger(position) {
+    return position <= 1 ? position : position + FIRST_STOP_DETENT;
+}
+
+const columnVolume = (segment) => segment.solution ? segment.solution.volume : segment.air;
+const cloneSegment = (segment) => segment.solution ? { solution: segment.solution.clone() } : { air: segment.air };
+
+// Box of tips for one pipette size, standing on the bench
+class TipBox {
+    constructor(size, materials) {
+        this.size = size;
+        this.group = createTipBox({ size, materials });
+        this.tips = this.group.getObjectByName('tips').children;
+        this.tipTop = this.tips[0].position.y + MICROPIPETTE_SIZES[size].tip.length;
 
-        // Splash particles at impact point
-        this.splashParticles = [];
-        this.splashGeometry = new THREE.SphereGeometry(0.02, 4, 4);
+        const extent = new THREE.Box3().setFromObject(this.group);
+        this.halfWidth = (extent.max.x - extent.min.x) / 2;
+        this.halfDepth = (extent.max.z - extent.min.z) / 2;
     }
 
-    setColor(color) {
-        this.particleMaterial.color.setHex(color);
-        this.streamMaterial.color.setHex(color);
-        const attColor = new THREE.Color(color).multiplyScalar(0.7);
-        this.particleMaterial.attenuationColor = attColor;
-        this.streamMaterial.attenuationColor = attColor;
+    covers(x, z) {
+        const { position } = this.group;
+        return Math.abs(x - position.x) < this.halfWidth && Math.abs(z - position.z) < this.halfDepth;
     }
 
-    start(source, target) {
-        this.isActive = true;
-        this.sourceContainer = source;
-        this.targetContainer = target;
-        this.setColor(source.liquidColor);
+    // World height of the tops of the tips
+    getTipTopHeight() {
+        return this.group.position.y + this.tipTop;
     }
 
-    stop() {
-        this.isActive = false;
-        this.sourceContainer = null;
-        this.targetContainer = null;
+    // Tip still in the box whose axis passes within reach of (x, z)
+    findTip(x, z) {
+        const { position } = this.group;
+        return this.tips.find(tip => tip.visible &&
+            Math.hypot(x - position.x - tip.position.x, z - position.z - tip.position.z) < TIP_CLEARANCE * 3) || null;
+    }
 
-        // Remove stream tube
-        if (this.streamTube) {
-            this.group.remove(this.streamTube);
-            this.streamTube.geometry.dispose();
-            this.streamTube = null;
-        }
+    // Which tips are still in the box
+    getSnapshot() {
+        return this.tips.map(tip => tip.visible);
     }
 
-    updateStreamTube(spoutPos, targetPos) {
-        // Remove old tube
-        if (this.streamTube) {
-            this.group.remove(this.streamTube);
-            this.streamTube.geometry.dispose();
-        }
+    restoreSnapshot(snapshot) {
+        this.tips.forEach((tip, i) => { tip.visible = snapshot[i]; });
+    }
+}
 
-        const tiltAngle = this.sourceContainer.getTiltAngle();
-        const streamLength = Math.max(0.5, (tiltAngle - Math.PI / 6) * 3);
+class Micropipette {
+    constructor(definition, options = {}) {
+        this.definition = definition;
+        this.type = definition.type;
+        this.size = definition.size;
+        this.name = definition.label;
+        this.events = options.events;
+        this.containers = options.containers || []; // where the tip can draw from and dispense into
+        this.tipBoxes = options.tipBoxes || [];
+        this.benchTop = options.benchTop ?? -1.9;
+        this.materials = options.materials || createLabMaterials();
+
+        this.setting = definition.volumeRange[1]; // µL on the dial
+        this.plunger = 0;           // 0 rest, 1 first stop, 2 second stop
+        this.plungerHeld = false;   // held down by the thumb; let go, it rises
+        this.isHeld = false;        // in hand, being moved or its plunger worked
+        this.hasTip = false;
+        this.column = [];           // tip contents from the end up: { solution } or { air } (mL)
+        this.film = new Solution(); // liquid left wetting the tip wall
+        this.ejectTime = 0;
+
+        this.onOverflow = null; // (container, portion) for liquid that does not fit
+        this.onSpill = null;    // (worldPosition, portion) for liquid that misses every container
 
-        // Calculate parabolic arc points
-        const points = [];
-        const startY = spoutPos.y;
-        const endY = targetPos ? targetPos.y + 2 : spoutPos.y - 2;
+        this.group = new THREE.Group();
+        this.pickMeshes = []; // userData.part: 'body', 'plunger' or 'ejector'
+        this.createGeometry();
+    }
 
-        // Get pour direction
-        const pourDir = new THREE.Vector3(1, 0, 0);
-        pourDir.applyQuaternion(this.sourceContainer.group.quaternion);
-        pourDir.y = 0;
-        pourDir.normalize();
+    createGeometry() {
+        const { nozzleLength, tip } = MICROPIPETTE_SIZES[this.size];
+        this.tipDrop = tip.length - PIPETTE_TIP_SEAT; // nozzle end to tip end
+
+        const model = this.definition.createModel({ materials: this.materials, tip: false });
+        this.plungerPart = model.getObjectByName('plunger');
+        this.plungerRest = this.plungerPart.position.y;
+        this.ejectorPart = model.getObjectByName('ejector');
+
+        this.tip = createPipetteTip({ materials: this.materials, size: this.size });
+        this.tip.position.y = -this.tipDrop;
+        this.tip.visible = false;
+
+        // Liquid in the tip: the whole bore, clipped to the liquid in the column
+        this.tipProfile = new VolumeProfile(createPipetteTipProfiles({ size: this.size }).inner);
+        const liquidPoints = this.tipProfile.points.map(({ r, y }) => new THREE.Vector2(Math.max(0.001, r - 0.004), y));
+        liquidPoints.unshift(new THREE.Vector2(0.001, 0));
+        liquidPoints.push(new THREE.Vector2(0.001, this.tipProfile.top));
+        this.liquidMaterial = createLiquidMaterial(0xffffff);
+        this.columnPlanes = [new THREE.Plane(new THREE.Vector3(0, 1, 0), 0), new THREE.Plane(new THREE.Vector3(0, -1, 0), 0)];
+        this.liquidMaterial.clippingPlanes = this.columnPlanes;
+        this.tipLiquid = new THREE.Mesh(new THREE.LatheGeometry(liquidPoints, 16), this.liquidMaterial);
+        this.tipLiquid.visible = false;
+        this.tip.add(this.tipLiquid);
+
+        // Counter window showing the dial setting
+        this.displayCanvas = document.createElement('canvas');
+        this.displayCanvas.width = 128;
+        this.displayCanvas.height = 48;
+        const display = model.getObjectByName('display');
+        display.material.map = new THREE.CanvasTexture(this.displayCanvas);
+        display.material.map.colorSpace = THREE.SRGBColorSpace;
+        this.displayTexture = display.material.map;
+        this.drawDisplay();
+
+        // Picking: the plunger and ejector buttons, and a cylinder round the body
+        const bodyHeight = nozzleLength + 4.8;
+        const grip = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.35, 0.35, bodyHeight, 12),
+            new THREE.MeshBasicMaterial({ visible: false })
+        );
+        grip.position.y = bodyHeight / 2;
+        grip.userData.part = 'body';
+        this.pickMeshes.push(grip);
+        for (const [part, object] of [['plunger', this.plungerPart], ['ejector', this.ejectorPart]]) {
+            object.traverse(child => {
+                if (!child.isMesh) return;
+                child.userData.part = part;
+                this.pickMeshes.push(child);
+            });
+        }
+        this.pickMeshes.forEach(mesh => { mesh.userData.pipette = this; });
 
-        const horizontalDist = targetPos ?
-            Math.sqrt(Math.pow(targetPos.x - spoutPos.x, 2) + Math.pow(targetPos.z - spoutPos.z, 2)) :
-            streamLength;
+        this.group.add(model, this.tip, grip);
+    }
 
-        const numPoints = 12;
-        for (let i = 0; i <= numPoints; i++) {
-            const t = i / numPoints;
-            const x = spoutPos.x + pourDir.x * horizontalDist * t;
-            const z = spoutPos.z + pourDir.z * horizontalDist * t;
-            // Parabolic trajectory
-            const y = spoutPos.y - t * Math.abs(startY - endY) - t * t * 2;
-            points.push(new THREE.Vector3(x, y, z));
-        }
+    drawDisplay() {
+        const ctx = this.displayCanvas.getContext('2d');
+        const { width, height } = this.displayCanvas;
+        ctx.fillStyle = '#f1f3e6';
+        ctx.fillRect(0, 0, width, height);
+        ctx.fillStyle = '#1b1b1b';
+        ctx.font = 'bold 36px monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(this.setting.toFixed(this.size === 200 ? 1 : 0), width / 2, height / 2);
+        this.displayTexture.needsUpdate = true;
+    }
 
-        if (points.length >= 2) {
-            const curve = new THREE.CatmullRomCurve3(points);
-            const tubeRadius = 0.03 + (tiltAngle - Math.PI / 6) * 0.04;
-            const tubeGeometry = new THREE.TubeGeometry(curve, 16, tubeRadius, 8, false);
-            this.streamTube = new THREE.Mesh(tubeGeometry, this.streamMaterial);
-            this.group.add(this.streamTube);
+    // Turn the dial to `volume` µL
+    setVolume(volume) {
+        const [min, max] = this.definition.volumeRange;
+        if (!Number.isFinite(volume) || volume < min || volume > max) {
+            throw new Error(`${this.name} sets ${min} to ${max} µL, got ${volume}`);
         }
+        this.setting = volume;
+        this.drawDisplay();
     }
 
-    update(deltaTime) {
-        if (!this.isActive || !this.sourceContainer) return;
-
-        const spoutPos = this.sourceContainer.getPourSpoutWorldPosition();
-        const tiltAngle = this.sourceContainer.getTiltAngle();
-
-        // Update continuous stream tube
-        if (tiltAngle > Math.PI / 6) {
-            const targetPos = this.targetContainer ? this.targetContainer.group.position : null;
-            this.updateStreamTube(spoutPos, targetPos);
-        }
-
-        // Spawn droplet particles along the stream
-        const spawnChance = 0.6 + (tiltAngle - Math.PI / 6) * 0.5;
-        if (this.particles.length < this.maxParticles && Math.random() < spawnChance) {
-            const particle = new THREE.Mesh(this.particleGeometry, this.particleMaterial.clone());
-
-            // Spawn at spout with slight random offset
-            particle.position.copy(spoutPos);
-            particle.position.x += (Math.random() - 0.5) * 0.05;
-            particle.position.z += (Math.random() - 0.5) * 0.05;
-
-            // Initial velocity based on tilt and pour direction
-            const speed = 1.5 + tiltAngle * 1.5;
-            const pourDir = new THREE.Vector3(1, 0, 0);
-            pourDir.applyQuaternion(this.sourceContainer.group.quaternion);
-            pourDir.y = -0.2;
-            pourDir.normalize();
-
-            particle.userData.velocity = pourDir.multiplyScalar(speed);
-            particle.userData.velocity.x += (Math.random() - 0.5) * 0.4;
-            particle.userData.velocity.z += (Math.random() - 0.5) * 0.4;
-            particle.userData.life = 0;
-            particle.userData.maxLife = 2.5;
-            particle.userData.hasHit = false;
-
-            this.particles.push(particle);
-            this.group.add(particle);
-        }
-
-        // Update particles with physics
-        const gravity = -12;
-        const tableY = -1.85;
-
-        for (let i = this.particles.length - 1; i >= 0; i--) {
-            const p = this.particles[i];
-
-            // Apply gravity
-            p.userData.velocity.y += gravity * deltaTime;
-
-            // Update position
-            p.position.x += p.userData.velocity.x * deltaTime;
-            p.position.y += p.userData.velocity.y * deltaTime;
-            p.position.z += p.userData.velocity.z * deltaTime;
-
-            // Scale particle based on velocity (elongation effect)
-            const speed = p.userData.velocity.length();
-            p.scale.y = 1 + speed * 0.1;
-
-            // Update life
-            p.userData.life += deltaTime;
-
-            // Check collision with target container
-            if (this.targetContainer && !p.userData.hasHit) {
-                const targetPos = this.targetContainer.group.position;
-                const dx = p.position.x - targetPos.x;
-                const dz = p.position.z - targetPos.z;
-                const horizontalDist = Math.sqrt(dx * dx + dz * dz);
-
-                // Use appropriate radius based on container type and height
-                let containerRadius, containerTop, containerBottom;
-                if (this.targetContainer instanceof Beaker) {
-                    containerRadius = 1.3;
-                    containerTop = targetPos.y + 3.3;
-                    containerBottom = targetPos.y;
-                } else {
-                    // Erlenmeyer - use neck radius at top, body radius at bottom
-                    containerTop = targetPos.y + 3.9;
-                    containerBottom = targetPos.y;
-                    const heightRatio = (p.position.y - containerBottom) / (containerTop - containerBottom);
-                    containerRadius = heightRatio > 0.7 ? 0.35 : 1.5 * (1 - heightRatio * 0.5);
-                }
+    // mL of air the plunger has displaced at position `p`
+    stroke(p) {
+        return this.setting / UL_PER_ML * (Math.min(p, 1) + BLOWOUT_STROKE * Math.max(0, p - 1));
+    }
 
-                if (horizontalDist < containerRadius &&
-                    p.position.y < containerTop &&
-                    p.position.y > containerBottom) {
-                    // Create splash effect
-                    this.createSplash(p.position.clone());
-                    p.userData.hasHit = true;
-                    p.userData.life = p.userData.maxLife;
-                }
-            }
+    // World position of the tip end (the nozzle end without a tip)
+    getTipEnd() {
+        const end = this.group.position.clone();
+        if (this.hasTip) end.y -= this.tipDrop; // the pipette is always upright
+        return end;
+    }
 
-            // Remove particles that hit the table or are too old
-            if (p.userData.life >= p.userData.maxLife || p.position.y < tableY) {
-                if (p.position.y < tableY && !p.userData.hasHit) {
-                    this.createSplash(new THREE.Vector3(p.position.x, tableY, p.position.z));
-                }
-                this.group.remove(p);
-                p.geometry = null; // Don't dispose shared geometry
-                this.particles.splice(i, 1);
-            }
-        }
+    // mL of liquid in the tip, film included
+    getLiquidVolume() {
+        return this.column.reduce((sum, segment) => sum + (segment.solution ? segment.solution.volume : 0), this.film.volume);
+    }
 
-        // Update splash particles
-        this.updateSplashParticles(deltaTime);
+    getPlungerState() {
+        const p = this.plunger;
+        if (p < 1e-6) return 'rest';
+        if (Math.abs(p - 1) < 1e-6) return 'first stop';
+        if (p > 2 - 1e-6) return 'second stop';
+        return p < 1 ? 'pressed' : 'blow-out';
     }
 
-    createSplash(position) {
-        const numSplashParticles = 3 + Math.floor(Math.random() * 3);
-        for (let i = 0; i < numSplashParticles; i++) {
-            const splash = new THREE.Mesh(this.splashGeometry, this.particleMaterial.clone());
-            splash.position.copy(position);
-            splash.userData.velocity = new THREE.Vector3(
-                (Math.random() - 0.5) * 2,
-                Math.random() * 1.5 + 0.5,
-                (Math.random() - 0.5) * 2
-            );
-            splash.userData.life = 0;
-            splash.userData.maxLife = 0.4;
-            this.splashParticles.push(splash);
-            this.group.add(splash);
+    // Fit or drop the tip without touching the bench (scene loading)
+    setTip(fitted) {
+        this.hasTip = fitted;
+        this.tip.visible = fitted;
+        this.column = [];
+        this.film = new Solution();
+    }
+
+    ejectTip() {
+        if (!this.hasTip) return;
+        const contents = this.film;
+        this.column.forEach(segment => segment.solution && contents.add(segment.solution));
+        const volume = contents.volume;
+        if (volume > 0) this.deliver(contents);
+        this.setTip(false);
+        this.ejectTime = EJECT_TIME;
+        this.events.dispatchEvent({ type: 'tipeject', pipette: this.id, volume });
+    }
+
+    // ----------------------------------------
+    // Plunger
+    // ----------------------------------------
+    pressPlunger(position) {
+        this.plungerHeld = true;
+        this.movePlunger(position);
+    }
+
+    // Let go: the plunger rises back to rest at PLUNGER_RETURN
+    releasePlunger() {
+        this.plungerHeld = false;
+    }
+
+    movePlunger(position) {
+        const p = THREE.MathUtils.clamp(position, 0, 2);
+        const displaced = this.stroke(p) - this.stroke(this.plunger);
+        this.plunger = p;
+        this.placePlunger();
+
+        // Without a tip the nozzle only moves air
+        if (!this.hasTip) return;
+        if (displaced > 0) {
+            this.expel(displaced, p > 1);
+        } else if (displaced < 0) {
+            this.aspirate(-displaced);
         }
     }
 
-    updateSplashParticles(deltaTime) {
-        for (let i = this.splashParticles.length - 1; i >= 0; i--) {
-            const p = this.splashParticles[i];
-            p.userData.velocity.y -= 15 * deltaTime;
-            p.position.x += p.userData.velocity.x * deltaTime;
-            p.position.y += p.userData.velocity.y * deltaTime;
-            p.position.z += p.userData.velocity.z * deltaTime;
-            p.userData.life += deltaTime;
+    // Plunger button at the travel for the current position
+    placePlunger() {
+        const p = this.plunger;
+        const { firstStop, secondStop } = PIPETTE_PLUNGER_TRAVEL;
+        const travel = p <= 1 ? p * firstStop : firstStop + (p - 1) * (secondStop - firstStop);
+        this.plungerPart.position.y = this.plungerRest - travel;
+    }
 
-            // Fade out
-            p.material.opacity = 0.7 * (1 - p.userData.life / p.userData.maxLife);
+    // `volume` mL of air space opens above the column: the tip end takes in
+    // liquid while under a surface, then air once the surface falls below it
+    aspirate(volume) {
+        const source = this.findSource(this.getTipEnd());
+        const portion = source ? source.container.removeLiquid(Math.min(volume, source.above)) : new Solution();
+        const air = volume - portion.volume;
+
+        if (portion.volume > 0) this.takeIn({ solution: portion });
+        if (air > 0) this.takeIn({ air });
+        if (portion.volume > TRACE_VOLUME) {
+            this.events.dispatchEvent({ type: 'aspirate', pipette: this.id, container: source.container.id, volume: portion.volume, air });
+        }
+        this.updateLiquidColor();
+    }
 
-            if (p.userData.life >= p.userData.maxLife) {
-                this.group.remove(p);
-                p.material.dispose();
-                this.splashParticles.splice(i, 1);
+    // Add to the bottom of the column, merging with what is there. Air
+    // above the highest liquid is just the tip's air space and not kept.
+    takeIn(segment) {
+        const bottom = this.column[0];
+        if (bottom && Boolean(bottom.solution) === Boolean(segment.solution)) {
+            if (segment.solution) {
+                bottom.solution.add(segment.solution);
+            } else {
+                bottom.air += segment.air;
             }
+        } else {
+            this.column.unshift(segment);
+        }
+        while (this.column.length > 0 && !this.column[this.column.length - 1].solution) {
+            this.column.pop();
         }
     }
 
-    clear() {
-        for (const p of this.particles) {
-            this.group.remove(p);
+    // `volume` mL leaves the tip end, bottom of the column first. Liquid
+    // pushed out to the first stop leaves a film behind; the blow-out
+    // stroke clears it.
+    expel(volume, blowout) {
+        const out = new Solution();
+        let rest = volume;
+        while (rest > 1e-12 && this.column.length > 0) {
+            const bottom = this.column[0];
+            const used = Math.min(rest, columnVolume(bottom));
+            rest -= used;
+            if (bottom.solution) {
+                const portion = bottom.solution.take(used);
+                if (!blowout) this.film.add(portion.take(portion.volume * TIP_FILM));
+                out.add(portion);
+            } else {
+                bottom.air -= used;
+            }
+            if (columnVolume(bottom) <= 1e-12) this.column.shift();
+        }
+        if (blowout) {
+            out.add(this.film);
+            this.film = new Solution();
         }
-        this.particles = [];
+        if (out.volume > 0) this.deliver(out);
+        this.updateLiquidColor();
+    }
 
-        for (const p of this.splashParticles) {
-            this.group.remove(p);
-            p.material.dispose();
+    // Container with liquid standing above `end`, and how much (mL)
+    findSource(end) {
+        for (const c of this.containers) {
+            if (c.isFixed || !c.containsPoint(end.toArray())) continue;
+            const local = c.group.worldToLocal(end.clone()).y;
+            const above = c.currentVolume - c.volumeProfile.volumeAtHeight(local);
+            if (above > 0) return { container: c, above };
         }
-        this.splashParticles = [];
+        return null;
+    }
 
-        if (this.streamTube) {
-            this.group.remove(this.streamTube);
-            this.streamTube.geometry.dispose();
-            this.streamTube = null;
+    // Container the tip end is in, or whose mouth it is above
+    findReceiver(end) {
+        for (const c of this.containers) {
+            if (c.isFixed) continue;
+            if (c.containsPoint(end.toArray())) return c;
+            const { center: [x, y, z], radius } = c.getOpening();
+            if (Math.hypot(end.x - x, end.z - z) < radius && end.y > y) {
+                return c;
+            }
         }
+        return null;
     }
-}
 
-// ============================================
-// INTERACTION MANAGER
-// ============================================
-class InteractionManager {
-    constructor(camera, renderer, containers) {
-        this.camera = camera;
-        this.renderer = renderer;
-        this.containers = containers;
-        this.raycaster = new THREE.Raycaster();
-        this.mouse = new THREE.Vector2();
-        this.dragPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
-        this.dragOffset = new THREE.Vector3();
-        this.selectedContainer = null;
-        this.hoveredContainer = null;
-        this.isDragging = false;
-        this.lastMouseX = 0;
-        this.lastMouseY = 0;
-        this.initialMouseY = 0;
-        this.rotationSpeed = 0.012;
+    // Liquid leaving the tip goes into the container below it or onto the bench
+    deliver(portion) {
+        const end = this.getTipEnd();
+        const receiver = this.findReceiver(end);
+        this.events.dispatchEvent({ type: 'dispense', pipette: this.id, container: receiver ? receiver.id : null, volume: portion.volume });
+
+        const spilled = receiver ? receiver.addLiquid(portion) : portion;
+        if (spilled.volume <= 0) return;
+        if (receiver && this.onOverflow) {
+            this.onOverflow(receiver, spilled);
+        } else if (!receiver && this.onSpill) {
+            this.onSpill(new THREE.Vector3(end.x, this.benchTop, end.z), spilled);
+        }
+    }
 
-        // Track initial rotation for smooth tilting
-        this.initialRotation = new THREE.Euler();
+    // ----------------------------------------
+    // Moving
+    // ----------------------------------------
+
+    // Lowest the tip end can go at (x, z): the bench, the rims and inside
+    // walls of containers, the tips in a box
+    floorAt(x, z) {
+        let floor = this.benchTop + 0.05;
+        for (const c of this.containers) {
+            if (c.isFixed) continue;
+            const { center, radius } = c.getOpening();
+            const d = Math.hypot(x - center[0], z - center[2]);
+            if (d > Math.max(c.bounds.bottomRadius, c.bounds.topRadius)) continue;
+            if (d > radius - TIP_CLEARANCE) {
+                floor = Math.max(floor, center[1] + 0.02);
+                continue;
+            }
+            // Inside the mouth: down until the wall closes in on the tip
+            const profile = c.volumeProfile;
+            for (let i = 0; i <= 32; i++) {
+                const y = profile.bottom + (profile.top - profile.bottom) * i / 32;
+                if (profile.radiusAtHeight(y) > d + TIP_CLEARANCE) {
+                    floor = Math.max(floor, c.group.localToWorld(new THREE.Vector3(0, y, 0)).y);
+                    break;
+                }
+            }
+        }
+        for (const box of this.tipBoxes) {
+            if (box.covers(x, z)) floor = Math.max(floor, this.tipInReach(box, x, z) ? box.getTipTopHeight() - PIPETTE_TIP_SEAT : box.getTipTopHeight() + 0.02);
+        }
+        return floor;
+    }
 
-        // Container return-to-upright animation
-        this.returnAnimations = new Map();
+    // Tip the bare nozzle can take from `box` at (x, z)
+    tipInReach(box, x, z) {
+        return !this.hasTip && box.size === this.size ? box.findTip(x, z) : null;
+    }
 
-        this.setupEventListeners();
+    // Move the nozzle end to (x, y, z). The tip end stays above floorAt;
+    // it only moves sideways where that does not take it through a wall,
+    // so a tip down in a tube has to be raised out first. A bare nozzle
+    // pressed onto a tip in a box takes it.
+    moveTo(x, y, z) {
+        const position = this.group.position;
+        const drop = this.hasTip ? this.tipDrop : 0;
+        const current = position.y - drop;
+        x = THREE.MathUtils.clamp(x, -BENCH_REACH, BENCH_REACH);
+        z = THREE.MathUtils.clamp(z, -BENCH_REACH, BENCH_REACH);
+
+        // Highest floor on the way there
+        let floor = this.floorAt(x, z);
+        let highest = floor;
+        const steps = Math.ceil(Math.hypot(x - position.x, z - position.z) / TIP_CLEARANCE);
+        for (let i = 1; i < steps; i++) {
+            const t = i / steps;
+            highest = Math.max(highest, this.floorAt(position.x + (x - position.x) * t, position.z + (z - position.z) * t));
+        }
+        if (highest > Math.max(y - drop, current) + 1e-6) {
+            x = position.x;
+            z = position.z;
+            floor = this.floorAt(x, z);
+        }
+        position.set(x, Math.max(y - drop, floor) + drop, z);
+
+        const box = this.tipBoxes.find(b => b.covers(x, z));
+        const tip = box && this.tipInReach(box, x, z);
+        if (tip && position.y <= floor + 1e-6) {
+            tip.visible = false;
+            this.setTip(true);
+            this.events.dispatchEvent({ type: 'tipattach', pipette: this.id });
+        }
     }
 
-    setupEventListeners() {
-        const canvas = this.renderer.domElement;
+    // ----------------------------------------
+    // History (see bench-history.js)
+    // ----------------------------------------
+
+    // Position, dial, tip contents and plunger, exactly
+    getSnapshot() {
+        return {
+            position: this.group.position.toArray(),
+            setting: this.setting,
+            hasTip: this.hasTip,
+            column: this.column.map(cloneSegment),
+            film: this.film.clone(),
+            plunger: this.plunger,
+            plungerHeld: this.plungerHeld
+        };
+    }
 
-        canvas.addEventListener('mousemove', (e) => this.onMouseMove(e));
-        canvas.addEventListener('mousedown', (e) => this.onMouseDown(e));
-        canvas.addEventListener('mouseup', (e) => this.onMouseUp(e));
-        canvas.addEventListener('mouseleave', (e) => this.onMouseUp(e));
+    // Put back as captured without moving any liquid
+    restoreSnapshot(snapshot) {
+        this.isHeld = false;
+        this.group.position.fromArray(snapshot.position);
+        this.setVolume(snapshot.setting);
+        this.setTip(snapshot.hasTip);
+        this.column = snapshot.column.map(cloneSegment);
+        this.film = snapshot.film.clone();
+        this.plunger = snapshot.plunger;
+        this.plungerHeld = snapshot.plungerHeld;
+        this.placePlunger();
+        this.ejectTime = 0;
+        this.ejectorPart.position.y = 0;
+        this.updateLiquidColor();
+    }
 
-        // Touch support for mobile
-        canvas.addEventListener('touchstart', (e) => this.onTouchStart(e));
-        canvas.addEventListener('touchmove', (e) => this.onTouchMove(e));
-        canvas.addEventListener('touchend', (e) => this.onTouchEnd(e));
+    updateLiquidColor() {
+        const mixture = new Solution();
+        this.column.forEach(segment => segment.solution && mixture.add(segment.solution));
+        if (mixture.volume <= 0) return;
+        const [r, g, b] = mixture.getColor(TIP_PATH_CM, computePH(mixture));
+        this.liquidMaterial.color.setRGB(r, g, b, THREE.SRGBColorSpace);
+        this.liquidMaterial.attenuationColor.copy(this.liquidMaterial.color).multiplyScalar(0.7);
     }
 
-    updateMouse(event) {
+    update(deltaTime) {
+        if (!this.plungerHeld && this.plunger > 0) {
+            this.movePlunger(Math.max(0, this.plunger - PLUNGER_RETURN * deltaTime));
+        }
+        if (this.ejectTime > 0) {
+            this.ejectTime = Math.max(0, this.ejectTime - deltaTime);
+            this.ejectorPart.position.y = -0.12 * Math.sin(Math.PI * (1 - this.ejectTime / EJECT_TIME));
+        }
+
+        // Clip the tip's liquid to the liquid part of the column
+        let below = 0;
+        let start = null;
+        let end = 0;
+        for (const segment of this.column) {
+            if (segment.solution && start === null) start = below;
+            below += columnVolume(segment);
+            if (segment.solution) end = below;
+        }
+        this.tipLiquid.visible = this.hasTip && start !== null;
+        if (this.tipLiquid.visible) {
+            const base = this.group.position.y - this.tipDrop; // the pipette is always upright
+            this.columnPlanes[0].constant = -(base + this.tipProfile.heightForVolume(start));
+            this.columnPlanes[1].constant = base + this.tipProfile.heightForVolume(end);
+        }
+    }
+}
+
+// ============================================
+// ANALYTICAL BALANCE
+// The BalanceCore of the drawn bench (see bench-balance.js): the model
+// from the registry, its LCD redrawn with every new reading and its
+// TARE key to click. It stays where the scene puts it.
+// ============================================
+const KEY_PRESS = 0.15;    // s a pressed key stays down
+const KEY_TRAVEL = 0.025;  // how far it goes down
+
+class AnalyticalBalance extends BalanceCore {
+    constructor(definition, options = {}) {
+        const position = options.position || [0, 0, 0];
+        super({
+            position,
+            panRadius: definition.pan.radius,
+            panHeight: definition.pan.height,
+            housing: definition.housing,
+            name: definition.label,
+            seed: options.seed
+        });
+        this.definition = definition;
+        this.type = definition.type;
+
+        this.group = definition.createModel({ materials: options.materials || createLabMaterials() });
+        this.group.position.fromArray(position);
+
+        this.tareKey = this.group.getObjectByName('tare');
+        this.tareKey.userData.balance = this;
+        this.keyRest = this.tareKey.position.z;
+        this.keyTime = 0;
+
+        // LCD: the canvas supplies the colour
+        this.displayCanvas = document.createElement('canvas');
+        this.displayCanvas.width = 256;
+        this.displayCanvas.height = 80;
+        const display = this.group.getObjectByName('display');
+        display.material.color.set(0xffffff);
+        display.material.map = new THREE.CanvasTexture(this.displayCanvas);
+        display.material.map.colorSpace = THREE.SRGBColorSpace;
+        this.displayTexture = display.material.map;
+        this.drawn = null; // what the LCD shows, redrawn only when it changes
+        this.drawDisplay();
+    }
+
+    // Green digits, unit and, once the reading is stable, the stability mark
+    drawDisplay() {
+        const text = this.getDisplayText();
+        const drawn = `${text}${this.stable ? ' stable' : ''}`;
+        if (drawn === this.drawn) return;
+        this.drawn = drawn;
+
+        const ctx = this.displayCanvas.getContext('2d');
+        const { width, height } = this.displayCanvas;
+        ctx.fillStyle = '#1a2a1a';
+        ctx.fillRect(0, 0, width, height);
+        ctx.fillStyle = '#00dd00';
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'right';
+        ctx.font = 'bold 46px monospace';
+        ctx.fillText(text, width - 40, height / 2 + 2);
+        ctx.font = '28px monospace';
+        ctx.fillText('g', width - 12, height / 2 + 6);
+        if (this.stable) {
+            ctx.beginPath();
+            ctx.arc(16, 16, 6, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        this.displayTexture.needsUpdate = true;
+    }
+
+    showReading() {
+        super.showReading();
+        this.drawDisplay();
+    }
+
+    tare() {
+        this.keyTime = KEY_PRESS;
+        return super.tare();
+    }
+
+    update(deltaTime, containers) {
+        this.keyTime = Math.max(0, this.keyTime - deltaTime);
+        this.tareKey.position.z = this.keyRest - (this.keyTime > 0 ? KEY_TRAVEL : 0);
+        return super.update(deltaTime, containers);
+    }
+}
+
+// ============================================
+// STREAM TUBE GEOMETRY
+// Fixed-size tube whose vertices are rewritten along the stream's
+// current centre line, so pouring allocates no geometry.
+// ============================================
+const TUBE_SEGMENTS = 24;
+const TUBE_SIDES = 8;
+const TUBE_RINGS = TUBE_SEGMENTS + 1;
+const TUBE_RING_VERTICES = TUBE_SIDES + 1; // seam vertex repeated for the uv wrap
+
+class StreamTubeGeometry extends THREE.BufferGeometry {
+    constructor() {
+        super();
+        this.type = 'StreamTubeGeometry';
+
+        const vertexCount = TUBE_RINGS * TUBE_RING_VERTICES;
+        const uvs = new Float32Array(vertexCount * 2);
+        const indices = [];
+        for (let i = 0; i < TUBE_RINGS; i++) {
+            for (let j = 0; j < TUBE_RING_VERTICES; j++) {
+                const v = i * TUBE_RING_VERTICES + j;
+                uvs[v * 2] = i / TUBE_SEGMENTS;
+                uvs[v * 2 + 1] = j / TUBE_SIDES;
+                if (i < TUBE_SEGMENTS && j < TUBE_SIDES) {
+                    const next = v + TUBE_RING_VERTICES;
+                    indices.push(v, next, v + 1, next, next + 1, v + 1);
+                }
+            }
+        }
+
+        this.setIndex(indices);
+        this.setAttribute('position', new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3)
+            .setUsage(THREE.DynamicDrawUsage));
+        this.setAttribute('normal', new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3)
+            .setUsage(THREE.DynamicDrawUsage));
+        this.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+
+        // Scratch space reused by every setPath()
+        this.arcLengths = new Float32Array(SPINE_POINTS);
+        this.centres = new Float32Array(TUBE_RINGS * 3);
+        this.radii = new Float32Array(TUBE_RINGS);
+        this.cosines = Float32Array.from({ length: TUBE_RING_VERTICES }, (_, j) => Math.cos(2 * Math.PI * j / TUBE_SIDES));
+        this.sines = Float32Array.from({ length: TUBE_RING_VERTICES }, (_, j) => Math.sin(2 * Math.PI * j / TUBE_SIDES));
+    }
+
+    // Lay the tube along `spine` (x, y, z triplets from the lip down) with
+    // `radius` at the lip. Returns false when there is too little stream to draw.
+    setPath(spine, radius) {
+        const n = Math.min(spine.length / 3, SPINE_POINTS);
+        if (n < 3 || radius <= 0) return false;
+
+        const { arcLengths, centres, radii } = this;
+        arcLengths[0] = 0;
+        for (let k = 1; k < n; k++) {
+            arcLengths[k] = arcLengths[k - 1] + Math.hypot(
+                spine[k * 3] - spine[k * 3 - 3],
+                spine[k * 3 + 1] - spine[k * 3 - 2],
+                spine[k * 3 + 2] - spine[k * 3 - 1]
+            );
+        }
+        const total = arcLengths[n - 1];
+        if (total < 1e-4) return false;
+
+        // Rings evenly spaced along the spine. Its points left the lip at equal
+        // intervals, so their spacing follows the speed - and a stream that
+        // speeds up gets thinner to carry the same flow.
+        const lipSpacing = Math.max(1e-4, arcLengths[1]);
+        let k = 1;
+        for (let i = 0; i < TUBE_RINGS; i++) {
+            const s = total * i / TUBE_SEGMENTS;
+            while (k < n - 1 && arcLengths[k] < s) k++;
+            const span = arcLengths[k] - arcLengths[k - 1];
+            const f = span > 0 ? Math.min(1, (s - arcLengths[k - 1]) / span) : 0;
+            for (let c = 0; c < 3; c++) {
+                centres[i * 3 + c] = spine[(k - 1) * 3 + c] + (spine[k * 3 + c] - spine[(k - 1) * 3 + c]) * f;
+            }
+            radii[i] = radius * Math.max(0.4, Math.min(1, Math.sqrt(lipSpacing / Math.max(span, 1e-4))));
+        }
+
+        // Rotation-minimising frames carried down the centre line
+        const positions = this.attributes.position.array;
+        const normals = this.attributes.normal.array;
+        let nx = 0, ny = 0, nz = 0;
+        for (let i = 0; i < TUBE_RINGS; i++) {
+            const a = Math.max(0, i - 1) * 3;
+            const b = Math.min(TUBE_SEGMENTS, i + 1) * 3;
+            let tx = centres[b] - centres[a];
+            let ty = centres[b + 1] - centres[a + 1];
+            let tz = centres[b + 2] - centres[a + 2];
+            const tLength = Math.hypot(tx, ty, tz) || 1;
+            tx /= tLength;
+            ty /= tLength;
+            tz /= tLength;
+
+            if (i === 0) {
+                // Any vector across the first tangent
+                if (Math.abs(tx) < 0.9) { nx = 0; ny = -tz; nz = ty; } else { nx = tz; ny = 0; nz = -tx; }
+            } else {
+                const along = nx * tx + ny * ty + nz * tz;
+                nx -= along * tx;
+                ny -= along * ty;
+                nz -= along * tz;
+            }
+            const nLength = Math.hypot(nx, ny, nz) || 1;
+            nx /= nLength;
+            ny /= nLength;
+            nz /= nLength;
+            const bx = ty * nz - tz * ny;
+            const by = tz * nx - tx * nz;
+            const bz = tx * ny - ty * nx;
+
+            for (let j = 0; j < TUBE_RING_VERTICES; j++) {
+                const v = (i * TUBE_RING_VERTICES + j) * 3;
+                const dx = this.cosines[j] * nx + this.sines[j] * bx;
+                const dy = this.cosines[j] * ny + this.sines[j] * by;
+                const dz = this.cosines[j] * nz + this.sines[j] * bz;
+                positions[v] = centres[i * 3] + dx * radii[i];
+                positions[v + 1] = centres[i * 3 + 1] + dy * radii[i];
+                positions[v + 2] = centres[i * 3 + 2] + dz * radii[i];
+                normals[v] = dx;
+                normals[v + 1] = dy;
+                normals[v + 2] = dz;
+            }
+        }
+
+        this.attributes.position.needsUpdate = true;
+        this.attributes.normal.needsUpdate = true;
+        return true;
+    }
+}
+
+// ============================================
+// LIQUID STREAM (Combined Tube + Particles)
+// Draws what the fluid solver reports: a tube along the unbroken part of
+// the stream, and every droplet as one point of a single Points object.
+// The point buffer holds a ring of short-lived splash droplets followed
+// by the particles in flight; size and opacity are per-point attributes,
+// so nothing is allocated per droplet. With reduced motion there are no
+// droplets, and the tube holds still until its lip or landing end moves.
+// ============================================
+const STREAM_PATH_CM = 0.5; // a thin stream is paler than the bulk liquid
+const STILL_STREAM_SHIFT = 0.1; // reduced motion: units an end moves before the tube is laid again
+const STREAM_CAPACITY = Math.max(...Object.values(FLUID_QUALITY).map(q => q.maxParticles));
+const SPLASH_CAPACITY = 512;
+const SPLASH_LIFE = 0.35;     // seconds a splash droplet takes to fade
+const DROPLET_OPACITY = 0.8;
+
+const dropletVertexShader = `
+    attribute float size;
+    attribute float opacity;
+    uniform float pixelsPerUnit;
+    varying float vOpacity;
+
+    void main() {
+        vOpacity = opacity;
+        vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+        gl_PointSize = size * pixelsPerUnit / -mvPosition.z;
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
+
+const dropletFragmentShader = `
+    uniform vec3 color;
+    varying float vOpacity;
+
+    void main() {
+        vec2 p = gl_PointCoord * 2.0 - 1.0;
+        float r2 = dot(p, p);
+        if (r2 > 1.0 || vOpacity <= 0.0) discard;
+
+        // Lighter rim and a highlight so each droplet reads as a small lens
+        float rim = smoothstep(0.5, 1.0, r2);
+        float highlight = smoothstep(0.2, 0.0, distance(p, vec2(-0.35, 0.35)));
+        gl_FragColor = vec4(mix(color, vec3(1.0), rim * 0.3 + highlight * 0.6), vOpacity * (1.0 - 0.3 * r2));
+        #include <colorspace_fragment>
+    }
+`;
+
+class LiquidStream {
+    constructor() {
+        this.group = new THREE.Group();
+        this.isActive = false;
+        this.sourceContainer = null;
+
+        // Droplets: splash ring in [0, SPLASH_CAPACITY), particles in flight after it
+        const total = SPLASH_CAPACITY + STREAM_CAPACITY;
+        this.positions = new Float32Array(total * 3);
+        this.sizes = new Float32Array(total);
+        this.opacities = new Float32Array(total);
+        this.splashAges = new Float32Array(SPLASH_CAPACITY).fill(SPLASH_LIFE);
+        this.splashHead = 0;  // next ring slot to overwrite
+        this.liveCount = 0;
+        this.dropletSize = 0.1;
+        this.reducedMotion = false; // still stream tube only, no droplets or splashes
+        this.laidEnds = new Float32Array(6); // lip and landing end the still tube was laid along
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setAttribute('size', new THREE.BufferAttribute(this.sizes, 1).setUsage(THREE.DynamicDrawUsage));
+        geometry.setAttribute('opacity', new THREE.BufferAttribute(this.opacities, 1).setUsage(THREE.DynamicDrawUsage));
+        geometry.setDrawRange(0, SPLASH_CAPACITY);
+
+        this.particleMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                color: { value: new THREE.Color(0x4fc3f7) },
+                pixelsPerUnit: { value: 500 }
+            },
+            vertexShader: dropletVertexShader,
+            fragmentShader: dropletFragmentShader,
+            transparent: true,
+            depthWrite: false
+        });
+        this.particles = new THREE.Points(geometry, this.particleMaterial);
+        this.particles.frustumCulled = false;
+        this.group.add(this.particles);
+
+        // Continuous stream tube
+        this.streamMaterial = new THREE.MeshPhysicalMaterial({
+            color: 0x4fc3f7,
+            metalness: 0.0,
+            roughness: 0.0,
+            transmission: 0.85,
+            ior: 1.333,
+            transparent: true,
+            opacity: 0.6,
+            side: THREE.DoubleSide
+        });
+        this.streamTube = new THREE.Mesh(new StreamTubeGeometry(), this.streamMaterial);
+        this.streamTube.frustumCulled = false;
+        this.streamTube.visible = false;
+        this.group.add(this.streamTube);
+    }
+
+    // Point sizes are in world units; this converts them for the current view
+    setViewport(heightPixels, fovDegrees) {
+        this.particleMaterial.uniforms.pixelsPerUnit.value =
+            heightPixels / (2 * Math.tan(THREE.MathUtils.degToRad(fovDegrees) / 2));
+    }
+
+    setColor(color) {
+        this.particleMaterial.uniforms.color.value.copy(color);
+        this.streamMaterial.color.copy(color);
+        this.streamMaterial.attenuationColor = color.clone().multiplyScalar(0.7);
+    }
+
+    start(source) {
+        this.isActive = true;
+        this.sourceContainer = source;
+        this.setColor(source.getLiquidColor(STREAM_PATH_CM));
+    }
+
+    stop() {
+        this.isActive = false;
+        this.sourceContainer = null;
+    }
+
+    // Tube through the stream's centre line (newest point, at the lip, first).
+    // With reduced motion a drawn tube is kept until an end has moved.
+    updateStreamTube(spine, radius) {
+        const n = Math.min(spine.length / 3, SPINE_POINTS);
+        const ends = [...spine.subarray(0, 3), ...spine.subarray((n - 1) * 3, n * 3)];
+        if (this.reducedMotion && this.isActive && this.streamTube.visible && n > 0 &&
+            ends.every((v, i) => Math.abs(v - this.laidEnds[i]) < STILL_STREAM_SHIFT)) return;
+
+        this.streamTube.visible = this.isActive && this.streamTube.geometry.setPath(spine, radius);
+        if (this.streamTube.visible) this.laidEnds.set(ends);
+    }
+
+    // Start a splash droplet in the oldest ring slot
+    addSplash(x, y, z) {
+        const i = this.splashHead;
+        this.splashHead = (i + 1) % SPLASH_CAPACITY;
+        this.positions[i * 3] = x;
+        this.positions[i * 3 + 1] = y;
+        this.positions[i * 3 + 2] = z;
+        this.splashAges[i] = 0;
+    }
+
+    setReducedMotion(reduced) {
+        this.reducedMotion = reduced;
+        if (reduced) {
+            this.liveCount = 0;
+            this.splashAges.fill(SPLASH_LIFE);
+            this.opacities.fill(0);
+        }
+    }
+
+    // Take in one solver result: particles in flight, impacts and stream line
+    show(result) {
+        this.updateStreamTube(result.spine, result.streamRadius);
+        if (this.reducedMotion) return;
+
+        const count = Math.min(result.count, STREAM_CAPACITY);
+        this.positions.set(result.positions.subarray(0, count * 3), SPLASH_CAPACITY * 3);
+        for (let i = 0; i < count; i++) {
+            const fade = result.fades[i];
+            this.sizes[SPLASH_CAPACITY + i] = this.dropletSize * (1 - 0.5 * fade);
+            this.opacities[SPLASH_CAPACITY + i] = DROPLET_OPACITY * (1 - fade);
+        }
+        this.liveCount = count;
+        this.dropletSize = result.particleRadius * 2;
+
+        for (let i = 0; i < result.impacts.length; i += 3) {
+            this.addSplash(result.impacts[i], result.impacts[i + 1], result.impacts[i + 2]);
+        }
+    }
+
+    // Age splash droplets (they swell and fade) and upload the changed ranges
+    update(deltaTime) {
+        for (let i = 0; i < SPLASH_CAPACITY; i++) {
+            if (this.splashAges[i] >= SPLASH_LIFE) {
+                this.opacities[i] = 0;
+                continue;
+            }
+            this.splashAges[i] += deltaTime;
+            const t = Math.min(1, this.splashAges[i] / SPLASH_LIFE);
+            this.sizes[i] = this.dropletSize * (0.6 + 0.8 * t);
+            this.opacities[i] = DROPLET_OPACITY * (1 - t);
+        }
+
+        const drawn = SPLASH_CAPACITY + this.liveCount;
+        const { geometry } = this.particles;
+        geometry.setDrawRange(0, drawn);
+        for (const [name, itemSize] of [['position', 3], ['size', 1], ['opacity', 1]]) {
+            const attribute = geometry.attributes[name];
+            attribute.clearUpdateRanges();
+            attribute.addUpdateRange(0, drawn * itemSize);
+            attribute.needsUpdate = true;
+        }
+    }
+
+    clear() {
+        this.liveCount = 0;
+        this.splashAges.fill(SPLASH_LIFE);
+        this.opacities.fill(0);
+        this.update(0);
+        this.streamTube.visible = false;
+    }
+}
+
+// ============================================
+// INTERACTION MANAGER
+// ============================================
+const PLUNGER_PIXELS = 60;       // pointer travel pressing a pipette plunger one stop
+
+class InteractionManager {
+    constructor(camera, renderer, controls, containers, pipettes = [], balances = []) {
+        this.camera = camera;
+        this.renderer = renderer;
+        this.controls = controls;
+        this.containers = containers;
+        this.pipettes = pipettes;
+        this.balances = balances;
+        this.raycaster = new THREE.Raycaster();
+        this.mouse = new THREE.Vector2();
+        this.dragPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+        this.dragOffset = new THREE.Vector3();
+        this.selectedContainer = null;
+        this.hoveredContainer = null;
+        this.isDragging = false;
+        this.lastMouseX = 0;
+        this.lastMouseY = 0;
+        this.initialMouseY = 0;
+        this.rotationSpeed = 0.012;
+
+        // Track initial rotation for smooth tilting
+        this.initialRotation = new THREE.Euler();
+
+        // Pipette held by its body, or its plunger under the thumb
+        this.pipetteDrag = null;  // { pipette, shift, offset }
+        this.plungerDrag = null;  // { pipette, startY, thumb, moved }
+
+        // What the pointer does to the bench goes out as inputs (see
+        // LabBench.applyInput), so a session can be recorded and replayed
+        this.onInput = null; // (input)
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const canvas = this.renderer.domElement;
+        this.listeners = new AbortController();
+        const options = { signal: this.listeners.signal };
+
+        canvas.addEventListener('mousemove', (e) => this.onMouseMove(e), options);
+        canvas.addEventListener('mousedown', (e) => this.onMouseDown(e), options);
+        canvas.addEventListener('mouseup', (e) => this.onMouseUp(e), options);
+        canvas.addEventListener('mouseleave', (e) => this.onMouseUp(e), options);
+
+        // Touch: fingers are tracked one by one (see TouchGestures)
+        this.gestures = new TouchGestures(this);
+        canvas.addEventListener('touchstart', (e) => this.gestures.onTouchStart(e), options);
+        canvas.addEventListener('touchmove', (e) => this.gestures.onTouchMove(e), options);
+        canvas.addEventListener('touchend', (e) => this.gestures.onTouchEnd(e), options);
+        canvas.addEventListener('touchcancel', (e) => this.gestures.onTouchEnd(e), options);
+    }
+
+    dispose() {
+        this.listeners.abort();
+        this.reset();
+    }
+
+    updateMouse(event) {
         const rect = this.renderer.domElement.getBoundingClientRect();
         this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
         this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
@@ -895,7 +1605,7 @@ class InteractionManager {
     getIntersectedContainer() {
         this.raycaster.setFromCamera(this.mouse, this.camera);
 
-        const interactionMeshes = this.containers.map(c => c.interactionMesh);
+        const interactionMeshes = this.containers.filter(c => !c.isFixed).map(c => c.interactionMesh);
         const intersects = this.raycaster.intersectObjects(interactionMeshes);
 
         if (intersects.length > 0) {
@@ -904,13 +1614,101 @@ class InteractionManager {
         return null;
     }
 
+    // Clickable part (e.g. a stopcock) under the pointer
+    getIntersectedClickTarget() {
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+
+        const targets = this.containers.flatMap(c => c.clickTargets);
+        const intersects = this.raycaster.intersectObjects(targets);
+        return intersects.length > 0 ? intersects[0].object : null;
+    }
+
+    // Balance TARE key under the pointer
+    getIntersectedTareKey() {
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+
+        const intersects = this.raycaster.intersectObjects(this.balances.map(b => b.tareKey));
+        return intersects.length > 0 ? intersects[0].object : null;
+    }
+
+    // Pipette part (body, plunger or ejector) under the pointer
+    getIntersectedPipettePart() {
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+
+        const intersects = this.raycaster.intersectObjects(this.pipettes.flatMap(p => p.pickMeshes), false);
+        return intersects.length > 0 ? intersects[0].object : null;
+    }
+
+    // Ejector: click. Plunger: drag down to press it (it stays where it is
+    // left), click to let it rise. Body: drag to move the pipette.
+    grabPipette(part, event) {
+        const { pipette } = part.userData;
+        if (part.userData.part === 'ejector') {
+            this.onInput(['eject', pipette.id]);
+            return;
+        }
+
+        if (part.userData.part === 'plunger') {
+            this.plungerDrag = { pipette, startY: event.clientY, thumb: thumbForPlunger(pipette.plunger), moved: false };
+        } else {
+            this.pipetteDrag = { pipette, shift: false, offset: new THREE.Vector3() };
+            this.anchorPipetteDrag(event.shiftKey);
+            this.renderer.domElement.style.cursor = 'grabbing';
+        }
+        this.controls.enabled = false;
+        this.onInput(['pick', pipette.id]);
+    }
+
+    // A held pipette moves in the upright plane facing the camera, or
+    // across the bench while Shift is held
+    anchorPipetteDrag(shift) {
+        const drag = this.pipetteDrag;
+        const position = drag.pipette.group.position;
+        drag.shift = Boolean(shift);
+
+        if (drag.shift) {
+            this.dragPlane.setFromNormalAndCoplanarPoint(new THREE.Vector3(0, 1, 0), position);
+        } else {
+            const facing = this.camera.getWorldDirection(new THREE.Vector3()).setY(0);
+            if (facing.lengthSq() < 1e-6) facing.set(0, 0, -1);
+            this.dragPlane.setFromNormalAndCoplanarPoint(facing.normalize(), position);
+        }
+
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        const point = this.raycaster.ray.intersectPlane(this.dragPlane, new THREE.Vector3());
+        drag.offset.copy(point ? point.sub(position) : new THREE.Vector3());
+    }
+
+    movePipette(event) {
+        const drag = this.pipetteDrag;
+        if (Boolean(event.shiftKey) !== drag.shift) {
+            this.anchorPipetteDrag(event.shiftKey);
+        }
+
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        const point = this.raycaster.ray.intersectPlane(this.dragPlane, new THREE.Vector3());
+        if (point) {
+            point.sub(drag.offset);
+            this.onInput(['pipette', drag.pipette.id, point.x, point.y, point.z]);
+        }
+    }
+
     onMouseMove(event) {
         this.updateMouse(event);
 
-        if (this.isDragging && this.selectedContainer) {
-            // Cancel any return animation for this container
-            this.returnAnimations.delete(this.selectedContainer);
+        if (this.plungerDrag) {
+            const drag = this.plungerDrag;
+            const deltaY = event.clientY - drag.startY;
+            if (Math.abs(deltaY) > 3) drag.moved = true;
+            if (drag.moved) this.onInput(['plunger', drag.pipette.id, plungerForThumb(drag.thumb + deltaY / PLUNGER_PIXELS)]);
+            return;
+        }
+        if (this.pipetteDrag) {
+            this.movePipette(event);
+            return;
+        }
 
+        if (this.isDragging && this.selectedContainer) {
             // Calculate mouse delta for rotation
             const deltaX = event.clientX - this.lastMouseX;
             const deltaY = event.clientY - this.lastMouseY;
@@ -920,44 +1718,40 @@ class InteractionManager {
             this.raycaster.setFromCamera(this.mouse, this.camera);
             const intersectPoint = new THREE.Vector3();
             this.dragPlane.constant = -this.selectedContainer.group.position.y - 1;
-            this.raycaster.ray.intersectPlane(this.dragPlane, intersectPoint);
-
-            if (intersectPoint) {
-                // Smooth position interpolation
-                const targetX = intersectPoint.x - this.dragOffset.x;
-                const targetZ = intersectPoint.z - this.dragOffset.z;
-
+            const position = this.selectedContainer.group.position;
+            let x = position.x;
+            let z = position.z;
+            if (this.raycaster.ray.intersectPlane(this.dragPlane, intersectPoint)) {
                 // Clamp to table bounds
-                const maxDist = 8;
-                this.selectedContainer.group.position.x = Math.max(-maxDist, Math.min(maxDist, targetX));
-                this.selectedContainer.group.position.z = Math.max(-maxDist, Math.min(maxDist, targetZ));
+                x = THREE.MathUtils.clamp(intersectPoint.x - this.dragOffset.x, -BENCH_REACH, BENCH_REACH);
+                z = THREE.MathUtils.clamp(intersectPoint.z - this.dragOffset.z, -BENCH_REACH, BENCH_REACH);
             }
 
             // Tilt container based on vertical mouse movement from initial position
             // Moving mouse up = tilt forward (pour)
             const targetTilt = -totalDeltaY * this.rotationSpeed;
-            const maxTilt = Math.PI * 0.55; // ~100 degrees max
-
-            // Calculate desired tilt (clamped)
-            const clampedTilt = Math.max(-0.1, Math.min(maxTilt, targetTilt));
+            const clampedTilt = Math.max(-0.1, Math.min(MAX_TILT, targetTilt));
 
             // Get the current Y rotation (aiming direction)
             const currentYRotation = this.selectedContainer.group.rotation.y;
 
-            // Set rotation with tilt on Z axis (pour direction) and Y axis (aiming)
-            this.selectedContainer.group.rotation.set(
-                0,
-                currentYRotation + deltaX * this.rotationSpeed * 0.3,
-                clampedTilt
-            );
+            // Tilt about Z (pour direction), turn about Y (aiming)
+            this.onInput(['hold', this.selectedContainer.id, x, z, currentYRotation + deltaX * this.rotationSpeed * 0.3, clampedTilt]);
 
             this.lastMouseX = event.clientX;
             this.lastMouseY = event.clientY;
         } else {
             // Hover detection for cursor feedback
             const container = this.getIntersectedContainer();
-
-            if (container !== this.hoveredContainer) {
+            const part = this.getIntersectedPipettePart();
+
+            if (this.getIntersectedClickTarget() || (part && part.userData.part !== 'body')) {
+                this.hoveredContainer = null;
+                this.renderer.domElement.style.cursor = 'pointer';
+            } else if (part) {
+                this.hoveredContainer = null;
+                this.renderer.domElement.style.cursor = 'grab';
+            } else if (container !== this.hoveredContainer || !container) {
                 this.hoveredContainer = container;
                 if (container) {
                     this.renderer.domElement.style.cursor = 'grab';
@@ -972,16 +1766,33 @@ class InteractionManager {
         if (event.button !== 0) return; // Only left click
 
         this.updateMouse(event);
+
+        const clickTarget = this.getIntersectedClickTarget();
+        if (clickTarget) {
+            const owner = this.containers.find(c => c.clickTargets.includes(clickTarget));
+            this.onInput(['click', owner.id, owner.clickTargets.indexOf(clickTarget)]);
+            return;
+        }
+
+        const tareKey = this.getIntersectedTareKey();
+        if (tareKey) {
+            this.onInput(['tare', tareKey.userData.balance.id]);
+            return;
+        }
+
+        const part = this.getIntersectedPipettePart();
+        if (part) {
+            this.grabPipette(part, event);
+            return;
+        }
+
         const container = this.getIntersectedContainer();
 
         if (container) {
             this.selectedContainer = container;
             this.isDragging = true;
-            container.isDragging = true;
             this.renderer.domElement.style.cursor = 'grabbing';
-
-            // Stop any return animation
-            this.returnAnimations.delete(container);
+            this.onInput(['pick', container.id]);
 
             // Store initial rotation
             this.initialRotation.copy(container.group.rotation);
@@ -1002,16 +1813,23 @@ class InteractionManager {
             this.initialMouseY = event.clientY;
 
             // Disable orbit controls while dragging
-            controls.enabled = false;
+            this.controls.enabled = false;
         }
     }
 
     onMouseUp(event) {
-        if (this.selectedContainer) {
-            // Start return-to-upright animation
-            this.startReturnAnimation(this.selectedContainer);
+        // A click on the plunger (no drag) lets it rise
+        const held = this.plungerDrag || this.pipetteDrag;
+        if (this.plungerDrag && !this.plungerDrag.moved) {
+            this.onInput(['release', this.plungerDrag.pipette.id]);
+        }
+        if (held) this.onInput(['drop', held.pipette.id]);
+        this.plungerDrag = null;
+        this.pipetteDrag = null;
 
-            this.selectedContainer.isDragging = false;
+        if (this.selectedContainer) {
+            // Let go: it stands, or tips over if held past its balance
+            this.onInput(['drop', this.selectedContainer.id]);
             this.selectedContainer = null;
         }
         this.isDragging = false;
@@ -1025,252 +1843,2493 @@ class InteractionManager {
         }
 
         // Re-enable orbit controls
-        controls.enabled = true;
+        this.controls.enabled = true;
     }
 
-    // Touch event handlers
-    onTouchStart(event) {
-        if (event.touches.length === 1) {
-            event.preventDefault();
-            const touch = event.touches[0];
-            this.onMouseDown({ clientX: touch.clientX, clientY: touch.clientY, button: 0 });
+    // Forget containers that are no longer on the bench
+    reset() {
+        if (this.selectedContainer) {
+            this.selectedContainer.isDragging = false;
         }
+        if (this.gestures) this.gestures.reset();
+        this.selectedContainer = null;
+        this.hoveredContainer = null;
+        this.isDragging = false;
+        this.pipetteDrag = null;
+        this.plungerDrag = null;
+        this.controls.enabled = true;
     }
+}
 
-    onTouchMove(event) {
-        if (event.touches.length === 1 && this.isDragging) {
-            event.preventDefault();
-            const touch = event.touches[0];
-            this.onMouseMove({ clientX: touch.clientX, clientY: touch.clientY });
-        }
+// ============================================
+// TOUCH GESTURES
+// Each finger is followed on its own, so two hands can work at once. A
+// finger on a container holds it and slides it across the bench; a
+// second finger put down beside it turns the hold into a twist, and
+// twisting clockwise tilts the container towards its spout (the tilt
+// stays when that finger lifts, until the container is put down). Two
+// containers can be held at a time, one per hand. Two fingers on the
+// empty bench pinch the camera in and out; one still orbits it (see
+// OrbitControls). Stopcocks and pipettes take a single finger through
+// the mouse handlers.
+// ============================================
+const MAX_HOLDS = 2;
+
+class TouchGestures {
+    constructor(manager) {
+        this.manager = manager;
+        this.holds = [];      // { container, finger, twist, offset, plane, tilt, twistAngle, twistTilt }
+        this.pinch = null;    // { fingers: [a, b], distance, cameraDistance }
+        this.pointer = null;  // finger driving the mouse handlers
+        this.free = new Set(); // fingers on the empty bench
+        this.points = new Map(); // finger id -> { x, y } on screen
     }
 
-    onTouchEnd(event) {
-        this.onMouseUp({});
+    // Work out what each new finger does, in the order they touched
+    onTouchStart(event) {
+        let handled = false;
+        for (const touch of event.changedTouches) {
+            this.points.set(touch.identifier, { x: touch.clientX, y: touch.clientY });
+            handled = this.place(touch) || handled;
+        }
+        if (handled) event.preventDefault();
+        this.updateControls();
     }
 
-    // Smooth return-to-upright animation
-    startReturnAnimation(container) {
-        this.returnAnimations.set(container, {
-            startRotation: container.group.rotation.clone(),
-            targetRotation: new THREE.Euler(0, container.group.rotation.y, 0),
-            progress: 0,
-            duration: 0.5 // seconds
-        });
+    onTouchMove(event) {
+        const moved = new Set();
+        for (const touch of event.changedTouches) {
+            moved.add(touch.identifier);
+            this.points.set(touch.identifier, { x: touch.clientX, y: touch.clientY });
+            if (touch.identifier === this.pointer) {
+                this.manager.onMouseMove({ clientX: touch.clientX, clientY: touch.clientY });
+            }
+        }
+        if (this.holds.length === 0 && !this.pinch && this.pointer === null) return;
+
+        event.preventDefault();
+        this.holds.filter(h => moved.has(h.finger) || moved.has(h.twist)).forEach(hold => this.moveHold(hold));
+        if (this.pinch) this.movePinch();
     }
 
-    update(deltaTime) {
-        // Update return animations
-        for (const [container, anim] of this.returnAnimations) {
-            anim.progress += deltaTime / anim.duration;
-
-            if (anim.progress >= 1) {
-                // Animation complete
-                container.group.rotation.copy(anim.targetRotation);
-                this.returnAnimations.delete(container);
-            } else {
-                // Smooth ease-out interpolation
-                const t = 1 - Math.pow(1 - anim.progress, 3);
-                container.group.rotation.x = THREE.MathUtils.lerp(anim.startRotation.x, anim.targetRotation.x, t);
-                container.group.rotation.z = THREE.MathUtils.lerp(anim.startRotation.z, anim.targetRotation.z, t);
+    onTouchEnd(event) {
+        const manager = this.manager;
+        for (const touch of event.changedTouches) {
+            const id = touch.identifier;
+            this.points.delete(id);
+            this.free.delete(id);
+
+            if (id === this.pointer) {
+                this.pointer = null;
+                manager.onMouseUp({});
+            }
+            if (this.pinch && this.pinch.fingers.includes(id)) {
+                this.pinch = null;
+            }
+            const hold = this.holds.find(h => h.finger === id || h.twist === id);
+            if (hold && hold.finger === id) {
+                // Lifting the holding finger puts the container down
+                this.holds.splice(this.holds.indexOf(hold), 1);
+                manager.onInput(['drop', hold.container.id]);
+            } else if (hold) {
+                hold.twist = null;
             }
         }
+        this.updateControls();
     }
-}
 
-// ============================================
-// POUR MANAGER
-// ============================================
-class PourManager {
-    constructor(containers, liquidStream) {
-        this.containers = containers;
-        this.liquidStream = liquidStream;
-        this.pouringContainer = null;
-    }
+    // True when the finger starts a gesture of ours
+    place(touch) {
+        const manager = this.manager;
+        const id = touch.identifier;
+        manager.updateMouse(touch);
+
+        // A free container under the finger: another hand holds it
+        const container = manager.getIntersectedContainer();
+        const busy = this.pointer !== null || manager.isDragging;
+        if (container && !busy && this.holds.length < MAX_HOLDS && !this.holds.some(h => h.container === container)) {
+            this.grab(container, id);
+            return true;
+        }
 
-    findTargetContainer(source) {
-        const sourcePos = source.getPourSpoutWorldPosition();
+        // Beside a hold that has no twist yet: the nearest one twists
+        const point = this.points.get(id);
+        const single = this.holds.filter(h => h.twist === null);
+        if (single.length > 0) {
+            const hold = single.reduce((best, h) =>
+                touchDistance(point, this.points.get(h.finger)) < touchDistance(point, this.points.get(best.finger)) ? h : best);
+            hold.twist = id;
+            hold.twistAngle = this.twistAngle(hold);
+            hold.twistTilt = hold.tilt;
+            return true;
+        }
 
-        for (const container of this.containers) {
-            if (container === source) continue;
+        // Stopcocks, pipettes and plungers: one finger, as with the mouse
+        if (this.holds.length === 0 && !busy &&
+            (manager.getIntersectedClickTarget() || manager.getIntersectedPipettePart())) {
+            manager.onMouseDown({ clientX: touch.clientX, clientY: touch.clientY, button: 0 });
+            if (manager.pipetteDrag || manager.plungerDrag) this.pointer = id;
+            return true;
+        }
 
-            const targetPos = container.group.position;
-            const dx = sourcePos.x - targetPos.x;
-            const dz = sourcePos.z - targetPos.z;
-            const horizontalDist = Math.sqrt(dx * dx + dz * dz);
+        // Empty bench: the second finger there starts a pinch
+        this.free.add(id);
+        if (this.free.size === 2 && !this.pinch) {
+            const [a, b] = this.free;
+            const camera = manager.camera;
+            this.pinch = {
+                fingers: [a, b],
+                distance: Math.max(1, touchDistance(this.points.get(a), this.points.get(b))),
+                cameraDistance: camera.position.distanceTo(manager.controls.target)
+            };
+            return true;
+        }
+        return false;
+    }
 
-            // Check if spout is above the target container opening
-            const containerRadius = container instanceof Beaker ? 1.35 : 0.32;
-            const containerTop = targetPos.y + (container instanceof Beaker ? 3.3 : 3.9);
+    grab(container, finger) {
+        const manager = this.manager;
+        manager.onInput(['pick', container.id]);
+
+        // Slides in the plane a unit above its base, as a mouse drag does
+        const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -container.group.position.y - 1);
+        manager.raycaster.setFromCamera(manager.mouse, manager.camera);
+        const point = manager.raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+        const offset = point ? point.sub(container.group.position).setY(0) : new THREE.Vector3();
+
+        this.holds.push({
+            container,
+            finger,
+            twist: null,
+            offset,
+            plane,
+            tilt: container.getTiltAngle(),
+            twistAngle: 0,
+            twistTilt: 0
+        });
+    }
 
-            if (horizontalDist < containerRadius * 1.5 && sourcePos.y > containerTop - 1) {
-                return container;
-            }
-        }
-        return null;
+    // Screen angle from the holding finger to the twisting one; it grows
+    // clockwise, as screen y points down
+    twistAngle(hold) {
+        const a = this.points.get(hold.finger);
+        const b = this.points.get(hold.twist);
+        return Math.atan2(b.y - a.y, b.x - a.x);
     }
 
-    update(deltaTime) {
-        let activePouringContainer = null;
-        let targetContainer = null;
-
-        // Check each container for pouring
-        for (const container of this.containers) {
-            if (container.canPour() && container.isDragging) {
-                activePouringContainer = container;
-                targetContainer = this.findTargetContainer(container);
-                break;
-            }
+    moveHold(hold) {
+        const manager = this.manager;
+        const { container } = hold;
+        const point = this.points.get(hold.finger);
+        manager.updateMouse({ clientX: point.x, clientY: point.y });
+        manager.raycaster.setFromCamera(manager.mouse, manager.camera);
+
+        let { x, z } = container.group.position;
+        const hit = manager.raycaster.ray.intersectPlane(hold.plane, new THREE.Vector3());
+        if (hit) {
+            x = THREE.MathUtils.clamp(hit.x - hold.offset.x, -BENCH_REACH, BENCH_REACH);
+            z = THREE.MathUtils.clamp(hit.z - hold.offset.z, -BENCH_REACH, BENCH_REACH);
         }
 
-        if (activePouringContainer) {
-            // Start or continue pouring
-            if (!this.liquidStream.isActive) {
-                this.liquidStream.start(activePouringContainer, targetContainer);
+        if (hold.twist !== null) {
+            // Unwrapped, so a twist through the back of atan2 does not jump
+            let turn = this.twistAngle(hold) - hold.twistAngle;
+            turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+            hold.tilt = THREE.MathUtils.clamp(hold.twistTilt + turn, 0, MAX_TILT);
+            if (Math.abs(turn) > Math.PI / 2) {
+                hold.twistAngle += turn;
+                hold.twistTilt = hold.tilt;
             }
+        }
+        manager.onInput(['hold', container.id, x, z, container.group.rotation.y, hold.tilt]);
+    }
 
-            const pourRate = activePouringContainer.getPourRate();
-            const amountPoured = pourRate * deltaTime;
+    // Fingers apart zoom in, together zoom out, within the orbit limits
+    movePinch() {
+        const { camera, controls } = this.manager;
+        const [a, b] = this.pinch.fingers;
+        const spread = Math.max(1, touchDistance(this.points.get(a), this.points.get(b)));
+        const target = THREE.MathUtils.clamp(this.pinch.cameraDistance * this.pinch.distance / spread,
+            controls.minDistance, controls.maxDistance);
+        const offset = camera.position.clone().sub(controls.target).setLength(target);
+        camera.position.copy(controls.target).add(offset);
+    }
 
-            // Remove liquid from source
-            activePouringContainer.addVolume(-amountPoured);
+    // Orbit controls stay out of the way while anything is held or pinched
+    updateControls() {
+        const manager = this.manager;
+        manager.controls.enabled = this.holds.length === 0 && !this.pinch && this.pointer === null;
+    }
 
-            // Add liquid to target if there is one
-            if (targetContainer) {
-                targetContainer.addVolume(amountPoured * 0.9); // 90% efficiency (some spillage)
-                this.liquidStream.targetContainer = targetContainer;
-            } else {
-                this.liquidStream.targetContainer = null;
-            }
+    reset() {
+        for (const hold of this.holds) hold.container.isDragging = false;
+        this.holds = [];
+        this.pinch = null;
+        this.pointer = null;
+        this.free.clear();
+        this.points.clear();
+    }
+}
 
-            this.pouringContainer = activePouringContainer;
-        } else {
-            // Stop pouring
-            if (this.liquidStream.isActive) {
-                this.liquidStream.stop();
+// Screen distance between two touch points
+function touchDistance(a, b) {
+    return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+// ============================================
+// XR CONTROLS
+// In an immersive session the bench is at life size in front of the
+// player: the rig (their floor, carrying the camera and both hands) is
+// scaled so a metre of real movement is a metre at the bench. Trigger,
+// squeeze or a hand pinch takes the container at the hand, or failing
+// that the one the hand points at, and the stopcock it points at turns.
+// A held container slides across the bench under the hand and turns with
+// the wrist: its up axis follows the hand's rotation since the grab, so
+// rolling the wrist tilts it towards its spout. All of it goes out as the
+// same inputs as the pointer's, so pouring, recording and replay work
+// unchanged. Desktop browsers can try it with a WebXR emulator extension.
+// ============================================
+const XR_BENCH_HEIGHT = 0.9;  // m, floor to bench top
+const XR_STANDOFF = 0.25;     // m, bench front edge to the player
+const XR_GRAB_MARGIN = 0.5;   // units around a container that still reach it
+
+class XRControls {
+    constructor(renderer, bench) {
+        this.renderer = renderer;
+        this.bench = bench;     // benchBounds of the LabBench
+        this.containers = [];
+        this.balances = [];
+        this.raycaster = new THREE.Raycaster();
+        this.presenting = false;
+
+        this.rig = new THREE.Group();
+        this.rig.scale.setScalar(UNITS_PER_METRE);
+        this.rig.position.set(0, bench.tableTop - XR_BENCH_HEIGHT * UNITS_PER_METRE,
+            bench.maxZ + XR_STANDOFF * UNITS_PER_METRE);
+
+        // Each hand: target ray, grip (where a controller is held) and
+        // tracked hand, and what it holds
+        const controllerModels = new XRControllerModelFactory();
+        const handModels = new XRHandModelFactory();
+        this.hands = [0, 1].map((index) => {
+            const hand = {
+                controller: renderer.xr.getController(index),
+                grip: renderer.xr.getControllerGrip(index),
+                joints: renderer.xr.getHand(index),
+                held: null // { container, offset, up, rotation, rotationY }
+            };
+            hand.grip.add(controllerModels.createControllerModel(hand.grip));
+            hand.joints.add(handModels.createHandModel(hand.joints, 'mesh'));
+            hand.controller.add(createPointerRay());
+            for (const [start, end] of [['selectstart', 'selectend'], ['squeezestart', 'squeezeend']]) {
+                hand.controller.addEventListener(start, () => this.grab(hand));
+                hand.controller.addEventListener(end, () => this.release(hand));
+            }
+            this.rig.add(hand.controller, hand.grip, hand.joints);
+            return hand;
+        });
+
+        // What the hands do to the bench goes out as inputs (see LabBench.applyInput)
+        this.onInput = null; // (input)
+    }
+
+    setContainers(containers) {
+        this.reset();
+        this.containers = containers;
+    }
+
+    setBalances(balances) {
+        this.balances = balances;
+    }
+
+    // Put the camera on the rig for the session, and back where it was after
+    start(camera) {
+        this.presenting = true;
+        this.camera = camera;
+        this.desktopView = { position: camera.position.clone(), quaternion: camera.quaternion.clone() };
+        this.rig.add(camera);
+    }
+
+    end() {
+        this.presenting = false;
+        this.hands.forEach(hand => this.release(hand));
+        const { camera, desktopView } = this;
+        this.rig.remove(camera);
+        camera.position.copy(desktopView.position);
+        camera.quaternion.copy(desktopView.quaternion);
+    }
+
+    // Controller grip when there is one, otherwise the pointing pose (hands)
+    getPose(hand) {
+        return hand.grip.visible ? hand.grip : hand.controller;
+    }
+
+    grab(hand) {
+        if (hand.held) return;
+        const pose = this.getPose(hand);
+        const position = pose.getWorldPosition(new THREE.Vector3());
+        const taken = this.hands.map(h => h.held && h.held.container);
+        const free = this.containers.filter(c => !c.isFixed && !taken.includes(c));
+
+        // In reach of the hand, else where it points
+        let container = free.find(c => {
+            const local = c.group.worldToLocal(position.clone());
+            const radius = Math.max(c.bounds.bottomRadius, c.bounds.topRadius) + XR_GRAB_MARGIN;
+            return Math.hypot(local.x, local.z) < radius && local.y > -XR_GRAB_MARGIN &&
+                local.y < c.bounds.height + XR_GRAB_MARGIN;
+        });
+        if (!container) {
+            this.aim(hand);
+            const target = this.raycaster.intersectObjects(this.containers.flatMap(c => c.clickTargets))[0];
+            if (target) {
+                const owner = this.containers.find(c => c.clickTargets.includes(target.object));
+                this.onInput(['click', owner.id, owner.clickTargets.indexOf(target.object)]);
+                return;
+            }
+            const key = this.raycaster.intersectObjects(this.balances.map(b => b.tareKey))[0];
+            if (key) {
+                this.onInput(['tare', key.object.userData.balance.id]);
+                return;
             }
-            this.pouringContainer = null;
+            const hit = this.raycaster.intersectObjects(free.map(c => c.interactionMesh))[0];
+            container = hit ? hit.object.userData.container : null;
+        }
+        if (!container) return;
+
+        this.onInput(['pick', container.id]);
+        hand.held = {
+            container,
+            offset: container.group.position.clone().sub(position),
+            up: new THREE.Vector3().fromArray(container.getAxis()),
+            rotation: pose.getWorldQuaternion(new THREE.Quaternion()).invert(),
+            rotationY: container.group.rotation.y
+        };
+    }
+
+    // Raycaster along the hand's target ray
+    aim(hand) {
+        const { matrixWorld } = hand.controller;
+        this.raycaster.ray.origin.setFromMatrixPosition(matrixWorld);
+        this.raycaster.ray.direction.set(0, 0, -1).transformDirection(matrixWorld);
+    }
+
+    release(hand) {
+        if (!hand.held) return;
+        this.onInput(['drop', hand.held.container.id]);
+        hand.held = null;
+    }
+
+    // Move and tilt what each hand holds; once per frame, before the step
+    update() {
+        if (!this.presenting) return;
+        for (const hand of this.hands) {
+            const held = hand.held;
+            if (!held) continue;
+            const pose = this.getPose(hand);
+            const position = pose.getWorldPosition(new THREE.Vector3()).add(held.offset);
+
+            // Up axis turned as the hand has turned since the grab
+            const turn = pose.getWorldQuaternion(new THREE.Quaternion()).multiply(held.rotation);
+            const up = held.up.clone().applyQuaternion(turn);
+            const tilt = Math.min(Math.acos(THREE.MathUtils.clamp(up.y, -1, 1)), MAX_TILT);
+
+            // Lean towards the spout: rotation (0, r, -t) tips the up axis
+            // to (sin t cos r, cos t, -sin t sin r). Nearly upright, the
+            // heading is kept rather than following the wobble.
+            if (Math.sin(tilt) > 0.05) held.rotationY = Math.atan2(-up.z, up.x);
+
+            this.onInput(['hold', held.container.id,
+                THREE.MathUtils.clamp(position.x, -BENCH_REACH, BENCH_REACH),
+                THREE.MathUtils.clamp(position.z, -BENCH_REACH, BENCH_REACH),
+                held.rotationY, tilt]);
+        }
+    }
+
+    // Forget what was held without putting it down (the bench was rebuilt)
+    reset() {
+        this.hands.forEach(hand => { hand.held = null; });
+    }
+}
+
+// Line along a controller's target ray, to aim with
+function createPointerRay() {
+    const geometry = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(0, 0, 0), new THREE.Vector3(0, 0, -1)]);
+    const line = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: 0x00d4ff }));
+    line.scale.z = 1.5; // m
+    return line;
+}
+
+// ============================================
+// KEYBOARD CONTROLS
+// One visually hidden button per container, in bench order, so Tab
+// reaches each piece of glassware and a screen reader names it. With one
+// focused, the arrow keys slide it across the bench, PageUp/PageDown tilt
+// it towards its spout in fine steps (with Shift, coarse ones), Home sets
+// it upright and Enter/Space works its stopcock. Focus moving on puts a
+// tilted container down. A ring on the bench marks the focused container,
+// and announce() reads text out through an ARIA live region.
+// ============================================
+const KEY_MOVE_STEP = 0.1;             // units per arrow key press (Shift: x5)
+const KEY_TILT_STEP = Math.PI / 180;   // one degree per PageUp/PageDown (Shift: x5)
+const KEY_COARSE = 5;
+
+// Hidden from sight but not from assistive technology
+const VISUALLY_HIDDEN = {
+    position: 'absolute',
+    width: '1px',
+    height: '1px',
+    overflow: 'hidden',
+    clip: 'rect(0 0 0 0)',
+    whiteSpace: 'nowrap'
+};
+
+class KeyboardControls {
+    constructor(element, benchTop) {
+        this.benchTop = benchTop;
+        this.containers = [];
+        this.focused = null;
+
+        this.list = document.createElement('div');
+        this.list.setAttribute('role', 'group');
+        this.list.setAttribute('aria-label', 'Containers on the bench');
+        this.status = document.createElement('div');
+        this.status.setAttribute('role', 'status');
+        this.status.setAttribute('aria-live', 'polite');
+        Object.assign(this.list.style, VISUALLY_HIDDEN);
+        Object.assign(this.status.style, VISUALLY_HIDDEN);
+        element.prepend(this.list, this.status);
+
+        this.ring = new THREE.Mesh(
+            new THREE.RingGeometry(0.9, 1, 48),
+            new THREE.MeshBasicMaterial({ color: 0x00d4ff, transparent: true, opacity: 0.8, depthWrite: false })
+        );
+        this.ring.rotation.x = -Math.PI / 2;
+        this.ring.visible = false;
+
+        // Keys go out as inputs (see LabBench.applyInput), like the pointer's
+        this.onInput = null;   // (input)
+        this.onFocus = null;   // (container) when one gets focus
+    }
+
+    // One button per container, replacing the previous ones
+    setContainers(containers) {
+        this.containers = containers.slice();
+        this.focused = null;
+        this.ring.visible = false;
+        this.list.replaceChildren(...containers.map((container) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = container.name;
+            button.setAttribute('aria-description', container.isFixed ?
+                'Clamped in place. Enter or Space turns the stopcock.' :
+                'Arrow keys move it, Page Up and Page Down tilt it, Home sets it upright.');
+            button.addEventListener('focus', () => this.focus(container));
+            button.addEventListener('blur', () => this.blur(container));
+            button.addEventListener('keydown', (e) => this.onKeyDown(e, container));
+            return button;
+        }));
+    }
+
+    focus(container) {
+        this.focused = container;
+        if (this.onFocus) this.onFocus(container);
+    }
+
+    blur(container) {
+        if (this.focused !== container) return;
+        this.focused = null;
+        if (container.isDragging) this.onInput(['drop', container.id]);
+    }
+
+    onKeyDown(event, container) {
+        const coarse = event.shiftKey ? KEY_COARSE : 1;
+        const move = {
+            ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1]
+        }[event.key];
+        const tilt = { PageUp: 1, PageDown: -1 }[event.key];
+
+        if (move && !container.isFixed) {
+            const { x, z } = container.group.position;
+            const step = KEY_MOVE_STEP * coarse;
+            this.onInput(['move', container.id, x + move[0] * step, z + move[1] * step]);
+        } else if (tilt && !container.isFixed) {
+            const angle = THREE.MathUtils.clamp(container.getTiltAngle() + tilt * KEY_TILT_STEP * coarse, 0, MAX_TILT);
+            this.onInput(['tilt', container.id, angle]);
+            this.announce(`${container.name} tilted ${Math.round(THREE.MathUtils.radToDeg(angle))} degrees`);
+        } else if (event.key === 'Home' && !container.isFixed) {
+            this.onInput(['tilt', container.id, 0]);
+            this.announce(`${container.name} upright`);
+        } else if ((event.key === 'Enter' || event.key === ' ') && container.clickTargets.length > 0) {
+            this.onInput(['click', container.id, 0]);
+        } else if ((move || tilt) && container.isFixed) {
+            this.announce(`${container.name} is clamped in place`);
+        } else {
+            return;
         }
+        event.preventDefault();
+    }
+
+    // Read `text` out; the same text twice is still read twice
+    announce(text) {
+        this.status.textContent = this.status.textContent === text ? `${text} ` : text;
+    }
+
+    // Keep the ring under the focused container
+    update() {
+        const c = this.focused;
+        this.ring.visible = Boolean(c);
+        if (!c) return;
+        const radius = c.bounds ? Math.max(c.bounds.bottomRadius, c.bounds.topRadius) + 0.15 : 0.5;
+        this.ring.position.set(c.group.position.x, this.benchTop + 0.01, c.group.position.z);
+        this.ring.scale.setScalar(radius);
+    }
+
+    dispose() {
+        this.list.remove();
+        this.status.remove();
+    }
+}
+
+// ============================================
+// SPILL MANAGER
+// Liquid that misses every container lands on the bench as puddles,
+// so nothing poured is ever lost. Puddles spread out to a thin film.
+// ============================================
+const PUDDLE_DEPTH = 0.04;     // Film thickness once spread (~1 mm)
+const PUDDLE_PATH_CM = 0.1;    // Seen through a thin film, puddles are pale
+const MAX_PUDDLES = 40;
+
+class SpillManager {
+    constructor(bench, events) {
+        this.bench = bench; // table top height and extent, as for the fluid solver
+        this.events = events;
+        this.platforms = []; // raised surfaces puddles lie on (see BenchPhysics.setPlatforms)
+        this.group = new THREE.Group();
+        this.puddles = [];
+        this.totalVolume = 0; // mL spilled since the bench was built
+        this.geometry = new THREE.CircleGeometry(1, 48);
+        this.geometry.rotateX(-Math.PI / 2);
+    }
+
+    setPlatforms(platforms) {
+        this.platforms = platforms.slice();
+    }
 
-        // Update liquid stream particles
+    // Add a spilled Solution at a world position on (or above) the bench
+    addSpill(position, portion) {
+        if (portion.volume <= 0) return;
+        this.totalVolume += portion.volume;
+        this.events.dispatchEvent({ type: 'spill', volume: portion.volume, position: position.toArray() });
+
+        // Off the edge of the bench: counted, but there is nothing to show it on
+        const { minX, maxX, minZ, maxZ } = this.bench;
+        if (position.x < minX || position.x > maxX || position.z < minZ || position.z > maxZ) {
+            return;
+        }
+
+        // On the bench top or the platform it fell on, joining a puddle there
+        const floor = floorAt(this.platforms, this.bench.tableTop, position.x, position.z);
+        let puddle = this.puddles.find(p => p.floor === floor &&
+            Math.hypot(p.mesh.position.x - position.x, p.mesh.position.z - position.z) < p.radius + 0.1
+        );
+        if (!puddle && this.puddles.length >= MAX_PUDDLES) {
+            puddle = this.puddles.reduce((nearest, p) =>
+                p.mesh.position.distanceTo(position) < nearest.mesh.position.distanceTo(position) ? p : nearest
+            );
+        }
+
+        if (!puddle) {
+            puddle = this.createPuddle(position.x, position.z);
+        }
+
+        puddle.solution.add(portion);
+        this.tintPuddle(puddle);
+    }
+
+    createPuddle(x, z) {
+        const floor = floorAt(this.platforms, this.bench.tableTop, x, z);
+        const material = new THREE.MeshPhysicalMaterial({
+            color: 0xffffff,
+            metalness: 0.0,
+            roughness: 0.05,
+            transmission: 0.5,
+            transparent: true,
+            opacity: 0.55,
+            polygonOffset: true,
+            polygonOffsetFactor: -1
+        });
+        const mesh = new THREE.Mesh(this.geometry, material);
+        mesh.position.set(x, floor + 0.002, z);
+        mesh.scale.setScalar(0.01);
+        mesh.receiveShadow = true;
+        this.group.add(mesh);
+        const puddle = { mesh, floor, solution: new Solution(), radius: 0.01 };
+        this.puddles.push(puddle);
+        return puddle;
+    }
+
+    tintPuddle(puddle) {
+        const [r, g, b] = puddle.solution.getColor(PUDDLE_PATH_CM, computePH(puddle.solution));
+        puddle.mesh.material.color.setRGB(r, g, b, THREE.SRGBColorSpace);
+    }
+
+    // Radius a puddle spreads out to
+    getSpreadRadius(puddle) {
+        const area = (puddle.solution.volume / ML_PER_CUBIC_UNIT) / PUDDLE_DEPTH;
+        return Math.sqrt(area / Math.PI);
+    }
+
+    update(deltaTime) {
+        for (const puddle of this.puddles) {
+            puddle.radius += (this.getSpreadRadius(puddle) - puddle.radius) * Math.min(1, deltaTime * 1.5);
+            puddle.mesh.scale.setScalar(Math.max(0.01, puddle.radius));
+        }
+    }
+
+    // Where the puddles are and what is in them; how far they have
+    // spread is left out, it only catches up with their volume
+    getSnapshot() {
+        return {
+            totalVolume: this.totalVolume,
+            puddles: this.puddles.map(p => ({ x: p.mesh.position.x, z: p.mesh.position.z, solution: p.solution.clone() }))
+        };
+    }
+
+    // Puddles come back already spread
+    restoreSnapshot(snapshot) {
+        this.clear();
+        for (const { x, z, solution } of snapshot.puddles) {
+            const puddle = this.createPuddle(x, z);
+            puddle.solution = solution.clone();
+            puddle.radius = this.getSpreadRadius(puddle);
+            puddle.mesh.scale.setScalar(Math.max(0.01, puddle.radius));
+            this.tintPuddle(puddle);
+        }
+        this.totalVolume = snapshot.totalVolume;
+    }
+
+    clear() {
+        for (const puddle of this.puddles) {
+            this.group.remove(puddle.mesh);
+            puddle.mesh.material.dispose();
+        }
+        this.puddles = [];
+        this.totalVolume = 0;
+    }
+}
+
+// ============================================
+// POUR MANAGER
+// The PourCore of the drawn bench (see bench-core.js): the stream and
+// splashes follow each solver result, liquid reaching the bench becomes
+// puddles, and the outside of a glass running over is wetted.
+// ============================================
+class PourManager extends PourCore {
+    constructor(containers, liquidStream, spillManager, fluid, events) {
+        super(containers, fluid, events);
+        this.liquidStream = liquidStream;
+        this.spillManager = spillManager;
+    }
+
+    addSpill(position, portion) {
+        this.spillManager.addSpill(new THREE.Vector3().fromArray(position), portion);
+    }
+
+    setSource(source) {
+        if (source && source !== this.pouringContainer) {
+            this.liquidStream.start(source);
+        } else if (!source && this.liquidStream.isActive) {
+            this.liquidStream.stop();
+        }
+        super.setSource(source);
+    }
+
+    applyResult(result) {
+        super.applyResult(result);
+        this.liquidStream.show(result);
+    }
+
+    update(deltaTime) {
+        super.update(deltaTime);
+        for (const c of this.containers) {
+            c.updateOverflowFilm(deltaTime, this.overflowSides.get(c.id) || null);
+        }
         this.liquidStream.update(deltaTime);
     }
 }
 
 // ============================================
-// UI UPDATES
+// TITRATION PANEL
+// Live readout of the burette and the flask it drips into, with the
+// titration curve (pH against titrant delivered) drawn on a canvas.
 // ============================================
-function updateUI(beaker, erlenmeyer) {
-    const beakerVolumeEl = document.getElementById('beaker-volume');
-    const erlenmeyerVolumeEl = document.getElementById('erlenmeyer-volume');
-    const beakerBarEl = document.getElementById('beaker-bar');
-    const erlenmeyerBarEl = document.getElementById('erlenmeyer-bar');
+const TITRANTS = {
+    'hydrochloric-acid': 'sodium-hydroxide',
+    'acetic-acid': 'sodium-hydroxide',
+    'sodium-hydroxide': 'hydrochloric-acid',
+    'ammonia': 'hydrochloric-acid'
+};
+
+class TitrationPanel {
+    constructor(ui) {
+        this.ui = ui;
+        this.burette = null;
+        this.flask = null;
+        this.points = [];
+        this.canvas = findElement(ui, 'titration-curve');
+        this.section = findElement(ui, 'titration-section');
+    }
+
+    // Follow `burette` (null hides the panel when the bench has none)
+    setBurette(burette) {
+        this.burette = burette;
+        if (burette) {
+            burette.onDropDelivered = (receiver) => this.record(receiver);
+        }
+        if (this.section) {
+            this.section.style.display = burette ? '' : 'none';
+        }
+        this.clear();
+    }
+
+    // Fill `flask` with 25 mL analyte plus indicator, refill the burette and clear the curve
+    setup(flask, analyte, indicator) {
+        this.burette.fill(Solution.fromLiquid(TITRANTS[analyte], 1));
+        this.burette.stopcockIndex = 0;
+        this.burette.updateStopcockKey();
+
+        const sample = Solution.fromLiquid(analyte, 25);
+        if (indicator) {
+            sample.add(new Solution(0, { [indicator]: INDICATOR_DOSE }));
+        }
+        flask.setSolution(sample);
+
+        // Stand the flask under the tip
+        const tip = this.burette.group.position;
+        flask.group.position.set(tip.x, flask.group.position.y, tip.z);
+        flask.group.rotation.set(0, 0, 0);
+        flask.updateLiquid();
+
+        this.start(flask);
+    }
 
-    if (beakerVolumeEl) {
-        beakerVolumeEl.textContent = `${Math.round(beaker.currentVolume)} mL`;
+    start(flask) {
+        this.flask = flask;
+        this.points = [{ volume: this.burette.getReading(), pH: flask.getPH() }];
+        this.draw();
     }
-    if (erlenmeyerVolumeEl) {
-        erlenmeyerVolumeEl.textContent = `${Math.round(erlenmeyer.currentVolume)} mL`;
+
+    clear() {
+        this.flask = null;
+        this.points = [];
+        this.draw();
     }
-    if (beakerBarEl) {
-        beakerBarEl.style.width = `${(beaker.currentVolume / beaker.maxVolume) * 100}%`;
+
+    // The flask followed and its curve so far
+    getSnapshot() {
+        return { flask: this.flask ? this.flask.id : null, points: this.points.map(point => ({ ...point })) };
     }
-    if (erlenmeyerBarEl) {
-        erlenmeyerBarEl.style.width = `${(erlenmeyer.currentVolume / erlenmeyer.maxVolume) * 100}%`;
+
+    restoreSnapshot(snapshot, containers) {
+        this.flask = containers.find(c => c.id === snapshot.flask) || null;
+        this.points = snapshot.points.map(point => ({ ...point }));
+        this.draw();
+    }
+
+    record(receiver) {
+        if (receiver !== this.flask) {
+            this.start(receiver);
+            return;
+        }
+        this.points.push({ volume: this.burette.getReading(), pH: receiver.getPH() });
+        this.draw();
+    }
+
+    update() {
+        if (!this.burette) return;
+
+        const readingEl = findElement(this.ui, 'burette-reading');
+        const phEl = findElement(this.ui, 'flask-ph');
+        const stopcockEl = findElement(this.ui, 'stopcock-state');
+
+        if (readingEl) {
+            readingEl.textContent = `${this.burette.getReading().toFixed(2)} mL`;
+        }
+        if (phEl) {
+            phEl.textContent = this.flask && this.flask.currentVolume > 0 ? this.flask.getPH().toFixed(2) : '-';
+        }
+        if (stopcockEl) {
+            stopcockEl.textContent = this.burette.getStopcockState();
+        }
+    }
+
+    draw() {
+        if (!this.canvas) return;
+
+        const ctx = this.canvas.getContext('2d');
+        const { width, height } = this.canvas;
+        const pad = 18;
+        const maxVolume = Math.max(30, ...this.points.map(p => Math.ceil(p.volume / 10) * 10));
+        const toX = (volume) => pad + (volume / maxVolume) * (width - pad - 4);
+        const toY = (pH) => height - pad - (pH / 14) * (height - pad - 4);
+
+        ctx.clearRect(0, 0, width, height);
+
+        // Grid: pH 7 line and axes
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.beginPath();
+        ctx.moveTo(pad, toY(7));
+        ctx.lineTo(width - 4, toY(7));
+        ctx.stroke();
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+        ctx.beginPath();
+        ctx.moveTo(pad, 4);
+        ctx.lineTo(pad, height - pad);
+        ctx.lineTo(width - 4, height - pad);
+        ctx.stroke();
+
+        ctx.fillStyle = '#888';
+        ctx.font = '10px sans-serif';
+        ctx.fillText('14', 2, toY(14) + 8);
+        ctx.fillText('7', 6, toY(7) + 3);
+        ctx.fillText('0', 6, toY(0));
+        ctx.fillText(`${maxVolume} mL`, width - 40, height - 4);
+
+        if (this.points.length < 2) return;
+
+        ctx.strokeStyle = '#00d4ff';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        this.points.forEach((p, i) => {
+            if (i === 0) ctx.moveTo(toX(p.volume), toY(p.pH));
+            else ctx.lineTo(toX(p.volume), toY(p.pH));
+        });
+        ctx.stroke();
+        ctx.lineWidth = 1;
     }
 }
 
 // ============================================
-// MAIN INITIALIZATION
+// PIPETTE PANEL
+// Dial, tip and plunger readout of the pipette last picked up.
 // ============================================
+class PipettePanel {
+    constructor(ui) {
+        this.ui = ui;
+        this.pipette = null;
+        this.section = findElement(ui, 'pipette-section');
+        this.select = findElement(ui, 'pipette-select');
+        this.volumeInput = findElement(ui, 'pipette-volume');
+    }
 
-// Create containers
-const beaker = new Beaker({
-    initialVolume: 150,
-    liquidColor: 0x4fc3f7
-});
-beaker.group.position.set(-2.5, -1.9, 0);
-scene.add(beaker.group);
+    // Pipettes on the bench (none hides the panel)
+    setPipettes(pipettes) {
+        if (this.section) {
+            this.section.style.display = pipettes.length > 0 ? '' : 'none';
+        }
+        if (this.select) {
+            this.select.innerHTML = '';
+            for (const pipette of pipettes) {
+                const option = document.createElement('option');
+                option.value = pipette.id;
+                option.textContent = pipette.name;
+                this.select.appendChild(option);
+            }
+        }
+        this.show(pipettes[0] || null);
+    }
 
-const erlenmeyer = new ErlenmeyerFlask({
-    initialVolume: 100,
-    liquidColor: 0xff9800
-});
-erlenmeyer.group.position.set(2.5, -1.9, 0);
-scene.add(erlenmeyer.group);
-
-const containers = [beaker, erlenmeyer];
-
-// Create liquid stream
-const liquidStream = new LiquidStream();
-scene.add(liquidStream.group);
-
-// Create interaction manager
-const interactionManager = new InteractionManager(camera, renderer, containers);
-
-// Create pour manager
-const pourManager = new PourManager(containers, liquidStream);
-
-// Reset button
-const resetBtn = document.getElementById('reset-btn');
-if (resetBtn) {
-    resetBtn.addEventListener('click', () => {
-        // Reset positions
-        beaker.group.position.set(-2.5, -1.9, 0);
-        beaker.group.rotation.set(0, 0, 0);
-        erlenmeyer.group.position.set(2.5, -1.9, 0);
-        erlenmeyer.group.rotation.set(0, 0, 0);
-
-        // Reset volumes
-        beaker.setVolume(150);
-        erlenmeyer.setVolume(100);
-
-        // Clear stream
-        liquidStream.clear();
-        liquidStream.stop();
-    });
+    show(pipette) {
+        this.pipette = pipette;
+        if (!pipette) return;
+
+        if (this.select) this.select.value = pipette.id;
+        if (this.volumeInput) {
+            const [min, max] = pipette.definition.volumeRange;
+            this.volumeInput.min = min;
+            this.volumeInput.max = max;
+            this.volumeInput.value = pipette.setting;
+        }
+    }
+
+    update() {
+        const pipette = this.pipette;
+        if (!pipette) return;
+
+        const tipEl = findElement(this.ui, 'pipette-tip');
+        const contentsEl = findElement(this.ui, 'pipette-contents');
+        const plungerEl = findElement(this.ui, 'pipette-plunger');
+
+        if (tipEl) {
+            tipEl.textContent = pipette.hasTip ? 'fitted' : 'none';
+        }
+        if (contentsEl) {
+            contentsEl.textContent = `${(pipette.getLiquidVolume() * UL_PER_ML).toFixed(1)} µL`;
+        }
+        if (plungerEl) {
+            plungerEl.textContent = pipette.getPlungerState();
+        }
+    }
 }
 
-// Window resize
-window.addEventListener('resize', () => {
-    camera.aspect = container.clientWidth / container.clientHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(container.clientWidth, container.clientHeight);
-});
+// ============================================
+// BALANCE PANEL
+// Reading of every balance on the bench, each with a tare button
+// (data-balance: its id; see LabBench.bindPanel).
+// ============================================
+class BalancePanel {
+    constructor(ui) {
+        this.ui = ui;
+        this.rows = [];
+        this.section = findElement(ui, 'balance-section');
+        this.list = findElement(ui, 'balance-list');
+    }
+
+    // Balances on the bench (none hides the panel)
+    setBalances(balances) {
+        if (this.section) {
+            this.section.style.display = balances.length > 0 ? '' : 'none';
+        }
+        if (!this.list) return;
+
+        this.list.innerHTML = '';
+        this.rows = balances.map((balance) => {
+            const item = document.createElement('div');
+            item.className = 'volume-item';
+
+            const label = document.createElement('span');
+            label.className = 'volume-label';
+            label.textContent = balance.name;
+            const value = document.createElement('span');
+            value.className = 'volume-value balance-reading';
+            const button = document.createElement('button');
+            button.className = 'panel-btn';
+            button.textContent = 'Tare';
+            button.dataset.balance = balance.id;
+            button.setAttribute('aria-label', `Tare ${balance.name}`);
+            item.append(label, value, button);
+
+            this.list.appendChild(item);
+            return { balance, valueEl: value };
+        });
+    }
+
+    update() {
+        for (const { balance, valueEl } of this.rows) {
+            valueEl.textContent = `${balance.getDisplayText()} g`;
+            valueEl.classList.toggle('unstable', !balance.stable);
+        }
+    }
+}
 
 // ============================================
-// ANIMATION LOOP
+// HISTORY PANEL
+// Undo and redo buttons, and a slider scrubbing through the bench
+// history with the label and time of the entry shown.
 // ============================================
-let lastTime = performance.now();
 
-function animate() {
-    requestAnimationFrame(animate);
+// Bench time as m:ss
+function formatBenchTime(seconds) {
+    const whole = Math.floor(seconds);
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
 
-    const currentTime = performance.now();
-    const deltaTime = Math.min((currentTime - lastTime) / 1000, 0.1); // Cap delta time
-    lastTime = currentTime;
+class HistoryPanel {
+    constructor(ui) {
+        this.ui = ui;
+        this.timeline = findElement(ui, 'history-timeline');
+        this.labelEl = findElement(ui, 'history-label');
+        this.undoButton = findElement(ui, 'history-undo');
+        this.redoButton = findElement(ui, 'history-redo');
+    }
 
-    // Update interaction manager (for return-to-upright animations)
-    interactionManager.update(deltaTime);
+    update(history) {
+        const entry = history.current;
+        if (this.timeline) {
+            this.timeline.max = history.entries.length - 1;
+            this.timeline.value = history.index;
+        }
+        if (this.labelEl) {
+            this.labelEl.textContent = `${history.index + 1}/${history.entries.length}  ${formatBenchTime(entry.time)}  ${entry.label}`;
+            this.labelEl.title = entry.label;
+        }
+        if (this.undoButton) this.undoButton.disabled = !history.canUndo;
+        if (this.redoButton) this.redoButton.disabled = !history.canRedo;
+    }
+}
 
-    // Update pour manager
-    pourManager.update(deltaTime);
+// ============================================
+// LAB BENCH
+// One mounted simulation: renderer, camera and controls in
+// `containerElement`, the bench, its managers and the animation loop.
+// Nothing is shared between benches, so a page can mount several and
+// dispose() each without leaking WebGL contexts or listeners.
+//
+//   import { createLabBench } from './liquid-pouring.js';
+//   const bench = createLabBench(document.getElementById('canvas-container'));
+//   bench.addEventListener('transfer', (e) => grade(e.from, e.to, e.volume));
+//   bench.tiltTo('beaker', 1.2);
+//   ...
+//   bench.dispose();
+//
+// Options:
+//   scene    bench scene (see bench-scene.js); default DEFAULT_BENCH_SCENE
+//   quality  fluid quality, 'low' | 'medium' | 'high'; default 'medium'
+//   ui       element holding the panel controls of liquid-pouring.html
+//            (looked up by id); default `containerElement`, null for none
+//   fixedStep  s per simulation step, whatever the frame rate, with the
+//            fluid solved on the main thread; default 0 (one step a frame)
+//   seed     fluid solver random seed; default 1
+//   reducedMotion  no droplets or splashes, only a stream held still;
+//            default the prefers-reduced-motion setting of the system
+//
+// Events (volumes in mL, positions [x, y, z]; `target` on every event is
+// the bench itself, as with any THREE.EventDispatcher):
+//   pourstart        { container }
+//   pourend          { container, volume }   volume: what left the lip
+//   transfer         { from, to, volume }    container ids
+//   overflow         { container, volume }   did not fit: runs down the outside
+//                                            onto the bench and counts as spilled
+//   spill            { volume, position }
+//   containerpicked  { container }
+//   containerdropped { container, position }
+//   volumechange     { container, volume, previous }  at most once a frame
+//   pipettepicked    { pipette }
+//   aspirate         { pipette, container, volume, air }  air: mL drawn in
+//                                            behind the liquid as the surface fell
+//                                            below the tip
+//   dispense         { pipette, container, volume }  container null: onto the bench
+//   tipattach        { pipette }
+//   tipeject         { pipette, volume }     volume: liquid still in the tip
+//   weighed          { balance, reading }    a balance reading came to rest;
+//                                            reading: g as displayed, net of the
+//                                            tare (null when overloaded)
+//   historychange    { index, length, label }  an entry was recorded or
+//                                            the bench went back or forward
+//   replayend        { state }               a replayed session ran its
+//                                            last step; state as getState()
+//   xrstart, xrend   {}                      an immersive session began or ended
+//
+// Glassware is solid (see bench-physics.js): it stands on the bench, is
+// pushed aside rather than passed through, and let go of tilted past its
+// balance it falls over and empties.
+//
+// Balances (the scene's "balances") weigh whatever stands on their pans:
+// the empty glass plus its liquid at the density of what was poured in
+// (see bench-balance.js). The reading settles after every change, its
+// last digit flickers, and the TARE key, panel button or tare(id) zeroes
+// it - so a transfer can be checked by mass as well as by volume.
+//
+// History: once the bench settles after an action (nothing held, rocking,
+// pouring, in the air or dripping), its state is recorded as a timeline entry.
+// undo(), redo() and goToHistory() put every container, pipette, tip box,
+// balance tare and puddle back exactly as it was then; liquid still in
+// the air is dropped.
+//
+// Recording: everything done to the bench - pointer, panel or script -
+// goes through input(). startRecording() restarts the scene in fixed steps
+// and logs each input with the step it came in; stopRecording() returns
+// the log (see bench-session.js) and replay(log) plays it back to the same
+// volumes, e.g. to check a submitted exercise:
+//
+//   bench.startRecording();
+//   ...
+//   const log = bench.stopRecording();
+//   const state = await other.replay(log, { instant: true });
+//
+// XR: enterXR() (or the #xr-enter panel button, shown where immersive VR
+// is supported) puts the bench at life size in a WebXR session, with the
+// glassware grabbed by controllers or tracked hands (see XRControls).
+// ============================================
 
-    // Update UI
-    updateUI(beaker, erlenmeyer);
+const OVERFLOW_FLASH = 0.8; // s a volume bar flashes after its container runs over
+const FIXED_STEP = 1 / 60;  // s per simulation step while a session is recorded
+
+// Scene description "type" values, the mL they hold and what fills an
+// entry that leaves it out: every pourable registry entry plus the burette
+const containerTypes = {
+    ...Object.fromEntries(getContainerTypes().filter(isPourable).map(type => {
+        const { capacity, defaultVolume, defaultLiquid } = getContainerDefinition(type);
+        return [type, { capacity, defaultVolume, defaultLiquid }];
+    })),
+    burette: { capacity: BURETTE_CAPACITY, defaultVolume: 0, defaultLiquid: 'sodium-hydroxide' }
+};
+
+// Scene description pipette "type" values and the volumes they set
+const pipetteRanges = Object.fromEntries(
+    getContainerTypes().filter(isPipette).map(type => [type, getContainerDefinition(type).volumeRange])
+);
+
+// Scene description balance "type" values
+const balanceTypes = getContainerTypes().filter(isBalance);
 
-    // Update controls
-    controls.update();
+// Volume of `container` (or `volume` mL in it) as read out: µL in small
+// tubes, otherwise mL to a tenth
+function spokenVolume(container, volume = container.currentVolume) {
+    return container.maxVolume < 10 ?
+        `${Math.round(volume * UL_PER_ML)} microlitres` :
+        `${volume.toFixed(1)} millilitres`;
+}
+
+// Panel element `id` inside `root`; null when there is no such panel
+function findElement(root, id) {
+    return root ? root.querySelector(`#${id}`) : null;
+}
 
-    // Render
-    renderer.render(scene, camera);
+// Free the GPU resources of everything under `root`
+function disposeObject(root) {
+    root.traverse((child) => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) {
+            for (const material of [].concat(child.material)) {
+                Object.values(material).forEach(value => value && value.isTexture && value.dispose());
+                material.dispose();
+            }
+        }
+    });
 }
 
-animate();
+class LabBench extends THREE.EventDispatcher {
+    constructor(containerElement, options = {}) {
+        super();
+        this.element = containerElement;
+        this.ui = options.ui === undefined ? containerElement : options.ui;
+        this.listeners = new AbortController(); // page listeners, removed by dispose()
+
+        this.containers = [];
+        this.burette = null;
+        this.pipettes = [];
+        this.tipBoxes = [];
+        this.balances = [];
+        this.benchScene = normalizeBenchScene(options.scene || DEFAULT_BENCH_SCENE, containerTypes, pipetteRanges, balanceTypes);
+        this.volumes = new Map(); // id -> mL at the last volumechange check
+        this.volumeRows = [];     // one label/value/bar row per container
+        this.frameTime = 0;       // ms of main-thread work per frame, smoothed
+        this.clock = 0;           // s of bench time since the page loaded
+        this.fixedStep = options.fixedStep || 0; // s per simulation step; 0: one step a frame
+        this.seed = options.seed ?? 1;
+        this.steps = 0;           // simulation steps run
+        this.pendingTime = 0;     // s not yet simulated in fixed steps
+        this.recording = null;    // session log being recorded (see bench-session.js)
+        this.replaying = null;    // { session, resolve, reject } while a log is replayed
+
+        this.history = new BenchHistory();
+        this.historyDirty = false; // may have changed since the last entry
+        this.pendingActions = [];  // { key, amount, describe } noted since the last entry
+        this.pourActions = new Map(); // container id -> { action, into } of its pour
+
+        this.createScene();
+        this.createManagers(options);
+        this.bindPanel();
+        this.bindHistory();
+        this.bindAccessibility(options);
+        this.bindXR();
+        this.loadBench(this.benchScene);
+        this.startHistory();
+
+        this.lastTime = performance.now();
+        this.animate = this.animate.bind(this);
+        this.frameRequest = requestAnimationFrame(this.animate);
+    }
+
+    // ----------------------------------------
+    // Scene setup
+    // ----------------------------------------
+    createScene() {
+        const { element } = this;
+        const scene = new THREE.Scene();
+        scene.background = new THREE.Color(0x1a1a2e);
+
+        const camera = new THREE.PerspectiveCamera(45, element.clientWidth / element.clientHeight, 0.1, 1000);
+        camera.position.set(0, 5, 12);
+
+        const renderer = new THREE.WebGLRenderer({ antialias: true });
+        renderer.setSize(element.clientWidth, element.clientHeight);
+        renderer.setPixelRatio(window.devicePixelRatio);
+        renderer.shadowMap.enabled = true;
+        renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        renderer.toneMapping = THREE.ACESFilmicToneMapping;
+        renderer.toneMappingExposure = 1.0;
+        renderer.outputColorSpace = THREE.SRGBColorSpace;
+        renderer.localClippingEnabled = true; // liquid surfaces are clipping planes
+        renderer.xr.enabled = true;           // only takes over once a session starts
+        element.appendChild(renderer.domElement);
+
+        // Controls - orbit only with right mouse button
+        const controls = new OrbitControls(camera, renderer.domElement);
+        controls.enableDamping = true;
+        controls.dampingFactor = 0.05;
+        controls.minDistance = 5;
+        controls.maxDistance = 25;
+        controls.mouseButtons = {
+            LEFT: null, // Disable left click for orbit (we use it for dragging)
+            MIDDLE: THREE.MOUSE.DOLLY,
+            RIGHT: THREE.MOUSE.ROTATE
+        };
+        // One finger orbits; two are a pinch (see TouchGestures)
+        controls.touches = { ONE: THREE.TOUCH.ROTATE, TWO: null };
+
+        // Lighting
+        scene.add(new THREE.AmbientLight(0xffffff, 0.5));
+
+        const mainLight = new THREE.DirectionalLight(0xffffff, 1.5);
+        mainLight.position.set(5, 10, 7);
+        mainLight.castShadow = true;
+        mainLight.shadow.mapSize.width = 2048;
+        mainLight.shadow.mapSize.height = 2048;
+        scene.add(mainLight);
+
+        const fillLight = new THREE.DirectionalLight(0x8899bb, 0.4);
+        fillLight.position.set(-5, 5, -5);
+        scene.add(fillLight);
+
+        const rimLight = new THREE.PointLight(0x00d4ff, 0.6, 20);
+        rimLight.position.set(-3, 3, -3);
+        scene.add(rimLight);
+
+        const backLight = new THREE.SpotLight(0xffffff, 0.8);
+        backLight.position.set(0, 5, -8);
+        backLight.angle = Math.PI / 4;
+        scene.add(backLight);
+
+        // Floor
+        const table = new THREE.Mesh(
+            new THREE.BoxGeometry(20, 0.3, 12),
+            new THREE.MeshStandardMaterial({ color: 0x2a2a3e, metalness: 0.1, roughness: 0.4 })
+        );
+        table.position.y = -2.05;
+        table.receiveShadow = true;
+        scene.add(table);
+
+        // Bench top: where liquid lands and what counts as on the bench
+        const { width, height, depth } = table.geometry.parameters;
+        this.benchBounds = {
+            tableTop: table.position.y + height / 2,
+            minX: table.position.x - width / 2,
+            maxX: table.position.x + width / 2,
+            minZ: table.position.z - depth / 2,
+            maxZ: table.position.z + depth / 2
+        };
+
+        // Environment map
+        this.envMap = null;
+        try {
+            this.envMap = createEnvironmentMap(renderer);
+            scene.environment = this.envMap;
+        } catch (e) {
+            console.log('Environment map creation skipped');
+        }
+
+        // Glassware materials, as in the equipment viewer
+        this.materials = createLabMaterials();
+
+        this.scene = scene;
+        this.camera = camera;
+        this.renderer = renderer;
+        this.controls = controls;
+    }
+
+    createManagers(options) {
+        this.liquidStream = new LiquidStream();
+        this.liquidStream.setViewport(this.element.clientHeight, this.camera.fov);
+        this.scene.add(this.liquidStream.group);
+
+        this.interactionManager = new InteractionManager(this.camera, this.renderer, this.controls, this.containers, this.pipettes, this.balances);
+        this.interactionManager.onInput = (input) => this.userInput(input);
+
+        // Puddles of anything that misses a container
+        this.spillManager = new SpillManager(this.benchBounds, this);
+        this.scene.add(this.spillManager.group);
+
+        // Fluid solver for everything poured; it lands on the table top.
+        // In fixed steps it runs on the main thread, in step with the bench.
+        this.fluidSimulation = new FluidSimulation({
+            quality: options.quality || 'medium',
+            environment: this.benchBounds,
+            seed: this.seed,
+            useWorker: this.fixedStep > 0 ? false : undefined
+        });
+
+        this.pourManager = new PourManager(this.containers, this.liquidStream, this.spillManager, this.fluidSimulation, this);
+        this.physics = new BenchPhysics(this.containers, this.benchBounds);
+        this.titrationPanel = new TitrationPanel(this.ui);
+        this.pipettePanel = new PipettePanel(this.ui);
+        this.balancePanel = new BalancePanel(this.ui);
+        this.historyPanel = new HistoryPanel(this.ui);
+
+        // Tab, arrow keys and PageUp/PageDown for the containers
+        this.keyboardControls = new KeyboardControls(this.element, this.benchBounds.tableTop);
+        this.keyboardControls.onInput = (input) => this.userInput(input);
+        this.scene.add(this.keyboardControls.ring);
+
+        // Controllers and hands in an immersive session
+        this.xrControls = new XRControls(this.renderer, this.benchBounds);
+        this.xrControls.onInput = (input) => this.userInput(input);
+        this.scene.add(this.xrControls.rig);
+    }
+
+    // ----------------------------------------
+    // Containers
+    // ----------------------------------------
+    createContainer(entry) {
+        const c = entry.type === 'burette' ?
+            new Burette({
+                solution: createEntrySolution(entry, 1),
+                materials: this.materials,
+                benchTop: this.benchBounds.tableTop
+            }) :
+            new GlassContainer(getContainerDefinition(entry.type), {
+                solution: createEntrySolution(entry),
+                materials: this.materials
+            });
+
+        c.id = entry.id;
+        c.type = entry.type;
+        if (entry.label) c.name = entry.label;
+        c.group.position.fromArray(entry.position);
+        c.group.rotation.set(0, entry.rotationY, 0);
+        c.updateLiquid();
+        return c;
+    }
+
+    createPipette(entry) {
+        const p = new Micropipette(getContainerDefinition(entry.type), {
+            materials: this.materials,
+            containers: this.containers,
+            tipBoxes: this.tipBoxes,
+            benchTop: this.benchBounds.tableTop,
+            events: this
+        });
+        p.id = entry.id;
+        p.group.position.fromArray(entry.position);
+        p.setVolume(entry.volume);
+        p.setTip(entry.tip);
+        p.onOverflow = (container, portion) => this.pourManager.overflow(container, portion);
+        p.onSpill = (position, portion) => this.spillManager.addSpill(position, portion);
+
+        if (entry.tipBox) {
+            const box = new TipBox(p.size, this.materials);
+            box.group.position.fromArray(entry.tipBox);
+            this.scene.add(box.group);
+            this.tipBoxes.push(box);
+        }
+        return p;
+    }
 
-console.log('Liquid Pouring Interaction initialized');
-console.log('Instructions:');
-console.log('- Click and drag containers to move them horizontally');
-console.log('- Drag upward (move mouse up while holding) to tilt and pour');
-console.log('- Position tilted container over another to transfer liquid');
-console.log('- Right-click drag to orbit camera, scroll to zoom');
+    createBalance(entry, index) {
+        const b = new AnalyticalBalance(getContainerDefinition(entry.type), {
+            materials: this.materials,
+            position: entry.position,
+            seed: this.seed + index
+        });
+        b.id = entry.id;
+        if (entry.label) b.name = entry.label;
+        return b;
+    }
+
+    // Replace everything on the bench with the contents of a normalized scene
+    loadBench(config) {
+        this.liquidStream.clear();
+        this.liquidStream.stop();
+        this.spillManager.clear();
+        this.interactionManager.reset();
+        this.physics.reset();
+
+        this.containers.forEach((c) => {
+            this.scene.remove(c.group);
+            disposeObject(c.group);
+        });
+        this.containers.length = 0;
+        for (const entry of config.containers) {
+            const c = this.createContainer(entry);
+            this.scene.add(c.group);
+            this.containers.push(c);
+        }
+        this.pourManager.reset();
+
+        [...this.pipettes, ...this.tipBoxes].forEach((item) => {
+            this.scene.remove(item.group);
+            disposeObject(item.group);
+        });
+        this.pipettes.length = 0;
+        this.tipBoxes.length = 0;
+        for (const entry of config.pipettes) {
+            const p = this.createPipette(entry);
+            this.scene.add(p.group);
+            this.pipettes.push(p);
+        }
+        // Settled once everything else is down, so they hold above it
+        this.scene.updateMatrixWorld();
+        config.pipettes.forEach((entry, i) => this.pipettes[i].moveTo(...entry.position));
+        this.pipettePanel.setPipettes(this.pipettes);
+        this.keyboardControls.setContainers(this.containers);
+        this.xrControls.setContainers(this.containers);
+
+        // Balances, their pans raised platforms for the glassware
+        this.balances.forEach((b) => {
+            this.scene.remove(b.group);
+            disposeObject(b.group);
+        });
+        this.balances.length = 0;
+        config.balances.forEach((entry, i) => {
+            const b = this.createBalance(entry, i);
+            this.scene.add(b.group);
+            this.balances.push(b);
+        });
+        // Balance housings and pans are solid to glassware and liquid alike
+        const platforms = this.balances.flatMap(b => b.getPlatforms());
+        this.physics.setPlatforms(platforms);
+        this.spillManager.setPlatforms(platforms);
+        this.fluidSimulation.setEnvironment({ ...this.benchBounds, platforms });
+        this.balances.forEach(b => b.settle(this.containers));
+        this.balancePanel.setBalances(this.balances);
+        this.xrControls.setBalances(this.balances);
+
+        const burette = this.containers.find(c => c instanceof Burette) || null;
+        this.burette = burette;
+        if (burette) {
+            burette.onOverflow = (container, portion) => this.pourManager.overflow(container, portion);
+            burette.onDropSpilled = (position, portion) => this.spillManager.addSpill(position, portion);
+        }
+        this.titrationPanel.setBurette(burette);
+        const receiver = burette && burette.findReceiver(this.containers);
+        if (receiver) this.titrationPanel.start(receiver);
+        this.buildVolumePanel();
+
+        this.camera.position.fromArray(config.camera.position);
+        this.controls.target.fromArray(config.camera.target);
+        this.controls.update();
+
+        const titleEl = findElement(this.ui, 'scene-name');
+        if (titleEl) titleEl.textContent = config.name;
+    }
+
+    // Load a scene description (JSON text); problems are shown in the panel
+    loadSceneText(text) {
+        try {
+            this.input(['scene', parseBenchScene(text, containerTypes, pipetteRanges, balanceTypes)]);
+        } catch (e) {
+            this.showSceneError(e);
+            return;
+        }
+        const errorEl = findElement(this.ui, 'scene-error');
+        if (errorEl) errorEl.style.display = 'none';
+    }
+
+    loadSceneUrl(url) {
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) throw new Error(`Could not load scene "${url}" (${response.status})`);
+                return response.text();
+            })
+            .then(text => this.loadSceneText(text))
+            .catch(error => this.showSceneError(error));
+    }
+
+    showSceneError(error) {
+        console.error(error);
+        const errorEl = findElement(this.ui, 'scene-error');
+        if (errorEl) {
+            errorEl.textContent = error.errors ? error.errors.join('\n') : error.message;
+            errorEl.style.display = 'block';
+        }
+    }
+
+    // ----------------------------------------
+    // Panel
+    // ----------------------------------------
+    bindPanel() {
+        const { signal } = this.listeners;
+        const on = (id, type, listener) => {
+            const el = findElement(this.ui, id);
+            if (el) el.addEventListener(type, listener, { signal });
+            return el;
+        };
+
+        // Dropping a .json file on the bench loads it
+        this.element.addEventListener('dragover', (e) => e.preventDefault(), { signal });
+        this.element.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const file = e.dataTransfer && e.dataTransfer.files[0];
+            if (file) {
+                file.text().then(text => this.loadSceneText(text));
+            }
+        }, { signal });
+
+        // Reset button restores the loaded scene
+        on('reset-btn', 'click', () => this.userInput(['reset']));
+
+        // Fluid quality: particle size and count of the solver
+        const fluidQualitySelect = on('fluid-quality', 'change', () => {
+            this.userInput(['quality', fluidQualitySelect.value]);
+        });
+        if (fluidQualitySelect) fluidQualitySelect.value = this.fluidSimulation.quality;
+
+        // Titration controls
+        on('titration-setup', 'click', () => {
+            const flask = this.containers.find(c => c.type === 'erlenmeyer') || this.containers.find(c => !c.isFixed);
+            if (!this.burette || !flask) return;
+
+            const analyte = findElement(this.ui, 'titration-analyte').value;
+            const indicator = findElement(this.ui, 'titration-indicator').value;
+            this.userInput(['titration', flask.id, analyte, indicator]);
+        });
+        on('titration-drop', 'click', () => this.userInput(['burettedrop']));
+
+        // Pipette controls follow the pipette last picked up
+        const pipetteSelect = on('pipette-select', 'change', () => {
+            this.pipettePanel.show(this.pipettes.find(p => p.id === pipetteSelect.value) || null);
+        });
+        const pipetteVolume = on('pipette-volume', 'change', () => {
+            const pipette = this.pipettePanel.pipette;
+            if (!pipette) return;
+            const [min, max] = pipette.definition.volumeRange;
+            const volume = THREE.MathUtils.clamp(Number(pipetteVolume.value) || min, min, max);
+            this.userInput(['dial', pipette.id, volume]);
+            pipetteVolume.value = pipette.setting;
+        });
+        on('pipette-eject', 'click', () => {
+            if (this.pipettePanel.pipette) this.userInput(['eject', this.pipettePanel.pipette.id]);
+        });
+        this.addEventListener('pipettepicked', (e) => {
+            this.pipettePanel.show(this.pipettes.find(p => p.id === e.pipette));
+        });
+
+        // Tare buttons, one per balance
+        on('balance-list', 'click', (e) => {
+            const button = e.target.closest && e.target.closest('[data-balance]');
+            if (button) this.userInput(['tare', button.dataset.balance]);
+        });
+
+        // A container running over flashes its volume bar
+        this.addEventListener('overflow', (e) => {
+            const row = this.volumeRows.find(row => row.container.id === e.container);
+            if (row) row.flash = OVERFLOW_FLASH;
+        });
+
+        window.addEventListener('resize', () => this.resize(), { signal });
+    }
+
+    buildVolumePanel() {
+        const list = findElement(this.ui, 'volume-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+        this.volumeRows = this.containers.map((c, index) => {
+            const item = document.createElement('div');
+            item.className = 'volume-item';
+            if (index > 0) item.style.marginTop = '8px';
+
+            const label = document.createElement('span');
+            label.className = 'volume-label';
+            label.textContent = c.name;
+            const value = document.createElement('span');
+            value.className = 'volume-value';
+            item.append(label, value);
+
+            const bar = document.createElement('div');
+            bar.className = 'volume-bar';
+            const fill = document.createElement('div');
+            fill.className = `volume-fill ${c.type}-fill`;
+            bar.appendChild(fill);
+
+            list.append(item, bar);
+            return { container: c, valueEl: value, barEl: fill, flash: 0 };
+        });
+    }
+
+    updatePanel(deltaTime) {
+        for (const row of this.volumeRows) {
+            const { container, valueEl, barEl } = row;
+            valueEl.textContent = container.maxVolume < 10 ?
+                `${Math.round(container.currentVolume * UL_PER_ML)} µL` :
+                `${Math.round(container.currentVolume)} mL`;
+            barEl.style.width = `${(container.currentVolume / container.maxVolume) * 100}%`;
+            row.flash = Math.max(0, row.flash - deltaTime);
+            barEl.parentNode.classList.toggle('overflowing', row.flash > 0);
+        }
+
+        const spillTotal = findElement(this.ui, 'spill-total');
+        if (spillTotal) spillTotal.textContent = `${this.spillManager.totalVolume.toFixed(1)} mL`;
+
+        const fluidStats = findElement(this.ui, 'fluid-stats');
+        if (fluidStats) {
+            const { count, stepMs } = this.fluidSimulation.lastStats;
+            fluidStats.textContent = `${count} particles, solver ${stepMs.toFixed(1)} ms` +
+                (this.fluidSimulation.isInline ? ' (main thread)' : '') + `, frame ${this.frameTime.toFixed(1)} ms`;
+        }
+
+        this.titrationPanel.update();
+        this.pipettePanel.update();
+        this.balancePanel.update();
+    }
+
+    // Follow the size of the container element
+    resize() {
+        const { clientWidth, clientHeight } = this.element;
+        this.camera.aspect = clientWidth / clientHeight;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(clientWidth, clientHeight);
+        this.liquidStream.setViewport(clientHeight, this.camera.fov);
+    }
+
+    // ----------------------------------------
+    // Accessibility
+    // ----------------------------------------
+    bindAccessibility(options) {
+        const announce = (text) => this.keyboardControls.announce(text);
+        const name = (id) => this.getContainer(id).name;
+
+        this.keyboardControls.onFocus = (c) => {
+            const tilt = Math.round(THREE.MathUtils.radToDeg(c.getTiltAngle()));
+            announce(`${c.name}, ${spokenVolume(c)} of ${spokenVolume(c, c.maxVolume)}` +
+                (c.isFixed ? ', clamped in place' : tilt > 0 ? `, tilted ${tilt} degrees` : ''));
+        };
+
+        // Pours are read out as they start and stop, then the volumes they
+        // changed once everything has landed
+        this.volumesBefore = null; // { volumes: Map id -> mL, spilled } since the pour started
+        this.addEventListener('pourstart', (e) => {
+            announce(`${name(e.container)} pouring`);
+            if (!this.volumesBefore) {
+                this.volumesBefore = {
+                    volumes: new Map(this.containers.map(c => [c.id, c.currentVolume])),
+                    spilled: this.spillManager.totalVolume
+                };
+            }
+        });
+        this.addEventListener('pourend', (e) => {
+            const c = this.getContainer(e.container);
+            announce(`${c.name} stopped pouring, ${spokenVolume(c, e.volume)} poured`);
+        });
+        this.addEventListener('weighed', (e) => {
+            const balance = this.getBalance(e.balance);
+            announce(e.reading === null ? `${balance.name} overloaded` :
+                `${balance.name} reads ${balance.getDisplayText()} grams`);
+        });
+
+        // Reduced motion: the system setting unless the page says otherwise
+        const { signal } = this.listeners;
+        const motionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+        const reducedMotion = findElement(this.ui, 'reduced-motion');
+        if (reducedMotion) {
+            reducedMotion.addEventListener('change', () => this.setReducedMotion(reducedMotion.checked), { signal });
+        }
+        if (options.reducedMotion === undefined && motionQuery) {
+            motionQuery.addEventListener('change', () => this.setReducedMotion(motionQuery.matches), { signal });
+        }
+        this.setReducedMotion(options.reducedMotion ?? Boolean(motionQuery && motionQuery.matches));
+    }
+
+    // Volumes a pour changed, read out once nothing is pouring or in the air
+    updateAnnouncements() {
+        const before = this.volumesBefore;
+        if (!before || this.pourManager.pour || this.pourManager.inFlight.volume > TRACE_VOLUME) return;
+        this.volumesBefore = null;
+
+        const changes = this.containers
+            .filter(c => before.volumes.has(c.id) && Math.abs(c.currentVolume - before.volumes.get(c.id)) > 0.05)
+            .map(c => `${c.name} now ${spokenVolume(c)}`);
+        const spilled = this.spillManager.totalVolume - before.spilled;
+        if (spilled > 0.05) changes.push(`${spilled.toFixed(1)} millilitres spilled on the bench`);
+        if (changes.length > 0) this.keyboardControls.announce(changes.join(', '));
+    }
+
+    // No droplets or splashes, only a stream held still
+    setReducedMotion(reduced) {
+        this.reducedMotion = reduced;
+        this.liquidStream.setReducedMotion(reduced);
+        this.element.classList.toggle('reduced-motion', reduced);
+        const checkbox = findElement(this.ui, 'reduced-motion');
+        if (checkbox) checkbox.checked = reduced;
+    }
+
+    // ----------------------------------------
+    // XR
+    // ----------------------------------------
+    bindXR() {
+        const { signal } = this.listeners;
+        const xr = this.renderer.xr;
+
+        // XR frames come from the session, not the window. The renderer's
+        // dispatcher takes no abort signal: dispose() removes these.
+        this.xrHandlers = {
+            sessionstart: () => {
+                cancelAnimationFrame(this.frameRequest);
+                this.xrControls.start(this.camera);
+                this.renderer.setAnimationLoop(this.animate);
+                this.dispatchEvent({ type: 'xrstart' });
+            },
+            sessionend: () => {
+                this.renderer.setAnimationLoop(null);
+                this.xrControls.end();
+                this.controls.update();
+                this.lastTime = performance.now();
+                this.frameRequest = requestAnimationFrame(this.animate);
+                this.dispatchEvent({ type: 'xrend' });
+            }
+        };
+        for (const [type, handler] of Object.entries(this.xrHandlers)) {
+            xr.addEventListener(type, handler);
+        }
+
+        const button = findElement(this.ui, 'xr-enter');
+        if (!button) return;
+        button.style.display = 'none';
+        if (navigator.xr) {
+            navigator.xr.isSessionSupported('immersive-vr').then((supported) => {
+                button.style.display = supported ? '' : 'none';
+            }, () => {});
+        }
+        button.addEventListener('click', () => {
+            if (xr.isPresenting) {
+                xr.getSession().end();
+            } else {
+                this.enterXR().catch(error => this.showSceneError(error));
+            }
+        }, { signal });
+        this.addEventListener('xrstart', () => { button.textContent = 'Exit VR'; });
+        this.addEventListener('xrend', () => { button.textContent = 'Enter VR'; });
+    }
+
+    // Start an immersive session; resolves once the bench is in it
+    async enterXR() {
+        if (!navigator.xr || !(await navigator.xr.isSessionSupported('immersive-vr'))) {
+            throw new Error('Immersive VR is not supported in this browser');
+        }
+        const session = await navigator.xr.requestSession('immersive-vr', {
+            optionalFeatures: ['local-floor', 'hand-tracking']
+        });
+        await this.renderer.xr.setSession(session);
+    }
+
+    // ----------------------------------------
+    // History
+    // ----------------------------------------
+    bindHistory() {
+        const { signal } = this.listeners;
+        const on = (id, type, listener) => {
+            const el = findElement(this.ui, id);
+            if (el) el.addEventListener(type, listener, { signal });
+            return el;
+        };
+
+        on('history-undo', 'click', () => this.userInput(['undo']));
+        on('history-redo', 'click', () => this.userInput(['redo']));
+        const timeline = on('history-timeline', 'input', () => this.userInput(['history', Number(timeline.value)]));
+
+        // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) while focus is in this bench or
+        // its panel, so other benches on the page keep their history; text
+        // fields keep their own undo. A click on the canvas focuses it.
+        const onKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+            if (e.target.closest && e.target.closest('textarea, select, input:not([type="range"])')) return;
+            e.preventDefault();
+            this.userInput([e.shiftKey ? 'redo' : 'undo']);
+        };
+        this.renderer.domElement.tabIndex = -1;
+        this.element.addEventListener('keydown', onKeyDown, { signal });
+        if (this.ui && !this.element.contains(this.ui)) {
+            this.ui.addEventListener('keydown', onKeyDown, { signal });
+        }
+
+        // Timeline labels: what happened, as it happened
+        const nameOf = (id) => (this.containers.find(c => c.id === id) || this.pipettes.find(p => p.id === id) || { name: id }).name;
+        const microlitres = (volume) => `${(volume * UL_PER_ML).toFixed(1)} µL`;
+
+        this.addEventListener('pourstart', (e) => {
+            const from = nameOf(e.container);
+            const into = new Set();
+            const action = this.noteAction(null, 0, (volume) => `Poured ${volume.toFixed(1)} mL from ${from} ` +
+                [...into].map(name => name ? `into ${name}` : 'onto the bench').join(' and '));
+            this.pourActions.set(e.container, { action, into });
+        });
+        this.addEventListener('transfer', (e) => {
+            const pour = this.pourActions.get(e.from);
+            if (pour) pour.into.add(nameOf(e.to));
+        });
+        this.addEventListener('spill', () => {
+            // Anything spilled while a pour is landing came from it
+            const pour = [...this.pourActions.values()].pop();
+            if (pour) pour.into.add(null);
+        });
+        this.addEventListener('pourend', (e) => {
+            const pour = this.pourActions.get(e.container);
+            if (pour) pour.action.amount += e.volume;
+        });
+        this.addEventListener('aspirate', (e) => {
+            const pipette = nameOf(e.pipette);
+            const from = nameOf(e.container);
+            this.noteAction(`aspirate ${e.pipette} ${e.container}`, e.volume, (volume) => `${pipette} drew in ${microlitres(volume)} from ${from}`);
+        });
+        this.addEventListener('dispense', (e) => {
+            const pipette = nameOf(e.pipette);
+            const into = e.container ? `into ${nameOf(e.container)}` : 'onto the bench';
+            this.noteAction(`dispense ${e.pipette} ${e.container}`, e.volume, (volume) => `${pipette} dispensed ${microlitres(volume)} ${into}`);
+        });
+        this.addEventListener('tipattach', (e) => {
+            const pipette = nameOf(e.pipette);
+            this.noteAction(null, 0, () => `${pipette} took a tip`);
+        });
+        this.addEventListener('tipeject', (e) => {
+            const pipette = nameOf(e.pipette);
+            this.noteAction(null, 0, () => `${pipette} ejected its tip`);
+        });
+    }
+
+    // Something to go in the label of the next entry. Repeats of the same
+    // `key` in a row add up their amounts (a pipette drawing in over
+    // several frames); a null key never merges.
+    noteAction(key, amount, describe) {
+        this.historyDirty = true;
+        const last = this.pendingActions[this.pendingActions.length - 1];
+        if (key !== null && last && last.key === key) {
+            last.amount += amount;
+            return last;
+        }
+        const action = { key, amount, describe };
+        this.pendingActions.push(action);
+        return action;
+    }
+
+    // Everything needed to put the bench back exactly as it is now
+    captureState() {
+        return {
+            containers: this.containers.map(c => c.getSnapshot()),
+            pipettes: this.pipettes.map(p => p.getSnapshot()),
+            tipBoxes: this.tipBoxes.map(box => box.getSnapshot()),
+            balances: this.balances.map(b => b.getSnapshot()),
+            spills: this.spillManager.getSnapshot(),
+            titration: this.titrationPanel.getSnapshot()
+        };
+    }
+
+    // Containers, pipettes, boxes and balances are matched by their place in the
+    // scene, which loading a new scene is the only way to change
+    restoreState(state) {
+        this.interactionManager.reset();
+        this.physics.reset();
+        this.liquidStream.clear();
+        this.liquidStream.stop();
+
+        state.containers.forEach((snapshot, i) => this.containers[i].restoreSnapshot(snapshot));
+        state.pipettes.forEach((snapshot, i) => this.pipettes[i].restoreSnapshot(snapshot));
+        state.tipBoxes.forEach((snapshot, i) => this.tipBoxes[i].restoreSnapshot(snapshot));
+        state.balances.forEach((snapshot, i) => this.balances[i].restoreSnapshot(snapshot, this.containers));
+        this.spillManager.restoreSnapshot(state.spills);
+        this.titrationPanel.restoreSnapshot(state.titration, this.containers);
+        this.pourManager.reset();
+        this.pipettePanel.show(this.pipettePanel.pipette);
+
+        this.pendingActions = [];
+        this.pourActions.clear();
+        this.historyDirty = false;
+    }
+
+    // Nothing held, moving, pouring, in the air or dripping. Only what
+    // inputs set counts, so a replay records the same entries.
+    isSettled() {
+        return this.physics.isSettled() &&
+            this.containers.every(c => !c.isDragging) &&
+            !this.pourManager.pour && this.pourManager.inFlight.volume <= TRACE_VOLUME &&
+            (!this.burette || (this.burette.stopcockIndex === 0 && this.burette.drops.length === 0)) &&
+            this.pipettes.every(p => !p.isHeld && (p.plungerHeld || p.plunger === 0));
+    }
+
+    // New scene: its starting state is the whole history
+    startHistory() {
+        this.history.clear(`Loaded ${this.benchScene.name}`, this.clock, this.captureState());
+        this.pendingActions = [];
+        this.pourActions.clear();
+        this.historyDirty = false;
+        this.historyChanged();
+    }
+
+    recordHistory(label, state = this.captureState()) {
+        this.history.record(label, this.clock, state);
+        this.pendingActions = [];
+        this.pourActions.clear();
+        this.historyDirty = false;
+        this.historyChanged();
+    }
+
+    // Once a frame: record the bench as soon as it settles after a change
+    updateHistory() {
+        if (!this.isSettled()) {
+            this.historyDirty = true;
+            return;
+        }
+        if (!this.historyDirty) return;
+
+        const state = this.captureState();
+        const previous = this.history.current.state;
+        if (sameState(state, previous)) {
+            // Picked up and put back, or an action that changed nothing
+            this.pendingActions = [];
+            this.pourActions.clear();
+            this.historyDirty = false;
+            return;
+        }
+        this.recordHistory(this.describeChanges(previous, state), state);
+    }
+
+    // Label of a new entry: moves and settings from comparing the states,
+    // then the actions noted on the way
+    describeChanges(previous, next) {
+        const moved = (a, b) => a.some((value, i) => Math.abs(value - b[i]) > 1e-6);
+        const parts = [];
+        next.containers.forEach((snapshot, i) => {
+            const before = previous.containers[i];
+            const c = this.containers[i];
+            if (moved(before.position, snapshot.position) || Math.abs(before.rotation[1] - snapshot.rotation[1]) > 1e-6) {
+                parts.push(`Moved ${c.name}`);
+            }
+            const delivered = before.solution.volume - snapshot.solution.volume;
+            if (c === this.burette && delivered > TRACE_VOLUME) {
+                parts.push(`${c.name} delivered ${delivered.toFixed(2)} mL`);
+            }
+        });
+        next.pipettes.forEach((snapshot, i) => {
+            const before = previous.pipettes[i];
+            const p = this.pipettes[i];
+            if (moved(before.position, snapshot.position)) parts.push(`Moved ${p.name}`);
+            if (before.setting !== snapshot.setting) parts.push(`Set ${p.name} to ${snapshot.setting} µL`);
+            if (before.plunger !== snapshot.plunger) parts.push(`${p.name} plunger at ${p.getPlungerState()}`);
+        });
+        parts.push(...this.pendingActions.map(action => action.describe(action.amount)));
+        return parts.length > 0 ? parts.join(', ') : 'Changed the bench';
+    }
+
+    historyChanged() {
+        const { index, entries, current } = this.history;
+        this.historyPanel.update(this.history);
+        this.dispatchEvent({ type: 'historychange', index, length: entries.length, label: current.label });
+    }
+
+    // Back one entry; changes not yet recorded (a pour still landing) are
+    // undone first. False when there is nothing to undo.
+    historyBack() {
+        if (this.historyDirty && !sameState(this.captureState(), this.history.current.state)) {
+            this.restoreState(this.history.current.state);
+            return true;
+        }
+        const entry = this.history.undo();
+        if (!entry) return false;
+        this.restoreState(entry.state);
+        this.historyChanged();
+        return true;
+    }
+
+    historyForward() {
+        const entry = this.history.redo();
+        if (!entry) return false;
+        this.restoreState(entry.state);
+        this.historyChanged();
+        return true;
+    }
+
+    historyJump(index) {
+        this.restoreState(this.history.goTo(index).state);
+        this.historyChanged();
+    }
+
+    // ----------------------------------------
+    // Inputs
+    // Everything the pointer, the panel or a script does to the bench is
+    // an input, [type, ...arguments] (see bench-session.js), applied here
+    // so a session can be recorded and replayed. Container inputs go
+    // through applyContainerInput() (bench-core.js), as on the headless
+    // BenchSimulation the tests run.
+    // ----------------------------------------
+
+    // Apply `input`, recorded if a session is
+    input(input) {
+        if (this.replaying) {
+            throw new Error('A session is being replayed; call stopReplay() first');
+        }
+        if (this.recording) input = roundInput(input);
+        const result = this.applyInput(input);
+        if (this.recording) this.recording.inputs.push([this.steps, ...input]);
+        return result;
+    }
+
+    // From the pointer or the panel: ignored during a replay
+    userInput(input) {
+        if (!this.replaying) this.input(input);
+    }
+
+    applyInput(input) {
+        // Whether or not a frame was drawn since the last step
+        this.scene.updateMatrixWorld();
+        this.historyDirty = true;
+
+        const [type, ...args] = input;
+        const pipette = (type === 'pick' || type === 'drop') && this.pipettes.find(p => p.id === args[0]);
+        if (pipette) {
+            pipette.isHeld = type === 'pick';
+            if (pipette.isHeld) this.dispatchEvent({ type: 'pipettepicked', pipette: pipette.id });
+            return;
+        }
+        if (applyContainerInput(this, this.pourManager, input)) {
+            if (type === 'volume') {
+                const [id, volume] = args;
+                this.noteAction(null, 0, () => `Set ${this.getContainer(id).name} to ${volume.toFixed(1)} mL`);
+            }
+            return;
+        }
+
+        // The rest needs the rendered bench: pipettes, stopcocks, panels and history
+        switch (type) {
+            case 'click': {
+                const [id, index] = args;
+                const target = this.getContainer(id).clickTargets[index];
+                if (!target) throw new Error(`Container "${id}" has no click target ${index}`);
+                target.userData.onClick();
+                break;
+            }
+            case 'pipette': {
+                const [id, x, y, z] = args;
+                this.getPipette(id).moveTo(x, y, z);
+                break;
+            }
+            case 'plunger': {
+                const [id, position] = args;
+                if (!Number.isFinite(position) || position < 0 || position > 2) {
+                    throw new Error(`Plunger position must be 0 to 2 (stops), got ${position}`);
+                }
+                this.getPipette(id).pressPlunger(position);
+                break;
+            }
+            case 'release':
+                this.getPipette(args[0]).releasePlunger();
+                break;
+            case 'eject':
+                this.getPipette(args[0]).ejectTip();
+                break;
+            case 'dial': {
+                const [id, volume] = args;
+                this.getPipette(id).setVolume(volume);
+                if (this.pipettePanel.pipette && this.pipettePanel.pipette.id === id) {
+                    this.pipettePanel.show(this.pipettePanel.pipette);
+                }
+                break;
+            }
+            case 'titration': {
+                const [flaskId, analyte, indicator] = args;
+                const flask = this.getContainer(flaskId);
+                if (!this.burette) throw new Error('No burette on the bench');
+                if (!TITRANTS[analyte]) throw new Error(`Unknown titration analyte "${analyte}"`);
+                this.titrationPanel.setup(flask, analyte, indicator);
+                this.noteAction(null, 0, () => `Set up the titration of ${flask.name}`);
+                break;
+            }
+            case 'burettedrop':
+                if (this.burette) this.burette.releaseDrop();
+                break;
+            case 'quality':
+                this.fluidSimulation.setQuality(args[0]);
+                break;
+            case 'tare': {
+                const balance = this.getBalance(args[0]);
+                if (balance.tare()) this.noteAction(null, 0, () => `Tared ${balance.name}`);
+                break;
+            }
+            case 'reset':
+                this.loadBench(this.benchScene);
+                this.recordHistory('Reset');
+                break;
+            case 'undo':
+                return this.historyBack();
+            case 'redo':
+                return this.historyForward();
+            case 'history':
+                this.historyJump(args[0]);
+                break;
+            case 'scene':
+                this.benchScene = normalizeBenchScene(args[0], containerTypes, pipetteRanges, balanceTypes);
+                this.loadBench(this.benchScene);
+                this.startHistory();
+                break;
+            default:
+                throw new Error(`Unknown input "${type}"`);
+        }
+    }
+
+    // ----------------------------------------
+    // Script API: history
+    // ----------------------------------------
+
+    // Back one entry; changes not yet recorded (a pour still landing) are
+    // undone first. False when there is nothing to undo.
+    undo() {
+        return this.input(['undo']);
+    }
+
+    // Forward one entry after an undo. False when there is nothing to redo.
+    redo() {
+        return this.input(['redo']);
+    }
+
+    // Jump to entry `index` of getHistory().entries
+    goToHistory(index) {
+        this.input(['history', index]);
+    }
+
+    getHistory() {
+        return {
+            index: this.history.index,
+            entries: this.history.entries.map(({ label, time }) => ({ label, time }))
+        };
+    }
+
+    // ----------------------------------------
+    // Script API: recording and replay (see bench-session.js)
+    // ----------------------------------------
+
+    // Restart the loaded scene and record every input from here on. The
+    // bench switches to fixed steps (FIXED_STEP unless it already runs in
+    // fixed steps) with the fluid solved on the main thread, as a replay
+    // needs to come out the same. The scene, seed and quality are kept as
+    // they are now: a scene or quality input while recording is replayed
+    // from the log.
+    startRecording() {
+        if (this.replaying) {
+            throw new Error('A session is being replayed; call stopReplay() first');
+        }
+        this.startSession(this.fixedStep || FIXED_STEP);
+        this.recording = {
+            scene: this.benchScene,
+            seed: this.seed,
+            quality: this.fluidSimulation.quality,
+            inputs: []
+        };
+    }
+
+    // The session log (JSON-serializable); recording stops
+    stopRecording() {
+        if (!this.recording) throw new Error('No session is being recorded');
+        const { scene, seed, quality, inputs } = this.recording;
+        const log = {
+            version: SESSION_VERSION,
+            scene,
+            seed,
+            step: this.fixedStep,
+            quality,
+            steps: this.steps,
+            inputs
+        };
+        this.recording = null;
+        return log;
+    }
+
+    // Replay a session log (object or JSON text) from its scene, refusing
+    // other inputs until it ends. Resolves with getState() at the end.
+    // `instant` runs every step at once without drawing, e.g. to grade a
+    // submission; otherwise it plays in real time.
+    replay(source, { instant = false } = {}) {
+        if (this.recording) throw new Error('Stop recording before replaying a session');
+        const session = new SessionReplay(source);
+        const { log } = session;
+        this.stopReplay();
+
+        this.benchScene = normalizeBenchScene(log.scene, containerTypes, pipetteRanges, balanceTypes);
+        this.seed = log.seed;
+        this.fluidSimulation.setQuality(log.quality);
+        const qualitySelect = findElement(this.ui, 'fluid-quality');
+        if (qualitySelect) qualitySelect.value = log.quality;
+        this.startSession(log.step);
+
+        const finished = new Promise((resolve, reject) => {
+            this.replaying = { session, resolve, reject };
+        });
+        if (log.steps === 0) this.finishReplay();
+        if (instant) {
+            while (this.replaying) this.step(log.step);
+        }
+        return finished;
+    }
+
+    // Hand the bench back before the replay ends; it resolves with the
+    // state reached so far
+    stopReplay() {
+        if (!this.replaying) return;
+        const { resolve } = this.replaying;
+        this.replaying = null;
+        resolve(this.getState());
+    }
+
+    // Fixed steps from the loaded scene and a fresh random sequence: how a
+    // recording and its replay both start
+    startSession(step) {
+        this.fixedStep = step;
+        this.pendingTime = 0;
+        if (!this.fluidSimulation.isInline) this.fluidSimulation.runInline();
+        this.fluidSimulation.setSeed(this.seed);
+        this.loadBench(this.benchScene);
+        this.startHistory();
+        this.steps = 0;
+    }
+
+    // Inputs given before the current step, in recorded order
+    applyReplayInputs() {
+        const replay = this.replaying;
+        try {
+            replay.session.applyInputs(this.steps, input => this.applyInput(input));
+        } catch (error) {
+            this.replaying = null;
+            replay.reject(error);
+        }
+    }
+
+    finishReplay() {
+        this.applyReplayInputs(); // given after the last step
+        if (!this.replaying) return;
+        const { resolve } = this.replaying;
+        this.replaying = null;
+        const state = this.getState();
+        this.dispatchEvent({ type: 'replayend', state });
+        resolve(state);
+    }
+
+    // ----------------------------------------
+    // Script API: containers by scene id
+    // ----------------------------------------
+    getContainer(id) {
+        const c = this.containers.find(c => c.id === id);
+        if (!c) throw new Error(`No container "${id}" on the bench`);
+        return c;
+    }
+
+    // Snapshot of the bench, e.g. for grading
+    getState() {
+        return {
+            containers: this.containers.map(c => ({
+                id: c.id,
+                type: c.type,
+                name: c.name,
+                volume: c.currentVolume,
+                maxVolume: c.maxVolume,
+                pH: c.getPH(),
+                position: c.group.position.toArray(),
+                tilt: c.getTiltAngle()
+            })),
+            pipettes: this.pipettes.map(p => ({
+                id: p.id,
+                type: p.type,
+                setting: p.setting,
+                tip: p.hasTip,
+                contents: p.getLiquidVolume(),
+                plunger: p.plunger,
+                position: p.group.position.toArray()
+            })),
+            balances: this.balances.map(b => ({
+                id: b.id,
+                type: b.type,
+                reading: b.isOverloaded() ? null : b.reading,
+                stable: b.stable,
+                tare: b.tareMass
+            })),
+            inFlight: this.pourManager.inFlight.volume,
+            spilled: this.spillManager.totalVolume
+        };
+    }
+
+    // Fill or empty to `volume` mL, keeping the composition; past the
+    // brim the rest overflows onto the bench
+    setVolume(id, volume) {
+        this.input(['volume', id, volume]);
+    }
+
+    // Slide a container to (x, z) on the bench, clamped like a drag
+    moveTo(id, x, z) {
+        this.input(['move', id, x, z]);
+    }
+
+    // Tilt towards the spout by `angle` radians. A tilted container is held
+    // as if dragged, so it pours; tilting back to 0 puts it down.
+    tiltTo(id, angle) {
+        this.input(['tilt', id, angle]);
+    }
+
+    // ----------------------------------------
+    // Script API: pipettes by scene id (volumes in µL)
+    // ----------------------------------------
+    getPipette(id) {
+        const p = this.pipettes.find(p => p.id === id);
+        if (!p) throw new Error(`No pipette "${id}" on the bench`);
+        return p;
+    }
+
+    setPipetteVolume(id, volume) {
+        this.input(['dial', id, volume]);
+    }
+
+    // Nozzle end to (x, y, z), kept clear of the bench and the glassware
+    // as when dragged; lowered onto a tip in a box it takes the tip
+    movePipette(id, x, y, z) {
+        this.input(['pipette', id, x, y, z]);
+    }
+
+    // Hold the plunger at `position`: 0 rest, 1 first stop, 2 second stop
+    pressPlunger(id, position) {
+        this.input(['plunger', id, position]);
+    }
+
+    // Let the plunger rise back to rest, drawing in as it goes
+    releasePlunger(id) {
+        this.input(['release', id]);
+    }
+
+    ejectTip(id) {
+        this.input(['eject', id]);
+    }
+
+    // ----------------------------------------
+    // Script API: balances by scene id (masses in g)
+    // ----------------------------------------
+    getBalance(id) {
+        const b = this.balances.find(b => b.id === id);
+        if (!b) throw new Error(`No balance "${id}" on the bench`);
+        return b;
+    }
+
+    // Zero the reading with what is on the pan; not while overloaded
+    tare(id) {
+        this.input(['tare', id]);
+    }
+
+    // Back to the scene as loaded; undo goes back to before the reset
+    reset() {
+        this.input(['reset']);
+    }
+
+    // Dispatch volumechange for every container whose contents changed
+    checkVolumes() {
+        const seen = new Set();
+        for (const c of this.containers) {
+            seen.add(c.id);
+            const previous = this.volumes.get(c.id);
+            const volume = c.currentVolume;
+            if (previous !== undefined && Math.abs(volume - previous) < 1e-9) continue;
+            this.volumes.set(c.id, volume);
+            this.dispatchEvent({ type: 'volumechange', container: c.id, volume, previous: previous ?? 0 });
+        }
+        for (const id of this.volumes.keys()) {
+            if (!seen.has(id)) this.volumes.delete(id);
+        }
+    }
+
+    // ----------------------------------------
+    // Simulation and animation loop
+    // ----------------------------------------
+
+    // Advance the bench `deltaTime` s. In a replay the inputs given
+    // before this step come first.
+    step(deltaTime) {
+        if (this.replaying) this.applyReplayInputs();
+        this.clock += deltaTime;
+
+        // Glassware standing, rocking or falling, and kept apart
+        this.physics.step(deltaTime);
+
+        // World matrices as of this step, drawn or not
+        this.scene.updateMatrixWorld();
+
+        // Keep liquid surfaces level as containers move and tilt
+        this.containers.forEach(c => c.updateLiquid());
+
+        // Update pour manager
+        this.pourManager.update(deltaTime);
+
+        // Burette drops
+        if (this.burette) this.burette.update(deltaTime, this.containers);
+
+        // Pipette plungers rising
+        this.pipettes.forEach(p => p.update(deltaTime));
+
+        // Balances weighing what stands on their pans
+        for (const balance of this.balances) {
+            if (balance.update(deltaTime, this.containers)) {
+                const reading = balance.isOverloaded() ? null : balance.reading;
+                this.dispatchEvent({ type: 'weighed', balance: balance.id, reading });
+            }
+        }
+
+        // Spread puddles
+        this.spillManager.update(deltaTime);
+
+        // Tell listeners about volume changes, record the bench once it settles
+        this.checkVolumes();
+        this.updateHistory();
+
+        this.steps++;
+        if (this.replaying && this.replaying.session.isFinished(this.steps)) this.finishReplay();
+    }
+
+    animate() {
+        if (!this.xrControls.presenting) this.frameRequest = requestAnimationFrame(this.animate);
+
+        const currentTime = performance.now();
+        const deltaTime = Math.min((currentTime - this.lastTime) / 1000, 0.1); // Cap delta time
+        this.lastTime = currentTime;
+
+        // Hands move what they hold before the bench steps
+        this.xrControls.update();
+
+        if (this.fixedStep > 0) {
+            // Whole steps only; the remainder waits for the next frame
+            this.pendingTime += deltaTime;
+            while (this.pendingTime >= this.fixedStep) {
+                this.pendingTime -= this.fixedStep;
+                this.step(this.fixedStep);
+            }
+        } else {
+            this.step(deltaTime);
+        }
+
+        this.updatePanel(deltaTime);
+        this.keyboardControls.update();
+        this.updateAnnouncements();
+
+        // Update controls (the headset moves the camera in XR)
+        if (!this.xrControls.presenting) this.controls.update();
+
+        // Render
+        this.renderer.render(this.scene, this.camera);
+
+        this.frameTime += (performance.now() - currentTime - this.frameTime) * 0.1;
+    }
+
+    // Stop the loop, remove every listener and free the WebGL context
+    dispose() {
+        cancelAnimationFrame(this.frameRequest);
+        this.renderer.setAnimationLoop(null);
+        // The session ends after the bench is gone: nothing may answer it
+        const xr = this.renderer.xr;
+        for (const [type, handler] of Object.entries(this.xrHandlers)) {
+            xr.removeEventListener(type, handler);
+        }
+        if (xr.isPresenting) xr.getSession().end();
+        this.listeners.abort();
+        this.interactionManager.dispose();
+        this.keyboardControls.dispose();
+        this.fluidSimulation.dispose();
+        this.controls.dispose();
+
+        this.spillManager.clear();
+        disposeObject(this.scene);
+        Object.values(this.materials).forEach(material => material.dispose());
+        if (this.envMap) this.envMap.dispose();
+        this.containers.length = 0;
+        this.volumeRows = [];
+
+        this.renderer.dispose();
+        this.renderer.forceContextLoss();
+        this.renderer.domElement.remove();
+    }
+}
+
+export function createLabBench(containerElement, options = {}) {
+    return new LabBench(containerElement, options);
+}
@@ -0,0 +1,202 @@
+// ============================================
+// SOLUTION CHEMISTRY
+// Tracks what is dissolved in a container (moles per species plus
+// solvent volume) so pouring moves real amounts and colours mix.
+// Pure math - no Three.js or DOM dependencies.
+// ============================================
+
+// Path length (cm) used when a container's liquid colour is displayed
+export const DISPLAY_PATH_CM = 2;
+
+// Molar absorbance per RGB channel that makes a solution at `concentration`
+// (mol/L) look like `hex` through DISPLAY_PATH_CM of liquid (Beer-Lambert)
+function absorbanceForColor(hex, concentration) {
+    return [(hex >> 16) & 0xff, (hex >> 8) & 0xff, hex & 0xff].map(channel => {
+        const transmittance = Math.max(channel / 255, 0.02);
+        return -Math.log10(transmittance) / (concentration * DISPLAY_PATH_CM);
+    });
+}
+
+// ============================================
+// SPECIES - solutes the bench knows about
+// absorbance: molar absorbance per RGB channel (coloured species)
+// acidBase: { type: 'strong-acid' | 'strong-base' | 'weak-acid' | 'weak-base', pKa }
+//   (for weak bases pKa is that of the conjugate acid)
+// indicator: { pKa, acidAbsorbance, baseAbsorbance } - colour follows pH
+// ============================================
+export const SPECIES = {
+    CuSO4: {
+        name: 'Copper(II) sulfate',
+        absorbance: absorbanceForColor(0x4fc3f7, 0.5)
+    },
+    K2Cr2O7: {
+        name: 'Potassium dichromate',
+        absorbance: absorbanceForColor(0xff9800, 0.02)
+    },
+    KMnO4: {
+        name: 'Potassium permanganate',
+        absorbance: absorbanceForColor(0x9c27b0, 0.005)
+    },
+    HCl: {
+        name: 'Hydrochloric acid',
+        acidBase: { type: 'strong-acid' }
+    },
+    NaOH: {
+        name: 'Sodium hydroxide',
+        acidBase: { type: 'strong-base' }
+    },
+    CH3COOH: {
+        name: 'Acetic acid',
+        acidBase: { type: 'weak-acid', pKa: 4.76 }
+    },
+    NH3: {
+        name: 'Ammonia',
+        acidBase: { type: 'weak-base', pKa: 9.25 }
+    },
+    phenolphthalein: {
+        name: 'Phenolphthalein',
+        indicator: {
+            pKa: 9.3,
+            acidAbsorbance: [0, 0, 0],
+            baseAbsorbance: absorbanceForColor(0xf06292, 2e-5)
+        }
+    },
+    'methyl-orange': {
+        name: 'Methyl orange',
+        indicator: {
+            pKa: 3.47,
+            acidAbsorbance: absorbanceForColor(0xe53935, 2e-5),
+            baseAbsorbance: absorbanceForColor(0xffca28, 2e-5)
+        }
+    }
+};
+
+// ============================================
+// LIQUIDS - named stock solutions (concentrations in mol/L,
+// density in g/mL at 20 °C)
+// ============================================
+export const LIQUIDS = {
+    'water': { name: 'Water', solutes: {}, density: 0.998 },
+    'copper-sulfate': { name: 'Copper(II) sulfate 0.5 M', solutes: { CuSO4: 0.5 }, density: 1.077 },
+    'potassium-dichromate': { name: 'Potassium dichromate 0.02 M', solutes: { K2Cr2O7: 0.02 }, density: 1.003 },
+    'potassium-permanganate': { name: 'Potassium permanganate 5 mM', solutes: { KMnO4: 0.005 }, density: 0.999 },
+    'hydrochloric-acid': { name: 'Hydrochloric acid 0.1 M', solutes: { HCl: 0.1 }, density: 1.000 },
+    'sodium-hydroxide': { name: 'Sodium hydroxide 0.1 M', solutes: { NaOH: 0.1 }, density: 1.003 },
+    'acetic-acid': { name: 'Acetic acid 0.1 M', solutes: { CH3COOH: 0.1 }, density: 0.999 },
+    'ammonia': { name: 'Ammonia 0.1 M', solutes: { NH3: 0.1 }, density: 0.997 }
+};
+
+// g/mL of anything mixed up without a stock density (taken as dilute)
+export const WATER_DENSITY = LIQUIDS.water.density;
+
+// Moles of indicator in the few drops added to a titration flask
+export const INDICATOR_DOSE = 5e-7;
+
+// ============================================
+// SOLUTION CLASS
+// ============================================
+// Mass travels with the liquid like the solutes do, so a mixture weighs
+// what went into it.
+export class Solution {
+    constructor(solventVolume = 0, solutes = {}, mass = solventVolume * WATER_DENSITY) {
+        this.solventVolume = solventVolume; // mL
+        this.solutes = new Map(Object.entries(solutes)); // species id -> moles
+        this.mass = mass; // g
+    }
+
+    // Volume of `liquidId` stock solution
+    static fromLiquid(liquidId, volume) {
+        const liquid = LIQUIDS[liquidId];
+        if (!liquid) {
+            throw new Error(`Unknown liquid "${liquidId}"`);
+        }
+        const solutes = {};
+        for (const [species, molarity] of Object.entries(liquid.solutes)) {
+            solutes[species] = molarity * volume / 1000;
+        }
+        return new Solution(volume, solutes, volume * liquid.density);
+    }
+
+    get volume() {
+        return this.solventVolume;
+    }
+
+    // g/mL; an empty solution is taken as water
+    getDensity() {
+        return this.solventVolume > 0 ? this.mass / this.solventVolume : WATER_DENSITY;
+    }
+
+    // mol/L
+    getConcentration(species) {
+        if (this.solventVolume <= 0) return 0;
+        return (this.solutes.get(species) || 0) / (this.solventVolume / 1000);
+    }
+
+    clone() {
+        return new Solution(this.solventVolume, Object.fromEntries(this.solutes), this.mass);
+    }
+
+    // Remove `volume` mL with the current composition and return it
+    take(volume) {
+        const amount = Math.max(0, Math.min(volume, this.solventVolume));
+        const fraction = this.solventVolume > 0 ? amount / this.solventVolume : 0;
+        const portion = new Solution(amount, {}, this.mass * fraction);
+
+        for (const [species, moles] of this.solutes) {
+            portion.solutes.set(species, moles * fraction);
+            this.solutes.set(species, moles * (1 - fraction));
+        }
+        this.solventVolume -= amount;
+        this.mass -= portion.mass;
+        return portion;
+    }
+
+    // Mix another solution into this one
+    add(other) {
+        this.solventVolume += other.solventVolume;
+        this.mass += other.mass;
+        for (const [species, moles] of other.solutes) {
+            this.solutes.set(species, (this.solutes.get(species) || 0) + moles);
+        }
+        return this;
+    }
+
+    // Change total volume keeping concentrations and density (filling an
+    // empty solution with solvent)
+    setVolume(volume) {
+        const target = Math.max(0, volume);
+        const fraction = this.solventVolume > 0 ? target / this.solventVolume : 0;
+        for (const [species, moles] of this.solutes) {
+            this.solutes.set(species, moles * fraction);
+        }
+        this.mass = target * this.getDensity();
+        this.solventVolume = target;
+        return this;
+    }
+
+    // Transmitted RGB (0..1, sRGB) through `pathLength` cm: T = 10^-(sum of e*c*l).
+    // Indicators take their acid or base colour from `pH`.
+    getColor(pathLength = DISPLAY_PATH_CM, pH = 7) {
+        const absorbance = [0, 0, 0];
+        for (const [species, moles] of this.solutes) {
+            const definition = SPECIES[species];
+            if (!definition || moles <= 0) continue;
+
+            let speciesAbsorbance = definition.absorbance;
+            if (definition.indicator) {
+                const { pKa, acidAbsorbance, baseAbsorbance } = definition.indicator;
+                const baseFraction = 1 / (1 + Math.pow(10, pKa - pH));
+                speciesAbsorbance = acidAbsorbance.map((a, c) =>
+                    a + (baseAbsorbance[c] - a) * baseFraction
+                );
+            }
+            if (!speciesAbsorbance) continue;
+
+            const concentration = this.getConcentration(species);
+            for (let c = 0; c < 3; c++) {
+                absorbance[c] += speciesAbsorbance[c] * concentration * pathLength;
+            }
+        }
+        return absorbance.map(a => Math.pow(10, -a));
+    }
+}
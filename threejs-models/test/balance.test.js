@@ -0,0 +1,145 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BalanceCore, BALANCE_DEFAULTS } from '../bench-balance.js';
+import { BenchPhysics } from '../bench-physics.js';
+import { Solution, LIQUIDS } from '../solution.js';
+import { BENCH_TOP, GLASS_MASS, close, createGlass } from './helpers.js';
+
+const BENCH = { tableTop: BENCH_TOP, minX: -10, maxX: 10, minZ: -6, maxZ: 6 };
+const COUNT = BALANCE_DEFAULTS.readability;
+
+// A balance at x = 4, its housing 6 wide and 0.4 high under the pan, and
+// the physics that stands glasses on them
+const HOUSING = { width: 6, depth: 6, offset: 0, height: 0.4 };
+
+function createBalance(...glasses) {
+    const balance = new BalanceCore({ position: [4, BENCH_TOP, 0], panRadius: 1.5, panHeight: 0.5, housing: HOUSING });
+    const physics = new BenchPhysics(glasses, BENCH);
+    physics.setPlatforms(balance.getPlatforms());
+    return { balance, physics };
+}
+
+// Step the bench and the balance for `seconds`
+function run(physics, balance, containers, seconds) {
+    for (let i = Math.round(seconds * 60); i > 0; i--) {
+        physics.step(1 / 60);
+        balance.update(1 / 60, containers);
+    }
+}
+
+describe('weighing', () => {
+    it('reads the glass plus its liquid at the stock density', () => {
+        const glass = createGlass('glass', 4, 0);
+        glass.setSolution(Solution.fromLiquid('copper-sulfate', 100));
+        const { balance, physics } = createBalance(glass);
+        run(physics, balance, [glass], 3);
+
+        close(glass.getPosition()[1], BENCH_TOP + 0.5, 1e-12, 'standing on the pan');
+        close(balance.reading, GLASS_MASS + 100 * LIQUIDS['copper-sulfate'].density, COUNT * 1.001, 'reading (g)');
+        assert.ok(balance.stable);
+    });
+
+    it('keeps the mass of what is mixed', () => {
+        const mixture = Solution.fromLiquid('copper-sulfate', 60).add(Solution.fromLiquid('water', 40));
+        const half = mixture.take(50);
+        close(half.mass, (60 * LIQUIDS['copper-sulfate'].density + 40 * LIQUIDS.water.density) / 2, 1e-9, 'mass (g)');
+    });
+
+    it('leaves out what is held or off the pan', () => {
+        const held = createGlass('held', 4, 100);
+        const beside = createGlass('beside', 0, 100);
+        held.isDragging = true;
+        const { balance, physics } = createBalance(held, beside);
+        run(physics, balance, [held, beside], 3);
+
+        assert.equal(beside.getPosition()[1], BENCH_TOP);
+        assert.ok(Math.abs(balance.reading) <= COUNT * 1.001, `reads ${balance.reading} g`);
+    });
+
+    it('leaves out a glass with only the rim of its base on the pan', () => {
+        // Middle of the base 0.2 outside the pan, over the housing
+        const glass = createGlass('glass', 4 - 1.7, 100);
+        const { balance, physics } = createBalance(glass);
+        run(physics, balance, [glass], 3);
+
+        const [x, y] = glass.getPosition();
+        close(x, 4 - 1.5 - 1, 1e-9, 'pushed clear of the pan');
+        close(y, BENCH_TOP + HOUSING.height, 1e-12, 'standing on the housing');
+        assert.ok(Math.abs(balance.reading) <= COUNT * 1.001, `reads ${balance.reading} g`);
+    });
+
+    it('keeps glassware out of the housing', () => {
+        // Middle of the base 0.5 outside the housing
+        const glass = createGlass('glass', 4 - 3.5, 100);
+        const { balance, physics } = createBalance(glass);
+        run(physics, balance, [glass], 1);
+
+        const [x, y] = glass.getPosition();
+        close(x, 4 - 3 - 1, 1e-9, 'pushed clear of the housing');
+        assert.equal(y, BENCH_TOP);
+    });
+
+    it('shows overload past its capacity', () => {
+        const glass = createGlass('glass', 4, 0);
+        glass.glassMass = BALANCE_DEFAULTS.capacity + 1;
+        const { balance, physics } = createBalance(glass);
+        run(physics, balance, [glass], 3);
+        assert.equal(balance.getDisplayText(), 'OL');
+        assert.equal(balance.tare(), false);
+    });
+});
+
+describe('reading', () => {
+    it('creeps to a new load and only then shows it stable', () => {
+        const glass = createGlass('glass', 0, 100);
+        const { balance, physics } = createBalance(glass);
+        run(physics, balance, [glass], 1);
+        glass.setPose([4, BENCH_TOP, 0]);
+
+        const readings = [];
+        for (let i = 0; i < 180; i++) {
+            physics.step(1 / 60);
+            if (balance.update(1 / 60, [glass])) readings.push('stable');
+            readings.push(balance.reading);
+        }
+        const settled = readings.indexOf('stable');
+        const mass = glass.getMass();
+        const rising = readings.slice(0, settled).filter(r => r !== 'stable');
+
+        assert.ok(settled > 100, `stable after ${settled} steps`);
+        assert.ok(rising.every((r, i) => i === 0 || r >= rising[i - 1]), 'never falls back while settling');
+        assert.ok(rising.some(r => r > 0 && r < mass - 1), 'shows masses on the way');
+        close(readings[readings.length - 1], mass, COUNT * 1.001, 'settled reading (g)');
+    });
+
+    it('flickers in the last digit once stable, the same on every run', () => {
+        const runs = [0, 1].map(() => {
+            const glass = createGlass('glass', 4, 100);
+            const { balance, physics } = createBalance(glass);
+            balance.settle([glass]);
+            const readings = [];
+            for (let i = 0; i < 60; i++) {
+                run(physics, balance, [glass], 0.2);
+                readings.push(balance.reading);
+            }
+            return { readings, mass: glass.getMass() };
+        });
+
+        const { readings, mass } = runs[0];
+        assert.deepEqual(readings, runs[1].readings);
+        assert.ok(new Set(readings.map(r => r.toFixed(3))).size > 1, 'the last digit changes');
+        readings.forEach(r => close(r, mass, COUNT * 1.501, 'within a count'));
+    });
+
+    it('zeroes with the tare and reads what is added after', () => {
+        const glass = createGlass('glass', 4, 50);
+        const { balance, physics } = createBalance(glass);
+        balance.settle([glass]);
+        balance.tare();
+        glass.setSolution(glass.solution.add(Solution.fromLiquid('water', 20)));
+        run(physics, balance, [glass], 3);
+
+        close(balance.reading, 20 * LIQUIDS.water.density, COUNT * 1.001, 'net (g)');
+        close(balance.getSnapshot().tare, GLASS_MASS + 50 * LIQUIDS.water.density, 1e-9, 'tare (g)');
+    });
+});
@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ContainerBody, composeMatrix, invertMatrix, transformPoint } from '../bench-core.js';
+import { Solution } from '../solution.js';
+import { CYLINDER, DEGREES, close, createGlass, tilt } from './helpers.js';
+
+describe('transforms', () => {
+    it('inverts a composed pose', () => {
+        const m = composeMatrix([1, -2, 3], [0.3, -1.1, 0.7], 0.5);
+        const back = transformPoint(invertMatrix(m), transformPoint(m, [0.2, 0.4, -0.6]));
+        [0.2, 0.4, -0.6].forEach((v, i) => close(back[i], v, 1e-12, `axis ${i}`));
+    });
+
+    it('turns the spout side down for a negative rotation about z', () => {
+        const lip = transformPoint(composeMatrix([0, 0, 0], [0, 0, -Math.PI / 2]), [1, 3, 0]);
+        close(lip[0], 3, 1e-12, 'x');
+        close(lip[1], -1, 1e-12, 'y');
+    });
+});
+
+describe('ContainerBody', () => {
+    it('fills to the capacity of its profile', () => {
+        const glass = new ContainerBody({ profile: CYLINDER, initialVolume: 0 });
+        close(glass.maxVolume, Math.PI * 2.9 * 20, 1e-9, 'capacity (mL)');
+    });
+
+    it('returns what does not fit below the brim', () => {
+        const glass = createGlass('glass', 0, 150);
+        const excess = glass.setVolume(200);
+        close(glass.currentVolume, glass.maxVolume, 1e-9, 'kept');
+        close(excess.volume, 200 - glass.maxVolume, 1e-9, 'excess');
+
+        const rest = glass.addLiquid(Solution.fromLiquid('water', 10));
+        close(rest.volume, 10, 1e-9, 'not added to a full glass');
+    });
+
+    it('keeps the surface level as it tilts', () => {
+        const glass = createGlass('glass', 0, 90);
+        tilt(glass, 20 * DEGREES);
+        const up = glass.getLocalUp();
+        close(up.y, Math.cos(20 * DEGREES), 1e-12, 'local up');
+        close(glass.getTiltAngle(), 20 * DEGREES, 1e-12, 'tilt');
+    });
+
+    it('takes the lowest point of the rim as the spout', () => {
+        const glass = createGlass('glass', 0, 90);
+        tilt(glass, 40 * DEGREES);
+        const lip = glass.getPourSpout();
+        const rim = [0, 90, 180, 270].map(a => transformPoint(glass.getMatrix(),
+            [Math.cos(a * DEGREES), 3, Math.sin(a * DEGREES)])[1]);
+        close(lip[1], Math.min(...rim), 1e-9, 'lip height');
+        assert.deepEqual(glass.getPourDirection(), [1, 0, 0]);
+    });
+});
+
+describe('tilt threshold', () => {
+    // A level surface at height h in a cylinder of radius r with rim H first
+    // reaches the rim at tan(tilt) = (H - h) / r, as long as it still
+    // covers the whole base
+    for (const fill of [0.6, 0.75, 0.9]) {
+        it(`starts pouring at the rim angle when ${fill * 100}% full`, () => {
+            const glass = createGlass('glass', 0, 0);
+            glass.setVolume(glass.maxVolume * fill);
+            const threshold = Math.atan(2.9 * (1 - fill) / 1);
+
+            tilt(glass, threshold - 1 * DEGREES);
+            assert.equal(glass.canPour(), false, 'a degree short of the rim angle');
+            tilt(glass, threshold + 1 * DEGREES);
+            assert.equal(glass.canPour(), true, 'a degree past the rim angle');
+
+            tilt(glass, threshold);
+            close(glass.getSurfaceHead(), 0, 0.005, 'head at the rim angle');
+        });
+    }
+
+    it('pours sooner the fuller the glass', () => {
+        const angles = [0.5, 0.7, 0.9].map(fill => {
+            const glass = createGlass('glass', 0, 0);
+            glass.setVolume(glass.maxVolume * fill);
+            let angle = 0;
+            while (!glass.canPour()) tilt(glass, angle += 0.5 * DEGREES);
+            return angle;
+        });
+        assert.ok(angles[0] > angles[1] && angles[1] > angles[2], `thresholds ${angles}`);
+    });
+
+    it('never pours when empty', () => {
+        const glass = createGlass('glass', 0, 0);
+        tilt(glass, 90 * DEGREES);
+        assert.equal(glass.canPour(), false);
+    });
+});
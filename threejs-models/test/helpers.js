@@ -0,0 +1,44 @@
+// Containers with simple inner walls, so thresholds and volumes can be
+// worked out by hand
+import assert from 'node:assert/strict';
+import { ContainerBody } from '../bench-core.js';
+
+export const DEGREES = Math.PI / 180;
+export const BENCH_TOP = -1.9;
+
+// Straight-sided glass: radius 1, inner base at 0.1, rim at 3 (~182 mL)
+export const CYLINDER = [{ x: 0.001, y: 0.1 }, { x: 1, y: 0.1 }, { x: 1, y: 3 }];
+
+// Wide, low dish to catch a stream (~127 mL)
+export const DISH = [{ x: 0.001, y: 0.1 }, { x: 1.2, y: 0.1 }, { x: 1.2, y: 1.5 }];
+
+// Narrow vial that a pour soon fills (~11 mL)
+export const VIAL = [{ x: 0.001, y: 0.1 }, { x: 0.6, y: 0.1 }, { x: 0.6, y: 0.6 }];
+
+export const GLASS_MASS = 50; // g
+
+// `actual` within `tolerance` of `expected`; `message` names the quantity
+export function close(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} is not within ${tolerance} of ${expected}`);
+}
+
+// Cylinder on the bench at x, spout on its +x side; its hull is the
+// outline of the profile
+export function createGlass(id, x, volume, profile = CYLINDER) {
+    const top = profile[profile.length - 1];
+    return new ContainerBody({
+        id,
+        profile,
+        spout: [top.x, top.y, 0],
+        position: [x, BENCH_TOP, 0],
+        initialVolume: volume,
+        bounds: { bottomRadius: profile[1].x, topRadius: top.x, height: top.y },
+        glassMass: GLASS_MASS
+    });
+}
+
+// Hold `body` tilted towards its spout by `angle` radians, as a drag does
+export function tilt(body, angle) {
+    body.isDragging = angle > 0;
+    body.setPose(body.getPosition(), [0, 0, -angle]);
+}
@@ -0,0 +1,151 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BenchPhysics } from '../bench-physics.js';
+import { BenchSimulation } from '../bench-core.js';
+import { BENCH_TOP, DEGREES, close, createGlass, tilt } from './helpers.js';
+
+const BENCH = { tableTop: BENCH_TOP, minX: -10, maxX: 10, minZ: -6, maxZ: 6 };
+
+// An empty cylinder balances on the edge of its base (radius 1) when its
+// centre of mass, 0.4 of its height of 3 up, is straight above it
+const BALANCE = Math.atan(1 / 1.2);
+
+function createBench(...glasses) {
+    const containers = glasses;
+    return { containers, physics: new BenchPhysics(containers, BENCH) };
+}
+
+// Hold `glass` at `angle` for a step, let go and let it come to rest
+function letGo(physics, glass, angle, seconds = 3) {
+    tilt(glass, angle);
+    physics.step(1 / 60);
+    glass.isDragging = false;
+    for (let i = Math.round(seconds * 60); i > 0; i--) physics.step(1 / 60);
+}
+
+describe('tipping', () => {
+    it('rocks back onto its base short of the balance angle', () => {
+        const glass = createGlass('glass', 0, 0);
+        const { physics } = createBench(glass);
+        letGo(physics, glass, BALANCE - 1 * DEGREES);
+
+        assert.equal(glass.getTiltAngle(), 0);
+        assert.equal(glass.getPosition()[1], BENCH_TOP);
+        assert.equal(glass.isToppled, false);
+        assert.ok(physics.isSettled());
+    });
+
+    it('falls onto its side past the balance angle', () => {
+        const glass = createGlass('glass', 0, 0);
+        const { physics } = createBench(glass);
+        letGo(physics, glass, BALANCE + 1 * DEGREES);
+
+        close(glass.getTiltAngle(), 90 * DEGREES, 1e-9, 'lying');
+        close(glass.getPosition()[1], BENCH_TOP + 1, 1e-9, 'axis one radius above the bench');
+        assert.equal(glass.isToppled, true);
+        assert.ok(physics.isSettled());
+    });
+
+    it('stands up again when picked up', () => {
+        const glass = createGlass('glass', 0, 0);
+        const { physics } = createBench(glass);
+        letGo(physics, glass, 60 * DEGREES);
+        tilt(glass, 0);
+        glass.isDragging = true;
+        physics.step(1 / 60);
+        glass.isDragging = false;
+        physics.step(1 / 60);
+
+        assert.equal(glass.isToppled, false);
+        assert.equal(glass.getPosition()[1], BENCH_TOP);
+    });
+
+    it('keeps a held glass on its rim rather than in the bench', () => {
+        const glass = createGlass('glass', 0, 0);
+        const { physics } = createBench(glass);
+        tilt(glass, 30 * DEGREES);
+        physics.step(1 / 60);
+        close(glass.getPosition()[1], BENCH_TOP + Math.sin(30 * DEGREES), 1e-9, 'lifted by the rim');
+    });
+
+    it('pours out once toppled', () => {
+        const bench = new BenchSimulation();
+        const glass = bench.addContainer(createGlass('glass', 0, 120));
+        const physics = new BenchPhysics(bench.containers, BENCH);
+        tilt(glass, 60 * DEGREES);
+        physics.step(1 / 60);
+        glass.isDragging = false;
+        for (let i = 0; i < 180; i++) {
+            physics.step(1 / 60);
+            bench.step(1 / 60);
+        }
+
+        assert.equal(glass.isToppled, true);
+        assert.ok(glass.currentVolume < 60, `${glass.currentVolume} mL left`);
+    });
+});
+
+describe('hulls', () => {
+    const gap = (a, b) => Math.hypot(a.getPosition()[0] - b.getPosition()[0], a.getPosition()[2] - b.getPosition()[2]);
+
+    it('push a standing glass out of the way of a held one', () => {
+        const held = createGlass('held', 0, 0);
+        const standing = createGlass('standing', 3, 0);
+        const { physics } = createBench(held, standing);
+        held.isDragging = true;
+        for (let x = 0; x <= 3; x += 0.25) {
+            held.setPose([x, BENCH_TOP, 0]);
+            physics.step(1 / 60);
+        }
+
+        close(held.getPosition()[0], 3, 1e-9, 'held where the hand is');
+        close(gap(held, standing), 2, 1e-9, 'touching');
+    });
+
+    it('stop a held glass at clamped equipment', () => {
+        const held = createGlass('held', 0, 0);
+        const clamped = createGlass('clamped', 3, 0);
+        clamped.isFixed = true;
+        const { physics } = createBench(held, clamped);
+        held.isDragging = true;
+        held.setPose([2, BENCH_TOP, 0]);
+        physics.step(1 / 60);
+
+        close(clamped.getPosition()[0], 3, 1e-9, 'clamped in place');
+        close(held.getPosition()[0], 1, 1e-9, 'stopped against it');
+    });
+
+    it('stop a held glass at a hull offset behind clamped equipment', () => {
+        const held = createGlass('held', 0, 0);
+        const stand = createGlass('stand', 3, 0);
+        stand.isFixed = true;
+        stand.bounds = { bottomRadius: 0.5, topRadius: 0.5, height: 8, offset: -2 };
+        const { physics } = createBench(held, stand);
+        held.isDragging = true;
+        held.setPose([3, BENCH_TOP, 0]);
+        physics.step(1 / 60);
+        close(held.getPosition()[2], 0, 1e-9, 'free in front of the stand');
+
+        held.setPose([3, BENCH_TOP, -1]);
+        physics.step(1 / 60);
+        close(held.getPosition()[2], -0.5, 1e-9, 'stopped against the stand');
+    });
+
+    it('move the lighter of two standing glasses further', () => {
+        const full = createGlass('full', 0, 150);
+        const empty = createGlass('empty', 1, 0);
+        const { physics } = createBench(full, empty);
+        physics.step(1 / 60);
+
+        close(gap(full, empty), 2, 1e-9, 'apart');
+        assert.ok(empty.getPosition()[0] - 1 > -full.getPosition()[0], 'the empty glass moved more');
+    });
+
+    it('stay on the bench top', () => {
+        const glass = createGlass('glass', 0, 0);
+        const { physics } = createBench(glass);
+        glass.setPose([12, BENCH_TOP, -9]);
+        physics.step(1 / 60);
+        assert.deepEqual(glass.getPosition(), [9, BENCH_TOP, -5]);
+    });
+});
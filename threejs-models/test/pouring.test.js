@@ -0,0 +1,194 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BenchSimulation } from '../bench-core.js';
+import { Solution } from '../solution.js';
+import { BENCH_TOP, DEGREES, DISH, VIAL, close, createGlass, tilt } from './helpers.js';
+
+// Rim angle of the 3/4 full source glass (see container-body.test.js)
+const THRESHOLD = Math.atan(2.9 * 0.25);
+
+// A 3/4 full glass at the bench centre, and one more container if given
+function createBench(target) {
+    const bench = new BenchSimulation();
+    const source = bench.addContainer(createGlass('source', 0, 0));
+    source.setVolume(source.maxVolume * 0.75);
+    if (target) bench.addContainer(target);
+    return { bench, source };
+}
+
+// mL/s leaving the source over `seconds`, after the stream has started
+function pourRate(angle, seconds = 0.5) {
+    const { bench, source } = createBench();
+    tilt(source, angle);
+    bench.run(0.25);
+    const before = source.currentVolume;
+    bench.run(seconds);
+    return (before - source.currentVolume) / seconds;
+}
+
+// Pour for `seconds`, put the source down and let everything land
+function pourInto(bench, source, seconds) {
+    tilt(source, 60 * DEGREES);
+    bench.run(seconds);
+    tilt(source, 0);
+    bench.run(3);
+}
+
+describe('pour rate', () => {
+    it('is zero short of the rim angle', () => {
+        assert.equal(pourRate(THRESHOLD - 2 * DEGREES), 0);
+    });
+
+    it('rises the further the glass is tilted past it', () => {
+        const rates = [5, 15, 30].map(extra => pourRate(THRESHOLD + extra * DEGREES));
+        assert.ok(rates[0] > 0, `rate ${rates[0]} mL/s just past the rim angle`);
+        assert.ok(rates[0] < rates[1] && rates[1] < rates[2], `rates ${rates} mL/s`);
+    });
+
+    it('only pours from a container that is held', () => {
+        const { bench, source } = createBench();
+        tilt(source, THRESHOLD + 20 * DEGREES);
+        source.isDragging = false;
+        const before = source.currentVolume;
+        bench.run(0.5);
+        assert.equal(source.currentVolume, before);
+    });
+
+    it('reports the pour from start to end', () => {
+        const { bench, source } = createBench();
+        const events = [];
+        bench.addEventListener('pourstart', e => events.push(e));
+        bench.addEventListener('pourend', e => events.push(e));
+        const before = source.currentVolume;
+        pourInto(bench, source, 0.5);
+
+        assert.deepEqual(events.map(e => [e.type, e.container]), [['pourstart', 'source'], ['pourend', 'source']]);
+        close(events[1].volume, before - source.currentVolume, 1e-9, 'poured (mL)');
+    });
+});
+
+describe('target detection', () => {
+    it('catches the stream in the container under it', () => {
+        const { bench, source } = createBench(createGlass('dish', 3, 0, DISH));
+        const behind = bench.addContainer(createGlass('behind', -3.5, 0, DISH));
+        const transfers = [];
+        bench.addEventListener('transfer', e => transfers.push(e));
+        const before = source.currentVolume;
+        pourInto(bench, source, 1);
+
+        const dish = bench.getContainer('dish');
+        const poured = before - source.currentVolume;
+        assert.ok(poured > 10, `poured ${poured} mL`);
+        close(dish.currentVolume, poured, 1e-9, 'in the dish');
+        assert.equal(behind.currentVolume, 0);
+        assert.equal(bench.pourCore.spilled.volume, 0);
+        assert.ok(transfers.every(e => e.from === 'source' && e.to === 'dish'));
+        close(transfers.reduce((total, e) => total + e.volume, 0), poured, 1e-9, 'transferred');
+    });
+
+    it('spills onto the bench when nothing is under the stream', () => {
+        const { bench, source } = createBench(createGlass('dish', 7, 0, DISH));
+        const spills = [];
+        bench.addEventListener('spill', e => spills.push(e));
+        const before = source.currentVolume;
+        pourInto(bench, source, 1);
+
+        assert.equal(bench.getContainer('dish').currentVolume, 0);
+        close(bench.pourCore.spilled.volume, before - source.currentVolume, 1e-9, 'spilled');
+        assert.ok(spills.length > 0 && spills.every(e => e.position[0] > 1), 'spilled on the spout side');
+    });
+
+    it('spills onto a platform in the way of the stream', () => {
+        const platform = { x: 5, z: 0, halfWidth: 3, halfDepth: 3, top: BENCH_TOP + 0.5 };
+        const bench = new BenchSimulation({ environment: { platforms: [platform] } });
+        const source = bench.addContainer(createGlass('source', 0, 0));
+        source.setVolume(source.maxVolume * 0.75);
+        const spills = [];
+        bench.addEventListener('spill', e => spills.push(e));
+        pourInto(bench, source, 1);
+
+        assert.ok(spills.length > 0);
+        assert.ok(spills.every(e => e.position[1] >= platform.top && e.position[0] >= 2), 'spilled on the platform');
+    });
+
+    it('spills what a container no longer on the bench caught under the lip', () => {
+        const { bench, source } = createBench();
+        const spills = [];
+        bench.addEventListener('spill', e => spills.push(e));
+        tilt(source, 60 * DEGREES);
+        bench.pourCore.inFlight.add(source.removeLiquid(5));
+        bench.pourCore.inFlightSource = 'source';
+        bench.pourCore.applyResult({ source: null, emitted: 0, captured: { gone: 5 }, spills: [], slosh: {}, overflow: {} });
+
+        const [x, , z] = source.getPourSpout();
+        assert.deepEqual(spills.map(e => e.position), [[x, BENCH_TOP, z]]);
+        close(bench.pourCore.spilled.volume, 5, 1e-9, 'spilled');
+    });
+
+    it('does not catch liquid in a clamped container', () => {
+        const dish = createGlass('dish', 3, 0, DISH);
+        dish.isFixed = true;
+        const { bench, source } = createBench(dish);
+        pourInto(bench, source, 1);
+
+        assert.equal(dish.currentVolume, 0);
+        assert.ok(bench.pourCore.spilled.volume > 10);
+    });
+});
+
+describe('volume conservation', () => {
+    it('keeps every mL while a small vial overflows', () => {
+        const { bench, source } = createBench(createGlass('vial', 3.4, 0, VIAL));
+        const total = bench.getTotalVolume();
+        let overflowed = 0;
+        bench.addEventListener('overflow', e => { overflowed += e.volume; });
+
+        tilt(source, 60 * DEGREES);
+        for (let i = 0; i < 120; i++) {
+            bench.step(1 / 60);
+            close(bench.getTotalVolume(), total, 1e-9, `total after step ${i + 1}`);
+        }
+        tilt(source, 0);
+        bench.run(3);
+
+        const vial = bench.getContainer('vial');
+        close(vial.currentVolume, vial.maxVolume, 1e-9, 'vial full');
+        assert.ok(overflowed > 0, 'ran over the brim');
+        assert.ok(bench.pourCore.inFlight.volume < 1e-9, 'nothing left in the air');
+        close(bench.getTotalVolume(), total, 1e-9, 'total once landed');
+    });
+
+    it('keeps the solutes with the liquid', () => {
+        const { bench, source } = createBench(createGlass('dish', 3, 0, DISH));
+        const moles = (solution) => solution.solutes.get('HCl') || 0;
+        source.setSolution(Solution.fromLiquid('hydrochloric-acid', source.currentVolume));
+        const before = moles(source.solution);
+        pourInto(bench, source, 1);
+
+        const after = moles(source.solution) + moles(bench.getContainer('dish').solution) +
+            moles(bench.pourCore.inFlight) + moles(bench.pourCore.spilled);
+        close(after, before, 1e-12, 'HCl (mol)');
+    });
+
+    it('keeps what has spilled when a container is added', () => {
+        const { bench, source } = createBench();
+        source.setSolution(Solution.fromLiquid('hydrochloric-acid', source.currentVolume));
+        const total = bench.getTotalVolume();
+        pourInto(bench, source, 1);
+        const spilled = bench.pourCore.spilled.clone();
+        bench.addContainer(createGlass('dish', 3, 0, DISH));
+
+        assert.ok(spilled.volume > 10, `spilled ${spilled.volume} mL`);
+        assert.deepEqual(bench.pourCore.spilled, spilled);
+        close(bench.getTotalVolume(), total, 1e-9, 'total');
+    });
+
+    it('comes out the same on every run', () => {
+        const runs = [0, 1].map(() => {
+            const { bench, source } = createBench(createGlass('dish', 3, 0, DISH));
+            pourInto(bench, source, 1);
+            return [source.currentVolume, bench.getContainer('dish').currentVolume];
+        });
+        assert.deepEqual(runs[0], runs[1]);
+    });
+});
@@ -0,0 +1,22 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { VolumeProfile } from '../volume-profile.js';
+
+// The registry builds its models with Three.js, which the pages take from
+// their import map; it can only be checked where three is installed
+const hasThree = await import('three').then(() => true, () => false);
+const registry = hasThree ? await import('../container-registry.js') : null;
+const pourable = registry ? registry.getContainerTypes().filter(registry.isPourable) : [];
+
+describe('container capacity', { skip: !hasThree && 'three is not installed' }, () => {
+    for (const type of pourable) {
+        it(`${type} holds its capacity to the brim`, () => {
+            const definition = registry.getContainerDefinition(type);
+            const profile = new VolumeProfile(definition.innerProfile());
+            const difference = profile.capacity - definition.capacity;
+            assert.ok(difference >= 0 && difference < 0.1,
+                `${profile.capacity} mL to the brim, ${definition.capacity} mL capacity`);
+            assert.ok(Math.max(0, ...definition.graduations) <= definition.capacity, 'graduations below the brim');
+        });
+    }
+});
@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateBenchScene, normalizeBenchScene, createEntrySolution, BenchSceneError } from '../bench-scene.js';
+import { close } from './helpers.js';
+
+// Container types of a page: the mL each holds and what fills it by default
+const TYPES = {
+    'beaker': { capacity: 250, defaultVolume: 150, defaultLiquid: 'copper-sulfate' },
+    'centrifuge-tube-15': { capacity: 15 }
+};
+
+// A one-container scene, the container changed by `changes`
+const scene = (changes) => ({
+    containers: [{ type: 'beaker', position: [0, -1.9, 0], volume: 100, ...changes }]
+});
+
+describe('scene validation', () => {
+    it('accepts a container filled to its capacity', () => {
+        assert.deepEqual(validateBenchScene(scene({ type: 'centrifuge-tube-15', volume: 15 }), TYPES), []);
+    });
+
+    it('rejects more than the container type holds', () => {
+        assert.deepEqual(validateBenchScene(scene({ type: 'centrifuge-tube-15', volume: 100 }), TYPES), [
+            'containers[0].volume: expected at most the 15 mL centrifuge-tube-15 holds'
+        ]);
+    });
+
+    it('rejects prototype keys as types, liquids, species and indicators', () => {
+        const errors = validateBenchScene({
+            containers: [
+                { type: 'constructor', position: [0, -1.9, 0] },
+                { type: 'beaker', position: [0, -1.9, 0], liquid: 'toString' },
+                { type: 'beaker', position: [0, -1.9, 0], liquid: { solutes: { hasOwnProperty: 0.1 } } },
+                { type: 'beaker', position: [0, -1.9, 0], indicator: 'valueOf' }
+            ]
+        }, TYPES);
+
+        assert.equal(errors.length, 4);
+        assert.match(errors[0], /^containers\[0\]\.type: expected one of beaker, centrifuge-tube-15$/);
+        assert.match(errors[1], /^containers\[1\]\.liquid: unknown liquid "toString"/);
+        assert.equal(errors[2], 'containers[2].liquid.solutes: unknown species "hasOwnProperty"');
+        assert.equal(errors[3], 'containers[3].indicator: unknown indicator "valueOf"');
+    });
+
+    it('throws a BenchSceneError rather than loading a bad scene', () => {
+        assert.throws(() => normalizeBenchScene(scene({ liquid: 'toString' }), TYPES), BenchSceneError);
+    });
+
+    it('fills in the type defaults for a left out volume and liquid', () => {
+        const { containers } = normalizeBenchScene({
+            containers: [
+                { type: 'beaker', position: [0, -1.9, 0] },
+                { type: 'beaker', position: [3, -1.9, 0], volume: 0, liquid: 'water' },
+                { type: 'centrifuge-tube-15', position: [6, -1.9, 0] }
+            ]
+        }, TYPES);
+        assert.deepEqual(containers.map(c => [c.volume, c.liquid]), [[150, 'copper-sulfate'], [0, 'water'], [0, 'water']]);
+    });
+
+    it('gives entries without an id one no other entry has', () => {
+        const { containers, balances } = normalizeBenchScene({
+            containers: [
+                { id: 'beaker-2', type: 'beaker', position: [0, -1.9, 0] },
+                { type: 'beaker', position: [3, -1.9, 0] },
+                { type: 'beaker', position: [6, -1.9, 0] }
+            ],
+            balances: [{ id: 'beaker-4', type: 'analytical-balance', position: [-4, -1.9, 0] }]
+        }, TYPES, {}, ['analytical-balance']);
+        assert.deepEqual(containers.map(c => c.id), ['beaker-2', 'beaker-3', 'beaker-5']);
+        assert.equal(balances[0].id, 'beaker-4');
+    });
+
+    it('fills a normalized entry with its liquid', () => {
+        const [entry] = normalizeBenchScene(scene({ liquid: 'hydrochloric-acid' }), TYPES).containers;
+        const solution = createEntrySolution(entry);
+        assert.equal(solution.volume, 100);
+        close(solution.solutes.get('HCl'), 0.01, 1e-12, 'HCl (mol)');
+    });
+});
@@ -0,0 +1,140 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BENCH_REACH, BenchSimulation, MAX_TILT } from '../bench-core.js';
+import { parseSessionLog } from '../bench-session.js';
+import { Solution } from '../solution.js';
+import { DEGREES, DISH, close, createGlass } from './helpers.js';
+
+// Acid in a glass at the bench centre, base in a dish beside it
+function createBench() {
+    const bench = new BenchSimulation({ quality: 'low' });
+    const source = bench.addContainer(createGlass('source', 0, 0));
+    source.setSolution(Solution.fromLiquid('hydrochloric-acid', 120));
+    const dish = bench.addContainer(createGlass('dish', 3, 0, DISH));
+    dish.setSolution(Solution.fromLiquid('sodium-hydroxide', 20));
+    return bench;
+}
+
+// Pick the glass up, pour part of it into the dish and put it down
+function recordPour() {
+    const bench = createBench();
+    bench.startRecording({ scene: { name: 'Neutralisation' } });
+    bench.run(0.1);
+    bench.input(['pick', 'source']);
+    for (let angle = 10; angle <= 60; angle += 10) {
+        bench.input(['hold', 'source', 0.2, 0, 0, angle * DEGREES]);
+        bench.run(0.1);
+    }
+    bench.run(0.4);
+    bench.input(['tilt', 'source', 0]);
+    bench.input(['drop', 'source']);
+    bench.input(['volume', 'dish', 60]);
+    bench.run(1.5);
+    return { log: bench.stopRecording(), state: bench.getState() };
+}
+
+// A well-formed log with `changes` made to it
+function withLog(changes) {
+    return {
+        version: 1, scene: {}, seed: 1, step: 1 / 60, quality: 'low', steps: 10,
+        inputs: [[2, 'pick', 'source'], [5, 'drop', 'source']],
+        ...changes
+    };
+}
+
+describe('session replay', () => {
+    const { log, state } = recordPour();
+
+    it('records the inputs with the step they came in', () => {
+        assert.equal(log.steps, 156);
+        assert.deepEqual(log.inputs[0], [6, 'pick', 'source']);
+        assert.deepEqual(log.inputs.at(-1), [66, 'volume', 'dish', 60]);
+        assert.deepEqual(log.scene, { name: 'Neutralisation' });
+    });
+
+    it('comes to the same state as the recording', () => {
+        const poured = 120 - state.containers[0].volume;
+        assert.ok(poured > 10, `poured ${poured} mL`);
+        assert.deepEqual(createBench().replay(log), state);
+    });
+
+    it('replays a log saved as JSON', () => {
+        assert.deepEqual(createBench().replay(JSON.stringify(log)), state);
+    });
+
+    it('refuses a bench that has already run', () => {
+        const bench = createBench();
+        bench.run(0.1);
+        assert.throws(() => bench.replay(log), /new bench/);
+    });
+});
+
+describe('container inputs', () => {
+    it('keep a container within reach and short of upside down, as on the pouring bench', () => {
+        const bench = createBench();
+        const source = bench.getContainer('source');
+        bench.input(['move', 'source', 20, -20]);
+        bench.input(['tilt', 'source', Math.PI]);
+
+        assert.deepEqual([source.getPosition()[0], source.getPosition()[2]], [BENCH_REACH, -BENCH_REACH]);
+        close(source.getTiltAngle(), MAX_TILT, 1e-9, 'tilt');
+    });
+
+    it('report a container picked up and put down', () => {
+        const bench = createBench();
+        const events = [];
+        bench.addEventListener('containerpicked', e => events.push([e.type, e.container]));
+        bench.addEventListener('containerdropped', e => events.push([e.type, e.container, e.position]));
+        bench.input(['pick', 'dish']);
+        bench.input(['drop', 'dish']);
+
+        assert.deepEqual(events, [['containerpicked', 'dish'], ['containerdropped', 'dish', bench.getContainer('dish').getPosition()]]);
+    });
+
+    it('leave the rest to the pouring bench', () => {
+        assert.throws(() => createBench().input(['eject', 'p200']), /needs the pouring bench/);
+    });
+});
+
+describe('session log', () => {
+    const problems = (log) => {
+        try {
+            parseSessionLog(log);
+        } catch (error) {
+            return error.message.split('\n- ').slice(1);
+        }
+        return [];
+    };
+
+    it('accepts a well-formed log', () => {
+        assert.deepEqual(problems(withLog({})), []);
+    });
+
+    it('rejects another version', () => {
+        assert.deepEqual(problems(withLog({ version: 2 })), ['version must be 1, got 2']);
+    });
+
+    it('rejects unknown input types, prototype keys included', () => {
+        const inputs = [[1, 'fly', 'source'], [2, 'constructor'], [3, 'toString', 'source']];
+        assert.deepEqual(problems(withLog({ inputs })), [
+            'inputs[0]: unknown input type "fly"',
+            'inputs[1]: unknown input type "constructor"',
+            'inputs[2]: unknown input type "toString"'
+        ]);
+    });
+
+    it('rejects malformed steps and arguments', () => {
+        const inputs = [[1.5, 'pick', 'source'], [4, 'pick', 'source'], [3, 'drop', 'source'], [5, 'tilt', 'source'], [11, 'reset']];
+        assert.deepEqual(problems(withLog({ step: 0, inputs })), [
+            'step must be a positive number of seconds',
+            'inputs[0] must be [step, type, ...arguments]',
+            'inputs[2]: step 3 is out of order or past the end',
+            'inputs[3]: "tilt" takes 2 arguments, got 1',
+            'inputs[4]: step 11 is out of order or past the end'
+        ]);
+    });
+
+    it('rejects text that is not JSON', () => {
+        assert.throws(() => parseSessionLog('{ "version": 1,'), /not valid JSON/);
+    });
+});
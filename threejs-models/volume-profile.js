@@ -0,0 +1,161 @@
+// ============================================
+// VOLUME PROFILE
+// Converts between liquid height and volume for a container by
+// integrating the inner lathe profile used to build its glass.
+// Pure math - no Three.js or DOM dependencies.
+// ============================================
+
+// One scene unit is ~2.7 cm, so one cubic unit holds ~20 mL. The bench
+// physics, the fluid solver and the XR rig all take their scale from here.
+export const ML_PER_CUBIC_UNIT = 20;
+export const UNITS_PER_METRE = 100 / Math.cbrt(ML_PER_CUBIC_UNIT);
+export const GRAVITY = 9.81 * UNITS_PER_METRE; // units/s²
+
+// Axial slices used when integrating a tilted fill
+const TILT_SLICES = 64;
+
+// Area of the part of a disk of radius r lying on the near side of a chord
+// at signed distance u from its centre
+function circularSegmentArea(r, u) {
+    if (u >= r) return Math.PI * r * r;
+    if (u <= -r) return 0;
+    return r * r * Math.acos(-u / r) + u * Math.sqrt(r * r - u * u);
+}
+
+export class VolumeProfile {
+    // points: inner wall profile as {x: radius, y: height}, ordered bottom to top.
+    // Horizontal runs (the flat base) enclose no volume and are skipped.
+    constructor(points, mlPerCubicUnit = ML_PER_CUBIC_UNIT) {
+        this.points = points.map(p => ({ r: p.x, y: p.y }));
+        this.mlPerCubicUnit = mlPerCubicUnit;
+
+        // Cumulative volume (mL) at each profile point
+        this.cumulative = [0];
+        for (let i = 1; i < this.points.length; i++) {
+            const a = this.points[i - 1];
+            const b = this.points[i];
+            const dy = Math.max(0, b.y - a.y);
+            const frustum = Math.PI * dy * (a.r * a.r + a.r * b.r + b.r * b.r) / 3;
+            this.cumulative.push(this.cumulative[i - 1] + frustum * mlPerCubicUnit);
+        }
+
+        this.bottom = this.points[0].y;
+        this.top = this.points[this.points.length - 1].y;
+        this.capacity = this.cumulative[this.cumulative.length - 1];
+    }
+
+    // Index of the segment [i - 1, i] containing height y
+    segmentAt(y) {
+        for (let i = 1; i < this.points.length; i++) {
+            if (y <= this.points[i].y && this.points[i].y > this.points[i - 1].y) {
+                return i;
+            }
+        }
+        return this.points.length - 1;
+    }
+
+    radiusAtHeight(y) {
+        const clampedY = Math.max(this.bottom, Math.min(this.top, y));
+        const i = this.segmentAt(clampedY);
+        const a = this.points[i - 1];
+        const b = this.points[i];
+        const span = b.y - a.y;
+        if (span <= 0) return b.r;
+        return a.r + (b.r - a.r) * ((clampedY - a.y) / span);
+    }
+
+    // Volume (mL) held below height y
+    volumeAtHeight(y) {
+        if (y <= this.bottom) return 0;
+        if (y >= this.top) return this.capacity;
+
+        const i = this.segmentAt(y);
+        const a = this.points[i - 1];
+        const r = this.radiusAtHeight(y);
+        const dy = y - a.y;
+        const partial = Math.PI * dy * (a.r * a.r + a.r * r + r * r) / 3;
+        return this.cumulative[i - 1] + partial * this.mlPerCubicUnit;
+    }
+
+    // Inverse of volumeAtHeight: liquid surface height for a volume (mL)
+    heightForVolume(volume) {
+        if (volume <= 0) return this.bottom;
+        if (volume >= this.capacity) return this.top;
+
+        let i = 1;
+        while (i < this.cumulative.length - 1 && this.cumulative[i] < volume) i++;
+
+        const a = this.points[i - 1];
+        const b = this.points[i];
+        const span = b.y - a.y;
+        if (span <= 0) return b.y;
+
+        // Solve pi/3 * ((r0 + k*t)^3 - r0^3) / k = V for the rise t within the frustum
+        const remaining = (volume - this.cumulative[i - 1]) / this.mlPerCubicUnit;
+        const k = (b.r - a.r) / span;
+        let rise;
+        if (Math.abs(k) < 1e-6) {
+            rise = remaining / (Math.PI * a.r * a.r);
+        } else {
+            const r = Math.cbrt(a.r * a.r * a.r + 3 * k * remaining / Math.PI);
+            rise = (r - a.r) / k;
+        }
+        return a.y + Math.max(0, Math.min(span, rise));
+    }
+
+    // ----------------------------------------
+    // Tilted fills
+    // `up` is the world up direction expressed in the container's local
+    // frame (unit vector); `level` is a plane offset along it, so liquid
+    // occupies the local points p with dot(up, p) < level.
+    // ----------------------------------------
+
+    // Volume (mL) of the cavity lying below the plane
+    volumeBelowPlane(up, level) {
+        const sideways = Math.hypot(up.x, up.z);
+        const dy = (this.top - this.bottom) / TILT_SLICES;
+        let volume = 0;
+
+        for (let i = 0; i < TILT_SLICES; i++) {
+            const y = this.bottom + (i + 0.5) * dy;
+            const r = this.radiusAtHeight(y);
+            let area;
+            if (sideways < 1e-6) {
+                area = up.y * y < level ? Math.PI * r * r : 0;
+            } else {
+                area = circularSegmentArea(r, (level - up.y * y) / sideways);
+            }
+            volume += area * dy;
+        }
+        return volume * this.mlPerCubicUnit;
+    }
+
+    // Plane offset that keeps `volume` mL below the surface (volume preserving)
+    levelForVolume(up, volume) {
+        const sideways = Math.hypot(up.x, up.z);
+        const maxR = Math.max(...this.points.map(p => p.r));
+        const ends = [up.y * this.bottom, up.y * this.top];
+        let lo = Math.min(...ends) - sideways * maxR;
+        let hi = Math.max(...ends) + sideways * maxR;
+
+        if (volume <= 0) return lo;
+        if (sideways < 1e-6 && up.y > 0) return up.y * this.heightForVolume(volume);
+        if (volume >= this.volumeBelowPlane(up, hi)) return hi;
+
+        for (let i = 0; i < 40; i++) {
+            const mid = (lo + hi) / 2;
+            if (this.volumeBelowPlane(up, mid) < volume) {
+                lo = mid;
+            } else {
+                hi = mid;
+            }
+        }
+        return (lo + hi) / 2;
+    }
+
+    // Plane offset through the lowest point of the rim - liquid above it runs out
+    rimLevel(up) {
+        const rimR = this.points[this.points.length - 1].r;
+        return up.y * this.top - Math.hypot(up.x, up.z) * rimR;
+    }
+}